@@ -0,0 +1,430 @@
+/**
+ * Account Balance Ledger for Kita-kita Platform
+ * An account's balance is its opening balance (as of `openingDate`) plus every transaction on it dated
+ * on or after that day. Transactions move the stored balance when they are written, in the same
+ * Firestore transaction or batch; reconciling recomputes the balance from the transactions and flags drift.
+ * Liabilities (credit cards, loans) hold what is owed, so spending raises them and payments lower them,
+ * below zero when overpaid. Dates are 'YYYY-MM-DD' strings in Philippine time.
+ */
+
+const { isLiability, today } = require('./recurring-transactions.js');
+
+const TRANSACTION_TYPES = ['income', 'expense', 'transfer'];
+const TRANSFER_FEE_CATEGORY = 'bills';
+const DRIFT_TOLERANCE = 0.005; // Below half a centavo is rounding, not drift
+const KEEP_OPTIONS = ['ledger', 'balance'];
+
+class LedgerError extends Error {
+    constructor(message, status = 400, code = 'INVALID_LEDGER_REQUEST') {
+        super(message);
+        this.name = 'LedgerError';
+        this.code = code;
+        this.status = status;
+    }
+
+    toJSON() {
+        return { error: this.message, code: this.code };
+    }
+}
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function addDays(value, days) {
+    return new Date(new Date(`${value}T00:00:00Z`).getTime() + days * 86400000).toISOString().slice(0, 10);
+}
+
+/**
+ * The accounts a transaction moves, each as an income or expense of that account.
+ * A transfer takes its amount out of `accountId` and puts it into `toAccountId`; its fee is a separate expense.
+ * A transfer between currencies (a remittance) puts `receivedAmount` into `toAccountId` instead.
+ * @returns {Array<{accountId: string, type: 'income'|'expense', amount: number}>}
+ */
+function transactionLegs(transaction) {
+    if (!transaction || !transaction.accountId) return [];
+    const amount = Math.abs(parseFloat(transaction.amount) || 0);
+    if (transaction.type === 'transfer') {
+        const received = parseFloat(transaction.receivedAmount);
+        return [
+            { accountId: transaction.accountId, type: 'expense', amount },
+            { accountId: transaction.toAccountId, type: 'income', amount: received > 0 ? received : amount }
+        ].filter(leg => leg.accountId);
+    }
+    if (transaction.type !== 'income' && transaction.type !== 'expense') return [];
+    return [{ accountId: transaction.accountId, type: transaction.type, amount }];
+}
+
+/**
+ * Change to an account's stored balance. Liabilities hold what is owed, so spending raises them.
+ */
+function balanceDelta(account, type, amount) {
+    const signed = type === 'income' ? amount : -amount;
+    return isLiability(account) ? -signed : signed;
+}
+
+// Transactions dated before the opening date are already part of the opening balance
+function countsToward(account, transaction) {
+    return !account.openingDate || String(transaction.date || '').slice(0, 10) >= account.openingDate;
+}
+
+/**
+ * How much a set of transactions moves one account's stored balance.
+ * @param {object} account Stored account, with its `id`
+ */
+function ledgerDelta(account, transactions) {
+    let delta = 0;
+    transactions.forEach(transaction => {
+        if (!countsToward(account, transaction)) return;
+        transactionLegs(transaction)
+            .filter(leg => leg.accountId === account.id)
+            .forEach(leg => { delta += balanceDelta(account, leg.type, leg.amount); });
+    });
+    return roundMoney(delta);
+}
+
+/**
+ * The balance the account's transactions say it should have.
+ * Accounts from before the ledger have no opening balance yet; see anchorLegacyAccount.
+ */
+function computeLedgerBalance(account, transactions) {
+    return roundMoney((parseFloat(account.openingBalance) || 0) + ledgerDelta(account, transactions));
+}
+
+/**
+ * Puts an account from before the ledger on it without changing its balance: the opening balance is
+ * set as of `asOf` so that it plus the transactions from that day on equals the stored balance.
+ */
+function anchorLegacyAccount(account, transactions, asOf = today()) {
+    const anchored = { ...account, openingDate: asOf };
+    return {
+        openingBalance: roundMoney((parseFloat(account.balance) || 0) - ledgerDelta(anchored, transactions)),
+        openingDate: asOf
+    };
+}
+
+/**
+ * Compares the stored balance with the ledger.
+ * @returns {{accountId: string, name: string, balance: number, ledgerBalance: number, drift: number,
+ *   state: 'balanced'|'drift'|'anchored'}}
+ */
+function reconcileAccount(account, transactions) {
+    const balance = roundMoney(parseFloat(account.balance) || 0);
+    if (!account.openingDate) {
+        return { accountId: account.id, name: account.name, balance, ledgerBalance: balance, drift: 0, state: 'anchored' };
+    }
+    const ledgerBalance = computeLedgerBalance(account, transactions);
+    const drift = roundMoney(balance - ledgerBalance);
+    return {
+        accountId: account.id,
+        name: account.name,
+        balance,
+        ledgerBalance,
+        drift,
+        state: Math.abs(drift) < DRIFT_TOLERANCE ? 'balanced' : 'drift'
+    };
+}
+
+function createLedgerService({ db, admin }) {
+    const userDoc = userId => db.collection('users').doc(userId);
+    const accountsRef = userId => userDoc(userId).collection('bankAccounts');
+    const transactionsRef = userId => userDoc(userId).collection('transactions');
+
+    // Both sides of transfers count, so an account's transactions are those from it and those into it
+    async function loadAccountTransactions(userId, accountId, tx = null) {
+        const get = query => (tx ? tx.get(query) : query.get());
+        const [from, into] = await Promise.all([
+            get(transactionsRef(userId).where('accountId', '==', accountId)),
+            get(transactionsRef(userId).where('toAccountId', '==', accountId))
+        ]);
+        const byId = new Map();
+        [...from.docs, ...into.docs].forEach(doc => byId.set(doc.id, { id: doc.id, ...doc.data() }));
+        return [...byId.values()];
+    }
+
+    function buildFee(transactionId, transfer, now) {
+        return {
+            id: `${transactionId}_fee`,
+            transactionId: `${transactionId}_fee`,
+            userId: transfer.userId,
+            type: 'expense',
+            amount: -Math.abs(parseFloat(transfer.fee)),
+            description: `Transfer fee: ${transfer.accountName || 'account'} → ${transfer.toAccountName || 'account'}`,
+            category: TRANSFER_FEE_CATEGORY,
+            accountId: transfer.accountId,
+            accountName: transfer.accountName || null,
+            date: transfer.date,
+            transferId: transactionId,
+            source: transfer.source || 'server',
+            createdAt: now,
+            timestamp: admin.firestore.FieldValue.serverTimestamp()
+        };
+    }
+
+    // Amounts are in their account's currency unless the transaction says otherwise. A transfer between
+    // accounts in different currencies (a remittance) must record what arrived: `receivedAmount` in `receivedCurrency`.
+    function applyCurrencies(written, accountDocs) {
+        const currencyOf = accountId => {
+            const doc = accountDocs.find(accountDoc => accountDoc.id === accountId);
+            return (doc && doc.exists && doc.data().currency) || 'PHP';
+        };
+        const [transaction] = written;
+        transaction.currency = transaction.currency || currencyOf(transaction.accountId);
+        if (transaction.type === 'transfer') {
+            transaction.receivedCurrency = transaction.receivedCurrency || currencyOf(transaction.toAccountId);
+            if (transaction.receivedCurrency !== transaction.currency && !(parseFloat(transaction.receivedAmount) > 0)) {
+                throw new LedgerError(`A transfer from ${transaction.currency} to ${transaction.receivedCurrency} needs the amount received`);
+            }
+        }
+        written.slice(1).forEach(fee => { fee.currency = transaction.currency; });
+    }
+
+    function validateTransaction(transaction) {
+        if (!TRANSACTION_TYPES.includes(transaction.type)) {
+            throw new LedgerError(`type must be one of: ${TRANSACTION_TYPES.join(', ')}`);
+        }
+        if (transaction.type === 'transfer' && (!transaction.toAccountId || transaction.toAccountId === transaction.accountId)) {
+            throw new LedgerError('A transfer needs two different accounts');
+        }
+        if (transaction.type === 'transfer' && !(parseFloat(transaction.fee || 0) >= 0)) {
+            throw new LedgerError('Transfer fee must be zero or more');
+        }
+    }
+
+    /**
+     * Replaces a stored transaction with `next` inside a Firestore transaction (`stored` null creates it,
+     * `next` null deletes it). The balance changes of the stored version are undone and those of the new
+     * one applied, so a balance never misses a transaction and a transfer never moves one account without
+     * the other. A transfer's fee expense is written or removed alongside it.
+     */
+    async function commitChange(tx, userId, transactionRef, stored, next, now) {
+        const feeRef = transactionsRef(userId).doc(`${transactionRef.id}_fee`);
+        // [before, after] pairs: the transaction itself and, around transfers, its fee expense
+        const pairs = [[stored, next]];
+        if (stored?.type === 'transfer' || next?.type === 'transfer') {
+            const feeDoc = stored ? await tx.get(feeRef) : null;
+            const fee = next?.type === 'transfer' && parseFloat(next.fee) > 0 ? buildFee(transactionRef.id, next, now) : null;
+            pairs.push([feeDoc?.exists ? feeDoc.data() : null, fee]);
+        }
+        const before = pairs.map(pair => pair[0]).filter(Boolean);
+        const after = pairs.map(pair => pair[1]).filter(Boolean);
+
+        const accountIds = [...new Set([...before, ...after].flatMap(item => transactionLegs(item).map(leg => leg.accountId)))];
+        const accountDocs = await Promise.all(accountIds.map(accountId => tx.get(accountsRef(userId).doc(accountId))));
+        if (next) applyCurrencies(after, accountDocs);
+
+        // Cash and "no account" have no balance document to update
+        accountDocs.filter(doc => doc.exists).forEach(doc => {
+            const account = { id: doc.id, ...doc.data() };
+            const delta = roundMoney(ledgerDelta(account, after) - ledgerDelta(account, before));
+            if (delta === 0) return;
+            tx.update(doc.ref, { balance: admin.firestore.FieldValue.increment(delta), lastUpdated: now });
+        });
+        pairs.forEach(([previous, updated], index) => {
+            const ref = index === 0 ? transactionRef : feeRef;
+            if (updated) {
+                tx.set(ref, updated);
+            } else if (previous) {
+                tx.delete(ref);
+            }
+        });
+    }
+
+    async function getStoredTransaction(tx, transactionRef) {
+        const doc = await tx.get(transactionRef);
+        if (!doc.exists) throw new LedgerError('Transaction not found', 404, 'TRANSACTION_NOT_FOUND');
+        return doc.data();
+    }
+
+    /**
+     * Writes a new transaction and moves its accounts' balances in one Firestore transaction.
+     * A transfer's fee is written alongside it as its own expense.
+     * @returns {Promise<string>} The transaction id
+     */
+    async function postTransaction(userId, transaction) {
+        validateTransaction(transaction);
+
+        const transactionRef = transaction.id ? transactionsRef(userId).doc(transaction.id) : transactionsRef(userId).doc();
+        const now = new Date().toISOString();
+        const stored = {
+            ...transaction,
+            id: transactionRef.id,
+            transactionId: transactionRef.id,
+            userId,
+            createdAt: transaction.createdAt || now,
+            timestamp: admin.firestore.FieldValue.serverTimestamp()
+        };
+
+        await db.runTransaction(async tx => {
+            const existing = await tx.get(transactionRef);
+            if (existing.exists) throw new LedgerError('Transaction already exists', 409, 'TRANSACTION_EXISTS');
+            await commitChange(tx, userId, transactionRef, null, stored, now);
+        });
+        return transactionRef.id;
+    }
+
+    /**
+     * Edits a stored transaction and moves the balances by the difference, in one Firestore transaction.
+     * Moving it to another account re-derives its currency from that account unless `changes` sets one.
+     * @returns {Promise<object>} The stored transaction after the change
+     */
+    async function updateTransaction(userId, transactionId, changes) {
+        const transactionRef = transactionsRef(userId).doc(transactionId);
+        const { id, transactionId: ignoredId, userId: ignoredUser, createdAt, ...editable } = changes || {};
+        const now = new Date().toISOString();
+
+        return db.runTransaction(async tx => {
+            const stored = await getStoredTransaction(tx, transactionRef);
+            const updated = { ...stored, ...editable, lastModifiedAt: now };
+            if (editable.accountId && editable.accountId !== stored.accountId && !editable.currency) delete updated.currency;
+            if (editable.toAccountId && editable.toAccountId !== stored.toAccountId && !editable.receivedCurrency) delete updated.receivedCurrency;
+            validateTransaction(updated);
+            await commitChange(tx, userId, transactionRef, stored, updated, now);
+            return updated;
+        });
+    }
+
+    /**
+     * Removes a transaction (and a transfer's fee) and undoes its balance changes, in one Firestore transaction.
+     */
+    async function deleteTransaction(userId, transactionId) {
+        const transactionRef = transactionsRef(userId).doc(transactionId);
+        await db.runTransaction(async tx => {
+            const stored = await getStoredTransaction(tx, transactionRef);
+            await commitChange(tx, userId, transactionRef, stored, null, new Date().toISOString());
+        });
+    }
+
+    /**
+     * Corrects an account's opening balance. The stored balance moves by the same amount, so transactions
+     * already applied to it stay applied. Accounts from before the ledger take their current balance as the
+     * old opening balance, as of today.
+     * @returns {Promise<{openingBalance: number, openingDate: string}>}
+     */
+    async function setOpeningBalance(userId, accountId, openingBalance) {
+        const value = parseFloat(openingBalance);
+        if (!Number.isFinite(value)) throw new LedgerError('openingBalance must be a number');
+        const accountRef = accountsRef(userId).doc(accountId);
+
+        return db.runTransaction(async tx => {
+            const doc = await tx.get(accountRef);
+            if (!doc.exists) throw new LedgerError('Account not found', 404, 'ACCOUNT_NOT_FOUND');
+            const account = doc.data();
+            // A card or loan below zero has been overpaid
+            if (value < 0 && !isLiability(account)) throw new LedgerError('Balance cannot be negative');
+
+            const previous = account.openingDate ? parseFloat(account.openingBalance) || 0 : parseFloat(account.balance) || 0;
+            const update = { openingBalance: roundMoney(value), openingDate: account.openingDate || today() };
+            const now = new Date().toISOString();
+            tx.update(accountRef, {
+                ...update,
+                balance: admin.firestore.FieldValue.increment(roundMoney(value - previous)),
+                lastUpdated: now,
+                lastModifiedAt: now
+            });
+            return update;
+        });
+    }
+
+    /**
+     * Checks every account against its ledger and records the result on the account as `reconciliation`.
+     * Accounts from before the ledger are anchored at their current balance first.
+     * @returns {Promise<Array<object>>} One result per account (see reconcileAccount)
+     */
+    async function reconcileAccounts(userId, { asOf = today() } = {}) {
+        const [accountsSnapshot, transactionsSnapshot] = await Promise.all([
+            accountsRef(userId).get(),
+            transactionsRef(userId).get()
+        ]);
+        const transactions = transactionsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        const checkedAt = new Date().toISOString();
+        const batch = db.batch();
+
+        const results = accountsSnapshot.docs.map(doc => {
+            const account = { id: doc.id, ...doc.data() };
+            const update = account.openingDate ? {} : anchorLegacyAccount(account, transactions, asOf);
+            const result = reconcileAccount(account, transactions);
+            batch.update(doc.ref, {
+                ...update,
+                reconciliation: { checkedAt, ledgerBalance: result.ledgerBalance, drift: result.drift, state: result.state }
+            });
+            return result;
+        });
+
+        await batch.commit();
+        return results;
+    }
+
+    /**
+     * Settles an account's drift. `keep: 'ledger'` sets the balance to what the transactions add up to;
+     * `keep: 'balance'` keeps the stored balance and moves the opening balance by the drift instead.
+     */
+    async function resolveDrift(userId, accountId, keep) {
+        if (!KEEP_OPTIONS.includes(keep)) throw new LedgerError(`keep must be one of: ${KEEP_OPTIONS.join(', ')}`);
+        const accountRef = accountsRef(userId).doc(accountId);
+
+        return db.runTransaction(async tx => {
+            const doc = await tx.get(accountRef);
+            if (!doc.exists) throw new LedgerError('Account not found', 404, 'ACCOUNT_NOT_FOUND');
+            const transactions = await loadAccountTransactions(userId, accountId, tx);
+            const stored = { id: doc.id, ...doc.data() };
+            const account = stored.openingDate ? stored : { ...stored, ...anchorLegacyAccount(stored, transactions) };
+            const result = reconcileAccount(account, transactions);
+
+            const balance = keep === 'ledger' ? result.ledgerBalance : result.balance;
+            const openingBalance = keep === 'ledger'
+                ? parseFloat(account.openingBalance) || 0
+                : roundMoney((parseFloat(account.openingBalance) || 0) + result.drift);
+            const now = new Date().toISOString();
+            tx.update(accountRef, {
+                balance,
+                openingBalance,
+                openingDate: account.openingDate,
+                reconciliation: { checkedAt: now, ledgerBalance: balance, drift: 0, state: 'balanced', resolvedBy: keep, resolvedDrift: result.drift },
+                lastUpdated: now
+            });
+            return { ...result, balance, ledgerBalance: balance, drift: 0, state: 'balanced', resolvedDrift: result.drift };
+        });
+    }
+
+    /**
+     * Re-anchors an account on a balance known as of a day, e.g. a statement's closing balance:
+     * that balance becomes the opening balance from the next day, and the transactions since are added to it.
+     * @returns {Promise<{openingBalance: number, openingDate: string, balance: number}|null>} null when the account is gone
+     */
+    async function anchorBalance(userId, accountId, balance, asOfDate = null) {
+        const accountRef = accountsRef(userId).doc(accountId);
+        const openingDate = asOfDate ? addDays(asOfDate, 1) : today();
+
+        return db.runTransaction(async tx => {
+            const doc = await tx.get(accountRef);
+            if (!doc.exists) return null;
+            const transactions = await loadAccountTransactions(userId, accountId, tx);
+            const account = { id: doc.id, ...doc.data(), openingBalance: balance, openingDate };
+            const update = { openingBalance: roundMoney(balance), openingDate, balance: computeLedgerBalance(account, transactions) };
+            tx.update(accountRef, { ...update, lastUpdated: new Date().toISOString() });
+            return update;
+        });
+    }
+
+    return {
+        postTransaction,
+        updateTransaction,
+        deleteTransaction,
+        setOpeningBalance,
+        reconcileAccounts,
+        resolveDrift,
+        anchorBalance
+    };
+}
+
+module.exports = {
+    TRANSACTION_TYPES,
+    LedgerError,
+    transactionLegs,
+    ledgerDelta,
+    computeLedgerBalance,
+    anchorLegacyAccount,
+    reconcileAccount,
+    createLedgerService
+};
@@ -3,21 +3,16 @@
  * Provides AI-powered financial insights and recommendations
  */
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const OpenAI = require('openai');
+const { AIProviderError, createProvider, generateWithRetry } = require('./llm-provider.js');
+const { AIOutputError, parseStructured, buildRepairPrompt } = require('./ai-schemas.js');
 
 // Firebase Admin SDK for database operations
 const admin = require('firebase-admin');
 
 class AIEngine {
-    constructor() {
-        this.gemini = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-        this.openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-        this.model = this.gemini.getGenerativeModel({ model: "gemini-pro" });
-        this.phi3 = new OpenAI({
-            apiKey: process.env.PHI3_API_KEY,
-            baseURL: "https://api.phi3.com/v1", // This is a placeholder URL
-        });
+    constructor(options = {}) {
+        // LLM provider (gemini, openai, phi3 or local) - selected by AI_PROVIDER unless injected
+        this.provider = options.provider || createProvider();
         
         // Initialize Firestore database
         try {
@@ -52,96 +47,93 @@ class AIEngine {
             }
         };
 
-        // Security: Maximum response size to prevent DoS attacks
-        this.MAX_RESPONSE_SIZE = 100000; // 100KB
-        this.MAX_JSON_DEPTH = 10;
-        
         // Database collection names
         this.COLLECTIONS = {
             DECISIONS: 'ai_decisions',
             PLANS: 'ai_plans',
             LEARNING: 'ai_learning',
-            USER_SESSIONS: 'ai_user_sessions'
+            USER_SESSIONS: 'ai_user_sessions',
+            CONVERSATIONS: 'conversations'
         };
-    }
-
-    /**
-     * Secure JSON parsing with comprehensive validation
-     */
-    secureJsonParse(jsonString, fallbackValue = null, context = 'unknown') {
-        try {
-            // Input validation
-            if (typeof jsonString !== 'string') {
-                console.warn(`[Security] Invalid JSON input type in ${context}:`, typeof jsonString);
-                return fallbackValue;
-            }
 
-            // Check response size to prevent DoS
-            if (jsonString.length > this.MAX_RESPONSE_SIZE) {
-                console.warn(`[Security] JSON response too large in ${context}: ${jsonString.length} bytes`);
-                return fallbackValue;
-            }
+        // Conversation limits
+        this.MAX_HISTORY_MESSAGES = 20;
+        this.MAX_MESSAGE_LENGTH = 2000;
 
-            // Sanitize input - remove potential injection patterns
-            const sanitizedJson = this.sanitizeJsonString(jsonString);
-            
-            // Parse with depth validation
-            const parsed = JSON.parse(sanitizedJson);
-            
-            // Validate JSON structure depth
-            if (this.getObjectDepth(parsed) > this.MAX_JSON_DEPTH) {
-                console.warn(`[Security] JSON structure too deep in ${context}`);
-                return fallbackValue;
+        // Context fields each agent reads in chat (everything else the client sends is ignored)
+        this.chatContextShapes = {
+            iponCoach: {
+                monthlyIncome: 'Average Monthly Income',
+                monthlyExpenses: 'Average Monthly Expenses',
+                savingsRate: 'Savings Rate (%)',
+                totalSavings: 'Total Savings Balance',
+                savingsGoals: 'Savings Goals'
+            },
+            gastosGuardian: {
+                monthlyExpenses: 'Average Monthly Expenses',
+                topCategories: 'Top Expense Categories',
+                recentTransactions: 'Recent Transactions',
+                budgets: 'Budgets'
+            },
+            peraPlanner: {
+                monthlyIncome: 'Average Monthly Income',
+                netWorth: 'Net Worth',
+                accounts: 'Accounts',
+                riskAppetite: 'Risk Appetite',
+                timeHorizon: 'Time Horizon',
+                goals: 'Financial Goals'
+            },
+            debtDemolisher: {
+                totalDebt: 'Total Debt',
+                debtAccounts: 'Debt Accounts',
+                strategies: 'Calculated Repayment Strategies',
+                extraPayment: 'Extra Monthly Payment',
+                scenario: 'What-If Extra Payment Scenario',
+                offers: 'Consolidation / Balance-Transfer Offers'
             }
+        };
+    }
 
-            // Validate and sanitize the parsed object
-            return this.validateAndSanitizeObject(parsed, context);
-
-        } catch (error) {
-            console.warn(`[Security] JSON parsing failed in ${context}:`, error.message);
-            return fallbackValue;
+    /**
+     * Send a prompt to the configured provider and return the raw text
+     */
+    async generate(prompt, options = {}) {
+        if (options.retries) {
+            return generateWithRetry(this.provider, prompt, options, options.retries);
         }
+        return this.provider.generate(prompt, options);
     }
 
     /**
-     * Sanitize JSON string to prevent injection attacks
+     * Generate JSON that must match a schema from lib/ai-schemas.js.
+     * An invalid first answer gets exactly one repair round; after that an AIOutputError is thrown.
      */
-    sanitizeJsonString(jsonString) {
-        // Remove potential script tags and dangerous patterns
-        let sanitized = jsonString
-            .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '')
-            .replace(/javascript:/gi, '')
-            .replace(/on\w+\s*=/gi, '')
-            .replace(/eval\s*\(/gi, '')
-            .replace(/function\s*\(/gi, '')
-            .replace(/new\s+Function/gi, '')
-            .replace(/constructor/gi, '');
-
-        // Extract JSON content if wrapped in markdown code blocks
-        const jsonMatch = sanitized.match(/```(?:json)?\s*(\{[\s\S]*\})\s*```/i);
-        if (jsonMatch) {
-            sanitized = jsonMatch[1];
+    async generateStructured(prompt, schemaId, options = {}) {
+        const responseText = await this.generate(prompt, options);
+        let outputError;
+        try {
+            return this.sanitizeStructured(parseStructured(responseText, schemaId), schemaId);
+        } catch (error) {
+            if (!(error instanceof AIOutputError)) throw error;
+            outputError = error;
         }
 
-        return sanitized.trim();
+        console.warn(`[AIEngine] ${schemaId} output rejected (${outputError.code}), asking for a repair`);
+        const repairedText = await this.generate(buildRepairPrompt(schemaId, responseText, outputError), options);
+        return this.sanitizeStructured(parseStructured(repairedText, schemaId), schemaId);
     }
 
     /**
-     * Calculate object depth for security validation
+     * Strip injection patterns from schema-valid output (arrays, nested objects and strings)
      */
-    getObjectDepth(obj, depth = 0) {
-        if (depth > this.MAX_JSON_DEPTH) return depth;
-        
-        if (obj === null || typeof obj !== 'object') return depth;
-        
-        let maxDepth = depth;
-        for (const key in obj) {
-            if (obj.hasOwnProperty(key)) {
-                const currentDepth = this.getObjectDepth(obj[key], depth + 1);
-                maxDepth = Math.max(maxDepth, currentDepth);
-            }
+    sanitizeStructured(value, context) {
+        if (Array.isArray(value)) {
+            return value.slice(0, 100).map(item => this.sanitizeStructured(item, context));
+        }
+        if (value !== null && typeof value === 'object') {
+            return this.validateAndSanitizeObject(value, context);
         }
-        return maxDepth;
+        return this.sanitizeString(value);
     }
 
     /**
@@ -163,9 +155,7 @@ class AIEngine {
             if (typeof value === 'string') {
                 sanitized[sanitizedKey] = this.sanitizeString(value);
             } else if (Array.isArray(value)) {
-                sanitized[sanitizedKey] = value.map(item => 
-                    typeof item === 'string' ? this.sanitizeString(item) : item
-                ).slice(0, 100); // Limit array size
+                sanitized[sanitizedKey] = this.sanitizeStructured(value, context); // Limit array size, sanitize items
             } else if (typeof value === 'object' && value !== null) {
                 sanitized[sanitizedKey] = this.validateAndSanitizeObject(value, context);
             } else if (typeof value === 'number' && isFinite(value)) {
@@ -207,9 +197,7 @@ class AIEngine {
             const agentContext = this.agentContexts[agentType];
             const prompt = this.buildDecisionPrompt(agentContext, userContext, userGoals);
             
-            const result = await this.model.generateContent(prompt);
-            const response = await result.response;
-            const decision = this.parseAIResponse(response.text());
+            const decision = await this.generateStructured(prompt, 'decision', { task: 'decision', agentType });
             
             // Store decision for learning
             await this.storeDecision(agentType, userContext, decision);
@@ -238,25 +226,15 @@ class AIEngine {
         4. Generate specific, actionable recommendations
         5. Provide confidence level and reasoning chain
         
-        Response format: JSON with reasoning steps and final recommendation.
+        Respond with JSON: {
+            "reasoning_steps": ["step 1", "step 2"],
+            "recommendation": "final recommendation",
+            "confidence": 0.8
+        }
         `;
 
         try {
-            const result = await this.model.generateContent(reasoningPrompt);
-            const response = await result.response;
-            
-            // Secure JSON parsing with validation
-            const fallbackReasoning = {
-                reasoning_steps: ["Applied basic financial analysis"],
-                recommendation: "Continue with current financial planning approach",
-                confidence: 0.5
-            };
-            
-            return this.secureJsonParse(
-                response.text(), 
-                fallbackReasoning, 
-                'performReasoning'
-            );
+            return await this.generateStructured(reasoningPrompt, 'reasoning', { task: 'reasoning', agentType });
         } catch (error) {
             return await this.getFallbackReasoning(agentType, dataPoints);
         }
@@ -281,30 +259,17 @@ class AIEngine {
         5. Filipino cultural considerations (OFW remittances, family obligations, etc.)
         6. Contingency plans for different scenarios
         
-        Format as detailed JSON plan with specific actions and timelines.
+        Respond with JSON: {
+            "plan_name": "descriptive name",
+            "timeline": "overall timeframe",
+            "priority_ranking": ["goal1", "goal2"],
+            "steps": [{"month": 1, "action": "specific action"}],
+            "success_metrics": ["metric1", "metric2"]
+        }
         `;
 
         try {
-            const result = await this.model.generateContent(planningPrompt);
-            const response = await result.response;
-            
-            // Secure JSON parsing with validation
-            const fallbackPlan = {
-                plan_name: "Basic Financial Plan",
-                timeline: "6 months",
-                steps: [
-                    { month: 1, action: "Assess current financial situation" },
-                    { month: 2, action: "Create budget and savings plan" },
-                    { month: 3, action: "Implement initial improvements" }
-                ],
-                success_metrics: ["Improved savings rate", "Better expense tracking"]
-            };
-            
-            const plan = this.secureJsonParse(
-                response.text(), 
-                fallbackPlan, 
-                'createPlan'
-            );
+            const plan = await this.generateStructured(planningPrompt, 'plan', { task: 'plan', agentType });
             
             // Store plan for tracking
             await this.storePlan(agentType, userGoals, plan);
@@ -333,26 +298,17 @@ class AIEngine {
         3. What patterns should be noted?
         4. How should future similar decisions be adjusted?
         
-        Provide learning insights for future decision-making.
+        Respond with JSON: {
+            "effectiveness": "low|moderate|high",
+            "improvements": ["improvement1"],
+            "patterns": ["pattern1"],
+            "adjustments": ["adjustment1"],
+            "confidence_change": 0.05
+        }
         `;
 
         try {
-            const result = await this.model.generateContent(learningPrompt);
-            const response = await result.response;
-            
-            // Secure JSON parsing with validation
-            const fallbackInsights = {
-                effectiveness: "moderate",
-                improvements: ["Continue monitoring user feedback"],
-                patterns: ["Standard learning pattern applied"],
-                adjustments: ["Maintain current approach"]
-            };
-            
-            const insights = this.secureJsonParse(
-                response.text(), 
-                fallbackInsights, 
-                'learn'
-            );
+            const insights = await this.generateStructured(learningPrompt, 'learning', { task: 'learn', agentType });
             
             // Store learning for agent improvement
             await this.storeLearning(agentType, insights);
@@ -390,25 +346,18 @@ class AIEngine {
         3. Potential conflicts and resolutions
         4. Implementation timeline
         5. Success metrics
+        
+        Respond with JSON: {
+            "unified_recommendation": "main recommendation",
+            "priority_actions": ["action1", "action2"],
+            "conflicts": ["conflict and its resolution"],
+            "timeline": "implementation timeline",
+            "success_metrics": ["metric1", "metric2"]
+        }
         `;
 
         try {
-            const result = await this.model.generateContent(synthesisPrompt);
-            const response = await result.response;
-            
-            // Secure JSON parsing with validation
-            const fallbackCoordination = {
-                unified_recommendation: "Implement balanced financial strategy",
-                priority_actions: ["Start with budget tracking", "Build emergency fund"],
-                timeline: "3-6 months",
-                success_metrics: ["Improved financial stability"]
-            };
-            
-            return this.secureJsonParse(
-                response.text(), 
-                fallbackCoordination, 
-                'coordinateAgents'
-            );
+            return await this.generateStructured(synthesisPrompt, 'coordination', { task: 'coordination' });
         } catch (error) {
             return await this.getFallbackCoordination(coordination);
         }
@@ -441,20 +390,6 @@ class AIEngine {
         `;
     }
 
-    parseAIResponse(responseText) {
-        // Use secure JSON parsing with comprehensive validation
-        const fallbackResponse = {
-            decision: responseText.substring(0, 500), // Limit fallback size
-            reasoning: "AI reasoning provided",
-            confidence: 0.7,
-            actions: ["Review recommendation"],
-            cultural_considerations: [],
-            expected_outcome: "Improved financial situation"
-        };
-
-        return this.secureJsonParse(responseText, fallbackResponse, 'parseAIResponse');
-    }
-
     async storeDecision(agentType, context, decision) {
         const decisionRecord = {
             timestamp: admin.firestore.FieldValue.serverTimestamp(),
@@ -814,9 +749,7 @@ class AIEngine {
             Keep it simple but personalized to the user's actual situation.
             `;
 
-            const result = await this.model.generateContent(fallbackPrompt);
-            const response = await result.response;
-            return this.parseAIResponse(response.text());
+            return await this.generateStructured(fallbackPrompt, 'decision', { task: 'decision', agentType });
         } catch (error) {
             console.error('Fallback AI also failed:', error);
             // Only use static fallback as last resort
@@ -841,25 +774,7 @@ class AIEngine {
             Base your reasoning on the actual data provided.
             `;
 
-            const result = await this.model.generateContent(fallbackPrompt);
-            const response = await result.response;
-            
-            // Secure JSON parsing for fallback reasoning
-            const fallbackReasoning = {
-                reasoning_steps: [
-                    "Analyzed available financial data",
-                    "Applied fundamental financial principles",
-                    "Generated context-appropriate recommendation"
-                ],
-                recommendation: "Review your financial situation and consider professional advice",
-                confidence: 0.5
-            };
-            
-            return this.secureJsonParse(
-                response.text(), 
-                fallbackReasoning, 
-                'getFallbackReasoning'
-            );
+            return await this.generateStructured(fallbackPrompt, 'reasoning', { task: 'reasoning', agentType });
         } catch (error) {
             console.error('Fallback reasoning failed:', error);
             return {
@@ -896,26 +811,7 @@ class AIEngine {
             Make it specific to the actual goals provided.
             `;
 
-            const result = await this.model.generateContent(fallbackPrompt);
-            const response = await result.response;
-            
-            // Secure JSON parsing for fallback planning
-            const fallbackPlan = {
-                plan_name: "Basic Financial Improvement Plan",
-                timeline: "3 months",
-                steps: [
-                    { month: 1, action: "Assess current financial situation" },
-                    { month: 2, action: "Implement initial improvements" },
-                    { month: 3, action: "Review progress and adjust strategy" }
-                ],
-                success_metrics: ["Improved financial awareness", "Better money management habits"]
-            };
-            
-            return this.secureJsonParse(
-                response.text(), 
-                fallbackPlan, 
-                'getFallbackPlan'
-            );
+            return await this.generateStructured(fallbackPrompt, 'plan', { task: 'plan', agentType });
         } catch (error) {
             console.error('Fallback planning failed:', error);
             return {
@@ -949,26 +845,7 @@ class AIEngine {
             Base your coordination on the actual agent recommendations provided.
             `;
 
-            const result = await this.model.generateContent(fallbackPrompt);
-            const response = await result.response;
-            
-            // Secure JSON parsing for fallback coordination
-            const fallbackCoordination = {
-                unified_recommendation: "Implement comprehensive financial management strategy",
-                priority_actions: [
-                    "Start systematic expense tracking",
-                    "Build emergency savings fund",
-                    "Create realistic budget plan"
-                ],
-                timeline: "3-6 months",
-                success_metrics: ["Improved savings rate", "Better expense control", "Increased financial confidence"]
-            };
-            
-            return this.secureJsonParse(
-                response.text(), 
-                fallbackCoordination, 
-                'getFallbackCoordination'
-            );
+            return await this.generateStructured(fallbackPrompt, 'coordination', { task: 'coordination' });
         } catch (error) {
             console.error('Fallback coordination failed:', error);
             return {
@@ -1016,40 +893,257 @@ class AIEngine {
         return emergencyFallbacks[agentType] || emergencyFallbacks.iponCoach;
     }
 
-    async getChatResponse(agentType, message, context) {
-        try {
-            const agentContext = this.agentContexts[agentType];
-            if (!agentContext) {
-                throw new Error(`Invalid agent type: ${agentType}`);
+    /**
+     * Build the default chat context for an agent from the user's stored accounts and transactions.
+     * `budgets` are the user's budgets with their current status (lib/budgets.js listBudgets), `goals` their
+     * savings goals with progress (lib/savings-goals.js listGoals).
+     */
+    buildChatContext(agentType, { accounts = [], transactions = [], userData = {}, budgets = [], goals = [] } = {}) {
+        const now = Date.now();
+        const last30Days = transactions.filter(t => {
+            const date = new Date(t.date || t.timestamp);
+            return !isNaN(date) && now - date.getTime() <= 30 * 24 * 60 * 60 * 1000;
+        });
+        // Expenses are stored negative; totals are magnitudes
+        const sumByType = (list, type) => list
+            .filter(t => t.type === type)
+            .reduce((sum, t) => sum + Math.abs(parseFloat(t.amount) || 0), 0);
+
+        const monthlyIncome = sumByType(last30Days, 'income');
+        const monthlyExpenses = sumByType(last30Days, 'expense');
+        const isDebt = acc => acc.category === 'loan' || acc.accountType === 'Credit Card';
+        const assets = accounts.filter(acc => !isDebt(acc));
+        const debts = accounts.filter(isDebt);
+        const totalAssets = assets.reduce((sum, acc) => sum + (parseFloat(acc.balance) || 0), 0);
+        const totalDebt = debts.reduce((sum, acc) => sum + Math.abs(parseFloat(acc.balance) || 0), 0);
+
+        const categoryTotals = {};
+        last30Days.filter(t => t.type === 'expense').forEach(t => {
+            const category = t.category || 'other';
+            categoryTotals[category] = (categoryTotals[category] || 0) + Math.abs(parseFloat(t.amount) || 0);
+        });
+        const topCategories = Object.entries(categoryTotals)
+            .sort(([, a], [, b]) => b - a)
+            .slice(0, 5)
+            .map(([name, total]) => ({ name, total: Math.round(total) }));
+
+        switch (agentType) {
+            case 'iponCoach':
+                return {
+                    monthlyIncome,
+                    monthlyExpenses,
+                    savingsRate: monthlyIncome > 0 ? Math.round(((monthlyIncome - monthlyExpenses) / monthlyIncome) * 100) : 0,
+                    totalSavings: totalAssets,
+                    savingsGoals: goals.length === 0 ? userData.goals || [] : goals
+                        .filter(goal => goal.status === 'active')
+                        .map(({ progress, accountName }) => ({
+                            name: progress.name,
+                            targetAmount: progress.targetAmount,
+                            saved: progress.saved,
+                            remaining: progress.remaining,
+                            percent: progress.percent,
+                            deadline: progress.deadline,
+                            monthlyRate: progress.monthlyRate,
+                            requiredMonthly: progress.requiredMonthly,
+                            projectedDate: progress.projectedDate,
+                            state: progress.state,
+                            account: accountName || null
+                        }))
+                };
+            case 'gastosGuardian':
+                return {
+                    monthlyExpenses,
+                    topCategories,
+                    recentTransactions: last30Days.slice(0, 10).map(t => ({
+                        description: t.description || t.name,
+                        amount: t.amount,
+                        type: t.type,
+                        category: t.category,
+                        date: t.date
+                    })),
+                    budgets: budgets.map(({ status }) => ({
+                        category: status.category,
+                        period: status.period,
+                        periodEnd: status.periodEnd,
+                        available: status.available,
+                        spent: status.spent,
+                        remaining: status.remaining,
+                        percent: status.percent,
+                        state: status.state
+                    }))
+                };
+            case 'peraPlanner':
+                return {
+                    monthlyIncome,
+                    netWorth: totalAssets - totalDebt,
+                    accounts: assets.map(acc => ({ name: acc.name, category: acc.category, balance: acc.balance })),
+                    riskAppetite: userData.financialProfile?.riskAppetite,
+                    goals: userData.goals || []
+                };
+            case 'debtDemolisher':
+                return {
+                    totalDebt,
+                    debtAccounts: debts.map(acc => ({
+                        name: acc.name,
+                        balance: acc.balance,
+                        interestRate: acc.interestRate,
+                        minimumPayment: acc.minimumPayment,
+                        loan: acc.loan ? {
+                            principal: acc.loan.principal,
+                            annualRate: acc.loan.annualRate,
+                            method: acc.loan.method,
+                            termMonths: acc.loan.termMonths,
+                            startDate: acc.loan.startDate,
+                            frequency: acc.loan.frequency
+                        } : undefined
+                    }))
+                };
+            default:
+                return {};
+        }
+    }
+
+    /**
+     * Render the agent's context shape as prompt lines, skipping fields it doesn't use
+     */
+    formatChatContext(agentType, context = {}) {
+        const shape = this.chatContextShapes[agentType] || {};
+        return Object.entries(shape).map(([field, label]) => {
+            const value = context[field];
+            if (value === undefined || value === null || value === '') {
+                return `- ${label}: Not provided`;
             }
+            const rendered = typeof value === 'object'
+                ? JSON.stringify(this.limitObjectSize(value, 1500))
+                : this.sanitizeString(String(value));
+            return `- ${label}: ${rendered}`;
+        }).join('\n');
+    }
 
-            const prompt = `
+    formatConversationHistory(history = []) {
+        if (history.length === 0) return 'No previous messages.';
+        return history
+            .slice(-this.MAX_HISTORY_MESSAGES)
+            .map(entry => `${entry.role === 'user' ? 'User' : 'Assistant'}: ${this.sanitizeString(entry.content || '')}`)
+            .join('\n');
+    }
+
+    /**
+     * `context.currency` is the currency the context's amounts are in (PHP when omitted)
+     */
+    buildChatPrompt(agentType, message, context = {}, history = []) {
+        const agentContext = this.agentContexts[agentType];
+        if (!agentContext) {
+            throw new Error(`Invalid agent type: ${agentType}`);
+        }
+
+        return `
 As a ${agentContext.role} specializing in ${agentContext.expertise}, 
 you are having a conversation with a user about their finances.
 
-Current user context:
-- Total Debt: ${context.totalDebt}
-- Debt Accounts: ${JSON.stringify(context.debtAccounts)}
+Current user context (amounts in ${this.sanitizeString(String(context.currency || 'PHP'))}):
+${this.formatChatContext(agentType, context)}
+
+Conversation so far:
+${this.formatConversationHistory(history)}
 
-User message: "${message}"
+User message: "${this.sanitizeString(message).substring(0, this.MAX_MESSAGE_LENGTH)}"
 
 Your task is to provide a helpful and concise response in ${agentContext.language}.
+Continue the conversation naturally and stay within your area of expertise.
 `;
+    }
+
+    /**
+     * A provider failure throws an AIProviderError so callers never save an apology as the agent's reply
+     */
+    async getChatResponse(agentType, message, context = {}, history = []) {
+        const prompt = this.buildChatPrompt(agentType, message, context, history);
+        try {
+            return await this.generate(prompt, { task: 'chat', agentType });
+        } catch (error) {
+            console.error('AI Chat Error:', error);
+            throw new AIProviderError('Sorry, I am unable to process your request at the moment.');
+        }
+    }
+
+    /**
+     * Stream a chat reply chunk by chunk; pass options.signal to cancel
+     */
+    async *streamChatResponse(agentType, message, context = {}, history = [], options = {}) {
+        const prompt = this.buildChatPrompt(agentType, message, context, history);
+        yield* this.provider.stream(prompt, { task: 'chat', agentType, signal: options.signal });
+    }
+
+    // Conversation persistence: users/{userId}/conversations/{agentType}/messages
+    conversationRef(userId, agentType) {
+        return this.db
+            .collection('users')
+            .doc(userId)
+            .collection(this.COLLECTIONS.CONVERSATIONS)
+            .doc(agentType);
+    }
+
+    async getConversationHistory(userId, agentType, limit = this.MAX_HISTORY_MESSAGES) {
+        try {
+            if (!this.db) throw new Error('Database not available');
 
-            // Here we would use the this.phi3 model
-            // const result = await this.phi3.completions.create({
-            //     model: "phi3-mini", // example model
-            //     prompt: prompt,
-            // });
-            // const response = result.choices[0].text;
+            const snapshot = await this.conversationRef(userId, agentType)
+                .collection('messages')
+                .orderBy('createdAt', 'desc')
+                .limit(limit)
+                .get();
 
-            // Mocked response for now
-            const response = `Hello! I see you have a total debt of ₱${context.totalDebt}. I am powered by Phi-3 and ready to help you. How can I assist you with your debt today?`;
+            return snapshot.docs
+                .map(doc => {
+                    const data = doc.data();
+                    return {
+                        id: doc.id,
+                        role: data.role,
+                        content: data.content,
+                        createdAt: data.createdAt
+                    };
+                })
+                .reverse();
+        } catch (error) {
+            console.error('Failed to retrieve conversation history:', error);
+            return [];
+        }
+    }
 
-            return response;
+    async appendConversationMessages(userId, agentType, messages) {
+        try {
+            if (!this.db) {
+                console.warn('Database not available, using fallback storage');
+                return this.fallbackStorage('conversation', { userId, agentType, messages });
+            }
+
+            const conversation = this.conversationRef(userId, agentType);
+            const batch = this.db.batch();
+            const baseTime = Date.now();
+
+            messages.forEach((entry, index) => {
+                batch.set(conversation.collection('messages').doc(), {
+                    role: entry.role === 'user' ? 'user' : 'assistant',
+                    content: this.sanitizeString(entry.content || '').substring(0, this.MAX_MESSAGE_LENGTH * 2),
+                    // Offset keeps messages written in the same batch in order
+                    createdAt: new Date(baseTime + index).toISOString(),
+                    timestamp: admin.firestore.FieldValue.serverTimestamp()
+                });
+            });
+
+            batch.set(conversation, {
+                agentType,
+                userId,
+                lastMessageAt: admin.firestore.FieldValue.serverTimestamp(),
+                messageCount: admin.firestore.FieldValue.increment(messages.length)
+            }, { merge: true });
+
+            await batch.commit();
+            return true;
         } catch (error) {
-            console.error('AI Chat Error:', error);
-            return "Sorry, I am unable to process your request at the moment.";
+            console.error('❌ Failed to store conversation messages:', error);
+            return false;
         }
     }
 }
@@ -0,0 +1,356 @@
+/**
+ * Structured AI Output Schemas for Kita-kita Platform
+ * One registry of JSON schemas for every agent output that is parsed as data. Responses are
+ * extracted, validated, and either returned as schema-valid values or rejected with an AIOutputError.
+ * The browser loads the same registry from GET /api/ai/schemas (see public/js/aiSchemas.js).
+ */
+
+const MAX_OUTPUT_SIZE = 100000; // 100KB
+
+const stringList = { type: 'array', items: { type: 'string' } };
+
+const SCHEMAS = {
+    wealthPlan: {
+        type: 'object',
+        required: ['persona', 'investmentReadinessScore', 'summary', 'riskAnalysis', 'portfolioSuggestion', 'strategicRecommendations', 'tacticalSteps'],
+        properties: {
+            persona: { type: 'string' },
+            investmentReadinessScore: { type: 'number', minimum: 0, maximum: 100 },
+            summary: { type: 'string' },
+            riskAnalysis: { type: 'string' },
+            portfolioSuggestion: {
+                type: 'object',
+                required: ['labels', 'data'],
+                properties: {
+                    labels: stringList,
+                    data: { type: 'array', items: { type: 'number', minimum: 0 } }
+                }
+            },
+            strategicRecommendations: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['title', 'description'],
+                    properties: {
+                        title: { type: 'string' },
+                        description: { type: 'string' },
+                        investmentType: { type: 'string' },
+                        riskLevel: { enum: ['Low', 'Medium', 'High'] },
+                        timeHorizon: { type: 'string' }
+                    }
+                }
+            },
+            tacticalSteps: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['title', 'description'],
+                    properties: {
+                        title: { type: 'string' },
+                        description: { type: 'string' },
+                        difficulty: { enum: ['Easy', 'Moderate'] },
+                        impact: { enum: ['Medium', 'High'] }
+                    }
+                }
+            }
+        }
+    },
+
+    roadmap: {
+        type: 'object',
+        required: ['roadmap'],
+        properties: {
+            roadmap: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                    type: 'object',
+                    required: ['timeframe', 'title', 'description'],
+                    properties: {
+                        timeframe: { type: 'string' },
+                        title: { type: 'string' },
+                        description: { type: 'string' }
+                    }
+                }
+            }
+        }
+    },
+
+    subscriptions: {
+        type: 'array',
+        items: {
+            type: 'object',
+            required: ['name', 'amount'],
+            properties: {
+                name: { type: 'string' },
+                amount: { type: 'number', minimum: 0 }
+            }
+        }
+    },
+
+    optimizationTips: stringList,
+
+    cashflowAnalysis: {
+        type: 'object',
+        required: ['subscriptions', 'optimizationTips', 'spendingAnalysis', 'cashflowForecast'],
+        properties: {
+            subscriptions: { $ref: 'subscriptions' },
+            optimizationTips: { $ref: 'optimizationTips' },
+            spendingAnalysis: { type: 'object', additionalProperties: { type: 'number' } },
+            cashflowForecast: { type: 'string' }
+        }
+    },
+
+    decision: {
+        type: 'object',
+        required: ['decision', 'reasoning', 'actions', 'confidence'],
+        properties: {
+            decision: { type: 'string' },
+            reasoning: { type: 'string' },
+            actions: stringList,
+            confidence: { type: 'number', minimum: 0, maximum: 1 },
+            cultural_considerations: stringList,
+            expected_outcome: { type: 'string' }
+        }
+    },
+
+    reasoning: {
+        type: 'object',
+        required: ['reasoning_steps', 'recommendation', 'confidence'],
+        properties: {
+            reasoning_steps: { type: 'array', minItems: 1, items: { type: 'string' } },
+            recommendation: { type: 'string' },
+            confidence: { type: 'number', minimum: 0, maximum: 1 }
+        }
+    },
+
+    plan: {
+        type: 'object',
+        required: ['plan_name', 'timeline', 'steps', 'success_metrics'],
+        properties: {
+            plan_name: { type: 'string' },
+            timeline: { type: 'string' },
+            priority_ranking: stringList,
+            steps: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                    type: 'object',
+                    required: ['month', 'action'],
+                    properties: {
+                        month: { type: 'integer', minimum: 1 },
+                        action: { type: 'string' }
+                    }
+                }
+            },
+            success_metrics: stringList
+        }
+    },
+
+    learning: {
+        type: 'object',
+        required: ['effectiveness', 'improvements', 'patterns', 'adjustments'],
+        properties: {
+            effectiveness: { type: 'string' },
+            improvements: stringList,
+            patterns: stringList,
+            adjustments: stringList,
+            confidence_change: { type: 'number' }
+        }
+    },
+
+    coordination: {
+        type: 'object',
+        required: ['unified_recommendation', 'priority_actions', 'timeline', 'success_metrics'],
+        properties: {
+            unified_recommendation: { type: 'string' },
+            priority_actions: stringList,
+            conflicts: stringList,
+            timeline: { type: 'string' },
+            success_metrics: stringList
+        }
+    },
+
+    debtInsights: {
+        type: 'object',
+        required: ['recommendedStrategyName', 'reasoning'],
+        properties: {
+            recommendedStrategyName: { enum: ['Debt Avalanche', 'Debt Snowball', 'Debt Consolidation', 'Balance Transfer'] },
+            reasoning: { type: 'string' }
+        }
+    },
+
+    problemDecomposition: {
+        type: 'object',
+        required: ['subProblems'],
+        properties: {
+            subProblems: { type: 'array', minItems: 1, items: { type: 'string' } }
+        }
+    }
+};
+
+/**
+ * Typed error for AI output that could not be turned into schema-valid data.
+ * code is AI_OUTPUT_UNPARSEABLE (no JSON found) or AI_OUTPUT_INVALID (JSON failed the schema).
+ */
+class AIOutputError extends Error {
+    constructor(code, message, schemaId, errors = []) {
+        super(message);
+        this.name = 'AIOutputError';
+        this.code = code;
+        this.schemaId = schemaId;
+        this.errors = errors;
+        this.status = 502;
+    }
+
+    toJSON() {
+        return {
+            error: this.message,
+            code: this.code,
+            schema: this.schemaId,
+            details: this.errors
+        };
+    }
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Validate a value against a schema (type, enum, required, properties, additionalProperties,
+ * items, minItems, minimum, maximum and $ref to another registry entry).
+ * Returns a list of "path: problem" strings, empty when valid.
+ */
+function validate(schema, value, path = '$') {
+    if (schema.$ref) {
+        return validate(SCHEMAS[schema.$ref], value, path);
+    }
+
+    const actual = typeOf(value);
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`${path}: expected one of ${schema.enum.join(', ')}`];
+    }
+    if (schema.type) {
+        const matches = schema.type === actual || (schema.type === 'number' && actual === 'integer');
+        if (!matches) return [`${path}: expected ${schema.type}, got ${actual}`];
+    }
+
+    const errors = [];
+    if (actual === 'number' || actual === 'integer') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+
+    if (actual === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path}: expected at least ${schema.minItems} item(s)`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validate(schema.items, item, `${path}[${index}]`)));
+        }
+    }
+
+    if (actual === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) errors.push(`${path}.${key}: is required`);
+        });
+        Object.entries(value).forEach(([key, item]) => {
+            const propertySchema = schema.properties?.[key] || schema.additionalProperties;
+            if (propertySchema && typeof propertySchema === 'object') {
+                errors.push(...validate(propertySchema, item, `${path}.${key}`));
+            }
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Pull the first JSON object or array out of model text (code fences, preambles and trailing chatter are ignored)
+ */
+function extractJson(text) {
+    if (typeof text !== 'string' || text.length > MAX_OUTPUT_SIZE) return undefined;
+
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    const candidate = fenced ? fenced[1] : text;
+
+    // Try whichever of object/array starts first, then the other
+    const spans = [['{', '}'], ['[', ']']]
+        .map(([open, close]) => [candidate.indexOf(open), candidate.lastIndexOf(close)])
+        .filter(([start, end]) => start !== -1 && end > start)
+        .sort(([a], [b]) => a - b);
+
+    for (const [start, end] of spans) {
+        try {
+            return JSON.parse(candidate.slice(start, end + 1));
+        } catch (error) {
+            // fall through to the next candidate
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Parse and validate model text against a registered schema; throws AIOutputError on failure
+ */
+function parseStructured(text, schemaId) {
+    const schema = SCHEMAS[schemaId];
+    if (!schema) {
+        throw new Error(`Unknown AI output schema: ${schemaId}`);
+    }
+
+    const value = extractJson(text);
+    if (value === undefined) {
+        throw new AIOutputError('AI_OUTPUT_UNPARSEABLE', 'The AI response did not contain valid JSON', schemaId);
+    }
+
+    const errors = validate(schema, value);
+    if (errors.length > 0) {
+        throw new AIOutputError('AI_OUTPUT_INVALID', `The AI response did not match the ${schemaId} format`, schemaId, errors);
+    }
+    return value;
+}
+
+/**
+ * Inline $ref entries so a schema can be shown to a model or sent to the browser on its own
+ */
+function expandSchema(schema) {
+    if (Array.isArray(schema)) return schema.map(expandSchema);
+    if (schema === null || typeof schema !== 'object') return schema;
+    if (schema.$ref) return expandSchema(SCHEMAS[schema.$ref]);
+
+    return Object.fromEntries(Object.entries(schema).map(([key, value]) => [key, expandSchema(value)]));
+}
+
+/**
+ * Follow-up prompt for the single repair round after a failed parse
+ */
+function buildRepairPrompt(schemaId, previousResponse, error) {
+    const problems = error.errors.length > 0 ? error.errors.slice(0, 20).join('\n') : error.message;
+    return `Your previous response could not be used because it did not match the required JSON format.
+
+Problems:
+${problems}
+
+Required JSON schema:
+${JSON.stringify(expandSchema(SCHEMAS[schemaId]))}
+
+Your previous response:
+${String(previousResponse).substring(0, 8000)}
+
+Reply with ONLY the corrected JSON value. Keep the original content where it is valid. Do not add any text or markdown.`;
+}
+
+module.exports = {
+    SCHEMAS,
+    AIOutputError,
+    validate,
+    expandSchema,
+    extractJson,
+    parseStructured,
+    buildRepairPrompt
+};
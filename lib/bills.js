@@ -0,0 +1,440 @@
+/**
+ * Bills and Due Dates for Kita-kita Platform
+ * Bills live in users/{uid}/bills: a credit card statement, a utility, a subscription or any other payment
+ * that falls due on a schedule (the same calendar as recurring transactions). `nextDueDate` is the earliest
+ * unpaid due date; marking it paid posts the payment through the account ledger and moves it to the next one.
+ * Reminders go out once per due date and channel: in the app when the user opens it, and on Telegram for
+ * users who linked a chat with their connection key (users/{uid}.telegramChatId).
+ * Dates are 'YYYY-MM-DD' strings in Philippine time.
+ */
+
+const { nextOccurrence, normalizeSchedule, RecurringTemplateError, today } = require('./recurring-transactions.js');
+
+// Card and loan bills are paid by a transfer into that account; the rest are expenses
+const BILL_KINDS = ['credit-card', 'loan', 'utility', 'subscription', 'rent', 'insurance', 'other'];
+const TRANSFER_KINDS = ['credit-card', 'loan'];
+const REMINDER_CHANNELS = ['app', 'telegram'];
+const DEFAULT_REMIND_DAYS = 3;
+const MAX_REMIND_DAYS = 14;
+const MAX_NAME_LENGTH = 60;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH_PATTERN = /^\d{4}-\d{2}$/;
+
+class BillError extends Error {
+    constructor(message, status = 400, code = 'INVALID_BILL') {
+        super(message);
+        this.name = 'BillError';
+        this.code = code;
+        this.status = status;
+    }
+
+    toJSON() {
+        return { error: this.message, code: this.code };
+    }
+}
+
+function parseDate(value) {
+    return new Date(`${value}T00:00:00Z`);
+}
+
+function addDays(value, days) {
+    return new Date(parseDate(value).getTime() + days * 86400000).toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+    return Math.round((parseDate(to) - parseDate(from)) / 86400000);
+}
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function formatAmount(amount, currency = 'PHP') {
+    const value = Number(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    return currency === 'PHP' ? `₱${value}` : `${currency} ${value}`;
+}
+
+/**
+ * Validate a bill. Updates pass the stored bill as `existing`.
+ * `amount` is what is usually due; 0 means it varies (a card statement) and is entered when paying.
+ * @returns {object} The bill's fields, with its schedule complete (see normalizeSchedule)
+ */
+function normalizeBill(input, existing = null) {
+    const merged = { ...(existing || {}), ...(input || {}) };
+
+    const name = String(merged.name || '').trim();
+    if (!name) throw new BillError('name is required');
+    if (name.length > MAX_NAME_LENGTH) throw new BillError(`name must be at most ${MAX_NAME_LENGTH} characters`);
+
+    const kind = merged.kind || 'other';
+    if (!BILL_KINDS.includes(kind)) throw new BillError(`kind must be one of: ${BILL_KINDS.join(', ')}`);
+
+    const amount = Number(merged.amount || 0);
+    if (!Number.isFinite(amount) || amount < 0) throw new BillError('amount must be zero or more');
+
+    const remindDaysBefore = merged.remindDaysBefore === undefined || merged.remindDaysBefore === null
+        ? DEFAULT_REMIND_DAYS
+        : Number(merged.remindDaysBefore);
+    if (!Number.isInteger(remindDaysBefore) || remindDaysBefore < 0 || remindDaysBefore > MAX_REMIND_DAYS) {
+        throw new BillError(`remindDaysBefore must be a whole number from 0 to ${MAX_REMIND_DAYS}`);
+    }
+
+    // The account the card or loan bill pays down
+    const payeeAccountId = TRANSFER_KINDS.includes(kind) ? merged.payeeAccountId || null : null;
+    if (TRANSFER_KINDS.includes(kind) && !payeeAccountId) {
+        throw new BillError(`A ${kind} bill needs payeeAccountId, the ${kind === 'loan' ? 'loan' : 'card'} it pays`);
+    }
+
+    let schedule;
+    try {
+        schedule = normalizeSchedule({ frequency: 'monthly', ...merged });
+    } catch (error) {
+        if (error instanceof RecurringTemplateError) throw new BillError(error.message);
+        throw error;
+    }
+
+    return {
+        name,
+        kind,
+        amount: roundMoney(amount),
+        category: String(merged.category || (kind === 'rent' ? 'housing' : 'bills')),
+        accountId: merged.accountId || null,
+        payeeAccountId,
+        remindDaysBefore,
+        notes: String(merged.notes || '').slice(0, 200),
+        ...schedule
+    };
+}
+
+/**
+ * Where a bill stands on `asOf`. Due dates before `nextDueDate` are paid.
+ * @returns {{state: 'paid'|'overdue'|'due-today'|'due-soon'|'upcoming', daysUntilDue: number|null}}
+ */
+function billState(bill, asOf = today()) {
+    if (!bill.nextDueDate) return { state: 'paid', daysUntilDue: null };
+    const daysUntilDue = daysBetween(asOf, bill.nextDueDate);
+    let state = 'upcoming';
+    if (daysUntilDue < 0) state = 'overdue';
+    else if (daysUntilDue === 0) state = 'due-today';
+    else if (daysUntilDue <= bill.remindDaysBefore) state = 'due-soon';
+    return { state, daysUntilDue };
+}
+
+/**
+ * Every due date of the given bills from `from` to `to` (inclusive), for a calendar. Overdue bills also
+ * show on their unpaid due dates before `from`, so nothing owed drops off the view.
+ * @returns {Array<{billId: string, name: string, kind: string, amount: number, currency: string, date: string,
+ *   paid: boolean, state: string}>} Sorted by date
+ */
+function calendarEntries(bills, from, to, asOf = today()) {
+    const entries = [];
+    bills.forEach(bill => {
+        const start = bill.nextDueDate && bill.nextDueDate < from ? bill.nextDueDate : from;
+        for (let date = nextOccurrence(bill, start); date && date <= to; date = nextOccurrence(bill, addDays(date, 1))) {
+            const paid = !bill.nextDueDate || date < bill.nextDueDate;
+            if (date < from && paid) continue;
+            let state = 'upcoming';
+            if (paid) state = 'paid';
+            else if (date < asOf) state = 'overdue';
+            else if (date === asOf) state = 'due-today';
+            else if (daysBetween(asOf, date) <= bill.remindDaysBefore) state = 'due-soon';
+            entries.push({
+                billId: bill.id,
+                name: bill.name,
+                kind: bill.kind,
+                amount: bill.amount,
+                currency: bill.currency || 'PHP',
+                date,
+                paid,
+                state
+            });
+        }
+    });
+    return entries.sort((a, b) => a.date.localeCompare(b.date) || a.name.localeCompare(b.name));
+}
+
+/**
+ * The reminder text for a bill's next due date.
+ */
+function reminderMessage(bill, asOf = today()) {
+    const { state, daysUntilDue } = billState(bill, asOf);
+    const amount = bill.amount > 0 ? ` (${formatAmount(bill.amount, bill.currency)})` : '';
+    if (state === 'overdue') return `${bill.name}${amount} was due on ${bill.nextDueDate} and is still unpaid.`;
+    if (state === 'due-today') return `${bill.name}${amount} is due today.`;
+    return `${bill.name}${amount} is due ${daysUntilDue === 1 ? 'tomorrow' : `in ${daysUntilDue} days`}, on ${bill.nextDueDate}.`;
+}
+
+// Deterministic id so paying the same due date twice is rejected by the ledger
+function paymentId(billId, dueDate) {
+    return `bill_${billId}_${dueDate.replace(/-/g, '')}`;
+}
+
+function createBillService({ db, ledger, telegram = null }) {
+    const userDoc = userId => db.collection('users').doc(userId);
+    const billsRef = userId => userDoc(userId).collection('bills');
+
+    async function getBillDoc(userId, billId) {
+        const doc = await billsRef(userId).doc(billId).get();
+        if (!doc.exists) throw new BillError('Bill not found', 404, 'BILL_NOT_FOUND');
+        return { id: doc.id, ...doc.data() };
+    }
+
+    async function resolveAccount(userId, accountId, label) {
+        if (!accountId) return null;
+        const doc = await userDoc(userId).collection('bankAccounts').doc(accountId).get();
+        if (!doc.exists) throw new BillError(`${label} not found`);
+        return { id: doc.id, ...doc.data() };
+    }
+
+    // Names are stored with the bill so lists and reminders don't need the accounts
+    async function withAccounts(userId, bill) {
+        const [account, payee] = await Promise.all([
+            resolveAccount(userId, bill.accountId, 'Paying account'),
+            resolveAccount(userId, bill.payeeAccountId, 'Card or loan account')
+        ]);
+        return {
+            ...bill,
+            accountName: account ? account.name || null : null,
+            payeeAccountName: payee ? payee.name || null : null,
+            currency: (payee || account)?.currency || 'PHP'
+        };
+    }
+
+    /**
+     * Every bill with its state, soonest due first; paid-off bills last.
+     */
+    async function listBills(userId, { asOf = today() } = {}) {
+        const snapshot = await billsRef(userId).get();
+        return snapshot.docs
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .map(bill => ({ ...bill, ...billState(bill, asOf) }))
+            .sort((a, b) => String(a.nextDueDate || '9999').localeCompare(String(b.nextDueDate || '9999'))
+                || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Due dates in one calendar month ('YYYY-MM', this month by default), see calendarEntries.
+     */
+    async function getCalendar(userId, { month = today().slice(0, 7), asOf = today() } = {}) {
+        if (!MONTH_PATTERN.test(month)) throw new BillError('month must be in YYYY-MM format');
+        const from = `${month}-01`;
+        const to = addDays(`${nextMonth(month)}-01`, -1);
+        const bills = (await billsRef(userId).get()).docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        return { month, from, to, entries: calendarEntries(bills, from, to, asOf) };
+    }
+
+    function nextMonth(month) {
+        const [year, number] = month.split('-').map(Number);
+        return number === 12 ? `${year + 1}-01` : `${year}-${String(number + 1).padStart(2, '0')}`;
+    }
+
+    async function createBill(userId, input) {
+        const bill = await withAccounts(userId, normalizeBill(input));
+        const ref = billsRef(userId).doc();
+        const now = new Date().toISOString();
+        const stored = {
+            ...bill,
+            id: ref.id,
+            skipDates: [],
+            nextDueDate: nextOccurrence(bill, bill.startDate),
+            lastPayment: null,
+            reminded: {},
+            createdAt: now,
+            updatedAt: now
+        };
+        await ref.set(stored);
+        return { ...stored, ...billState(stored) };
+    }
+
+    /**
+     * Edit a bill. A schedule change keeps paid due dates paid: the next due date is recomputed from the day
+     * after the last one paid.
+     */
+    async function updateBill(userId, billId, input) {
+        const existing = await getBillDoc(userId, billId);
+        const bill = await withAccounts(userId, normalizeBill(input, existing));
+        const resumeFrom = existing.lastPayment ? addDays(existing.lastPayment.dueDate, 1) : bill.startDate;
+        const update = {
+            ...bill,
+            nextDueDate: nextOccurrence({ ...existing, ...bill }, resumeFrom),
+            updatedAt: new Date().toISOString()
+        };
+        await billsRef(userId).doc(billId).update(update);
+        const updated = { ...existing, ...update };
+        return { ...updated, ...billState(updated) };
+    }
+
+    /**
+     * Removes a bill. Payments already posted stay in the user's transactions.
+     */
+    async function deleteBill(userId, billId) {
+        await getBillDoc(userId, billId);
+        await billsRef(userId).doc(billId).delete();
+    }
+
+    /**
+     * Pay the bill's next due date: post the payment (an expense, or a transfer into the card or loan) and
+     * move nextDueDate on. A second payment for the same due date is rejected.
+     * @param {object} [payment] { amount (defaults to the bill's), date (defaults to today), accountId (defaults to the bill's) }
+     * @returns {Promise<{bill: object, transactionId: string}>}
+     */
+    async function markPaid(userId, billId, { amount, date, accountId } = {}) {
+        const bill = await getBillDoc(userId, billId);
+        const dueDate = bill.nextDueDate;
+        if (!dueDate) throw new BillError('This bill has no due date left to pay', 409, 'BILL_ENDED');
+
+        const paid = roundMoney(Math.abs(Number(amount ?? bill.amount)));
+        if (!(paid > 0)) throw new BillError('amount is required for a bill whose amount varies');
+        const paidOn = date || today();
+        if (!DATE_PATTERN.test(paidOn)) throw new BillError('date must be a YYYY-MM-DD date');
+        const from = await resolveAccount(userId, accountId || bill.accountId, 'Paying account');
+        if (!from) throw new BillError('accountId is required: which account paid the bill?');
+
+        const isTransfer = TRANSFER_KINDS.includes(bill.kind);
+        const transaction = {
+            id: paymentId(billId, dueDate),
+            type: isTransfer ? 'transfer' : 'expense',
+            amount: isTransfer ? paid : -paid,
+            description: `${bill.name} payment`,
+            name: `${bill.name} payment`,
+            category: bill.category,
+            accountId: from.id,
+            accountName: from.name || null,
+            date: paidOn,
+            notes: `Due ${dueDate}`,
+            billId,
+            source: 'bill_payment'
+        };
+        if (isTransfer) {
+            transaction.toAccountId = bill.payeeAccountId;
+            transaction.toAccountName = bill.payeeAccountName || null;
+        }
+
+        let transactionId;
+        try {
+            transactionId = await ledger.postTransaction(userId, transaction);
+        } catch (error) {
+            // Posted before but the bill wasn't moved on (e.g. a crash in between): finish the job
+            if (error.code !== 'TRANSACTION_EXISTS') throw error;
+            transactionId = transaction.id;
+        }
+
+        const nextDueDate = nextOccurrence(bill, addDays(dueDate, 1));
+        const update = {
+            nextDueDate,
+            lastPayment: { dueDate, date: paidOn, amount: paid, accountId: from.id, transactionId },
+            updatedAt: new Date().toISOString()
+        };
+        // Only move on from the due date just paid, in case another request already did
+        await db.runTransaction(async tx => {
+            const fresh = await tx.get(billsRef(userId).doc(billId));
+            if (fresh.exists && fresh.data().nextDueDate === dueDate) tx.update(fresh.ref, update);
+        });
+        const updated = { ...bill, ...update };
+        return { bill: { ...updated, ...billState(updated) }, transactionId };
+    }
+
+    /**
+     * Bills whose reminder window has opened (or that are overdue) and that haven't been sent on `channel`
+     * for their current due date. Each is marked as sent in a Firestore transaction, so two open pages or
+     * two server instances don't both remind.
+     * @returns {Promise<Array<{billId: string, name: string, amount: number, currency: string, dueDate: string,
+     *   state: string, daysUntilDue: number, message: string}>>}
+     */
+    async function collectReminders(userId, channel, { asOf = today() } = {}) {
+        if (!REMINDER_CHANNELS.includes(channel)) throw new BillError(`channel must be one of: ${REMINDER_CHANNELS.join(', ')}`);
+        const snapshot = await billsRef(userId).where('nextDueDate', '<=', addDays(asOf, MAX_REMIND_DAYS)).get();
+        const reminders = [];
+
+        for (const doc of snapshot.docs) {
+            const reminder = await db.runTransaction(async tx => {
+                const fresh = await tx.get(doc.ref);
+                if (!fresh.exists) return null;
+                const bill = { id: fresh.id, ...fresh.data() };
+                const { state, daysUntilDue } = billState(bill, asOf);
+                if (state === 'upcoming' || state === 'paid') return null;
+                if ((bill.reminded || {})[channel] === bill.nextDueDate) return null;
+
+                tx.update(doc.ref, { reminded: { ...(bill.reminded || {}), [channel]: bill.nextDueDate } });
+                return {
+                    billId: bill.id,
+                    name: bill.name,
+                    amount: bill.amount,
+                    currency: bill.currency || 'PHP',
+                    dueDate: bill.nextDueDate,
+                    state,
+                    daysUntilDue,
+                    message: reminderMessage(bill, asOf)
+                };
+            });
+            if (reminder) reminders.push(reminder);
+        }
+        return reminders;
+    }
+
+    /**
+     * Send due reminders on Telegram to every user with a linked chat. A failed send is not retried until
+     * the bill's next due date, so a blocked bot doesn't spam the logs every run.
+     */
+    async function sendTelegramReminders({ asOf = today() } = {}) {
+        if (!telegram || !telegram.isAvailable()) return { users: 0, sent: 0 };
+        const users = await db.collection('users').where('telegramKeyUsed', '==', true).get();
+        let sent = 0;
+        for (const doc of users.docs) {
+            const chatId = doc.data().telegramChatId;
+            if (!chatId) continue;
+            try {
+                const reminders = await collectReminders(doc.id, 'telegram', { asOf });
+                if (reminders.length === 0) continue;
+                const lines = reminders.map(reminder => `• ${reminder.message}`);
+                await telegram.sendMessage(chatId, `🔔 Bill reminder\n${lines.join('\n')}`);
+                sent += reminders.length;
+            } catch (error) {
+                console.error(`❌ Failed to send bill reminders to ${doc.id}:`, error.message);
+            }
+        }
+        return { users: users.size, sent };
+    }
+
+    /**
+     * Run sendTelegramReminders now and then every `intervalMs`. Returns a stop function.
+     */
+    function startJob(intervalMs = 60 * 60 * 1000) {
+        const run = () => sendTelegramReminders()
+            .then(({ sent }) => {
+                if (sent > 0) console.log(`🔔 Bill reminder job sent ${sent} reminder(s) on Telegram`);
+            })
+            .catch(error => console.error('❌ Bill reminder job failed:', error.message));
+
+        run();
+        const timer = setInterval(run, intervalMs);
+        timer.unref();
+        return () => clearInterval(timer);
+    }
+
+    return {
+        listBills,
+        getBill: async (userId, billId) => {
+            const bill = await getBillDoc(userId, billId);
+            return { ...bill, ...billState(bill) };
+        },
+        getCalendar,
+        createBill,
+        updateBill,
+        deleteBill,
+        markPaid,
+        collectReminders,
+        sendTelegramReminders,
+        startJob
+    };
+}
+
+module.exports = {
+    BILL_KINDS,
+    BillError,
+    normalizeBill,
+    billState,
+    calendarEntries,
+    reminderMessage,
+    createBillService
+};
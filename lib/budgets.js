@@ -0,0 +1,301 @@
+/**
+ * Budget Envelopes for Kita-kita Platform
+ * A budget (users/{uid}/budgets) caps spending in one category per week, half-month (kinsenas) or month.
+ * Progress is computed from the user's transactions on every read, so it is never out of date. Budgets are
+ * in the user's home currency, and transactions are converted to it (lib/fx-rates.js) before they count.
+ * Rollover carries the unused amount (or, with 'all', also the overspending) into the next period.
+ * Dates are 'YYYY-MM-DD' strings in Philippine time.
+ */
+
+const { today } = require('./recurring-transactions.js');
+
+const PERIODS = ['weekly', 'semi-monthly', 'monthly'];
+const ROLLOVER_MODES = ['none', 'unused', 'all'];
+const ALERT_THRESHOLDS = [80, 100];
+const MAX_ROLLOVER_PERIODS = 24; // How far back rollover looks; older periods no longer carry anything
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class BudgetError extends Error {
+    constructor(message, status = 400, code = 'INVALID_BUDGET') {
+        super(message);
+        this.name = 'BudgetError';
+        this.code = code;
+        this.status = status;
+    }
+
+    toJSON() {
+        return { error: this.message, code: this.code };
+    }
+}
+
+function parseDate(value) {
+    return new Date(`${value}T00:00:00Z`);
+}
+
+function formatDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * The period containing a date: weeks run Monday to Sunday, half-months 1-15 and 16-end.
+ * @returns {{start: string, end: string}}
+ */
+function periodBounds(period, date) {
+    const day = parseDate(date);
+    const year = day.getUTCFullYear();
+    const month = day.getUTCMonth();
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+    if (period === 'weekly') {
+        const start = new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * 86400000);
+        return { start: formatDate(start), end: formatDate(new Date(start.getTime() + 6 * 86400000)) };
+    }
+    if (period === 'semi-monthly') {
+        const firstHalf = day.getUTCDate() <= 15;
+        return {
+            start: formatDate(new Date(Date.UTC(year, month, firstHalf ? 1 : 16))),
+            end: formatDate(new Date(Date.UTC(year, month, firstHalf ? 15 : lastDay)))
+        };
+    }
+    return {
+        start: formatDate(new Date(Date.UTC(year, month, 1))),
+        end: formatDate(new Date(Date.UTC(year, month, lastDay)))
+    };
+}
+
+function previousPeriod(period, bounds) {
+    return periodBounds(period, formatDate(new Date(parseDate(bounds.start).getTime() - 86400000)));
+}
+
+// A budget on a category also covers its sub-categories ('bills' covers 'bills:load/data')
+function inCategory(transactionCategory, budgetCategory) {
+    const key = String(transactionCategory || 'other').toLowerCase().trim();
+    return key === budgetCategory || key.startsWith(`${budgetCategory}:`);
+}
+
+/**
+ * Validate a budget. Updates pass the stored budget as `existing`.
+ * @returns {{category: string, amount: number, period: string, rollover: string, startDate: string, type: 'expense'}}
+ */
+function normalizeBudget(input, existing = null) {
+    const merged = { ...(existing || {}), ...(input || {}) };
+    const category = String(merged.category || '').toLowerCase().trim();
+    if (!category) throw new BudgetError('category is required');
+
+    const amount = Number(merged.amount);
+    if (!Number.isFinite(amount) || amount <= 0) throw new BudgetError('amount must be a positive number');
+
+    const period = merged.period || 'monthly';
+    if (!PERIODS.includes(period)) throw new BudgetError(`period must be one of: ${PERIODS.join(', ')}`);
+
+    const rollover = merged.rollover || 'none';
+    if (!ROLLOVER_MODES.includes(rollover)) {
+        throw new BudgetError(`rollover must be one of: ${ROLLOVER_MODES.join(', ')}`);
+    }
+
+    // Rollover counts from the start of the first period; changing the period restarts it
+    const periodChanged = existing && input && input.period && input.period !== existing.period;
+    const startDate = (periodChanged && !input.startDate) || !merged.startDate
+        ? periodBounds(period, today()).start
+        : merged.startDate;
+    if (!DATE_PATTERN.test(startDate)) throw new BudgetError('startDate must be a YYYY-MM-DD date');
+
+    return { category, amount: roundMoney(amount), period, rollover, startDate, type: 'expense' };
+}
+
+/**
+ * Where a budget stands in the period containing `asOf`.
+ * @param {object} budget Stored budget
+ * @param {Array<object>} transactions The user's transactions (any order) in their home currency, as from
+ *   fx.convertForUser; those it marked `fxMissing` (no rate) are left out and counted for the current period
+ * @returns {{budgetId: string, category: string, period: string, rollover: string, periodStart: string, periodEnd: string,
+ *   budgeted: number, carriedOver: number, available: number, spent: number, remaining: number, percent: number,
+ *   state: 'on-track'|'warning'|'over', fxMissing: number}}
+ */
+function computeBudgetStatus(budget, transactions, asOf = today()) {
+    const spending = transactions
+        .filter(transaction => transaction.type === 'expense' && inCategory(transaction.category, budget.category))
+        .map(transaction => ({
+            date: String(transaction.date || '').slice(0, 10),
+            amount: Math.abs(parseFloat(transaction.amount) || 0),
+            fxMissing: Boolean(transaction.fxMissing)
+        }));
+    const within = (item, bounds) => item.date >= bounds.start && item.date <= bounds.end;
+    const spentIn = bounds => spending
+        .filter(item => !item.fxMissing && within(item, bounds))
+        .reduce((sum, item) => sum + item.amount, 0);
+
+    const current = periodBounds(budget.period, asOf);
+    let carriedOver = 0;
+    if (budget.rollover !== 'none') {
+        const earlier = [];
+        for (let bounds = previousPeriod(budget.period, current);
+            bounds.end >= budget.startDate && earlier.length < MAX_ROLLOVER_PERIODS;
+            bounds = previousPeriod(budget.period, bounds)) {
+            earlier.unshift(bounds);
+        }
+        earlier.forEach(bounds => {
+            const left = budget.amount + carriedOver - spentIn(bounds);
+            carriedOver = budget.rollover === 'all' ? left : Math.max(0, left);
+        });
+    }
+
+    const available = roundMoney(budget.amount + carriedOver);
+    const spent = roundMoney(spentIn(current));
+    let percent;
+    if (available > 0) {
+        percent = Math.round((spent / available) * 100);
+    } else {
+        percent = spent > 0 || available < 0 ? 100 : 0;
+    }
+
+    return {
+        budgetId: budget.id,
+        category: budget.category,
+        period: budget.period,
+        rollover: budget.rollover,
+        periodStart: current.start,
+        periodEnd: current.end,
+        budgeted: budget.amount,
+        carriedOver: roundMoney(carriedOver),
+        available,
+        spent,
+        remaining: roundMoney(available - spent),
+        percent,
+        state: percent >= 100 ? 'over' : percent >= 80 ? 'warning' : 'on-track',
+        fxMissing: spending.filter(item => item.fxMissing && within(item, current)).length
+    };
+}
+
+/**
+ * @param {object} deps.fx createFxService service, for converting transactions to the home currency
+ */
+function createBudgetService({ db, fx }) {
+    const userDoc = userId => db.collection('users').doc(userId);
+    const budgetsRef = userId => userDoc(userId).collection('budgets');
+
+    async function loadTransactions(userId) {
+        const snapshot = await userDoc(userId).collection('transactions').get();
+        const { transactions } = await fx.convertForUser(userId, { transactions: snapshot.docs.map(doc => doc.data()) });
+        return transactions;
+    }
+
+    async function getBudget(userId, budgetId) {
+        const doc = await budgetsRef(userId).doc(budgetId).get();
+        if (!doc.exists) throw new BudgetError('Budget not found', 404, 'BUDGET_NOT_FOUND');
+        return { id: doc.id, ...doc.data() };
+    }
+
+    async function assertUnique(userId, budget, exceptId = null) {
+        const snapshot = await budgetsRef(userId).where('category', '==', budget.category).get();
+        if (snapshot.docs.some(doc => doc.id !== exceptId && doc.data().period === budget.period)) {
+            throw new BudgetError(`There is already a ${budget.period} budget for this category`, 409, 'BUDGET_EXISTS');
+        }
+    }
+
+    /**
+     * Every budget with its current status.
+     * @param {object} [options]
+     * @param {Array<object>} [options.transactions] Already loaded transactions in the home currency, to skip reading them again
+     * @returns {Promise<Array<object>>} Budgets, each with a `status` (see computeBudgetStatus)
+     */
+    async function listBudgets(userId, { transactions = null, asOf = today() } = {}) {
+        const [snapshot, loaded] = await Promise.all([
+            budgetsRef(userId).get(),
+            transactions ? Promise.resolve(transactions) : loadTransactions(userId)
+        ]);
+        return snapshot.docs
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .map(budget => ({ ...budget, status: computeBudgetStatus(budget, loaded, asOf) }))
+            .sort((a, b) => b.status.percent - a.status.percent);
+    }
+
+    async function createBudget(userId, input) {
+        const budget = normalizeBudget(input);
+        await assertUnique(userId, budget);
+        const now = new Date().toISOString();
+        const data = { ...budget, alerted: null, createdAt: now, updatedAt: now };
+        const docRef = await budgetsRef(userId).add(data);
+        const created = { id: docRef.id, ...data };
+        return { ...created, status: computeBudgetStatus(created, await loadTransactions(userId)) };
+    }
+
+    async function updateBudget(userId, budgetId, input) {
+        const existing = await getBudget(userId, budgetId);
+        const budget = normalizeBudget(input, existing);
+        await assertUnique(userId, budget, budgetId);
+        // A new amount or period can cross thresholds again
+        const update = { ...budget, alerted: null, updatedAt: new Date().toISOString() };
+        await budgetsRef(userId).doc(budgetId).update(update);
+        const updated = { ...existing, ...update };
+        return { ...updated, status: computeBudgetStatus(updated, await loadTransactions(userId)) };
+    }
+
+    async function deleteBudget(userId, budgetId) {
+        await getBudget(userId, budgetId);
+        await budgetsRef(userId).doc(budgetId).delete();
+    }
+
+    /**
+     * Thresholds (80%, 100%) crossed since the last check. Each threshold is reported once per
+     * period: the budget records what it already alerted in a Firestore transaction, so two
+     * open pages don't both notify.
+     * @returns {Promise<Array<{budgetId: string, category: string, threshold: number, percent: number,
+     *   spent: number, available: number, remaining: number, periodEnd: string}>>}
+     */
+    async function collectAlerts(userId, { asOf = today() } = {}) {
+        const transactions = await loadTransactions(userId);
+        const snapshot = await budgetsRef(userId).get();
+        const alerts = [];
+
+        for (const doc of snapshot.docs) {
+            const alert = await db.runTransaction(async tx => {
+                const fresh = await tx.get(doc.ref);
+                if (!fresh.exists) return null;
+                const budget = { id: fresh.id, ...fresh.data() };
+                const status = computeBudgetStatus(budget, transactions, asOf);
+                const crossed = ALERT_THRESHOLDS.filter(threshold => status.percent >= threshold);
+                const already = budget.alerted?.periodStart === status.periodStart ? budget.alerted.thresholds : [];
+                const newlyCrossed = crossed.filter(threshold => !already.includes(threshold));
+                if (newlyCrossed.length === 0) return null;
+
+                tx.update(doc.ref, { alerted: { periodStart: status.periodStart, thresholds: crossed } });
+                return {
+                    budgetId: budget.id,
+                    category: budget.category,
+                    threshold: Math.max(...newlyCrossed),
+                    percent: status.percent,
+                    spent: status.spent,
+                    available: status.available,
+                    remaining: status.remaining,
+                    periodEnd: status.periodEnd
+                };
+            });
+            if (alert) alerts.push(alert);
+        }
+        return alerts;
+    }
+
+    return {
+        listBudgets,
+        createBudget,
+        updateBudget,
+        deleteBudget,
+        collectAlerts
+    };
+}
+
+module.exports = {
+    PERIODS,
+    ROLLOVER_MODES,
+    ALERT_THRESHOLDS,
+    BudgetError,
+    periodBounds,
+    normalizeBudget,
+    computeBudgetStatus,
+    createBudgetService
+};
@@ -0,0 +1,337 @@
+/**
+ * Transaction Categorizer for Kita-kita Platform
+ * Suggests a category for a transaction from the user's own rules (users/{uid}/categoryRules, e.g.
+ * description contains "Jollibee" -> food) and, when no rule matches, from a naive Bayes classifier
+ * trained on the descriptions of the user's categorized transactions. Everything runs on this server.
+ * Categories are compared case-insensitively and suggested in lowercase, like the transaction form's values.
+ */
+
+const MATCH_TYPES = ['contains', 'startsWith', 'equals'];
+const TRANSACTION_TYPES = ['expense', 'income'];
+const MIN_TRAINING_TRANSACTIONS = 5;
+const MIN_CONFIDENCE = 0.5;
+const MODEL_TTL_MS = 10 * 60 * 1000;
+const UPDATE_BATCH_SIZE = 400; // Firestore allows 500 writes per batch
+
+// Words that say nothing about what was bought
+const STOP_WORDS = new Set(['the', 'and', 'for', 'from', 'to', 'of', 'in', 'at', 'on', 'ref', 'no', 'inc', 'corp', 'co', 'ltd',
+    'branch', 'ph', 'phl', 'php']);
+// Payment-channel words; a merchant key skips them so "POS PURCHASE JOLLIBEE" keys on "jollibee"
+const GENERIC_WORDS = new Set(['pos', 'purchase', 'payment', 'pay', 'transfer', 'instapay', 'pesonet', 'debit', 'credit', 'card',
+    'online', 'fund', 'funds', 'bills', 'atm', 'withdrawal', 'deposit', 'sent', 'received', 'via', 'gcash', 'maya', 'bpi', 'bdo',
+    'metrobank', 'cash', 'fee']);
+
+class CategoryRuleError extends Error {
+    constructor(message, status = 400, code = 'INVALID_CATEGORY_RULE') {
+        super(message);
+        this.name = 'CategoryRuleError';
+        this.code = code;
+        this.status = status;
+    }
+
+    toJSON() {
+        return { error: this.message, code: this.code };
+    }
+}
+
+function normalizeText(text) {
+    return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function tokenize(text) {
+    return normalizeText(text)
+        .replace(/[^a-zñ]+/g, ' ')
+        .split(' ')
+        .filter(token => token.length >= 2 && !STOP_WORDS.has(token));
+}
+
+/**
+ * The word that identifies a transaction's merchant or payee: its first word that is not a
+ * payment-channel word. Transactions sharing it are "similar".
+ * @returns {string|null}
+ */
+function merchantKey(description) {
+    return tokenize(description).find(token => token.length >= 3 && !GENERIC_WORDS.has(token)) || null;
+}
+
+function categoryKey(category) {
+    return normalizeText(category);
+}
+
+function transactionText(transaction) {
+    return transaction.description || transaction.name || '';
+}
+
+// --- Rules ---
+
+/**
+ * Validate a rule. Updates pass the stored rule as `existing`.
+ * @returns {{pattern: string, matchType: string, category: string, type: string|null}}
+ */
+function normalizeRule(input, existing = null) {
+    const merged = { ...(existing || {}), ...(input || {}) };
+    const pattern = String(merged.pattern || '').trim();
+    if (!pattern) throw new CategoryRuleError('pattern is required');
+    if (pattern.length > 100) throw new CategoryRuleError('pattern must be at most 100 characters');
+
+    const category = categoryKey(merged.category);
+    if (!category) throw new CategoryRuleError('category is required');
+
+    const matchType = merged.matchType || 'contains';
+    if (!MATCH_TYPES.includes(matchType)) {
+        throw new CategoryRuleError(`matchType must be one of: ${MATCH_TYPES.join(', ')}`);
+    }
+
+    const type = merged.type || null;
+    if (type !== null && !TRANSACTION_TYPES.includes(type)) {
+        throw new CategoryRuleError(`type must be one of: ${TRANSACTION_TYPES.join(', ')}`);
+    }
+
+    return { pattern, matchType, category, type };
+}
+
+function ruleMatches(rule, transaction) {
+    if (rule.type && transaction.type && rule.type !== transaction.type) return false;
+    const text = normalizeText(transactionText(transaction));
+    const pattern = normalizeText(rule.pattern);
+    if (rule.matchType === 'equals') return text === pattern;
+    if (rule.matchType === 'startsWith') return text.startsWith(pattern);
+    return text.includes(pattern);
+}
+
+// The most specific matching rule wins: equals, then startsWith, then contains; longer patterns first
+function matchRule(rules, transaction) {
+    return rules
+        .filter(rule => ruleMatches(rule, transaction))
+        .sort((a, b) => MATCH_TYPES.indexOf(b.matchType) - MATCH_TYPES.indexOf(a.matchType)
+            || b.pattern.length - a.pattern.length)[0] || null;
+}
+
+// --- Learned classifier ---
+
+/**
+ * Train a multinomial naive Bayes model on categorized transactions, one per transaction type.
+ * Transactions filed under "other" are left out: they are what the model should help sort.
+ */
+function trainClassifier(transactions) {
+    const model = { vocabularySize: 0 };
+    const vocabulary = new Set();
+    TRANSACTION_TYPES.forEach(type => { model[type] = { documents: 0, labels: {}, vocabulary: {} }; });
+
+    transactions.forEach(transaction => {
+        const category = categoryKey(transaction.category);
+        const group = model[transaction.type];
+        const tokens = tokenize(transactionText(transaction));
+        if (!group || !category || category === 'other' || tokens.length === 0) return;
+
+        const label = group.labels[category] || (group.labels[category] = { documents: 0, tokens: {}, total: 0 });
+        group.documents += 1;
+        label.documents += 1;
+        tokens.forEach(token => {
+            label.tokens[token] = (label.tokens[token] || 0) + 1;
+            label.total += 1;
+            group.vocabulary[token] = true;
+            vocabulary.add(token);
+        });
+    });
+
+    model.vocabularySize = vocabulary.size;
+    return model;
+}
+
+/**
+ * Most likely category for a transaction, or null when the model has too little history,
+ * has never seen any of its words, or is not confident enough.
+ * @returns {{category: string, confidence: number}|null}
+ */
+function classify(model, transaction) {
+    const group = model[transaction.type === 'income' ? 'income' : 'expense'];
+    if (!group || group.documents < MIN_TRAINING_TRANSACTIONS) return null;
+    // Words never seen in this type's history (a branch name, say) lower every score alike; skip them
+    const tokens = tokenize(transactionText(transaction)).filter(token => group.vocabulary[token]);
+    if (tokens.length === 0) return null;
+
+    const smoothing = model.vocabularySize + 1;
+    const scores = Object.entries(group.labels).map(([category, label]) => [
+        category,
+        Math.log(label.documents / group.documents)
+            + tokens.reduce((sum, token) => sum + Math.log(((label.tokens[token] || 0) + 1) / (label.total + smoothing)), 0)
+    ]);
+    if (scores.length === 0) return null;
+
+    // Softmax over the log scores gives each category's probability
+    const top = Math.max(...scores.map(([, score]) => score));
+    const weights = scores.map(([category, score]) => [category, Math.exp(score - top)]);
+    const sum = weights.reduce((total, [, weight]) => total + weight, 0);
+    const [category, weight] = weights.sort((a, b) => b[1] - a[1])[0];
+    const confidence = weight / sum;
+
+    const known = tokens.some(token => group.labels[category].tokens[token]);
+    if (!known || confidence < MIN_CONFIDENCE) return null;
+    return { category, confidence: Math.round(confidence * 100) / 100 };
+}
+
+/**
+ * Suggest a category: a matching rule first, then the learned model.
+ * @returns {{category: string, source: 'rule'|'learned', confidence: number, ruleId?: string}|null}
+ */
+function categorize(rules, model, transaction) {
+    const rule = matchRule(rules, transaction);
+    if (rule) return { category: rule.category, source: 'rule', confidence: 1, ruleId: rule.id };
+    const learned = model ? classify(model, transaction) : null;
+    return learned ? { ...learned, source: 'learned' } : null;
+}
+
+function createCategorizer({ db, admin }) {
+    const userDoc = userId => db.collection('users').doc(userId);
+    const rulesRef = userId => userDoc(userId).collection('categoryRules');
+    const models = new Map(); // userId -> { model, trainedAt }
+
+    async function listRules(userId) {
+        const snapshot = await rulesRef(userId).get();
+        return snapshot.docs
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .sort((a, b) => a.pattern.localeCompare(b.pattern));
+    }
+
+    async function loadModel(userId) {
+        const cached = models.get(userId);
+        if (cached && Date.now() - cached.trainedAt < MODEL_TTL_MS) return cached.model;
+        const snapshot = await userDoc(userId).collection('transactions').get();
+        const model = trainClassifier(snapshot.docs.map(doc => doc.data()));
+        models.set(userId, { model, trainedAt: Date.now() });
+        return model;
+    }
+
+    // Recategorizing changes the training data; retrain on the next suggestion
+    function forgetModel(userId) {
+        models.delete(userId);
+    }
+
+    /**
+     * Suggestions for many transactions at once (e.g. a statement import), in input order.
+     * @returns {Promise<Array<object|null>>} See categorize
+     */
+    async function suggestCategories(userId, transactions) {
+        const [rules, model] = await Promise.all([listRules(userId), loadModel(userId)]);
+        return transactions.map(transaction => categorize(rules, model, transaction));
+    }
+
+    async function suggestCategory(userId, transaction) {
+        const [suggestion] = await suggestCategories(userId, [transaction]);
+        return suggestion;
+    }
+
+    async function getRule(userId, ruleId) {
+        const doc = await rulesRef(userId).doc(ruleId).get();
+        if (!doc.exists) throw new CategoryRuleError('Category rule not found', 404, 'CATEGORY_RULE_NOT_FOUND');
+        return { id: doc.id, ...doc.data() };
+    }
+
+    // A rule with the same pattern, match type and transaction type is updated instead of duplicated
+    async function createRule(userId, input) {
+        const rule = normalizeRule(input);
+        const existing = (await listRules(userId)).find(other => normalizeText(other.pattern) === normalizeText(rule.pattern)
+            && other.matchType === rule.matchType && other.type === rule.type);
+        if (existing) return updateRule(userId, existing.id, rule);
+
+        const now = new Date().toISOString();
+        const docRef = await rulesRef(userId).add({ ...rule, createdAt: now, updatedAt: now });
+        return { id: docRef.id, ...rule, createdAt: now, updatedAt: now };
+    }
+
+    async function updateRule(userId, ruleId, input) {
+        const existing = await getRule(userId, ruleId);
+        const rule = { ...normalizeRule(input, existing), updatedAt: new Date().toISOString() };
+        await rulesRef(userId).doc(ruleId).update(rule);
+        return { ...existing, ...rule };
+    }
+
+    async function deleteRule(userId, ruleId) {
+        await getRule(userId, ruleId);
+        await rulesRef(userId).doc(ruleId).delete();
+    }
+
+    /**
+     * Transactions of the same type that share the merchant key of the given one.
+     * @returns {Promise<{key: string|null, category: string, type: string, transactions: Array<object>}>}
+     */
+    async function findSimilar(userId, transactionId) {
+        const transactionsRef = userDoc(userId).collection('transactions');
+        const doc = await transactionsRef.doc(transactionId).get();
+        if (!doc.exists) throw new CategoryRuleError('Transaction not found', 404, 'TRANSACTION_NOT_FOUND');
+        const source = doc.data();
+        const key = merchantKey(transactionText(source));
+        const result = { key, category: categoryKey(source.category), type: source.type, transactions: [] };
+        if (!key) return result;
+
+        const snapshot = await transactionsRef.where('type', '==', source.type).get();
+        result.transactions = snapshot.docs
+            .filter(other => other.id !== transactionId && tokenize(transactionText(other.data())).includes(key))
+            .map(other => {
+                const { description, name, amount, date, category } = other.data();
+                return { id: other.id, description: description || name || '', amount, date, category: category || null };
+            });
+        return result;
+    }
+
+    /**
+     * Give every similar transaction (and the given one) a category, optionally saving a
+     * "contains <merchant key>" rule so future transactions get it too.
+     * @param {object} [options]
+     * @param {string} [options.category] Defaults to the given transaction's current category
+     * @param {boolean} [options.createRule]
+     * @returns {Promise<{key: string|null, category: string, updated: number, rule: object|null}>}
+     */
+    async function applyToSimilar(userId, transactionId, { category = null, createRule: saveRule = false } = {}) {
+        const similar = await findSimilar(userId, transactionId);
+        const target = categoryKey(category || similar.category);
+        if (!target) throw new CategoryRuleError('category is required');
+
+        const transactionsRef = userDoc(userId).collection('transactions');
+        const changed = [{ id: transactionId, category: similar.category }, ...similar.transactions]
+            .filter(transaction => categoryKey(transaction.category) !== target);
+        const now = new Date().toISOString();
+        for (let start = 0; start < changed.length; start += UPDATE_BATCH_SIZE) {
+            const batch = db.batch();
+            changed.slice(start, start + UPDATE_BATCH_SIZE).forEach(transaction => {
+                batch.update(transactionsRef.doc(transaction.id), {
+                    category: target,
+                    lastUpdated: now,
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                });
+            });
+            await batch.commit();
+        }
+
+        const rule = saveRule && similar.key
+            ? await createRule(userId, { pattern: similar.key, matchType: 'contains', category: target, type: TRANSACTION_TYPES.includes(similar.type) ? similar.type : null })
+            : null;
+        forgetModel(userId);
+        return { key: similar.key, category: target, updated: changed.length, rule };
+    }
+
+    return {
+        suggestCategory,
+        suggestCategories,
+        listRules,
+        createRule,
+        updateRule,
+        deleteRule,
+        findSimilar,
+        applyToSimilar,
+        forgetModel
+    };
+}
+
+module.exports = {
+    MATCH_TYPES,
+    CategoryRuleError,
+    merchantKey,
+    normalizeRule,
+    matchRule,
+    trainClassifier,
+    classify,
+    categorize,
+    createCategorizer
+};
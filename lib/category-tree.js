@@ -0,0 +1,294 @@
+/**
+ * Custom Categories for Kita-kita Platform
+ * Each user has a two-level category tree in users/{uid}/categories, seeded with the built-in
+ * categories on first use. Transactions keep storing a category's `key`: the lowercase name for a
+ * top-level category ('food'), 'parent:child' for a sub-category ('bills:load/data'). Renaming or
+ * merging rewrites that key on the user's transactions, category rules and recurring templates.
+ */
+
+const CATEGORY_TYPES = ['expense', 'income'];
+const KEY_SEPARATOR = ':';
+const UPDATE_BATCH_SIZE = 400; // Firestore allows 500 writes per batch
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// The categories populateCategories used to hard-code; existing transactions use their keys
+const DEFAULT_CATEGORIES = [
+    { type: 'expense', name: 'Food', icon: 'fa-utensils', color: '#e96d1f' },
+    { type: 'expense', name: 'Shopping', icon: 'fa-shopping-bag', color: '#d946ef' },
+    { type: 'expense', name: 'Bills', icon: 'fa-file-invoice', color: '#f59e0b' },
+    { type: 'expense', name: 'Transportation', icon: 'fa-bus', color: '#3b82f6' },
+    { type: 'expense', name: 'Entertainment', icon: 'fa-film', color: '#8b5cf6' },
+    { type: 'expense', name: 'Housing', icon: 'fa-home', color: '#14b8a6' },
+    { type: 'expense', name: 'Health', icon: 'fa-heartbeat', color: '#ef4444' },
+    { type: 'expense', name: 'Education', icon: 'fa-graduation-cap', color: '#0ea5e9' },
+    { type: 'expense', name: 'Other', icon: 'fa-tag', color: '#8b949e' },
+    { type: 'income', name: 'Salary', icon: 'fa-briefcase', color: '#10df6f' },
+    { type: 'income', name: 'Stipend', icon: 'fa-hand-holding-usd', color: '#22c55e' },
+    { type: 'income', name: 'Freelance', icon: 'fa-laptop', color: '#84cc16' },
+    { type: 'income', name: 'Investments', icon: 'fa-chart-line', color: '#06b6d4' },
+    { type: 'income', name: 'Gifts', icon: 'fa-gift', color: '#f472b6' },
+    { type: 'income', name: 'Other', icon: 'fa-tag', color: '#8b949e' }
+];
+
+class CategoryError extends Error {
+    constructor(message, status = 400, code = 'INVALID_CATEGORY') {
+        super(message);
+        this.name = 'CategoryError';
+        this.code = code;
+        this.status = status;
+    }
+
+    toJSON() {
+        return { error: this.message, code: this.code };
+    }
+}
+
+function normalizeKey(value) {
+    return String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function categoryKey(name, parent = null) {
+    const own = normalizeKey(name);
+    return parent ? `${parent.key}${KEY_SEPARATOR}${own}` : own;
+}
+
+/**
+ * Validate the editable fields of a category. Updates pass the stored category as `existing`.
+ * @returns {{name: string, type: string, parentId: string|null, icon: string, color: string}}
+ */
+function normalizeCategory(input, existing = null) {
+    const merged = { ...(existing || {}), ...(input || {}) };
+    const name = String(merged.name || '').replace(/\s+/g, ' ').trim();
+    if (!name) throw new CategoryError('name is required');
+    if (name.length > 40) throw new CategoryError('name must be at most 40 characters');
+    if (name.includes(KEY_SEPARATOR)) throw new CategoryError(`name cannot contain "${KEY_SEPARATOR}"`);
+
+    const type = merged.type || 'expense';
+    if (!CATEGORY_TYPES.includes(type)) {
+        throw new CategoryError(`type must be one of: ${CATEGORY_TYPES.join(', ')}`);
+    }
+
+    const icon = String(merged.icon || 'fa-tag').trim();
+    if (!/^fa-[a-z0-9-]+$/.test(icon)) throw new CategoryError('icon must be a Font Awesome class such as fa-utensils');
+
+    const color = String(merged.color || '#8b949e').trim();
+    if (!COLOR_PATTERN.test(color)) throw new CategoryError('color must be a hex color such as #e96d1f');
+
+    return { name, type, parentId: merged.parentId || null, icon, color };
+}
+
+/**
+ * Nest a flat category list: top-level categories, each with its `children`, sorted by name.
+ * @returns {Array<object>}
+ */
+function buildTree(categories) {
+    const byName = (a, b) => a.name.localeCompare(b.name);
+    return categories
+        .filter(category => !category.parentId)
+        .sort(byName)
+        .map(parent => ({
+            ...parent,
+            children: categories.filter(category => category.parentId === parent.id).sort(byName)
+        }));
+}
+
+function createCategoryService({ db, admin }) {
+    const userDoc = userId => db.collection('users').doc(userId);
+    const categoriesRef = userId => userDoc(userId).collection('categories');
+
+    async function seedDefaults(userId) {
+        const batch = db.batch();
+        const now = new Date().toISOString();
+        const seeded = DEFAULT_CATEGORIES.map(category => {
+            const ref = categoriesRef(userId).doc(`${category.type}_${normalizeKey(category.name)}`);
+            const data = { ...category, parentId: null, key: categoryKey(category.name), createdAt: now, updatedAt: now };
+            batch.set(ref, data);
+            return { id: ref.id, ...data };
+        });
+        await batch.commit();
+        return seeded;
+    }
+
+    /**
+     * The user's categories as a flat list; the built-in set is saved the first time.
+     * @returns {Promise<Array<{id: string, key: string, name: string, type: string, parentId: string|null, icon: string, color: string}>>}
+     */
+    async function listCategories(userId) {
+        const snapshot = await categoriesRef(userId).get();
+        if (snapshot.docs.length === 0) return seedDefaults(userId);
+        return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    }
+
+    function findCategory(categories, categoryId) {
+        const category = categories.find(item => item.id === categoryId);
+        if (!category) throw new CategoryError('Category not found', 404, 'CATEGORY_NOT_FOUND');
+        return category;
+    }
+
+    // Sub-categories go one level deep, under a top-level category of the same type
+    function resolveParent(categories, category) {
+        if (!category.parentId) return null;
+        const parent = findCategory(categories, category.parentId);
+        if (parent.parentId) throw new CategoryError('Sub-categories cannot have sub-categories');
+        if (parent.type !== category.type) throw new CategoryError('A sub-category must have the same type as its parent');
+        return parent;
+    }
+
+    function assertKeyFree(categories, type, key, exceptId = null) {
+        if (categories.some(item => item.type === type && item.key === key && item.id !== exceptId)) {
+            throw new CategoryError('A category with this name already exists', 409, 'CATEGORY_EXISTS');
+        }
+    }
+
+    /**
+     * Rewrite category keys on everything that stores one. Keys are matched case-insensitively,
+     * since statement imports once saved 'Other'.
+     * @param {Map<string, string>} keyMap old key -> new key
+     * @param {string} type Only transactions, rules, templates and budgets of this type are touched
+     * @returns {Promise<number>} Transactions updated
+     */
+    async function migrateKeys(userId, keyMap, type) {
+        if (keyMap.size === 0) return 0;
+        const now = new Date().toISOString();
+        const targets = [
+            ['transactions', { lastUpdated: now, updatedAt: admin.firestore.FieldValue.serverTimestamp() }],
+            ['categoryRules', { updatedAt: now }],
+            ['recurringTransactions', { updatedAt: now }],
+            ['budgets', { updatedAt: now }]
+        ];
+
+        let migratedTransactions = 0;
+        for (const [collection, stamp] of targets) {
+            const snapshot = await userDoc(userId).collection(collection).get();
+            const changed = snapshot.docs.filter(doc => {
+                const data = doc.data();
+                // Documents without a type (rules for both types) follow the category too
+                return keyMap.has(normalizeKey(data.category)) && (data.type || type) === type;
+            });
+            for (let start = 0; start < changed.length; start += UPDATE_BATCH_SIZE) {
+                const batch = db.batch();
+                changed.slice(start, start + UPDATE_BATCH_SIZE).forEach(doc => {
+                    batch.update(doc.ref, { category: keyMap.get(normalizeKey(doc.data().category)), ...stamp });
+                });
+                await batch.commit();
+            }
+            if (collection === 'transactions') migratedTransactions = changed.length;
+        }
+        return migratedTransactions;
+    }
+
+    async function createCategory(userId, input) {
+        const categories = await listCategories(userId);
+        const category = normalizeCategory(input);
+        const parent = resolveParent(categories, category);
+        const key = categoryKey(category.name, parent);
+        assertKeyFree(categories, category.type, key);
+
+        const now = new Date().toISOString();
+        const data = { ...category, key, createdAt: now, updatedAt: now };
+        const docRef = await categoriesRef(userId).add(data);
+        return { id: docRef.id, ...data };
+    }
+
+    /**
+     * Edit a category. A new name (or parent) changes its key and those of its sub-categories,
+     * and existing transactions follow. The type cannot change.
+     * @returns {Promise<{category: object, migrated: number}>}
+     */
+    async function updateCategory(userId, categoryId, input) {
+        const categories = await listCategories(userId);
+        const existing = findCategory(categories, categoryId);
+        const category = normalizeCategory({ ...input, type: existing.type }, existing);
+        if (category.parentId === categoryId) throw new CategoryError('A category cannot be its own parent');
+        const children = categories.filter(item => item.parentId === categoryId);
+        if (category.parentId && children.length > 0) {
+            throw new CategoryError('Move or merge this category\'s sub-categories before nesting it');
+        }
+        const parent = resolveParent(categories, category);
+        const key = categoryKey(category.name, parent);
+        assertKeyFree(categories, category.type, key, categoryId);
+
+        const now = new Date().toISOString();
+        const keyMap = new Map();
+        const batch = db.batch();
+        batch.update(categoriesRef(userId).doc(categoryId), { ...category, key, updatedAt: now });
+        if (key !== existing.key) {
+            keyMap.set(existing.key, key);
+            children.forEach(child => {
+                const childKey = categoryKey(child.name, { key });
+                keyMap.set(child.key, childKey);
+                batch.update(categoriesRef(userId).doc(child.id), { key: childKey, updatedAt: now });
+            });
+        }
+        await batch.commit();
+
+        const migrated = await migrateKeys(userId, keyMap, existing.type);
+        return { category: { ...existing, ...category, key, updatedAt: now }, migrated };
+    }
+
+    /**
+     * Fold one category into another of the same type: its transactions take the target's key and it
+     * is deleted. Its sub-categories move under the target, or fold into it when the target is itself
+     * a sub-category or already has one of the same name.
+     * @returns {Promise<{target: object, migrated: number}>}
+     */
+    async function mergeCategory(userId, sourceId, targetId) {
+        const categories = await listCategories(userId);
+        const source = findCategory(categories, sourceId);
+        const target = findCategory(categories, targetId);
+        if (source.id === target.id) throw new CategoryError('Choose a different category to merge into');
+        if (source.type !== target.type) throw new CategoryError('Categories of different types cannot be merged');
+        if (target.parentId === source.id) throw new CategoryError('A category cannot be merged into its own sub-category');
+
+        const now = new Date().toISOString();
+        const keyMap = new Map([[source.key, target.key]]);
+        const batch = db.batch();
+        categories.filter(item => item.parentId === source.id).forEach(child => {
+            const movedKey = categoryKey(child.name, target);
+            const clash = categories.find(item => item.type === target.type && item.key === movedKey);
+            if (target.parentId || clash) {
+                keyMap.set(child.key, clash ? clash.key : target.key);
+                batch.delete(categoriesRef(userId).doc(child.id));
+            } else {
+                keyMap.set(child.key, movedKey);
+                batch.update(categoriesRef(userId).doc(child.id), { parentId: target.id, key: movedKey, updatedAt: now });
+            }
+        });
+        batch.delete(categoriesRef(userId).doc(source.id));
+        await batch.commit();
+
+        const migrated = await migrateKeys(userId, keyMap, source.type);
+        return { target, migrated };
+    }
+
+    /**
+     * Delete a category by merging it into the "Other" category of its type, which itself stays.
+     * @returns {Promise<{target: object, migrated: number}>}
+     */
+    async function deleteCategory(userId, categoryId) {
+        const categories = await listCategories(userId);
+        const category = findCategory(categories, categoryId);
+        const fallback = categories.find(item => item.type === category.type && item.key === 'other');
+        if (!fallback) throw new CategoryError('Add an "Other" category to move this one\'s transactions into');
+        if (fallback.id === category.id) throw new CategoryError('The "Other" category cannot be deleted');
+        return mergeCategory(userId, categoryId, fallback.id);
+    }
+
+    return {
+        listCategories,
+        createCategory,
+        updateCategory,
+        mergeCategory,
+        deleteCategory
+    };
+}
+
+module.exports = {
+    CATEGORY_TYPES,
+    DEFAULT_CATEGORIES,
+    CategoryError,
+    categoryKey,
+    normalizeCategory,
+    buildTree,
+    createCategoryService
+};
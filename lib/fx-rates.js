@@ -0,0 +1,249 @@
+/**
+ * Currencies and FX Rates for Kita-kita Platform
+ * Accounts and transactions carry a `currency` (PHP when missing). Rates are kept in users/{uid}/fxRates,
+ * one document per currency and day, as pesos per unit; users update them by importing a CSV (for
+ * example the BSP reference rates) rather than from a live rates API. Totals and agent prompts convert
+ * amounts to the user's `homeCurrency` at the rate in effect on each amount's date.
+ * Dates are 'YYYY-MM-DD' strings in Philippine time.
+ */
+
+const { parseCsv } = require('./statement-import.js');
+const { today } = require('./recurring-transactions.js');
+
+const BASE_CURRENCY = 'PHP';
+// Peso plus the currencies OFWs are most often paid in
+const CURRENCIES = ['PHP', 'USD', 'SAR', 'AED', 'HKD', 'SGD', 'QAR', 'KWD', 'JPY', 'EUR', 'GBP', 'CAD', 'AUD'];
+const MAX_IMPORT_RATES = 5000;
+const IMPORT_BATCH_SIZE = 400;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class FxError extends Error {
+    constructor(message, status = 400, code = 'INVALID_FX_RATES') {
+        super(message);
+        this.name = 'FxError';
+        this.code = code;
+        this.status = status;
+    }
+
+    toJSON() {
+        return { error: this.message, code: this.code };
+    }
+}
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function currencyOf(record) {
+    return String(record?.currency || BASE_CURRENCY).trim().toUpperCase();
+}
+
+function normalizeCurrency(value) {
+    const code = String(value || '').trim().toUpperCase();
+    if (!CURRENCIES.includes(code)) {
+        throw new FxError(`currency must be one of: ${CURRENCIES.join(', ')}`);
+    }
+    return code;
+}
+
+/**
+ * Validate one rate: `rate` is how many pesos one unit of `currency` buys on `date`.
+ * @returns {{currency: string, rate: number, date: string}}
+ */
+function normalizeRate(input, defaultDate = today()) {
+    const currency = normalizeCurrency(input?.currency);
+    if (currency === BASE_CURRENCY) throw new FxError('PHP is the base currency and always has rate 1');
+    const rate = Number(String(input.rate ?? '').replace(/,/g, ''));
+    if (!Number.isFinite(rate) || rate <= 0) throw new FxError(`rate for ${currency} must be a positive number`);
+    const date = input.date ? String(input.date).trim() : defaultDate;
+    if (!DATE_PATTERN.test(date)) throw new FxError(`date for ${currency} must be a YYYY-MM-DD date`);
+    return { currency, rate, date };
+}
+
+/**
+ * Read a rates CSV with a `currency` (or `code`) column, a `rate` (or `php`) column and an optional `date` column;
+ * rows without a date take `defaultDate`. Bad rows are reported, not fatal.
+ * @returns {{rates: Array<{currency: string, rate: number, date: string}>, errors: Array<{line: number, error: string}>}}
+ */
+function parseRatesCsv(text, defaultDate = today()) {
+    const [header = [], ...rows] = parseCsv(String(text || '')).filter(row => row.some(cell => String(cell).trim()));
+    const columns = header.map(cell => String(cell).trim().toLowerCase());
+    const find = names => columns.findIndex(column => names.includes(column));
+    const currencyColumn = find(['currency', 'code', 'currency code']);
+    const rateColumn = find(['rate', 'php', 'php per unit', 'peso rate']);
+    const dateColumn = find(['date', 'as of', 'asof']);
+    if (currencyColumn === -1 || rateColumn === -1) {
+        throw new FxError('The CSV needs a "currency" column and a "rate" column (pesos per unit)');
+    }
+    if (rows.length > MAX_IMPORT_RATES) throw new FxError(`A rates file can have at most ${MAX_IMPORT_RATES} rows`);
+
+    const rates = [];
+    const errors = [];
+    rows.forEach((row, index) => {
+        try {
+            rates.push(normalizeRate({
+                currency: row[currencyColumn],
+                rate: row[rateColumn],
+                date: dateColumn === -1 ? '' : row[dateColumn]
+            }, defaultDate));
+        } catch (error) {
+            errors.push({ line: index + 2, error: error.message });
+        }
+    });
+    return { rates, errors };
+}
+
+/**
+ * Look up and convert with a set of stored rates. A date uses the latest rate on or before it,
+ * or the earliest rate when the date predates them all.
+ */
+function createRateTable(rates = []) {
+    const byCurrency = new Map();
+    rates.forEach(({ currency, rate, date }) => {
+        if (!byCurrency.has(currency)) byCurrency.set(currency, []);
+        byCurrency.get(currency).push({ rate, date });
+    });
+    byCurrency.forEach(list => list.sort((a, b) => a.date.localeCompare(b.date)));
+
+    function rateOn(currency, date = today()) {
+        if (currency === BASE_CURRENCY) return 1;
+        const list = byCurrency.get(currency);
+        if (!list || list.length === 0) return null;
+        const day = String(date || today()).slice(0, 10);
+        let found = list[0];
+        for (const entry of list) {
+            if (entry.date > day) break;
+            found = entry;
+        }
+        return found.rate;
+    }
+
+    /**
+     * @returns {number|null} The converted amount, or null when a rate is missing
+     */
+    function convert(amount, from, to, date) {
+        const value = parseFloat(amount) || 0;
+        if (from === to) return value;
+        const fromRate = rateOn(from, date);
+        const toRate = rateOn(to, date);
+        if (fromRate === null || toRate === null) return null;
+        return roundMoney((value * fromRate) / toRate);
+    }
+
+    return { rateOn, convert };
+}
+
+/**
+ * Copies of accounts and transactions with amounts in `homeCurrency`. Converted records keep their own figure
+ * as `originalBalance`/`originalAmount` and `originalCurrency`; records without a rate are left as they are
+ * and marked `fxMissing`. Balances convert at `asOf`'s rate, transactions at their own date's.
+ */
+function toHomeCurrency({ accounts = [], transactions = [] }, table, homeCurrency, asOf = today()) {
+    const convertRecord = (record, field, date) => {
+        const currency = currencyOf(record);
+        if (currency === homeCurrency) return record;
+        const converted = table.convert(record[field], currency, homeCurrency, date);
+        if (converted === null) return { ...record, fxMissing: true };
+        const originalField = `original${field[0].toUpperCase()}${field.slice(1)}`;
+        return { ...record, [field]: converted, currency: homeCurrency, [originalField]: record[field], originalCurrency: currency };
+    };
+    return {
+        accounts: accounts.map(account => convertRecord(account, 'balance', asOf)),
+        transactions: transactions.map(transaction => convertRecord(transaction, 'amount', transaction.date))
+    };
+}
+
+function createFxService({ db, admin }) {
+    const userDoc = userId => db.collection('users').doc(userId);
+    const ratesRef = userId => userDoc(userId).collection('fxRates');
+
+    async function loadRates(userId) {
+        const snapshot = await ratesRef(userId).get();
+        return snapshot.docs.map(doc => doc.data());
+    }
+
+    async function getHomeCurrency(userId, userData = null) {
+        const data = userData || (await userDoc(userId).get()).data() || {};
+        return CURRENCIES.includes(data.homeCurrency) ? data.homeCurrency : BASE_CURRENCY;
+    }
+
+    /**
+     * The home currency, every stored rate (oldest first) and the latest rate per currency.
+     */
+    async function getRates(userId) {
+        const [homeCurrency, rates] = await Promise.all([getHomeCurrency(userId), loadRates(userId)]);
+        const sorted = rates
+            .map(({ currency, rate, date, source }) => ({ currency, rate, date, source: source || null }))
+            .sort((a, b) => a.currency.localeCompare(b.currency) || a.date.localeCompare(b.date));
+        const latest = {};
+        sorted.forEach(rate => { latest[rate.currency] = rate; });
+        return { homeCurrency, currencies: CURRENCIES, rates: sorted, latest: Object.values(latest) };
+    }
+
+    /**
+     * Stores rates from a CSV (`csv`) or a list (`rates`). A rate for a currency and day replaces the one stored.
+     * @returns {Promise<{imported: number, errors: Array<{line: number, error: string}>}>}
+     */
+    async function importRates(userId, { csv = null, rates = null } = {}) {
+        let parsed;
+        if (csv) {
+            parsed = parseRatesCsv(csv);
+        } else if (Array.isArray(rates)) {
+            if (rates.length > MAX_IMPORT_RATES) throw new FxError(`At most ${MAX_IMPORT_RATES} rates at a time`);
+            parsed = { rates: rates.map(rate => normalizeRate(rate)), errors: [] };
+        } else {
+            throw new FxError('Send the rates as "csv" text or a "rates" list');
+        }
+        if (parsed.rates.length === 0) {
+            throw new FxError(parsed.errors.length ? `No valid rates: ${parsed.errors[0].error}` : 'No rates to import');
+        }
+
+        const now = new Date().toISOString();
+        for (let start = 0; start < parsed.rates.length; start += IMPORT_BATCH_SIZE) {
+            const batch = db.batch();
+            parsed.rates.slice(start, start + IMPORT_BATCH_SIZE).forEach(rate => {
+                batch.set(ratesRef(userId).doc(`${rate.currency}_${rate.date}`), {
+                    ...rate,
+                    source: csv ? 'import' : 'manual',
+                    updatedAt: now
+                });
+            });
+            await batch.commit();
+        }
+        return { imported: parsed.rates.length, errors: parsed.errors };
+    }
+
+    async function setHomeCurrency(userId, currency) {
+        const homeCurrency = normalizeCurrency(currency);
+        await userDoc(userId).set({ homeCurrency, updatedAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+        return homeCurrency;
+    }
+
+    /**
+     * Accounts and transactions converted to the user's home currency (see toHomeCurrency).
+     * Pass `userData` when the user document is already loaded.
+     */
+    async function convertForUser(userId, { accounts = [], transactions = [], userData = null } = {}) {
+        const [homeCurrency, rates] = await Promise.all([getHomeCurrency(userId, userData), loadRates(userId)]);
+        return { homeCurrency, ...toHomeCurrency({ accounts, transactions }, createRateTable(rates), homeCurrency) };
+    }
+
+    return {
+        getRates,
+        importRates,
+        setHomeCurrency,
+        convertForUser
+    };
+}
+
+module.exports = {
+    BASE_CURRENCY,
+    CURRENCIES,
+    FxError,
+    currencyOf,
+    normalizeCurrency,
+    parseRatesCsv,
+    createRateTable,
+    toHomeCurrency,
+    createFxService
+};
@@ -0,0 +1,512 @@
+/**
+ * Investment Holdings for Kita-kita Platform
+ * Holdings (a PSE stock, a UITF, Pag-IBIG MP2, a coin, a bond) live in users/{uid}/holdings with their buy, sell
+ * and dividend events in users/{uid}/holdings/{holdingId}/events. Units are matched first-in, first-out: a sale
+ * realizes its gain against the oldest lots still held, and what is left is the cost basis.
+ * Prices come from the user's own price table, users/{uid}/prices, one document per symbol and day, filled by
+ * CSV import rather than a live market feed. MP2 has no market price; its units are pesos at price 1.
+ * Holdings are tracked next to account balances, not through them: events don't post transactions.
+ * Dates are 'YYYY-MM-DD' strings in Philippine time.
+ */
+
+const { parseCsv } = require('./statement-import.js');
+const { today } = require('./recurring-transactions.js');
+const { BASE_CURRENCY, normalizeCurrency, createRateTable } = require('./fx-rates.js');
+
+const ASSET_CLASSES = ['stock', 'uitf', 'mp2', 'crypto', 'bond', 'other'];
+const EVENT_TYPES = ['buy', 'sell', 'dividend'];
+// Asset classes priced at 1 per unit (the unit is a peso put in)
+const FIXED_PRICE_CLASSES = ['mp2'];
+const SYMBOL_PATTERN = /^[A-Z0-9][A-Z0-9.-]{0,19}$/;
+const MAX_NAME_LENGTH = 60;
+const MAX_NOTES_LENGTH = 120;
+const MAX_IMPORT_PRICES = 5000;
+const WRITE_BATCH_SIZE = 400;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Units can be fractional (UITF units, crypto); anything below this is rounding dust
+const UNIT_EPSILON = 1e-8;
+
+class HoldingError extends Error {
+    constructor(message, status = 400, code = 'INVALID_HOLDING') {
+        super(message);
+        this.name = 'HoldingError';
+        this.code = code;
+        this.status = status;
+    }
+
+    toJSON() {
+        return { error: this.message, code: this.code };
+    }
+}
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function roundUnits(value) {
+    return Math.round(value * 1e8) / 1e8;
+}
+
+function normalizeSymbol(value) {
+    const symbol = String(value || '').trim().toUpperCase();
+    if (!SYMBOL_PATTERN.test(symbol)) {
+        throw new HoldingError('symbol must be 1-20 letters, digits, dots or dashes (e.g. BDO, ALI, BTC, BPIEQIX)');
+    }
+    return symbol;
+}
+
+function requireDate(value, field) {
+    const date = String(value || '').trim();
+    if (!DATE_PATTERN.test(date)) throw new HoldingError(`${field} must be a YYYY-MM-DD date`);
+    return date;
+}
+
+function toNumber(value) {
+    return Number(String(value ?? '').replace(/,/g, ''));
+}
+
+/**
+ * Validate a holding. Updates pass the stored holding as `existing`.
+ * @returns {{symbol: string, name: string, assetClass: string, currency: string, accountId: string|null}}
+ */
+function normalizeHolding(input, existing = null) {
+    const merged = { ...(existing || {}), ...(input || {}) };
+
+    const symbol = normalizeSymbol(merged.symbol);
+    const name = String(merged.name || symbol).trim();
+    if (name.length > MAX_NAME_LENGTH) throw new HoldingError(`name must be at most ${MAX_NAME_LENGTH} characters`);
+
+    const assetClass = merged.assetClass || 'stock';
+    if (!ASSET_CLASSES.includes(assetClass)) {
+        throw new HoldingError(`assetClass must be one of: ${ASSET_CLASSES.join(', ')}`);
+    }
+
+    return {
+        symbol,
+        name,
+        assetClass,
+        currency: normalizeCurrency(merged.currency || BASE_CURRENCY),
+        accountId: merged.accountId || null
+    };
+}
+
+/**
+ * Validate one event. `price` is per unit and `fees` are the broker's charges; a dividend is the cash `amount` received.
+ * @returns {{type: string, date: string, units: number, price: number, fees: number, amount: number, notes: string}}
+ */
+function normalizeEvent(input, asOf = today()) {
+    const type = input?.type;
+    if (!EVENT_TYPES.includes(type)) throw new HoldingError(`type must be one of: ${EVENT_TYPES.join(', ')}`);
+    const date = requireDate(input.date || asOf, 'date');
+    if (date > asOf) throw new HoldingError('date cannot be in the future');
+
+    const notes = String(input.notes || '').trim();
+    if (notes.length > MAX_NOTES_LENGTH) throw new HoldingError(`notes must be at most ${MAX_NOTES_LENGTH} characters`);
+
+    const fees = toNumber(input.fees || 0);
+    if (!Number.isFinite(fees) || fees < 0) throw new HoldingError('fees must be zero or more');
+
+    if (type === 'dividend') {
+        const amount = toNumber(input.amount);
+        if (!Number.isFinite(amount) || amount <= 0) throw new HoldingError('amount must be a positive number');
+        return { type, date, units: 0, price: 0, fees: roundMoney(fees), amount: roundMoney(amount), notes };
+    }
+
+    const units = toNumber(input.units);
+    if (!Number.isFinite(units) || units <= 0) throw new HoldingError('units must be a positive number');
+    const price = toNumber(input.price);
+    if (!Number.isFinite(price) || price < 0) throw new HoldingError('price must be zero or more');
+    return {
+        type,
+        date,
+        units: roundUnits(units),
+        price,
+        fees: roundMoney(fees),
+        amount: roundMoney(units * price),
+        notes
+    };
+}
+
+/**
+ * Replay a holding's events first-in, first-out. Throws when a sale is for more units than are held on its date.
+ * @param {Array<object>} events Stored events (any order)
+ * @param {{price: number, date: string}|null} quote Current price per unit, or null when there is none
+ * @returns {{units: number, costBasis: number, averageCost: number|null, price: number|null, priceDate: string|null,
+ *   marketValue: number|null, unrealizedGain: number|null, unrealizedPercent: number|null, realizedGain: number,
+ *   dividends: number, lots: Array<{date: string, units: number, costPerUnit: number}>}}
+ */
+function computePosition(events, quote = null) {
+    const ordered = [...events].sort((a, b) => a.date.localeCompare(b.date)
+        || String(a.createdAt || '').localeCompare(String(b.createdAt || '')));
+
+    const lots = [];
+    let realizedGain = 0;
+    let dividends = 0;
+    ordered.forEach(event => {
+        if (event.type === 'dividend') {
+            dividends += event.amount - (event.fees || 0);
+            return;
+        }
+        if (event.type === 'buy') {
+            // Fees are part of what the units cost
+            lots.push({ date: event.date, units: event.units, costPerUnit: (event.units * event.price + event.fees) / event.units });
+            return;
+        }
+
+        let remaining = event.units;
+        let cost = 0;
+        while (remaining > UNIT_EPSILON && lots.length > 0) {
+            const lot = lots[0];
+            const taken = Math.min(lot.units, remaining);
+            cost += taken * lot.costPerUnit;
+            lot.units = roundUnits(lot.units - taken);
+            remaining = roundUnits(remaining - taken);
+            if (lot.units <= UNIT_EPSILON) lots.shift();
+        }
+        if (remaining > UNIT_EPSILON) {
+            throw new HoldingError(`Selling ${event.units} units on ${event.date} is more than was held then`, 409, 'HOLDING_OVERSOLD');
+        }
+        realizedGain += event.units * event.price - event.fees - cost;
+    });
+
+    const units = roundUnits(lots.reduce((sum, lot) => sum + lot.units, 0));
+    const costBasis = roundMoney(lots.reduce((sum, lot) => sum + lot.units * lot.costPerUnit, 0));
+    const marketValue = quote ? roundMoney(units * quote.price) : null;
+    const unrealizedGain = marketValue === null ? null : roundMoney(marketValue - costBasis);
+
+    return {
+        units,
+        costBasis,
+        averageCost: units > UNIT_EPSILON ? roundMoney(costBasis / units) : null,
+        price: quote ? quote.price : null,
+        priceDate: quote ? quote.date : null,
+        marketValue,
+        unrealizedGain,
+        unrealizedPercent: unrealizedGain === null || costBasis === 0 ? null : Math.round((unrealizedGain / costBasis) * 1000) / 10,
+        realizedGain: roundMoney(realizedGain),
+        dividends: roundMoney(dividends),
+        lots: lots.map(lot => ({ date: lot.date, units: lot.units, costPerUnit: roundMoney(lot.costPerUnit) }))
+    };
+}
+
+/**
+ * Validate one price: what one unit of `symbol` was worth on `date`.
+ * @returns {{symbol: string, price: number, date: string}}
+ */
+function normalizePrice(input, defaultDate = today()) {
+    const symbol = normalizeSymbol(input?.symbol);
+    const price = toNumber(input.price);
+    if (!Number.isFinite(price) || price < 0) throw new HoldingError(`price for ${symbol} must be zero or more`);
+    const date = input.date ? String(input.date).trim() : defaultDate;
+    if (!DATE_PATTERN.test(date)) throw new HoldingError(`date for ${symbol} must be a YYYY-MM-DD date`);
+    return { symbol, price, date };
+}
+
+/**
+ * Read a prices CSV with a `symbol` (or `ticker`, `code`, `fund`) column, a `price` (or `close`, `nav`, `navpu`) column
+ * and an optional `date` column; rows without a date take `defaultDate`. Bad rows are reported, not fatal.
+ * @returns {{prices: Array<{symbol: string, price: number, date: string}>, errors: Array<{line: number, error: string}>}}
+ */
+function parsePricesCsv(text, defaultDate = today()) {
+    const [header = [], ...rows] = parseCsv(String(text || '')).filter(row => row.some(cell => String(cell).trim()));
+    const columns = header.map(cell => String(cell).trim().toLowerCase());
+    const find = names => columns.findIndex(column => names.includes(column));
+    const symbolColumn = find(['symbol', 'ticker', 'code', 'fund']);
+    const priceColumn = find(['price', 'close', 'last', 'nav', 'navpu']);
+    const dateColumn = find(['date', 'as of', 'asof']);
+    if (symbolColumn === -1 || priceColumn === -1) {
+        throw new HoldingError('The CSV needs a "symbol" column and a "price" column');
+    }
+    if (rows.length > MAX_IMPORT_PRICES) throw new HoldingError(`A prices file can have at most ${MAX_IMPORT_PRICES} rows`);
+
+    const prices = [];
+    const errors = [];
+    rows.forEach((row, index) => {
+        try {
+            prices.push(normalizePrice({
+                symbol: row[symbolColumn],
+                price: row[priceColumn],
+                date: dateColumn === -1 ? '' : row[dateColumn]
+            }, defaultDate));
+        } catch (error) {
+            errors.push({ line: index + 2, error: error.message });
+        }
+    });
+    return { prices, errors };
+}
+
+/**
+ * The latest price of each symbol on or before `asOf`.
+ * @returns {Map<string, {price: number, date: string}>}
+ */
+function latestPrices(prices, asOf = today()) {
+    const latest = new Map();
+    prices.forEach(({ symbol, price, date }) => {
+        if (date > asOf) return;
+        const current = latest.get(symbol);
+        if (!current || date > current.date) latest.set(symbol, { price, date });
+    });
+    return latest;
+}
+
+function quoteFor(holding, prices, asOf = today()) {
+    if (FIXED_PRICE_CLASSES.includes(holding.assetClass)) return { price: 1, date: asOf };
+    return prices.get(holding.symbol) || null;
+}
+
+/**
+ * Totals and allocation by asset class, in `homeCurrency`. Holdings without a price, or in a currency
+ * without an FX rate, are left out of the totals and counted in `unpriced`.
+ */
+function summarizePortfolio(holdings, rateTable, homeCurrency, asOf = today()) {
+    const totals = { marketValue: 0, costBasis: 0, unrealizedGain: 0, realizedGain: 0, dividends: 0 };
+    const byClass = {};
+    let unpriced = 0;
+
+    holdings.forEach(({ currency, assetClass, position }) => {
+        const convert = value => rateTable.convert(value, currency, homeCurrency, asOf);
+        const realized = convert(position.realizedGain);
+        const dividends = convert(position.dividends);
+        if (realized !== null) totals.realizedGain += realized;
+        if (dividends !== null) totals.dividends += dividends;
+        if (position.units <= UNIT_EPSILON) return;
+
+        const marketValue = position.marketValue === null ? null : convert(position.marketValue);
+        if (marketValue === null) {
+            unpriced++;
+            return;
+        }
+        const costBasis = convert(position.costBasis);
+        totals.marketValue += marketValue;
+        totals.costBasis += costBasis;
+        totals.unrealizedGain += marketValue - costBasis;
+        byClass[assetClass] = (byClass[assetClass] || 0) + marketValue;
+    });
+
+    const allocation = Object.entries(byClass)
+        .map(([assetClass, marketValue]) => ({
+            assetClass,
+            marketValue: roundMoney(marketValue),
+            percent: totals.marketValue > 0 ? Math.round((marketValue / totals.marketValue) * 1000) / 10 : 0
+        }))
+        .sort((a, b) => b.marketValue - a.marketValue);
+
+    return {
+        currency: homeCurrency,
+        marketValue: roundMoney(totals.marketValue),
+        costBasis: roundMoney(totals.costBasis),
+        unrealizedGain: roundMoney(totals.unrealizedGain),
+        unrealizedPercent: totals.costBasis > 0 ? Math.round((totals.unrealizedGain / totals.costBasis) * 1000) / 10 : null,
+        realizedGain: roundMoney(totals.realizedGain),
+        dividends: roundMoney(totals.dividends),
+        allocation,
+        unpriced
+    };
+}
+
+function createHoldingService({ db, fx }) {
+    const userDoc = userId => db.collection('users').doc(userId);
+    const holdingsRef = userId => userDoc(userId).collection('holdings');
+    const eventsRef = (userId, holdingId) => holdingsRef(userId).doc(holdingId).collection('events');
+    const pricesRef = userId => userDoc(userId).collection('prices');
+
+    async function getHoldingDoc(userId, holdingId) {
+        const doc = await holdingsRef(userId).doc(holdingId).get();
+        if (!doc.exists) throw new HoldingError('Holding not found', 404, 'HOLDING_NOT_FOUND');
+        return { id: doc.id, ...doc.data() };
+    }
+
+    async function loadEvents(userId, holdingId) {
+        const snapshot = await eventsRef(userId, holdingId).get();
+        return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    }
+
+    async function loadPrices(userId) {
+        const snapshot = await pricesRef(userId).get();
+        return snapshot.docs.map(doc => doc.data());
+    }
+
+    // The linked account's name is stored with the holding so lists don't need the account
+    async function resolveAccount(userId, accountId) {
+        if (!accountId) return null;
+        const doc = await userDoc(userId).collection('bankAccounts').doc(accountId).get();
+        if (!doc.exists) throw new HoldingError('Linked account not found');
+        return doc.data().name || doc.data().accountName || null;
+    }
+
+    /**
+     * Every holding with its position, and the portfolio's totals and allocation in the home currency.
+     * @returns {Promise<{holdings: Array<object>, summary: object}>} See computePosition and summarizePortfolio
+     */
+    async function getPortfolio(userId, { asOf = today() } = {}) {
+        const [snapshot, prices, rates] = await Promise.all([
+            holdingsRef(userId).get(),
+            loadPrices(userId),
+            fx.getRates(userId)
+        ]);
+        const quotes = latestPrices(prices, asOf);
+        const holdings = await Promise.all(snapshot.docs.map(async doc => {
+            const holding = { id: doc.id, ...doc.data() };
+            const position = computePosition(await loadEvents(userId, doc.id), quoteFor(holding, quotes, asOf));
+            return { ...holding, position };
+        }));
+        holdings.sort((a, b) => ASSET_CLASSES.indexOf(a.assetClass) - ASSET_CLASSES.indexOf(b.assetClass)
+            || a.symbol.localeCompare(b.symbol));
+
+        return {
+            holdings,
+            summary: summarizePortfolio(holdings, createRateTable(rates.rates), rates.homeCurrency, asOf)
+        };
+    }
+
+    /**
+     * One holding with its position and events, newest first.
+     */
+    async function getHolding(userId, holdingId) {
+        const [holding, events, prices] = await Promise.all([
+            getHoldingDoc(userId, holdingId),
+            loadEvents(userId, holdingId),
+            loadPrices(userId)
+        ]);
+        return {
+            ...holding,
+            position: computePosition(events, quoteFor(holding, latestPrices(prices))),
+            events: events.sort((a, b) => b.date.localeCompare(a.date))
+        };
+    }
+
+    async function createHolding(userId, input) {
+        const holding = normalizeHolding(input);
+        const accountName = await resolveAccount(userId, holding.accountId);
+        const now = new Date().toISOString();
+        const data = { ...holding, accountName, createdAt: now, updatedAt: now };
+        const docRef = await holdingsRef(userId).add(data);
+        return { id: docRef.id, ...data };
+    }
+
+    async function updateHolding(userId, holdingId, input) {
+        const existing = await getHoldingDoc(userId, holdingId);
+        const holding = normalizeHolding(input, existing);
+        const accountName = holding.accountId === existing.accountId
+            ? existing.accountName || null
+            : await resolveAccount(userId, holding.accountId);
+        const update = { ...holding, accountName, updatedAt: new Date().toISOString() };
+        await holdingsRef(userId).doc(holdingId).update(update);
+        return { ...existing, ...update };
+    }
+
+    /**
+     * Removes a holding and its events.
+     */
+    async function deleteHolding(userId, holdingId) {
+        await getHoldingDoc(userId, holdingId);
+        const events = await eventsRef(userId, holdingId).get();
+        for (let start = 0; start < events.docs.length; start += WRITE_BATCH_SIZE) {
+            const batch = db.batch();
+            events.docs.slice(start, start + WRITE_BATCH_SIZE).forEach(doc => batch.delete(doc.ref));
+            await batch.commit();
+        }
+        await holdingsRef(userId).doc(holdingId).delete();
+    }
+
+    /**
+     * Record a buy, sell or dividend. Rejected (HOLDING_OVERSOLD) if a sale would be for more than is held.
+     * @returns {Promise<object>} The stored event
+     */
+    async function addEvent(userId, holdingId, input) {
+        const event = normalizeEvent(input);
+        await getHoldingDoc(userId, holdingId);
+        const ref = eventsRef(userId, holdingId).doc();
+        const stored = { ...event, id: ref.id, createdAt: new Date().toISOString() };
+
+        await db.runTransaction(async tx => {
+            const snapshot = await tx.get(eventsRef(userId, holdingId));
+            computePosition([...snapshot.docs.map(doc => doc.data()), stored]);
+            tx.set(ref, stored);
+            tx.update(holdingsRef(userId).doc(holdingId), { updatedAt: stored.createdAt });
+        });
+        return stored;
+    }
+
+    /**
+     * Remove an event. A buy that a later sale drew on can't be removed before that sale.
+     */
+    async function deleteEvent(userId, holdingId, eventId) {
+        const ref = eventsRef(userId, holdingId).doc(eventId);
+        await db.runTransaction(async tx => {
+            const snapshot = await tx.get(eventsRef(userId, holdingId));
+            if (!snapshot.docs.some(doc => doc.id === eventId)) {
+                throw new HoldingError('Event not found', 404, 'HOLDING_EVENT_NOT_FOUND');
+            }
+            computePosition(snapshot.docs.filter(doc => doc.id !== eventId).map(doc => doc.data()));
+            tx.delete(ref);
+        });
+    }
+
+    /**
+     * The latest price of each symbol, newest first.
+     */
+    async function getPrices(userId) {
+        const latest = latestPrices(await loadPrices(userId));
+        return [...latest.entries()]
+            .map(([symbol, { price, date }]) => ({ symbol, price, date }))
+            .sort((a, b) => b.date.localeCompare(a.date) || a.symbol.localeCompare(b.symbol));
+    }
+
+    /**
+     * Stores prices from a CSV (`csv`) or a list (`prices`). A price for a symbol and day replaces the one stored.
+     * @returns {Promise<{imported: number, errors: Array<{line: number, error: string}>}>}
+     */
+    async function importPrices(userId, { csv = null, prices = null } = {}) {
+        let parsed;
+        if (csv) {
+            parsed = parsePricesCsv(csv);
+        } else if (Array.isArray(prices)) {
+            if (prices.length > MAX_IMPORT_PRICES) throw new HoldingError(`At most ${MAX_IMPORT_PRICES} prices at a time`);
+            parsed = { prices: prices.map(price => normalizePrice(price)), errors: [] };
+        } else {
+            throw new HoldingError('Send the prices as "csv" text or a "prices" list');
+        }
+        if (parsed.prices.length === 0) {
+            throw new HoldingError(parsed.errors.length ? `No valid prices: ${parsed.errors[0].error}` : 'No prices to import');
+        }
+
+        const now = new Date().toISOString();
+        for (let start = 0; start < parsed.prices.length; start += WRITE_BATCH_SIZE) {
+            const batch = db.batch();
+            parsed.prices.slice(start, start + WRITE_BATCH_SIZE).forEach(price => {
+                batch.set(pricesRef(userId).doc(`${price.symbol}_${price.date}`), {
+                    ...price,
+                    source: csv ? 'import' : 'manual',
+                    updatedAt: now
+                });
+            });
+            await batch.commit();
+        }
+        return { imported: parsed.prices.length, errors: parsed.errors };
+    }
+
+    return {
+        getPortfolio,
+        getHolding,
+        createHolding,
+        updateHolding,
+        deleteHolding,
+        addEvent,
+        deleteEvent,
+        getPrices,
+        importPrices
+    };
+}
+
+module.exports = {
+    ASSET_CLASSES,
+    EVENT_TYPES,
+    HoldingError,
+    normalizeHolding,
+    normalizeEvent,
+    computePosition,
+    parsePricesCsv,
+    summarizePortfolio,
+    createHoldingService
+};
@@ -0,0 +1,273 @@
+/**
+ * LLM Provider Layer for Kita-kita Platform
+ * Every AI call on the server goes through one of these providers, selected by AI_PROVIDER
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'llm');
+
+/**
+ * Typed error for a provider that could not produce a completion (network, quota, missing fixture)
+ */
+class AIProviderError extends Error {
+    constructor(message, status = 503, code = 'AI_UNAVAILABLE') {
+        super(message);
+        this.name = 'AIProviderError';
+        this.code = code;
+        this.status = status;
+    }
+
+    toJSON() {
+        return { error: this.message, code: this.code };
+    }
+}
+
+/**
+ * Base provider - subclasses implement generate(prompt, options) and resolve to raw text.
+ * stream(prompt, options) yields text chunks; options.signal (AbortSignal) cancels it.
+ */
+class LLMProvider {
+    constructor(name) {
+        this.name = name;
+    }
+
+    async generate(prompt, options = {}) {
+        throw new Error('generate must be implemented by provider');
+    }
+
+    // Providers without native streaming deliver the whole completion as one chunk
+    async *stream(prompt, options = {}) {
+        yield await this.generate(prompt, options);
+    }
+
+    isAvailable() {
+        return true;
+    }
+}
+
+/**
+ * Google Gemini provider
+ */
+class GeminiProvider extends LLMProvider {
+    constructor(config = {}) {
+        super('gemini');
+        this.apiKey = config.apiKey || process.env.GEMINI_API_KEY;
+        this.modelName = config.model || process.env.GEMINI_MODEL || 'gemini-pro';
+        this.client = new GoogleGenerativeAI(this.apiKey);
+        this.model = this.client.getGenerativeModel({ model: this.modelName });
+    }
+
+    isAvailable() {
+        return !!this.apiKey;
+    }
+
+    async generate(prompt, options = {}) {
+        const result = await this.model.generateContent(prompt);
+        const response = await result.response;
+        return response.text();
+    }
+
+    async *stream(prompt, options = {}) {
+        const result = await this.model.generateContentStream(prompt, { signal: options.signal });
+        for await (const chunk of result.stream) {
+            const text = chunk.text();
+            if (text) yield text;
+        }
+    }
+}
+
+/**
+ * OpenAI-compatible chat completions provider (OpenAI, Phi-3 hosts, local inference servers)
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+    constructor(config = {}) {
+        super(config.name || 'openai');
+        this.apiKey = config.apiKey || process.env.OPENAI_API_KEY;
+        this.baseURL = (config.baseURL || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+        this.modelName = config.model || process.env.OPENAI_MODEL || 'gpt-4o-mini';
+    }
+
+    isAvailable() {
+        return !!this.apiKey;
+    }
+
+    async request(prompt, options = {}, stream = false) {
+        const response = await fetch(`${this.baseURL}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${this.apiKey}`
+            },
+            body: JSON.stringify({
+                model: this.modelName,
+                messages: [{ role: 'user', content: prompt }],
+                temperature: options.temperature ?? 0.7,
+                stream
+            }),
+            signal: options.signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`${this.name} request failed with status ${response.status}`);
+        }
+        return response;
+    }
+
+    async *stream(prompt, options = {}) {
+        const response = await this.request(prompt, options, true);
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        // Completions arrive as SSE lines: "data: {json}" ... "data: [DONE]"
+        for await (const bytes of response.body) {
+            buffer += decoder.decode(bytes, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+
+            for (const line of lines) {
+                const payload = line.replace(/^data:\s*/, '').trim();
+                if (!line.startsWith('data:') || !payload) continue;
+                if (payload === '[DONE]') return;
+
+                const text = JSON.parse(payload).choices?.[0]?.delta?.content;
+                if (text) yield text;
+            }
+        }
+    }
+
+    async generate(prompt, options = {}) {
+        const response = await this.request(prompt, options);
+        const data = await response.json();
+        const text = data.choices?.[0]?.message?.content;
+        if (typeof text !== 'string') {
+            throw new Error(`${this.name} returned an empty completion`);
+        }
+        return text;
+    }
+}
+
+/**
+ * Deterministic local provider that replays canned responses from fixture files.
+ * Fixtures live in <fixturesDir>/<task>.json:
+ * {
+ *   "responses": [{ "agentType": "iponCoach", "match": "substring of prompt", "response": "..." }],
+ *   "default": "..."
+ * }
+ * Responses may be strings or JSON values (serialized before being returned).
+ */
+class LocalMockProvider extends LLMProvider {
+    constructor(config = {}) {
+        super('local');
+        this.fixturesDir = config.fixturesDir || process.env.AI_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+        this.cache = new Map();
+        this.calls = [];
+    }
+
+    loadFixture(task) {
+        if (this.cache.has(task)) return this.cache.get(task);
+
+        let fixture = null;
+        const fixturePath = path.join(this.fixturesDir, `${task}.json`);
+        try {
+            if (fs.existsSync(fixturePath)) {
+                fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+            }
+        } catch (error) {
+            console.warn(`[LocalMockProvider] Failed to load fixture ${fixturePath}:`, error.message);
+        }
+
+        this.cache.set(task, fixture);
+        return fixture;
+    }
+
+    selectResponse(fixture, prompt, agentType) {
+        const candidates = Array.isArray(fixture.responses) ? fixture.responses : [];
+        const match = candidates.find(entry =>
+            (!entry.agentType || entry.agentType === agentType) &&
+            (!entry.match || prompt.includes(entry.match))
+        );
+        return match ? match.response : fixture.default;
+    }
+
+    async generate(prompt, options = {}) {
+        const task = options.task || 'default';
+        this.calls.push({ task, agentType: options.agentType || null, prompt });
+
+        const fixture = this.loadFixture(task) || this.loadFixture('default');
+        if (!fixture) {
+            throw new Error(`No local fixture found for task "${task}" in ${this.fixturesDir}`);
+        }
+
+        const response = this.selectResponse(fixture, prompt, options.agentType);
+        if (response === undefined) {
+            throw new Error(`Local fixture for task "${task}" has no matching response`);
+        }
+        return typeof response === 'string' ? response : JSON.stringify(response);
+    }
+
+    // Replays the fixture word by word so streaming clients can be exercised offline
+    async *stream(prompt, options = {}) {
+        const text = await this.generate(prompt, options);
+        for (const chunk of text.match(/\S+\s*/g) || []) {
+            if (options.signal?.aborted) return;
+            yield chunk;
+        }
+    }
+}
+
+const PROVIDERS = {
+    gemini: config => new GeminiProvider(config),
+    openai: config => new OpenAICompatibleProvider(config),
+    phi3: config => new OpenAICompatibleProvider({
+        name: 'phi3',
+        apiKey: process.env.PHI3_API_KEY,
+        baseURL: process.env.PHI3_BASE_URL,
+        model: process.env.PHI3_MODEL || 'phi3-mini',
+        ...config
+    }),
+    local: config => new LocalMockProvider(config)
+};
+
+/**
+ * Create a provider by name (defaults to AI_PROVIDER, then gemini)
+ */
+function createProvider(name = process.env.AI_PROVIDER || 'gemini', config = {}) {
+    const factory = PROVIDERS[name.toLowerCase()];
+    if (!factory) {
+        throw new Error(`Unknown AI provider: ${name}. Expected one of ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return factory(config);
+}
+
+/**
+ * Call a provider with retries and exponential backoff. Throws an AIProviderError once it gives up,
+ * so routes answer a provider outage with a typed 503.
+ */
+async function generateWithRetry(provider, prompt, options = {}, retries = 3) {
+    for (let attempt = 1; attempt <= retries; attempt++) {
+        try {
+            return await provider.generate(prompt, options);
+        } catch (error) {
+            console.error(`${provider.name} attempt ${attempt} failed:`, error.message);
+            if (attempt === retries) {
+                throw new AIProviderError(`${provider.name} failed after ${retries} attempts: ${error.message}`);
+            }
+            // Local fixtures are deterministic, retrying will not change the outcome
+            if (provider.name === 'local') throw new AIProviderError(error.message);
+            await new Promise(resolve => setTimeout(resolve, Math.pow(2, attempt) * 1000));
+        }
+    }
+}
+
+module.exports = {
+    AIProviderError,
+    LLMProvider,
+    GeminiProvider,
+    OpenAICompatibleProvider,
+    LocalMockProvider,
+    createProvider,
+    generateWithRetry
+};
@@ -0,0 +1,268 @@
+/**
+ * Net Worth Snapshots for Kita-kita Platform
+ * A scheduled job records each user's assets and liabilities, grouped by account type, once a day in
+ * users/{uid}/netWorthSnapshots/{YYYY-MM-DD}; a later run on the same day replaces that day's figure.
+ * Balances are converted to the user's home currency first, so a snapshot is a single-currency total.
+ * History, month-over-month changes and the trend fed to the agents are derived from these documents.
+ */
+
+const { today, isLiability } = require('./recurring-transactions.js');
+const { createRateTable } = require('./fx-rates.js');
+
+// Liabilities (credit cards and loans) all count under 'credit'; 'other' catches accounts without a known category
+const ACCOUNT_TYPES = ['traditional-bank', 'digital-wallet', 'cash', 'investment', 'credit', 'other'];
+const DEFAULT_HISTORY_DAYS = 365;
+const MAX_HISTORY_DAYS = 5 * 365;
+const TREND_MONTHS = 6;
+// The snapshot job reads users a page at a time (ids only) and snapshots a few of them at once
+const USER_PAGE_SIZE = 200;
+const SNAPSHOT_CONCURRENCY = 10;
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function accountType(account) {
+    if (isLiability(account)) return 'credit';
+    return ACCOUNT_TYPES.includes(account.category) ? account.category : 'other';
+}
+
+/**
+ * Totals for one day from accounts already in `currency`. A liability's balance is what is owed.
+ * Accounts whose balance could not be converted (no FX rate) are left out and counted in `fxMissing`.
+ * @returns {{date: string, currency: string, assets: number, liabilities: number, netWorth: number,
+ *   byType: Object<string, {assets: number, liabilities: number, accounts: number}>, accounts: number, fxMissing: number}}
+ */
+function buildSnapshot(accounts, { date = today(), currency = 'PHP' } = {}) {
+    const byType = {};
+    let assets = 0;
+    let liabilities = 0;
+    let counted = 0;
+    let fxMissing = 0;
+
+    accounts.forEach(account => {
+        if (account.fxMissing) {
+            fxMissing++;
+            return;
+        }
+        const type = accountType(account);
+        const balance = parseFloat(account.balance) || 0;
+        const entry = byType[type] || (byType[type] = { assets: 0, liabilities: 0, accounts: 0 });
+        if (isLiability(account)) {
+            entry.liabilities += balance;
+            liabilities += balance;
+        } else {
+            entry.assets += balance;
+            assets += balance;
+        }
+        entry.accounts++;
+        counted++;
+    });
+
+    Object.values(byType).forEach(entry => {
+        entry.assets = roundMoney(entry.assets);
+        entry.liabilities = roundMoney(entry.liabilities);
+    });
+    return {
+        date,
+        currency,
+        assets: roundMoney(assets),
+        liabilities: roundMoney(liabilities),
+        netWorth: roundMoney(assets - liabilities),
+        byType,
+        accounts: counted,
+        fxMissing
+    };
+}
+
+/**
+ * A snapshot restated in another currency at the rate on its own date; null when a rate is missing.
+ */
+function convertSnapshot(snapshot, table, currency) {
+    if (snapshot.currency === currency) return snapshot;
+    const convert = value => table.convert(value, snapshot.currency, currency, snapshot.date);
+    if (convert(1) === null) return null;
+
+    const byType = {};
+    Object.entries(snapshot.byType || {}).forEach(([type, entry]) => {
+        byType[type] = { ...entry, assets: convert(entry.assets), liabilities: convert(entry.liabilities) };
+    });
+    return {
+        ...snapshot,
+        currency,
+        assets: convert(snapshot.assets),
+        liabilities: convert(snapshot.liabilities),
+        netWorth: convert(snapshot.netWorth),
+        byType
+    };
+}
+
+/**
+ * The last snapshot of each month (oldest first) with the change from the month before.
+ * @returns {Array<{month: string, date: string, assets: number, liabilities: number, netWorth: number,
+ *   change: number|null, changePercent: number|null}>} change is null for the first month
+ */
+function monthlyHistory(snapshots) {
+    const byMonth = new Map();
+    [...snapshots]
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .forEach(snapshot => byMonth.set(snapshot.date.slice(0, 7), snapshot));
+
+    let previous = null;
+    return [...byMonth.entries()].map(([month, { date, assets, liabilities, netWorth }]) => {
+        const change = previous === null ? null : roundMoney(netWorth - previous);
+        const changePercent = change === null || previous === 0
+            ? null
+            : Math.round((change / Math.abs(previous)) * 1000) / 10;
+        previous = netWorth;
+        return { month, date, assets, liabilities, netWorth, change, changePercent };
+    });
+}
+
+/**
+ * What the agents get: the latest figures and the last few month-end changes. Null without snapshots.
+ * @returns {{currency: string, date: string, netWorth: number, assets: number, liabilities: number,
+ *   months: Array<{month: string, netWorth: number, change: number|null, changePercent: number|null}>,
+ *   averageMonthlyChange: number|null, direction: 'up'|'down'|'flat'}|null}
+ */
+function summarizeTrend(snapshots, currency) {
+    if (snapshots.length === 0) return null;
+    const latest = snapshots.reduce((a, b) => (b.date > a.date ? b : a));
+    const months = monthlyHistory(snapshots)
+        .slice(-TREND_MONTHS)
+        .map(({ month, netWorth, change, changePercent }) => ({ month, netWorth, change, changePercent }));
+    const changes = months.map(month => month.change).filter(change => change !== null);
+    const averageMonthlyChange = changes.length > 0
+        ? roundMoney(changes.reduce((sum, change) => sum + change, 0) / changes.length)
+        : null;
+
+    return {
+        currency: currency || latest.currency,
+        date: latest.date,
+        netWorth: latest.netWorth,
+        assets: latest.assets,
+        liabilities: latest.liabilities,
+        months,
+        averageMonthlyChange,
+        direction: averageMonthlyChange > 0 ? 'up' : averageMonthlyChange < 0 ? 'down' : 'flat'
+    };
+}
+
+function shiftDate(date, days) {
+    const shifted = new Date(`${date}T00:00:00Z`);
+    shifted.setUTCDate(shifted.getUTCDate() + days);
+    return shifted.toISOString().slice(0, 10);
+}
+
+function createNetWorthService({ db, fx }) {
+    const userDoc = userId => db.collection('users').doc(userId);
+    const snapshots = userId => userDoc(userId).collection('netWorthSnapshots');
+
+    /**
+     * Record today's net worth for one user. Users without accounts get no snapshot.
+     * @returns {Promise<Object|null>} The stored snapshot (see buildSnapshot)
+     */
+    async function takeSnapshot(userId) {
+        const [userDocSnapshot, accountsSnapshot] = await Promise.all([
+            userDoc(userId).get(),
+            userDoc(userId).collection('bankAccounts').get()
+        ]);
+        const accounts = accountsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        if (accounts.length === 0) return null;
+
+        const converted = await fx.convertForUser(userId, { accounts, userData: userDocSnapshot.data() || {} });
+        const snapshot = buildSnapshot(converted.accounts, { date: today(), currency: converted.homeCurrency });
+        await snapshots(userId).doc(snapshot.date).set({ ...snapshot, updatedAt: new Date().toISOString() });
+        return snapshot;
+    }
+
+    /**
+     * Snapshot every user; one user's failure doesn't stop the rest.
+     * Users are paged by id without their fields, so a run never holds the whole collection.
+     */
+    async function snapshotAll() {
+        let users = 0;
+        let taken = 0;
+        let last = null;
+        do {
+            let page = db.collection('users').orderBy('__name__').select().limit(USER_PAGE_SIZE);
+            if (last) page = page.startAfter(last);
+            const { docs } = await page.get();
+            for (let start = 0; start < docs.length; start += SNAPSHOT_CONCURRENCY) {
+                const results = await Promise.all(docs.slice(start, start + SNAPSHOT_CONCURRENCY).map(doc => takeSnapshot(doc.id)
+                    .catch(error => {
+                        console.error(`❌ Failed to snapshot net worth for ${doc.id}:`, error.message);
+                        return null;
+                    })));
+                taken += results.filter(Boolean).length;
+            }
+            users += docs.length;
+            last = docs.length === USER_PAGE_SIZE ? docs[docs.length - 1] : null;
+        } while (last);
+        return { users, taken };
+    }
+
+    /**
+     * Snapshots from the last `days` days in the user's current home currency (oldest first), the month-end
+     * history and the trend. Snapshots in another currency with no rate for their date are left out.
+     */
+    async function getHistory(userId, { days = DEFAULT_HISTORY_DAYS } = {}) {
+        const span = Math.min(Math.max(parseInt(days, 10) || DEFAULT_HISTORY_DAYS, 1), MAX_HISTORY_DAYS);
+        const [rates, stored] = await Promise.all([
+            fx.getRates(userId),
+            snapshots(userId).where('date', '>=', shiftDate(today(), -span)).orderBy('date').get()
+        ]);
+        const { homeCurrency } = rates;
+        const table = createRateTable(rates.rates);
+        const history = stored.docs
+            .map(doc => convertSnapshot(doc.data(), table, homeCurrency))
+            .filter(Boolean)
+            .sort((a, b) => a.date.localeCompare(b.date));
+
+        return {
+            currency: homeCurrency,
+            snapshots: history,
+            monthly: monthlyHistory(history),
+            trend: summarizeTrend(history, homeCurrency)
+        };
+    }
+
+    /**
+     * The trend only (see summarizeTrend), for agent prompts; null until the first snapshot.
+     */
+    async function getTrend(userId) {
+        return (await getHistory(userId)).trend;
+    }
+
+    /**
+     * Run snapshotAll now and then every `intervalMs`. Returns a stop function.
+     */
+    function startJob(intervalMs = 6 * 60 * 60 * 1000) {
+        const run = () => snapshotAll()
+            .then(({ taken }) => {
+                if (taken > 0) console.log(`📈 Net worth job recorded ${taken} snapshot(s)`);
+            })
+            .catch(error => console.error('❌ Net worth snapshot job failed:', error.message));
+
+        run();
+        const timer = setInterval(run, intervalMs);
+        timer.unref();
+        return () => clearInterval(timer);
+    }
+
+    return {
+        takeSnapshot,
+        snapshotAll,
+        getHistory,
+        getTrend,
+        startJob
+    };
+}
+
+module.exports = {
+    ACCOUNT_TYPES,
+    buildSnapshot,
+    monthlyHistory,
+    summarizeTrend,
+    createNetWorthService
+};
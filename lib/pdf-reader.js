@@ -0,0 +1,101 @@
+/**
+ * PDF Text Reader for Kita-kita Platform
+ * Extracts the text of a (possibly password-protected) PDF as lines, in reading order.
+ * Words on the same baseline are joined; wide gaps become a double space so columns stay apart.
+ */
+
+const MAX_PAGES = 30;
+
+class PdfReadError extends Error {
+    constructor(message, code = 'PDF_UNREADABLE') {
+        super(message);
+        this.name = 'PdfReadError';
+        this.code = code;
+    }
+}
+
+let pdfjsPromise = null;
+
+// pdfjs-dist ships as an ES module; load it once on first use
+function loadPdfjs() {
+    if (!pdfjsPromise) {
+        pdfjsPromise = import('pdfjs-dist/legacy/build/pdf.mjs');
+    }
+    return pdfjsPromise;
+}
+
+function pageLines(items) {
+    const rows = new Map();
+    items.filter(item => item.str && item.str.trim()).forEach(item => {
+        const [, , , , x, y] = item.transform;
+        // Items whose baselines differ by under 2pt belong to the same line
+        const key = [...rows.keys()].find(existing => Math.abs(existing - y) < 2) ?? y;
+        if (!rows.has(key)) rows.set(key, []);
+        rows.get(key).push({ x, width: item.width, text: item.str });
+    });
+
+    return [...rows.entries()]
+        .sort(([a], [b]) => b - a) // PDF y grows upwards
+        .map(([, words]) => {
+            words.sort((a, b) => a.x - b.x);
+            return words.reduce((line, word, index) => {
+                if (index === 0) return word.text.trim();
+                const previous = words[index - 1];
+                const gap = word.x - (previous.x + previous.width);
+                return `${line}${gap > 12 ? '  ' : ' '}${word.text.trim()}`;
+            }, '');
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Read a PDF's text lines
+ * @param {Buffer} buffer PDF file contents
+ * @param {string} [password] Statement password, when the file is protected
+ * @returns {Promise<string[]>} Lines of every page, top to bottom
+ * @throws {PdfReadError} PDF_PASSWORD_REQUIRED, PDF_PASSWORD_INCORRECT or PDF_UNREADABLE
+ */
+async function readPdfLines(buffer, password = '') {
+    const pdfjs = await loadPdfjs();
+    const loadingTask = pdfjs.getDocument({
+        data: new Uint8Array(buffer),
+        password: password || undefined,
+        isEvalSupported: false,
+        disableFontFace: true,
+        useSystemFonts: false,
+        verbosity: 0
+    });
+
+    let document;
+    try {
+        document = await loadingTask.promise;
+    } catch (error) {
+        if (error.name === 'PasswordException') {
+            throw error.code === pdfjs.PasswordResponses.INCORRECT_PASSWORD
+                ? new PdfReadError('The statement password is incorrect', 'PDF_PASSWORD_INCORRECT')
+                : new PdfReadError('This statement is password-protected. Enter its password to read it.', 'PDF_PASSWORD_REQUIRED');
+        }
+        throw new PdfReadError(`Could not read the PDF: ${error.message}`);
+    }
+
+    try {
+        const lines = [];
+        for (let pageNumber = 1; pageNumber <= Math.min(document.numPages, MAX_PAGES); pageNumber++) {
+            const page = await document.getPage(pageNumber);
+            const content = await page.getTextContent();
+            lines.push(...pageLines(content.items));
+            page.cleanup();
+        }
+        if (lines.length === 0) {
+            throw new PdfReadError('The PDF has no text layer (it may be a scanned image)', 'PDF_NO_TEXT');
+        }
+        return lines;
+    } finally {
+        await document.destroy();
+    }
+}
+
+module.exports = {
+    readPdfLines,
+    PdfReadError
+};
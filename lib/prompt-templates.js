@@ -0,0 +1,471 @@
+/**
+ * Prompt Template Registry for Kita-kita Platform
+ * Agent prompts are assembled on the server from the user's stored data. Clients only pick
+ * a template and pass whitelisted parameters (time horizon, risk appetite, ...).
+ */
+
+const PARAMETERS = {
+    timeHorizon: {
+        values: ['short', 'medium', 'long'],
+        default: 'medium',
+        describe: value => ({
+            short: '1-3 years',
+            medium: '3-5 years',
+            long: '5+ years'
+        })[value]
+    },
+    riskAppetite: {
+        values: ['conservative', 'moderate', 'aggressive'],
+        default: 'moderate',
+        describe: value => ({
+            conservative: 'conservative - protect capital first, accept lower returns',
+            moderate: 'moderate - balance safety and growth',
+            aggressive: 'aggressive - prioritize long-term growth, comfortable with volatility'
+        })[value]
+    }
+};
+
+class PromptTemplateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PromptTemplateError';
+        this.code = 'INVALID_PROMPT_PARAMS';
+        this.status = 400;
+    }
+
+    toJSON() {
+        return { error: this.message, code: this.code };
+    }
+}
+
+// --- Financial summaries shared by the templates ---
+
+const toAmount = value => Math.abs(parseFloat(value) || 0);
+const isDebt = acc => acc.category === 'loan' || acc.accountType === 'Credit Card';
+
+function monthlyAverage(transactions, type) {
+    const months = {};
+    transactions.filter(t => t.type === type).forEach(t => {
+        const date = new Date(t.date || t.timestamp);
+        if (isNaN(date)) return;
+        const month = date.toISOString().slice(0, 7);
+        months[month] = (months[month] || 0) + toAmount(t.amount);
+    });
+
+    const totals = Object.values(months);
+    return totals.length > 0 ? totals.reduce((sum, amount) => sum + amount, 0) / totals.length : 0;
+}
+
+function topExpenseCategories(transactions, limit = 5) {
+    const totals = {};
+    transactions.filter(t => t.type === 'expense').forEach(t => {
+        const category = t.category || 'Uncategorized';
+        totals[category] = (totals[category] || 0) + toAmount(t.amount);
+    });
+
+    return Object.entries(totals)
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, limit)
+        .map(([name, total]) => ({ name, total: total.toFixed(2) }));
+}
+
+/**
+ * Compute the figures every template works from
+ */
+function summarizeFinancials({ accounts = [], transactions = [], userData = {} } = {}) {
+    const monthlyIncome = monthlyAverage(transactions, 'income');
+    const monthlyExpenses = monthlyAverage(transactions, 'expense');
+    const totalBalance = accounts.filter(acc => !isDebt(acc)).reduce((sum, acc) => sum + (parseFloat(acc.balance) || 0), 0);
+    const totalDebt = accounts.filter(isDebt).reduce((sum, acc) => sum + toAmount(acc.balance), 0);
+
+    return {
+        monthlyIncome,
+        monthlyExpenses,
+        totalBalance,
+        totalDebt,
+        savingsRate: monthlyIncome > 0 ? ((monthlyIncome - monthlyExpenses) / monthlyIncome) * 100 : 0,
+        topExpenses: topExpenseCategories(transactions),
+        age: parseInt(userData.age) || null,
+        goals: userData.financialProfile?.goals || userData.goals || []
+    };
+}
+
+// Only the fields a model needs, so notes, hashes and ids never reach the prompt
+function summarizeAccounts(accounts) {
+    return accounts.map(acc => ({
+        name: acc.name,
+        type: acc.accountType || acc.category,
+        balance: (parseFloat(acc.balance) || 0).toFixed(2)
+    }));
+}
+
+function summarizeTransactions(transactions, limit = 100) {
+    return transactions.slice(0, limit).map(t => ({
+        date: t.date,
+        description: t.description || t.name,
+        amount: toAmount(t.amount),
+        type: t.type,
+        category: t.category
+    }));
+}
+
+// The WealthBuilder plan prompt; later versions add `sections` to the profile (v2 the net worth trend,
+// v3 also the investments held)
+function wealthPlanPrompt({ accounts, financials, currency, money }, params, sections = '') {
+    return `You are "WealthBuilder AI," an expert wealth management advisor for the Philippine market. Your analysis must be personalized, detailed, and encouraging. Your entire response must be a single, valid JSON object. Do not include any other text or markdown.
+
+**User's Financial Profile (${currency}):**
+- **Core Metrics:**
+  - Average Monthly Income: ${financials.monthlyIncome.toFixed(2)}
+  - Average Monthly Expenses: ${financials.monthlyExpenses.toFixed(2)}
+  - Calculated Savings Rate: ${financials.savingsRate.toFixed(1)}%
+- **Assets:**
+  - Total Liquid Balance: ${financials.totalBalance.toFixed(2)}
+  - Accounts: ${JSON.stringify(summarizeAccounts(accounts))}
+- **Liabilities:**
+  - Total Debt: ${financials.totalDebt.toFixed(2)}
+${sections}- **Spending Habits:**
+  - Top 5 Expense Categories (Monthly Average): ${JSON.stringify(financials.topExpenses)}
+- **Preferences:**
+  - Investment Time Horizon: ${PARAMETERS.timeHorizon.describe(params.timeHorizon)}
+  - Risk Appetite: ${PARAMETERS.riskAppetite.describe(params.riskAppetite)}
+
+**Your Task:**
+Based *only* on the data above, generate a comprehensive wealth-building plan that fits the user's time horizon and risk appetite.
+
+**Required JSON Output Structure:**
+{
+  "persona": "<A short, encouraging persona title for the user, e.g., 'The Emerging Investor', 'The Disciplined Saver'>",
+  "investmentReadinessScore": <Number, 0-100, assessing readiness based on savings, balance, and positive cash flow>,
+  "summary": "<A 2-3 sentence personalized and encouraging summary of their wealth-building potential, directly referencing their data>",
+  "riskAnalysis": "<A 1-2 sentence analysis of their current financial risk exposure based on their savings rate and emergency funds.>",
+  "portfolioSuggestion": {
+    "labels": ["<e.g., Stocks>", "<e.g., Bonds>", "<e.g., Emergency Fund>"],
+    "data": [<Number, e.g., 50>, <Number, e.g., 30>, <Number, e.g., 20>]
+  },
+  "strategicRecommendations": [
+    {
+      "title": "<Specific, actionable title, e.g., 'Establish a Core Equity Investment via UITF'>",
+      "description": "<Detailed explanation of why this strategy fits their profile, mentioning specific data points. Explain the 'what' and 'why'.>",
+      "investmentType": "<Stocks|Bonds|UITF|MP2|Real Estate|REITs|Emergency Fund>",
+      "riskLevel": "<Low|Medium|High>",
+      "timeHorizon": "<1-3 Years|3-5 Years|5+ Years>"
+    }
+  ],
+  "tacticalSteps": [
+    {
+      "title": "<Specific, actionable title, e.g., 'Automate ${money}1,000 Monthly to Savings'>",
+      "description": "<Clear, step-by-step guidance on how to execute this. Link it to their data, e.g., 'Given your ${money}${financials.monthlyIncome.toFixed(0)} income...'>",
+      "difficulty": "<Easy|Moderate>",
+      "impact": "<Medium|High>"
+    }
+  ]
+}`;
+}
+
+/**
+ * Profile lines for the net worth trend from daily snapshots (see lib/net-worth.js summarizeTrend)
+ */
+function netWorthTrendSection(trend) {
+    if (!trend) {
+        return `- **Net Worth Trend:**
+  - No snapshots yet; judge the trend from cash flow alone.
+`;
+    }
+    const months = trend.months.map(({ month, netWorth, change, changePercent }) => ({
+        month,
+        netWorth: netWorth.toFixed(2),
+        change: change === null ? null : change.toFixed(2),
+        changePercent
+    }));
+    return `- **Net Worth Trend:**
+  - Net Worth on ${trend.date}: ${trend.netWorth.toFixed(2)} (assets ${trend.assets.toFixed(2)}, liabilities ${trend.liabilities.toFixed(2)})
+  - Month-End Net Worth and Change: ${JSON.stringify(months)}
+  - Average Monthly Change: ${trend.averageMonthlyChange === null ? 'not enough history' : trend.averageMonthlyChange.toFixed(2)} (${trend.direction})
+`;
+}
+
+/**
+ * Profile lines for the investments held (see lib/investment-holdings.js summarizePortfolio)
+ */
+function holdingsSection(portfolio) {
+    if (!portfolio || portfolio.allocation.length === 0) {
+        return `- **Current Investments:**
+  - None recorded; treat the allocation as a starting portfolio.
+`;
+    }
+    const allocation = portfolio.allocation.map(({ assetClass, marketValue, percent }) => ({
+        assetClass,
+        marketValue: marketValue.toFixed(2),
+        percent
+    }));
+    return `- **Current Investments:**
+  - Market Value: ${portfolio.marketValue.toFixed(2)} (cost ${portfolio.costBasis.toFixed(2)}, unrealized gain ${portfolio.unrealizedGain.toFixed(2)})
+  - Allocation by Asset Class: ${JSON.stringify(allocation)}
+`;
+}
+
+// --- Templates ---
+// Each template id maps version numbers to { task, schema, params, build(data, params) }.
+// schema names the lib/ai-schemas.js entry the output must match; templates without one return free text (HTML).
+// Add a new version instead of editing a released one so stored interactions stay traceable.
+// Amounts are in the user's home currency (`currency`, written with `money` as its prefix); for PHP,
+// the only currency before FX rates, the released versions build the same prompts as before.
+
+const TEMPLATES = {
+    'wealth-builder': {
+        1: {
+            task: 'wealth-builder',
+            schema: 'wealthPlan',
+            params: ['timeHorizon', 'riskAppetite'],
+            build: (context, params) => wealthPlanPrompt(context, params)
+        },
+        2: {
+            task: 'wealth-builder',
+            schema: 'wealthPlan',
+            params: ['timeHorizon', 'riskAppetite'],
+            build: (context, params) => wealthPlanPrompt(context, params, netWorthTrendSection(context.netWorthTrend))
+        },
+        3: {
+            task: 'wealth-builder',
+            schema: 'wealthPlan',
+            params: ['timeHorizon', 'riskAppetite'],
+            build: (context, params) => wealthPlanPrompt(context, params,
+                netWorthTrendSection(context.netWorthTrend) + holdingsSection(context.portfolio))
+        }
+    },
+
+    'pera-planner.roadmap': {
+        1: {
+            task: 'pera-planner-roadmap',
+            schema: 'roadmap',
+            params: ['timeHorizon', 'riskAppetite'],
+            build: ({ financials, money }, params) => `
+As a financial planner AI for a Filipino user, create a long-term financial roadmap.
+User Profile: Age ${financials.age || 25}, Monthly Income ~${money}${financials.monthlyIncome.toFixed(0)}, Monthly Savings ~${money}${(financials.monthlyIncome - financials.monthlyExpenses).toFixed(0)}.
+User Goals: ${(financials.goals.length ? financials.goals : ['buy a house', 'save for retirement']).join(', ')}.
+Planning Horizon: ${PARAMETERS.timeHorizon.describe(params.timeHorizon)}. Risk Appetite: ${PARAMETERS.riskAppetite.describe(params.riskAppetite)}.
+Also consider common Filipino life events: supporting parents, marriage, children's education.
+
+Create a timeline with 4-5 major milestones.
+Provide the output in this exact JSON format:
+{
+  "roadmap": [
+    {"timeframe": "In 1-2 Years", "title": "Milestone Title", "description": "Details about the milestone."},
+    {"timeframe": "In 3-5 Years", "title": "Milestone Title", "description": "Details about the milestone."}
+  ]
+}
+`
+        }
+    },
+
+    'pera-planner.investments': {
+        1: {
+            task: 'pera-planner-investments',
+            params: ['riskAppetite'],
+            build: ({ financials, money }, params) => `
+Based on a user profile for a ${financials.age || 25}-year-old Filipino with a monthly income of ~${money}${financials.monthlyIncome.toFixed(0)}, suggest 2-3 suitable investment options available in the Philippines.
+Their risk appetite is ${PARAMETERS.riskAppetite.describe(params.riskAppetite)}. Include a mix of safe and growth-oriented options that fits it.
+For each, provide a brief explanation. Format the output as a simple HTML string.
+Example: "<h3>Pag-IBIG MP2 Savings</h3><p>A very safe, government-backed savings program with higher returns than traditional banks.</p>"
+`
+        }
+    },
+
+    'pera-planner.careers': {
+        1: {
+            task: 'pera-planner-careers',
+            params: [],
+            build: ({ financials }) => `
+For a ${financials.age || 25}-year-old Filipino, briefly simulate the financial pros and cons of two common career paths: 'BPO Professional' and 'OFW (Overseas Filipino Worker)'.
+Frame it as a strategic choice related to their financial goals. Format the output as a simple HTML string.
+Example: "<h3>BPO Professional</h3><p><strong>Pros:</strong> Stable income, career growth... <strong>Cons:</strong> Night shifts, potential burnout...</p>"
+`
+        }
+    },
+
+    'pera-planner.balancing-act': {
+        1: {
+            task: 'pera-planner-balancing-act',
+            params: [],
+            build: () => `
+Provide practical advice for a Filipino user on balancing personal financial goals (like buying a house) with common family obligations (like supporting parents or siblings).
+Offer 1-2 key strategies. Frame it as "The Balancing Act." Format the output as a simple HTML string.
+Example: "<h3>Set Clear Boundaries</h3><p>Have an open conversation with family about what you can realistically contribute...</p>"
+`
+        }
+    },
+
+    'cashflow.subscriptions': {
+        1: {
+            task: 'cashflow-subscriptions',
+            schema: 'subscriptions',
+            params: [],
+            build: ({ accounts, transactions }) => `
+As an AI "Subscription Sleuth," analyze the user's transactions and accounts to identify all potential recurring subscriptions or bills.
+Look for repeated payments to the same merchant (e.g., Netflix, Spotify, Meralco, PLDT).
+Also consider account types that might have recurring fees.
+For each, provide the name and estimated monthly cost.
+
+Accounts:
+${JSON.stringify(summarizeAccounts(accounts))}
+
+Transactions:
+${JSON.stringify(summarizeTransactions(transactions))}
+
+Provide the output as a JSON array of objects, or an empty array if none are found:
+[
+  {"name": "Netflix Subscription", "amount": 550},
+  {"name": "Spotify Premium", "amount": 149}
+]
+`
+        }
+    },
+
+    'cashflow.optimization-tips': {
+        1: {
+            task: 'cashflow-optimization-tips',
+            schema: 'optimizationTips',
+            params: [],
+            build: ({ accounts, transactions }) => `
+As a "Cashflow Optimizer AI," provide 2-3 actionable, personalized tips to improve financial efficiency based on this user's accounts and transactions.
+Focus on reducing recurring costs, cutting down on non-essential spending, or suggesting cheaper alternatives.
+Analyze spending patterns in relation to account balances. For example, if high-interest debt accounts exist, suggest prioritizing payments.
+
+Accounts:
+${JSON.stringify(summarizeAccounts(accounts))}
+
+Transactions:
+${JSON.stringify(summarizeTransactions(transactions))}
+
+Provide the output as a JSON array of strings:
+["Actionable tip based on spending.", "Another optimization suggestion."]
+`
+        }
+    },
+
+    'cashflow.analysis': {
+        1: {
+            task: 'cashflow-analysis',
+            schema: 'cashflowAnalysis',
+            params: [],
+            build: ({ transactions }) => `
+Analyze the user's financial data provided below.
+
+DATA:
+${JSON.stringify(summarizeTransactions(transactions), null, 2)}
+
+TASKS:
+1. Identify recurring subscriptions.
+2. Provide 3-5 actionable cashflow optimization tips.
+3. Categorize all expenses and sum the totals for each category.
+4. Provide a brief, one-sentence cashflow forecast for the next 3 months based on the data.
+
+Your entire response MUST be a single, valid JSON object. Do not add any text, conversational filler, or markdown before or after the JSON object.
+The JSON object must follow this exact structure:
+{
+  "subscriptions": [{"name": "string", "amount": "number"}],
+  "optimizationTips": ["string"],
+  "spendingAnalysis": { "category_name": "number" },
+  "cashflowForecast": "string"
+}
+`
+        }
+    }
+};
+
+function latestVersion(templateId) {
+    return Math.max(...Object.keys(TEMPLATES[templateId]).map(Number));
+}
+
+/**
+ * Fill in defaults and reject parameters the template doesn't accept
+ */
+function resolveParams(templateId, template, params = {}) {
+    if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+        throw new PromptTemplateError('params must be an object');
+    }
+
+    const unknown = Object.keys(params).filter(key => !template.params.includes(key));
+    if (unknown.length > 0) {
+        throw new PromptTemplateError(`Unsupported parameter(s) for ${templateId}: ${unknown.join(', ')}`);
+    }
+
+    const resolved = {};
+    template.params.forEach(key => {
+        const definition = PARAMETERS[key];
+        const value = params[key] ?? definition.default;
+        if (!definition.values.includes(value)) {
+            throw new PromptTemplateError(`Invalid ${key}: expected one of ${definition.values.join(', ')}`);
+        }
+        resolved[key] = value;
+    });
+    return resolved;
+}
+
+/**
+ * Build a prompt from a registered template.
+ * data is { accounts, transactions, userData } loaded from Firestore, with amounts in `currency` (PHP when
+ * omitted), `netWorthTrend` when the user has net worth snapshots and `portfolio` (the holdings summary);
+ * version defaults to the latest.
+ * Returns { prompt, task, schema, templateId, version, params }.
+ */
+function buildPrompt(templateId, data = {}, params = {}, version) {
+    if (!Object.prototype.hasOwnProperty.call(TEMPLATES, templateId)) {
+        throw new PromptTemplateError(`Unknown prompt template: ${templateId}`);
+    }
+
+    const templateVersion = version === undefined ? latestVersion(templateId) : Number(version);
+    const template = TEMPLATES[templateId][templateVersion];
+    if (!template) {
+        throw new PromptTemplateError(`Unknown version ${version} for prompt template ${templateId}`);
+    }
+
+    const resolvedParams = resolveParams(templateId, template, params);
+    const currency = data.currency || 'PHP';
+    const context = {
+        currency,
+        money: currency === 'PHP' ? '₱' : `${currency} `,
+        accounts: data.accounts || [],
+        transactions: data.transactions || [],
+        userData: data.userData || {},
+        financials: summarizeFinancials(data),
+        netWorthTrend: data.netWorthTrend || null,
+        portfolio: data.portfolio || null
+    };
+
+    return {
+        prompt: template.build(context, resolvedParams),
+        task: template.task,
+        schema: template.schema || null,
+        templateId,
+        version: templateVersion,
+        params: resolvedParams
+    };
+}
+
+/**
+ * List templates with their versions and accepted parameters (for clients building forms)
+ */
+function listTemplates() {
+    return Object.keys(TEMPLATES).map(templateId => {
+        const version = latestVersion(templateId);
+        return {
+            templateId,
+            version,
+            versions: Object.keys(TEMPLATES[templateId]).map(Number),
+            params: TEMPLATES[templateId][version].params.map(key => ({
+                name: key,
+                values: PARAMETERS[key].values,
+                default: PARAMETERS[key].default
+            }))
+        };
+    });
+}
+
+module.exports = {
+    PromptTemplateError,
+    buildPrompt,
+    listTemplates,
+    summarizeFinancials
+};
@@ -0,0 +1,151 @@
+/**
+ * Receipt OCR for Kita-kita Platform
+ * Reads a photographed receipt on this server (Tesseract, English model from node_modules; nothing is
+ * sent to a cloud service) and turns its text into a draft expense: merchant, total, date and category.
+ */
+
+const path = require('path');
+const { parseStatementDate, parseStatementAmount } = require('./statement-import.js');
+
+// Expense categories of the transactions form (populateCategories in public/js/transactions.js)
+const EXPENSE_CATEGORIES = ['Food', 'Shopping', 'Bills', 'Transportation', 'Entertainment', 'Housing', 'Health', 'Education', 'Other'];
+
+// Merchant and item words seen on local receipts, per category
+const CATEGORY_KEYWORDS = {
+    Food: ['jollibee', 'mcdonald', 'mcdo', 'chowking', 'greenwich', 'mang inasal', 'kfc', 'max\'s', 'goldilocks', 'red ribbon',
+        'starbucks', 'coffee', 'cafe', 'restaurant', 'resto', 'bakery', 'bakeshop', 'carinderia', 'karinderya', 'eatery',
+        'puregold', 'savemore', 'supermarket', 'grocery', 'groceries', 'sari-sari', 'sari sari', '7-eleven', 'alfamart',
+        'ministop', 'palengke', 'market', 'bigas', 'rice', 'meal', 'dine in', 'take out', 'takeout'],
+    Health: ['mercury drug', 'watsons', 'southstar', 'the generics', 'pharmacy', 'botika', 'drugstore', 'clinic', 'hospital',
+        'medical', 'laboratory', 'dental'],
+    Transportation: ['petron', 'shell', 'caltex', 'seaoil', 'phoenix', 'cleanfuel', 'unioil', 'diesel', 'unleaded', 'gasoline',
+        'toll', 'parking', 'grab', 'angkas', 'joyride', 'lrt', 'mrt'],
+    Bills: ['meralco', 'maynilad', 'manila water', 'pldt', 'globe', 'smart', 'converge', 'sky cable', 'bayad center',
+        'billing', 'bills payment'],
+    Shopping: ['sm store', 'department store', 'uniqlo', 'h&m', 'penshoppe', 'bench', 'ace hardware', 'wilcon', 'handyman',
+        'lazada', 'shopee', 'miniso', 'daiso', 'landmark'],
+    Entertainment: ['cinema', 'movie', 'timezone', 'ticket', 'concert', 'karaoke', 'videoke', 'netflix', 'spotify'],
+    Education: ['national book store', 'national bookstore', 'fully booked', 'school', 'tuition', 'university', 'college',
+        'review center'],
+    Housing: ['rent', 'condo', 'apartment', 'association dues', 'hoa']
+};
+
+// Header lines that are never the merchant's name
+const NOT_MERCHANT = /official receipt|sales invoice|acknowledgement|receipt|invoice|\btin\b|vat\s*reg|non-vat|min\s*#|min:|s\/n|serial|permit|accreditation|tel\b|telephone|contact|cashier|terminal|welcome|thank you|^\W*$/i;
+const TOTAL_LABELS = [/grand\s*total/i, /total\s*amount\s*(due)?/i, /amount\s*(due|payable)/i, /net\s*amount/i, /total\s*due/i, /\btotal\b/i];
+const NOT_TOTAL = /sub\s*-?\s*total|total\s*(qty|quantity|items?|discount|savings|vat)|vatable|vat\s*amount|change|cash|tendered|gcash|card/i;
+const AMOUNT = /(?:PHP|P|₱)?\s*\d{1,3}(?:[,\s]\d{3})*(?:\.\d{2})|(?:PHP|P|₱)?\s*\d+\.\d{2}/gi;
+const DATE = /\b(\d{4}[-/.]\d{1,2}[-/.]\d{1,2}|\d{1,2}[-/.]\d{1,2}[-/.]\d{2,4}|[A-Za-z]{3,9}\.?\s+\d{1,2},?\s+\d{4}|\d{1,2}[\s-][A-Za-z]{3,9}[\s-]\d{2,4})\b/;
+
+let workerPromise = null;
+let queue = Promise.resolve();
+
+// One Tesseract worker for the process, created on first use
+function getWorker() {
+    if (!workerPromise) {
+        const { createWorker } = require('tesseract.js');
+        const langPath = path.join(path.dirname(require.resolve('@tesseract.js-data/eng/package.json')), '4.0.0_best_int');
+        workerPromise = createWorker('eng', 1, { langPath, gzip: true, cacheMethod: 'none' })
+            .catch(error => {
+                workerPromise = null;
+                throw error;
+            });
+    }
+    return workerPromise;
+}
+
+/**
+ * OCR an image. Jobs run one at a time on the shared worker.
+ * @param {Buffer} buffer JPEG or PNG contents
+ * @returns {Promise<{text: string, confidence: number}>} Recognized text and Tesseract's confidence (0-100)
+ */
+function recognizeImage(buffer) {
+    const job = queue.then(async () => {
+        const worker = await getWorker();
+        const { data } = await worker.recognize(buffer);
+        return { text: data.text || '', confidence: Math.round(data.confidence || 0) };
+    });
+    queue = job.catch(() => {});
+    return job;
+}
+
+function amountsIn(line) {
+    return (line.match(AMOUNT) || [])
+        .map(value => parseStatementAmount(value.replace(/^(PHP|P|₱)/i, '').replace(/\s/g, '')))
+        .filter(value => value !== null && value > 0);
+}
+
+function findTotal(lines) {
+    for (const label of TOTAL_LABELS) {
+        for (let i = lines.length - 1; i >= 0; i--) {
+            if (!label.test(lines[i]) || NOT_TOTAL.test(lines[i])) continue;
+            // The amount may sit on the label's line or, on narrow receipts, the next one
+            const amounts = amountsIn(lines[i]).concat(amountsIn(lines[i + 1] || ''));
+            if (amounts.length > 0) return amounts[0];
+        }
+    }
+    // No labelled total: the largest amount that is not cash handed over or change
+    const candidates = lines.filter(line => !NOT_TOTAL.test(line)).flatMap(amountsIn);
+    return candidates.length > 0 ? Math.max(...candidates) : null;
+}
+
+function findMerchant(lines) {
+    const line = lines.slice(0, 6).find(text => /[a-z]{3,}/i.test(text) && !NOT_MERCHANT.test(text) && !DATE.test(text) && amountsIn(text).length === 0);
+    return line ? line.replace(/[^\w&'.\- ]/g, '').replace(/\s+/g, ' ').trim() : null;
+}
+
+/**
+ * Suggest a category from receipt text
+ * @param {string} text Receipt text
+ * @param {string[]} [categories] Categories the form offers; suggestions outside it fall back to 'Other'
+ */
+function suggestCategory(text, categories = EXPENSE_CATEGORIES) {
+    const lower = text.toLowerCase();
+    const [best] = Object.entries(CATEGORY_KEYWORDS)
+        .map(([category, keywords]) => [category, keywords.filter(keyword => lower.includes(keyword)).length])
+        .filter(([category, hits]) => hits > 0 && categories.includes(category))
+        .sort((a, b) => b[1] - a[1]);
+    return best ? best[0] : (categories.includes('Other') ? 'Other' : categories[0]);
+}
+
+/**
+ * Draft expense from receipt text. Fields the receipt does not show are null for the user to fill in.
+ * @param {string} text OCR text
+ * @param {object} [options]
+ * @param {string[]} [options.categories] Categories the form offers
+ * @returns {{description: string|null, merchant: string|null, amount: number|null, date: string|null, category: string, type: 'expense'}}
+ */
+function parseReceiptText(text, { categories = EXPENSE_CATEGORIES } = {}) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    const merchant = findMerchant(lines);
+    const dateLine = lines.find(line => DATE.test(line));
+    // Philippine receipts print dates month first
+    const date = dateLine ? parseStatementDate(dateLine.match(DATE)[1], 'MDY') : null;
+
+    return {
+        type: 'expense',
+        merchant,
+        description: merchant,
+        amount: findTotal(lines),
+        date,
+        category: suggestCategory(text, categories)
+    };
+}
+
+/**
+ * OCR a receipt photo into a draft expense
+ * @param {Buffer} buffer JPEG or PNG contents
+ * @param {object} [options] See parseReceiptText
+ * @returns {Promise<{draft: object, text: string, confidence: number}>}
+ */
+async function scanReceipt(buffer, options = {}) {
+    const { text, confidence } = await recognizeImage(buffer);
+    return { draft: parseReceiptText(text, options), text, confidence };
+}
+
+module.exports = {
+    EXPENSE_CATEGORIES,
+    parseReceiptText,
+    suggestCategory,
+    scanReceipt
+};
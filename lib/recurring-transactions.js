@@ -0,0 +1,434 @@
+/**
+ * Recurring Transactions for Kita-kita Platform
+ * Templates live in users/{uid}/recurringTransactions. A server job posts every due occurrence into
+ * users/{uid}/transactions through the account ledger (lib/account-ledger.js), which moves the balance.
+ * Dates are 'YYYY-MM-DD' strings in Philippine time.
+ */
+
+const FREQUENCIES = ['daily', 'weekly', 'semi-monthly', 'monthly', 'custom'];
+const CUSTOM_UNITS = ['day', 'week', 'month'];
+const EDITABLE_FIELDS = ['description', 'amount', 'type', 'category', 'accountId', 'accountName', 'notes', 'goalId', 'endDate'];
+const SCHEDULE_FIELDS = ['frequency', 'interval', 'unit', 'dayOfMonth', 'daysOfMonth', 'startDate'];
+const TIME_ZONE = 'Asia/Manila';
+const MAX_POSTS_PER_RUN = 62; // A two-month daily backlog; the rest is posted on the next run
+
+class RecurringTemplateError extends Error {
+    constructor(message, status = 400, code = 'INVALID_RECURRING_TEMPLATE') {
+        super(message);
+        this.name = 'RecurringTemplateError';
+        this.code = code;
+        this.status = status;
+    }
+
+    toJSON() {
+        return { error: this.message, code: this.code };
+    }
+}
+
+// --- Date helpers (UTC dates stand in for calendar days) ---
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseDate(value) {
+    return new Date(`${value}T00:00:00Z`);
+}
+
+function formatDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function today() {
+    return new Date().toLocaleDateString('en-CA', { timeZone: TIME_ZONE });
+}
+
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+// Day `day` of the month `offset` months after `date`, clamped to the month's length ('last' = last day)
+function dayInMonth(date, offset, day) {
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + offset;
+    const length = daysInMonth(year, month);
+    return new Date(Date.UTC(year, month, day === 'last' ? length : Math.min(day, length)));
+}
+
+function addDays(date, days) {
+    return new Date(date.getTime() + days * 86400000);
+}
+
+// --- Schedule ---
+
+/**
+ * Every occurrence date of a template on or after `from`, in order, as a lazy sequence
+ */
+function* occurrencesFrom(template, from) {
+    const start = parseDate(template.startDate);
+    const fromDate = from > start ? from : start;
+    const every = template.frequency === 'custom' ? template.interval : 1;
+    const unit = template.frequency === 'custom' ? template.unit : null;
+
+    if (template.frequency === 'daily' || template.frequency === 'weekly' || unit === 'day' || unit === 'week') {
+        const step = (template.frequency === 'weekly' || unit === 'week' ? 7 : 1) * every;
+        const elapsed = Math.max(0, Math.ceil((fromDate - start) / 86400000 / step));
+        for (let date = addDays(start, elapsed * step); ; date = addDays(date, step)) {
+            yield date;
+        }
+    }
+
+    // Month-based: monthly, custom every N months, and semi-monthly kinsenas/katapusan
+    const days = template.frequency === 'semi-monthly' ? template.daysOfMonth : [template.dayOfMonth];
+    const monthStep = unit === 'month' ? every : 1;
+    const monthsSinceStart = (fromDate.getUTCFullYear() - start.getUTCFullYear()) * 12 + fromDate.getUTCMonth() - start.getUTCMonth();
+    for (let offset = Math.floor(monthsSinceStart / monthStep) * monthStep; ; offset += monthStep) {
+        const dates = days.map(day => dayInMonth(start, offset, day)).sort((a, b) => a - b);
+        for (const date of dates) {
+            if (date >= fromDate) yield date;
+        }
+    }
+}
+
+/**
+ * First occurrence on or after `from` (a 'YYYY-MM-DD' string) that is not skipped, or null past the end date
+ */
+function nextOccurrence(template, from) {
+    const skipped = new Set(template.skipDates || []);
+    for (const date of occurrencesFrom(template, parseDate(from))) {
+        const value = formatDate(date);
+        if (template.endDate && value > template.endDate) return null;
+        if (!skipped.has(value)) return value;
+    }
+    return null;
+}
+
+/**
+ * Occurrence dates from the template's nextRunDate up to and including `asOf`
+ */
+function dueOccurrences(template, asOf = today(), limit = MAX_POSTS_PER_RUN) {
+    const due = [];
+    let next = template.status === 'active' ? template.nextRunDate : null;
+    while (next && next <= asOf && due.length < limit) {
+        due.push(next);
+        next = nextOccurrence(template, formatDate(addDays(parseDate(next), 1)));
+    }
+    return due;
+}
+
+// --- Validation ---
+
+function requireDate(value, field) {
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value) || isNaN(parseDate(value))) {
+        throw new RecurringTemplateError(`${field} must be a date in YYYY-MM-DD format`);
+    }
+    return value;
+}
+
+/**
+ * Validate client input into a template. `existing` is the stored template when editing.
+ * Returns the normalized fields; the schedule fields are always complete.
+ */
+function normalizeTemplate(input, existing = null) {
+    const merged = { ...(existing || {}), ...input };
+    const template = {};
+
+    template.description = String(merged.description || '').trim();
+    if (!template.description) throw new RecurringTemplateError('description is required');
+
+    template.amount = Math.abs(parseFloat(merged.amount));
+    if (!(template.amount > 0)) throw new RecurringTemplateError('amount must be a number greater than 0');
+
+    template.type = merged.type;
+    if (!['income', 'expense'].includes(template.type)) {
+        throw new RecurringTemplateError('type must be either "income" or "expense"');
+    }
+
+    template.accountId = merged.accountId;
+    if (!template.accountId) throw new RecurringTemplateError('accountId is required');
+    template.accountName = merged.accountName || null;
+    template.category = merged.category || 'Other';
+    template.notes = merged.notes || '';
+    template.goalId = merged.goalId || null;
+
+    return { ...template, ...normalizeSchedule(merged) };
+}
+
+/**
+ * Validate the schedule fields (frequency, dates and days of the month) of a template or anything else that
+ * repeats on the same calendar, such as a bill. Returns them complete, ready for nextOccurrence.
+ */
+function normalizeSchedule(merged) {
+    const schedule = {};
+
+    schedule.frequency = merged.frequency;
+    if (!FREQUENCIES.includes(schedule.frequency)) {
+        throw new RecurringTemplateError(`frequency must be one of: ${FREQUENCIES.join(', ')}`);
+    }
+
+    schedule.startDate = requireDate(merged.startDate, 'startDate');
+    schedule.endDate = merged.endDate ? requireDate(merged.endDate, 'endDate') : null;
+    if (schedule.endDate && schedule.endDate < schedule.startDate) {
+        throw new RecurringTemplateError('endDate must not be before startDate');
+    }
+
+    const startDay = parseDate(schedule.startDate).getUTCDate();
+    schedule.dayOfMonth = parseInt(merged.dayOfMonth, 10) || startDay;
+    if (schedule.dayOfMonth < 1 || schedule.dayOfMonth > 31) {
+        throw new RecurringTemplateError('dayOfMonth must be between 1 and 31');
+    }
+
+    // Kinsenas at katapusan: the 15th and the last day of the month unless the employer pays on other days
+    schedule.daysOfMonth = Array.isArray(merged.daysOfMonth) && merged.daysOfMonth.length === 2
+        ? merged.daysOfMonth.map(day => (day === 'last' ? 'last' : parseInt(day, 10)))
+        : [15, 'last'];
+    if (schedule.daysOfMonth.some(day => day !== 'last' && !(day >= 1 && day <= 31))) {
+        throw new RecurringTemplateError('daysOfMonth must be two days between 1 and 31, or "last"');
+    }
+
+    schedule.interval = schedule.frequency === 'custom' ? parseInt(merged.interval, 10) : 1;
+    schedule.unit = schedule.frequency === 'custom' ? merged.unit : null;
+    if (schedule.frequency === 'custom') {
+        if (!(schedule.interval >= 1 && schedule.interval <= 365)) {
+            throw new RecurringTemplateError('interval must be between 1 and 365');
+        }
+        if (!CUSTOM_UNITS.includes(schedule.unit)) {
+            throw new RecurringTemplateError(`unit must be one of: ${CUSTOM_UNITS.join(', ')}`);
+        }
+    }
+
+    return schedule;
+}
+
+// --- Posting ---
+
+// Credit cards and loans hold what is owed
+const isLiability = account => account.category === 'loan' || account.accountType === 'Credit Card';
+
+/**
+ * Deterministic id so a retried or overlapping run can never post the same occurrence twice
+ */
+function occurrenceId(templateId, date) {
+    return `rec_${templateId}_${date.replace(/-/g, '')}`;
+}
+
+/**
+ * @param {object} deps.ledger createLedgerService service; occurrences are posted through it
+ */
+function createRecurringService({ db, admin, ledger }) {
+    const templates = userId => db.collection('users').doc(userId).collection('recurringTransactions');
+
+    /**
+     * Post one occurrence through the ledger, then move the template on to its next date.
+     * The occurrence id is deterministic, so the ledger refuses a second copy; one already posted (a crash
+     * before the template moved on, or an overlapping run) only moves the template on.
+     * @returns {Promise<boolean>} Whether this call posted the occurrence
+     */
+    async function postOccurrence(userId, templateId, date) {
+        const templateRef = templates(userId).doc(templateId);
+        const templateDoc = await templateRef.get();
+        if (!templateDoc.exists) return false;
+        const template = templateDoc.data();
+        if (template.status !== 'active' || template.nextRunDate !== date) return false;
+
+        let posted = true;
+        try {
+            await ledger.postTransaction(userId, {
+                id: occurrenceId(templateId, date),
+                description: template.description,
+                name: template.description,
+                amount: template.type === 'expense' ? -template.amount : template.amount,
+                type: template.type,
+                category: template.category,
+                accountId: template.accountId,
+                accountName: template.accountName,
+                date,
+                notes: template.notes,
+                goalId: template.goalId || null,
+                recurringId: templateId,
+                source: 'recurring_job'
+            });
+        } catch (error) {
+            if (error.code !== 'TRANSACTION_EXISTS') throw error;
+            posted = false;
+        }
+
+        const nextRunDate = nextOccurrence(template, formatDate(addDays(parseDate(date), 1)));
+        // Only move on from the date just posted, in case another run already did
+        await db.runTransaction(async tx => {
+            const fresh = await tx.get(templateRef);
+            if (!fresh.exists || fresh.data().nextRunDate !== date) return;
+            tx.update(templateRef, {
+                nextRunDate,
+                status: nextRunDate ? 'active' : 'ended',
+                lastPostedDate: date,
+                postedCount: admin.firestore.FieldValue.increment(1),
+                updatedAt: new Date().toISOString()
+            });
+        });
+        return posted;
+    }
+
+    /**
+     * Post every due occurrence for one user's templates (or every user's when userId is omitted)
+     */
+    async function materializeDue({ userId = null, asOf = today() } = {}) {
+        const query = (userId ? templates(userId) : db.collectionGroup('recurringTransactions'))
+            .where('status', '==', 'active')
+            .where('nextRunDate', '<=', asOf);
+        const snapshot = await query.get();
+
+        let posted = 0;
+        for (const doc of snapshot.docs) {
+            const ownerId = doc.ref.parent.parent.id;
+            for (const date of dueOccurrences(doc.data(), asOf)) {
+                try {
+                    if (await postOccurrence(ownerId, doc.id, date)) posted++;
+                } catch (error) {
+                    console.error(`❌ Failed to post recurring ${doc.id} for ${date}:`, error.message);
+                    break; // Keep the series in order; the next run retries from this date
+                }
+            }
+        }
+        return { templates: snapshot.size, posted };
+    }
+
+    async function getTemplate(userId, templateId) {
+        const doc = await templates(userId).doc(templateId).get();
+        if (!doc.exists) throw new RecurringTemplateError('Recurring transaction not found', 404, 'RECURRING_NOT_FOUND');
+        return doc.data();
+    }
+
+    async function listTemplates(userId) {
+        const snapshot = await templates(userId).orderBy('createdAt', 'desc').get();
+        return snapshot.docs.map(doc => doc.data());
+    }
+
+    async function createTemplate(userId, input) {
+        const template = normalizeTemplate(input);
+        const ref = templates(userId).doc();
+        const now = new Date().toISOString();
+        const nextRunDate = nextOccurrence(template, template.startDate);
+
+        const stored = {
+            ...template,
+            id: ref.id,
+            skipDates: [],
+            nextRunDate,
+            status: nextRunDate ? 'active' : 'ended',
+            lastPostedDate: null,
+            postedCount: 0,
+            createdAt: now,
+            updatedAt: now
+        };
+        await ref.set(stored);
+        return stored;
+    }
+
+    /**
+     * Edit future occurrences. Posted transactions are left as they are; a schedule change
+     * restarts from the day after the last posted occurrence.
+     */
+    async function updateTemplate(userId, templateId, input) {
+        const existing = await getTemplate(userId, templateId);
+        if (existing.status !== 'active') {
+            throw new RecurringTemplateError('Ended series cannot be edited', 409, 'RECURRING_ENDED');
+        }
+
+        const changes = Object.fromEntries(
+            Object.entries(input).filter(([key]) => EDITABLE_FIELDS.includes(key) || SCHEDULE_FIELDS.includes(key))
+        );
+        if (existing.lastPostedDate && changes.startDate && changes.startDate !== existing.startDate) {
+            throw new RecurringTemplateError('startDate cannot change after the series has posted', 409, 'RECURRING_STARTED');
+        }
+        const template = { ...existing, ...normalizeTemplate(changes, existing) };
+
+        const resumeFrom = existing.lastPostedDate
+            ? formatDate(addDays(parseDate(existing.lastPostedDate), 1))
+            : template.startDate;
+        template.nextRunDate = nextOccurrence(template, resumeFrom);
+        template.status = template.nextRunDate ? 'active' : 'ended';
+        template.updatedAt = new Date().toISOString();
+
+        await templates(userId).doc(templateId).set(template);
+        return template;
+    }
+
+    /**
+     * Skip one occurrence (the next one by default) without ending the series
+     */
+    async function skipOccurrence(userId, templateId, date = null) {
+        const existing = await getTemplate(userId, templateId);
+        const skipDate = date ? requireDate(date, 'date') : existing.nextRunDate;
+        if (existing.status !== 'active' || !skipDate) {
+            throw new RecurringTemplateError('Nothing left to skip in this series', 409, 'RECURRING_ENDED');
+        }
+        if (existing.lastPostedDate && skipDate <= existing.lastPostedDate) {
+            throw new RecurringTemplateError('That occurrence has already been posted', 409, 'RECURRING_ALREADY_POSTED');
+        }
+
+        const template = { ...existing, skipDates: [...new Set([...(existing.skipDates || []), skipDate])] };
+        const nextRunDate = nextOccurrence(template, existing.nextRunDate);
+        const update = {
+            skipDates: template.skipDates,
+            nextRunDate,
+            status: nextRunDate ? 'active' : 'ended',
+            updatedAt: new Date().toISOString()
+        };
+        await templates(userId).doc(templateId).update(update);
+        return { ...existing, ...update };
+    }
+
+    /**
+     * End a series today; nothing after today is posted
+     */
+    async function endSeries(userId, templateId) {
+        const existing = await getTemplate(userId, templateId);
+        const update = {
+            status: 'ended',
+            endDate: today(),
+            nextRunDate: null,
+            updatedAt: new Date().toISOString()
+        };
+        await templates(userId).doc(templateId).update(update);
+        return { ...existing, ...update };
+    }
+
+    /**
+     * Run materializeDue for every user now and then every `intervalMs`. Returns a stop function.
+     */
+    function startJob(intervalMs = 60 * 60 * 1000) {
+        const run = () => materializeDue()
+            .then(({ templates: checked, posted }) => {
+                if (posted > 0) console.log(`🔁 Recurring job posted ${posted} transaction(s) from ${checked} template(s)`);
+            })
+            .catch(error => console.error('❌ Recurring transaction job failed:', error.message));
+
+        run();
+        const timer = setInterval(run, intervalMs);
+        timer.unref();
+        return () => clearInterval(timer);
+    }
+
+    return {
+        postOccurrence,
+        materializeDue,
+        listTemplates,
+        getTemplate,
+        createTemplate,
+        updateTemplate,
+        skipOccurrence,
+        endSeries,
+        startJob
+    };
+}
+
+module.exports = {
+    FREQUENCIES,
+    RecurringTemplateError,
+    nextOccurrence,
+    dueOccurrences,
+    normalizeTemplate,
+    normalizeSchedule,
+    isLiability,
+    createRecurringService,
+    today
+};
@@ -0,0 +1,280 @@
+/**
+ * Savings Goals for Kita-kita Platform
+ * Goals live in users/{uid}/goals. Money goes toward a goal through transactions tagged with its id
+ * (`goalId`), so progress is computed from the user's transactions on every read.
+ * Projections assume the user keeps saving at the pace of the last RATE_WINDOW_DAYS.
+ * Dates are 'YYYY-MM-DD' strings in Philippine time.
+ */
+
+const { today } = require('./recurring-transactions.js');
+const { transactionLegs } = require('./account-ledger.js');
+
+const GOAL_STATUSES = ['active', 'achieved', 'archived'];
+const RATE_WINDOW_DAYS = 90;
+const DAYS_PER_MONTH = 30.4375;
+const MAX_NAME_LENGTH = 60;
+const UPDATE_BATCH_SIZE = 400;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class GoalError extends Error {
+    constructor(message, status = 400, code = 'INVALID_GOAL') {
+        super(message);
+        this.name = 'GoalError';
+        this.code = code;
+        this.status = status;
+    }
+
+    toJSON() {
+        return { error: this.message, code: this.code };
+    }
+}
+
+function parseDate(value) {
+    return new Date(`${value}T00:00:00Z`);
+}
+
+function addDays(value, days) {
+    return new Date(parseDate(value).getTime() + days * 86400000).toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+    return Math.round((parseDate(to) - parseDate(from)) / 86400000);
+}
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Validate a goal. Updates pass the stored goal as `existing`.
+ * @returns {{name: string, targetAmount: number, initialAmount: number, deadline: string|null,
+ *   accountId: string|null, status: string}}
+ */
+function normalizeGoal(input, existing = null) {
+    const merged = { ...(existing || {}), ...(input || {}) };
+
+    const name = String(merged.name || '').trim();
+    if (!name) throw new GoalError('name is required');
+    if (name.length > MAX_NAME_LENGTH) throw new GoalError(`name must be at most ${MAX_NAME_LENGTH} characters`);
+
+    const targetAmount = Number(merged.targetAmount);
+    if (!Number.isFinite(targetAmount) || targetAmount <= 0) {
+        throw new GoalError('targetAmount must be a positive number');
+    }
+
+    // Money already saved before tracking started
+    const initialAmount = Number(merged.initialAmount || 0);
+    if (!Number.isFinite(initialAmount) || initialAmount < 0) {
+        throw new GoalError('initialAmount must be zero or more');
+    }
+
+    const deadline = merged.deadline || null;
+    if (deadline && !DATE_PATTERN.test(deadline)) throw new GoalError('deadline must be a YYYY-MM-DD date');
+
+    const status = merged.status || 'active';
+    if (!GOAL_STATUSES.includes(status)) throw new GoalError(`status must be one of: ${GOAL_STATUSES.join(', ')}`);
+
+    return {
+        name,
+        targetAmount: roundMoney(targetAmount),
+        initialAmount: roundMoney(initialAmount),
+        deadline,
+        accountId: merged.accountId || null,
+        status
+    };
+}
+
+/**
+ * What a tagged transaction adds to a goal, signed.
+ * With a linked account, money into that account is a deposit and money out of it a withdrawal.
+ * Otherwise, and for tagged transactions that don't touch the account, setting money aside
+ * (an expense or a transfer) is a deposit and income (taking it back, a refund) is a withdrawal.
+ */
+function contributionAmount(goal, transaction) {
+    if (goal.accountId) {
+        const legs = transactionLegs(transaction).filter(leg => leg.accountId === goal.accountId);
+        if (legs.length) {
+            return legs.reduce((sum, leg) => sum + (leg.type === 'income' ? leg.amount : -leg.amount), 0);
+        }
+    }
+    const amount = Math.abs(parseFloat(transaction.amount) || 0);
+    return transaction.type === 'income' ? -amount : amount;
+}
+
+/**
+ * How far a goal has come and when it will be reached at the recent pace.
+ * Tagged transactions count by their signed contribution, so `saved` and `monthlyRate` go down on withdrawals.
+ * @param {object} goal Stored goal
+ * @param {Array<object>} transactions The user's transactions (any order)
+ * @returns {{goalId: string, name: string, targetAmount: number, saved: number, remaining: number, percent: number,
+ *   contributionCount: number, lastContributionDate: string|null, monthlyRate: number, projectedDate: string|null,
+ *   deadline: string|null, monthsLeft: number|null, requiredMonthly: number|null,
+ *   state: 'achieved'|'on-track'|'behind'|'no-deadline'|'stalled'}}
+ */
+function computeGoalProgress(goal, transactions, asOf = today()) {
+    const contributions = transactions
+        .filter(transaction => transaction.goalId === goal.id)
+        .map(transaction => ({ date: String(transaction.date || '').slice(0, 10), amount: contributionAmount(goal, transaction) }))
+        .sort((a, b) => a.date.localeCompare(b.date));
+
+    const saved = roundMoney(Math.max(0, goal.initialAmount + contributions.reduce((sum, item) => sum + item.amount, 0)));
+    const remaining = roundMoney(Math.max(0, goal.targetAmount - saved));
+
+    const windowStart = addDays(asOf, -RATE_WINDOW_DAYS);
+    const recent = contributions
+        .filter(item => item.date > windowStart && item.date <= asOf)
+        .reduce((sum, item) => sum + item.amount, 0);
+    // A goal younger than the window is measured over its own age, so a first deposit isn't diluted
+    const createdDate = String(goal.createdAt || '').slice(0, 10);
+    const windowDays = DATE_PATTERN.test(createdDate) && createdDate > windowStart
+        ? Math.max(daysBetween(createdDate, asOf), DAYS_PER_MONTH)
+        : RATE_WINDOW_DAYS;
+    const monthlyRate = roundMoney(recent / (windowDays / DAYS_PER_MONTH));
+
+    const projectedDate = remaining === 0
+        ? asOf
+        : monthlyRate > 0 ? addDays(asOf, Math.ceil((remaining / monthlyRate) * DAYS_PER_MONTH)) : null;
+
+    let monthsLeft = null;
+    let requiredMonthly = null;
+    if (goal.deadline) {
+        monthsLeft = Math.max(0, Math.round((daysBetween(asOf, goal.deadline) / DAYS_PER_MONTH) * 10) / 10);
+        requiredMonthly = remaining === 0 ? 0 : roundMoney(remaining / Math.max(monthsLeft, 1));
+    }
+
+    let state;
+    if (remaining === 0) {
+        state = 'achieved';
+    } else if (!goal.deadline) {
+        state = projectedDate ? 'no-deadline' : 'stalled';
+    } else {
+        state = projectedDate && projectedDate <= goal.deadline ? 'on-track' : 'behind';
+    }
+
+    return {
+        goalId: goal.id,
+        name: goal.name,
+        targetAmount: goal.targetAmount,
+        saved,
+        remaining,
+        percent: Math.min(100, Math.round((saved / goal.targetAmount) * 100)),
+        contributionCount: contributions.length,
+        lastContributionDate: contributions.length ? contributions[contributions.length - 1].date : null,
+        monthlyRate,
+        projectedDate,
+        deadline: goal.deadline,
+        monthsLeft,
+        requiredMonthly,
+        state
+    };
+}
+
+function createGoalService({ db }) {
+    const userDoc = userId => db.collection('users').doc(userId);
+    const goalsRef = userId => userDoc(userId).collection('goals');
+
+    async function loadTransactions(userId) {
+        const snapshot = await userDoc(userId).collection('transactions').get();
+        return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    }
+
+    async function getGoalDoc(userId, goalId) {
+        const doc = await goalsRef(userId).doc(goalId).get();
+        if (!doc.exists) throw new GoalError('Goal not found', 404, 'GOAL_NOT_FOUND');
+        return { id: doc.id, ...doc.data() };
+    }
+
+    // The linked account's name is stored with the goal so lists don't need the account
+    async function resolveAccount(userId, accountId) {
+        if (!accountId) return null;
+        const doc = await userDoc(userId).collection('bankAccounts').doc(accountId).get();
+        if (!doc.exists) throw new GoalError('Linked account not found');
+        return doc.data().name || doc.data().accountName || null;
+    }
+
+    /**
+     * Every goal with its progress, active goals first.
+     * @param {object} [options]
+     * @param {Array<object>} [options.transactions] Already loaded transactions, to skip reading them again
+     * @returns {Promise<Array<object>>} Goals, each with a `progress` (see computeGoalProgress)
+     */
+    async function listGoals(userId, { transactions = null, asOf = today() } = {}) {
+        const [snapshot, loaded] = await Promise.all([
+            goalsRef(userId).get(),
+            transactions ? Promise.resolve(transactions) : loadTransactions(userId)
+        ]);
+        return snapshot.docs
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .map(goal => ({ ...goal, progress: computeGoalProgress(goal, loaded, asOf) }))
+            .sort((a, b) => GOAL_STATUSES.indexOf(a.status) - GOAL_STATUSES.indexOf(b.status)
+                || String(a.deadline || '9999').localeCompare(String(b.deadline || '9999')));
+    }
+
+    /**
+     * One goal with its progress and the transactions that went toward it, newest first.
+     */
+    async function getGoal(userId, goalId) {
+        const [goal, transactions] = await Promise.all([getGoalDoc(userId, goalId), loadTransactions(userId)]);
+        const contributions = transactions
+            .filter(transaction => transaction.goalId === goalId)
+            .sort((a, b) => String(b.date || '').localeCompare(String(a.date || '')));
+        return { ...goal, progress: computeGoalProgress(goal, transactions), contributions };
+    }
+
+    async function createGoal(userId, input) {
+        const goal = normalizeGoal(input);
+        const accountName = await resolveAccount(userId, goal.accountId);
+        const now = new Date().toISOString();
+        const data = { ...goal, accountName, createdAt: now, updatedAt: now };
+        const docRef = await goalsRef(userId).add(data);
+        return { id: docRef.id, ...data, progress: computeGoalProgress({ id: docRef.id, ...data }, []) };
+    }
+
+    async function updateGoal(userId, goalId, input) {
+        const existing = await getGoalDoc(userId, goalId);
+        const goal = normalizeGoal(input, existing);
+        const accountName = goal.accountId === existing.accountId
+            ? existing.accountName || null
+            : await resolveAccount(userId, goal.accountId);
+        const update = { ...goal, accountName, updatedAt: new Date().toISOString() };
+        await goalsRef(userId).doc(goalId).update(update);
+        const updated = { ...existing, ...update };
+        return { ...updated, progress: computeGoalProgress(updated, await loadTransactions(userId)) };
+    }
+
+    /**
+     * Removes a goal. Its transactions and recurring templates stay, untagged.
+     * @returns {Promise<number>} Transactions untagged
+     */
+    async function deleteGoal(userId, goalId) {
+        await getGoalDoc(userId, goalId);
+        let untagged = 0;
+        for (const collection of ['transactions', 'recurringTransactions']) {
+            const snapshot = await userDoc(userId).collection(collection).where('goalId', '==', goalId).get();
+            for (let start = 0; start < snapshot.docs.length; start += UPDATE_BATCH_SIZE) {
+                const batch = db.batch();
+                snapshot.docs.slice(start, start + UPDATE_BATCH_SIZE).forEach(doc => batch.update(doc.ref, { goalId: null }));
+                await batch.commit();
+            }
+            if (collection === 'transactions') untagged = snapshot.docs.length;
+        }
+        await goalsRef(userId).doc(goalId).delete();
+        return untagged;
+    }
+
+    return {
+        listGoals,
+        getGoal,
+        createGoal,
+        updateGoal,
+        deleteGoal
+    };
+}
+
+module.exports = {
+    GOAL_STATUSES,
+    GoalError,
+    normalizeGoal,
+    computeGoalProgress,
+    createGoalService
+};
@@ -0,0 +1,779 @@
+/**
+ * Bank Statement Import for Kita-kita Platform
+ * Parses CSV/XLSX statement exports (BPI, BDO, Metrobank, GCash, Maya) and PDF e-statements into the transaction shape
+ * the web app stores (description, amount, type, date, accountId) with the same dataHash, so
+ * re-imported or hand-entered rows are flagged as duplicates before anything is written.
+ */
+
+const crypto = require('crypto');
+const { readFirstSheet, XlsxReadError } = require('./xlsx-reader.js');
+const { readPdfLines, PdfReadError } = require('./pdf-reader.js');
+const { createLedgerService, ledgerDelta } = require('./account-ledger.js');
+
+const MAX_IMPORT_ROWS = 2000;
+const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+class StatementImportError extends Error {
+    constructor(message, status = 400, code = 'STATEMENT_IMPORT_FAILED') {
+        super(message);
+        this.name = 'StatementImportError';
+        this.code = code;
+        this.status = status;
+    }
+
+    toJSON() {
+        return { error: this.message, code: this.code };
+    }
+}
+
+/**
+ * Column mappers. Header names are matched case-insensitively after trimming; each column lists the
+ * names the bank has used across export versions. `dateOrder` is how the bank writes numeric dates.
+ * Amounts come either as debit/credit columns or as one signed amount column.
+ */
+const BANK_MAPPERS = {
+    BPI: {
+        label: 'BPI',
+        dateOrder: 'MDY',
+        signature: ['transaction date', 'running balance'],
+        columns: {
+            date: ['transaction date', 'date', 'posting date'],
+            description: ['description', 'transaction description', 'particulars'],
+            debit: ['debit', 'debit amount', 'withdrawals'],
+            credit: ['credit', 'credit amount', 'deposits'],
+            reference: ['reference no.', 'reference number', 'check no.']
+        }
+    },
+    BDO: {
+        label: 'BDO',
+        dateOrder: 'MDY',
+        signature: ['posting date', 'transaction description'],
+        columns: {
+            date: ['posting date', 'transaction date', 'date'],
+            description: ['transaction description', 'description', 'particulars'],
+            debit: ['debit', 'debit amount', 'withdrawal'],
+            credit: ['credit', 'credit amount', 'deposit'],
+            reference: ['reference', 'reference number', 'branch']
+        }
+    },
+    Metrobank: {
+        label: 'Metrobank',
+        dateOrder: 'MDY',
+        signature: ['withdrawal', 'deposit'],
+        columns: {
+            date: ['date', 'transaction date', 'posting date'],
+            description: ['description', 'particulars', 'transaction details'],
+            debit: ['withdrawal', 'withdrawals', 'debit'],
+            credit: ['deposit', 'deposits', 'credit'],
+            reference: ['check no.', 'check number', 'reference no.']
+        }
+    },
+    GCash: {
+        label: 'GCash',
+        dateOrder: 'MDY',
+        signature: ['date and time', 'reference no.'],
+        columns: {
+            date: ['date and time', 'date', 'transaction date'],
+            description: ['description', 'transaction type', 'details'],
+            debit: ['debit', 'amount out'],
+            credit: ['credit', 'amount in'],
+            reference: ['reference no.', 'reference number', 'ref no.']
+        }
+    },
+    Maya: {
+        label: 'Maya',
+        dateOrder: 'MDY',
+        signature: ['reference id'],
+        columns: {
+            date: ['date', 'date and time', 'transaction date'],
+            description: ['description', 'transaction', 'details'],
+            amount: ['amount', 'transaction amount'],
+            debit: ['debit', 'money out'],
+            credit: ['credit', 'money in'],
+            reference: ['reference id', 'reference no.', 'reference number']
+        }
+    }
+};
+
+// --- File parsing ---
+
+function detectDelimiter(text) {
+    const firstLines = text.split(/\r?\n/).slice(0, 10).join('\n');
+    const counts = [',', ';', '\t'].map(delimiter => [delimiter, firstLines.split(delimiter).length]);
+    return counts.sort((a, b) => b[1] - a[1])[0][0];
+}
+
+/**
+ * RFC 4180 CSV parsing (quoted fields, escaped quotes, newlines inside quotes)
+ */
+function parseCsv(text) {
+    const input = text.replace(/^\uFEFF/, '');
+    const delimiter = detectDelimiter(input);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Rows of cell values from an uploaded CSV or XLSX file
+ */
+function readStatementRows(file) {
+    const name = (file.originalname || '').toLowerCase();
+    if (file.mimetype === XLSX_MIME || name.endsWith('.xlsx')) {
+        try {
+            return readFirstSheet(file.buffer);
+        } catch (error) {
+            if (error instanceof XlsxReadError) throw new StatementImportError(error.message, 400, 'STATEMENT_UNREADABLE');
+            throw error;
+        }
+    }
+    return parseCsv(file.buffer.toString('utf8'));
+}
+
+// --- Value normalization ---
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+function isoDate(year, month, day) {
+    const fullYear = year < 100 ? 2000 + year : year;
+    const date = new Date(Date.UTC(fullYear, month - 1, day));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * 'YYYY-MM-DD' from the date formats banks export, or null when the value is not a date.
+ * Numbers are Excel serial dates.
+ */
+function parseStatementDate(value, dateOrder = 'MDY') {
+    if (typeof value === 'number') {
+        if (value < 20000 || value > 80000) return null; // roughly 1954-2119
+        return new Date(Math.round((value - 25569) * 86400000)).toISOString().slice(0, 10);
+    }
+
+    const text = String(value ?? '').trim();
+    let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+    if (match) return isoDate(+match[1], +match[2], +match[3]);
+
+    match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})/);
+    if (match) {
+        const [first, second, year] = [+match[1], +match[2], +match[3]];
+        return dateOrder === 'DMY' ? isoDate(year, second, first) : isoDate(year, first, second);
+    }
+
+    // "Jan 05, 2025", "January 5 2025", "05 Jan 2025", "05-Jan-25"
+    match = text.match(/^([a-z]{3})[a-z]*\.?\s+(\d{1,2}),?\s+(\d{2,4})/i);
+    if (match && MONTHS.includes(match[1].toLowerCase())) {
+        return isoDate(+match[3], MONTHS.indexOf(match[1].toLowerCase()) + 1, +match[2]);
+    }
+    match = text.match(/^(\d{1,2})[\s-]([a-z]{3})[a-z]*[\s-](\d{2,4})/i);
+    if (match && MONTHS.includes(match[2].toLowerCase())) {
+        return isoDate(+match[3], MONTHS.indexOf(match[2].toLowerCase()) + 1, +match[1]);
+    }
+    return null;
+}
+
+/**
+ * Number from "1,234.56", "(1,234.56)", "PHP -500", "₱ 20.00 DR"; null when blank
+ */
+function parseStatementAmount(value) {
+    if (typeof value === 'number') return value;
+    let text = String(value ?? '').trim();
+    if (!text) return null;
+
+    let sign = 1;
+    if (/^\(.*\)$/.test(text)) {
+        sign = -1;
+        text = text.slice(1, -1);
+    }
+    if (/\bDR\b/i.test(text)) sign = -1;
+    const cleaned = text.replace(/PHP|₱|CR|DR|,|\s/gi, '');
+    if (!cleaned || isNaN(Number(cleaned))) return null;
+    return sign * Number(cleaned);
+}
+
+// --- Mapping ---
+
+const normalizeHeader = header => String(header ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+function findColumn(headers, names = []) {
+    return headers.findIndex(header => names.includes(header));
+}
+
+/**
+ * Locate the header row (statements often start with account details) and pick the bank mapper.
+ * Returns { bank, mapper, headerIndex, columns } or throws when no mapper fits.
+ */
+function resolveMapping(rows, requestedBank = null) {
+    const candidates = requestedBank ? [requestedBank] : Object.keys(BANK_MAPPERS);
+    if (requestedBank && !BANK_MAPPERS[requestedBank]) {
+        throw new StatementImportError(
+            `Unsupported bank "${requestedBank}". Supported: ${Object.keys(BANK_MAPPERS).join(', ')}`,
+            400,
+            'STATEMENT_BANK_UNSUPPORTED'
+        );
+    }
+
+    let best = null;
+    rows.slice(0, 30).forEach((row, headerIndex) => {
+        const headers = row.map(normalizeHeader);
+        candidates.forEach(bank => {
+            const mapper = BANK_MAPPERS[bank];
+            const columns = Object.fromEntries(
+                Object.entries(mapper.columns).map(([field, names]) => [field, findColumn(headers, names)])
+            );
+            const hasAmount = columns.amount >= 0 || (columns.debit >= 0 && columns.credit >= 0);
+            if (columns.date < 0 || columns.description < 0 || !hasAmount) return;
+
+            const score = mapper.signature.filter(name => headers.includes(name)).length;
+            if (!best || score > best.score) {
+                best = { bank, mapper, headerIndex, columns, score };
+            }
+        });
+    });
+
+    if (!best) {
+        throw new StatementImportError(
+            'Could not find date, description and amount columns. Choose the bank or check that the file is an unedited export.',
+            400,
+            'STATEMENT_COLUMNS_NOT_FOUND'
+        );
+    }
+    return best;
+}
+
+/**
+ * Same hash the web app stores on every transaction (public/js/firestoredb.js)
+ */
+function transactionHash({ description, amount, type, date, accountId }) {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify({ description, amount, type, date, accountId }))
+        .digest('hex');
+}
+
+/**
+ * Hashes a row could already be stored under: the app has saved expenses both as positive
+ * amounts (transactions page) and as negative ones (dashboard), so check both.
+ */
+function candidateHashes(transaction) {
+    const magnitude = Math.abs(transaction.amount);
+    return [magnitude, -magnitude].map(amount => transactionHash({ ...transaction, amount }));
+}
+
+/**
+ * Normalize statement rows into transactions for one account.
+ * @returns {{ bank: string, transactions: Array<object>, skippedRows: Array<{row: number, reason: string}> }}
+ */
+function normalizeStatement(rows, { accountId, bank = null }) {
+    const { bank: detectedBank, mapper, headerIndex, columns } = resolveMapping(rows, bank);
+    const transactions = [];
+    const skippedRows = [];
+    const cell = (row, index) => (index >= 0 ? row[index] : null);
+
+    rows.slice(headerIndex + 1).forEach((row, offset) => {
+        const rowNumber = headerIndex + offset + 2; // 1-based, as spreadsheets number rows
+        if (row.every(value => value === null || String(value).trim() === '')) return;
+
+        const date = parseStatementDate(cell(row, columns.date), mapper.dateOrder);
+        const description = String(cell(row, columns.description) ?? '').trim().replace(/\s+/g, ' ');
+        let signed = null;
+        if (columns.amount >= 0) {
+            signed = parseStatementAmount(cell(row, columns.amount));
+        }
+        if (signed === null && columns.debit >= 0) {
+            const debit = parseStatementAmount(cell(row, columns.debit));
+            const credit = parseStatementAmount(cell(row, columns.credit));
+            if (debit || credit) signed = (credit || 0) - Math.abs(debit || 0);
+        }
+
+        // Opening/closing balance lines and footers have no date or no amount
+        if (!date) return skippedRows.push({ row: rowNumber, reason: 'No valid date' });
+        if (!description) return skippedRows.push({ row: rowNumber, reason: 'No description' });
+        if (!signed) return skippedRows.push({ row: rowNumber, reason: 'No amount' });
+
+        const type = signed > 0 ? 'income' : 'expense';
+        const transaction = {
+            rowNumber,
+            date,
+            description,
+            amount: type === 'expense' ? -Math.abs(signed) : Math.abs(signed),
+            type,
+            category: 'Other',
+            accountId,
+            reference: String(cell(row, columns.reference) ?? '').trim() || null
+        };
+        transaction.dataHash = transactionHash(transaction);
+        transactions.push(transaction);
+    });
+
+    if (transactions.length > MAX_IMPORT_ROWS) {
+        throw new StatementImportError(
+            `Statements are limited to ${MAX_IMPORT_ROWS} transactions per import; split the file by month`,
+            413,
+            'STATEMENT_TOO_LARGE'
+        );
+    }
+    return { bank: detectedBank, transactions, skippedRows };
+}
+
+// --- PDF e-statements ---
+
+const STATEMENT_BANKS = ['BPI', 'BDO', 'Metrobank', 'Security Bank', 'UnionBank', 'RCBC', 'EastWest', 'PNB', 'GCash', 'Maya'];
+
+// Labels for statement-level figures, most specific first
+const METADATA_LABELS = {
+    statementDate: /statement date|statement period|period covered|cut-?off date/i,
+    dueDate: /payment due date|due date/i,
+    closingBalance: /total amount due|statement balance|new balance|outstanding balance|closing balance|ending balance/i,
+    openingBalance: /previous (statement )?balance|beginning balance|opening balance|balance forward/i,
+    minimumDue: /minimum amount due|minimum payment due|minimum due|minimum payment/i,
+    creditLimit: /credit limit/i
+};
+
+const DATE_TOKEN = String.raw`(?:\d{1,2}[/-]\d{1,2}(?:[/-]\d{2,4})?|[A-Za-z]{3}\.?\s+\d{1,2}(?:,?\s+\d{4})?|\d{1,2}\s+[A-Za-z]{3}(?:\s+\d{2,4})?)`;
+const TRANSACTION_LINE = new RegExp(`^(${DATE_TOKEN})(?:\\s+(${DATE_TOKEN}))?\\s+(.+)$`);
+const TRAILING_AMOUNT = /\s+(-?\(?(?:PHP\s*|₱\s*)?[\d,]*\d\.\d{2}\)?(?:\s*(?:CR|DR))?)$/i;
+const BALANCE_LINE = /balance (forward|from previous)|beginning balance|opening balance|ending balance|previous balance/i;
+const INCOME_WORDS = /deposit|credit memo|payroll|salary|interest (earned|income)|transfer from|cash in|received|refund|reversal/i;
+
+// Text after a label's match, so "Statement Date: 01/10/2026  Payment Due Date: 01/30/2026" yields each date once
+function afterLabel(lines, pattern) {
+    for (const line of lines) {
+        const match = line.match(pattern);
+        if (match) return line.slice(match.index + match[0].length);
+    }
+    return null;
+}
+
+function firstAmount(text) {
+    const match = text && text.match(/\(?-?(?:PHP\s*|₱\s*)?[\d,]*\d(?:\.\d{1,2})?\)?/i);
+    return match ? parseStatementAmount(match[0]) : null;
+}
+
+// Statement dates without a year ("12/20") belong to the statement's year, or the one before it
+function withYear(value, statementDate) {
+    if (/\d{4}|\d{1,2}[/-]\d{1,2}[/-]\d{2}\b/.test(value)) return parseStatementDate(value);
+
+    const reference = statementDate || new Date().toISOString().slice(0, 10);
+    const year = Number(reference.slice(0, 4));
+    const withReferenceYear = /^\d{1,2}[/-]\d{1,2}$/.test(value) ? `${value}/${year}` : `${value} ${year}`;
+    const parsed = parseStatementDate(withReferenceYear);
+    if (parsed && parsed.slice(0, 7) > reference.slice(0, 7)) {
+        return `${year - 1}${parsed.slice(4)}`;
+    }
+    return parsed;
+}
+
+/**
+ * Statement-level figures from PDF text. interestRate is annual (%) like account.interestRate;
+ * card statements quote a monthly rate, which is converted.
+ */
+function parseStatementMetadata(lines) {
+    const header = lines.slice(0, 15).join(' ');
+    const metadata = {
+        bank: STATEMENT_BANKS.find(bank => header.toLowerCase().includes(bank.toLowerCase())) || null,
+        accountLast4: null,
+        statementDate: null,
+        dueDate: null,
+        closingBalance: null,
+        openingBalance: null,
+        minimumDue: null,
+        creditLimit: null,
+        interestRate: null
+    };
+
+    const numberText = afterLabel(lines, /(card|account)\s*(number|no\.?)\s*:?/i);
+    const digits = numberText && numberText.trim().split(/\s{2,}/)[0].replace(/\D/g, '');
+    if (digits && digits.length >= 4) metadata.accountLast4 = digits.slice(-4);
+
+    ['statementDate', 'dueDate'].forEach(field => {
+        const text = afterLabel(lines, METADATA_LABELS[field]);
+        // A statement period ("01/01/2026 - 01/31/2026") closes on its second date
+        const period = text && text.match(new RegExp(`(${DATE_TOKEN})\\s*(?:-|to)\\s*(${DATE_TOKEN})`, 'i'));
+        const date = period ? period[2] : text && (text.match(new RegExp(DATE_TOKEN)) || [])[0];
+        if (date) metadata[field] = parseStatementDate(date);
+    });
+    ['closingBalance', 'openingBalance', 'minimumDue', 'creditLimit'].forEach(field => {
+        const amount = firstAmount(afterLabel(lines, METADATA_LABELS[field]));
+        if (amount !== null) metadata[field] = Math.abs(amount);
+    });
+
+    const rateLine = lines.find(line => /(interest|finance charge)( rate)?[^%]*\d\s*%/i.test(line));
+    if (rateLine) {
+        const rate = parseFloat(rateLine.match(/(\d+(?:\.\d+)?)\s*%/)[1]);
+        const annual = /annum|p\.a\.|annual|yearly/i.test(rateLine);
+        const monthly = /month|p\.m\./i.test(rateLine) || (!annual && rate <= 5);
+        metadata.interestRate = Math.round((monthly ? rate * 12 : rate) * 100) / 100;
+    }
+
+    metadata.statementType = metadata.minimumDue !== null || metadata.creditLimit !== null ? 'credit_card' : 'bank';
+    return metadata;
+}
+
+/**
+ * Transactions and statement metadata from PDF text lines.
+ * Card lines: "12/20  12/21  PAYMENT - THANK YOU  5,000.00 CR" (CR, minus or parentheses = payment/credit).
+ * Bank lines: "01/05/2026  ATM WITHDRAWAL  2,000.00  8,000.00" (amount then running balance; the
+ * balance movement decides debit or credit).
+ */
+function normalizePdfStatement(lines, { accountId }) {
+    const metadata = parseStatementMetadata(lines);
+    const transactions = [];
+    const skippedRows = [];
+    let runningBalance = metadata.statementType === 'bank' ? metadata.openingBalance : null;
+
+    lines.forEach((line, index) => {
+        const match = line.match(TRANSACTION_LINE);
+        if (!match || BALANCE_LINE.test(line)) return;
+
+        let rest = match[3];
+        const amounts = [];
+        let amountMatch;
+        while (amounts.length < 3 && (amountMatch = rest.match(TRAILING_AMOUNT))) {
+            amounts.unshift(amountMatch[1]);
+            rest = rest.slice(0, amountMatch.index);
+        }
+        const date = withYear(match[1], metadata.statementDate);
+        const description = rest.trim().replace(/\s+/g, ' ');
+        if (amounts.length === 0 || !date || !description) {
+            if (amounts.length > 0) skippedRows.push({ row: index + 1, reason: 'Could not read date or description' });
+            return;
+        }
+
+        let type;
+        let magnitude;
+        if (metadata.statementType === 'credit_card') {
+            const value = parseStatementAmount(amounts[amounts.length - 1]);
+            magnitude = Math.abs(value);
+            // Payments and credits lower what is owed: recorded as income against the card, as the ledger expects
+            type = value < 0 || /CR\s*$/i.test(amounts[amounts.length - 1]) ? 'income' : 'expense';
+        } else {
+            const balance = amounts.length >= 2 ? parseStatementAmount(amounts[amounts.length - 1]) : null;
+            magnitude = Math.abs(parseStatementAmount(amounts[amounts.length >= 2 ? amounts.length - 2 : 0]));
+            const moved = balance !== null && runningBalance !== null ? balance - runningBalance : null;
+            type = moved !== null && Math.abs(Math.abs(moved) - magnitude) < 0.01
+                ? (moved > 0 ? 'income' : 'expense')
+                : (INCOME_WORDS.test(description) ? 'income' : 'expense');
+            if (balance !== null) runningBalance = balance;
+        }
+        if (!magnitude) return;
+
+        const transaction = {
+            rowNumber: index + 1,
+            date,
+            description,
+            amount: type === 'expense' ? -magnitude : magnitude,
+            type,
+            category: 'Other',
+            accountId,
+            reference: null
+        };
+        transaction.dataHash = transactionHash(transaction);
+        transactions.push(transaction);
+    });
+
+    return { bank: metadata.bank || 'PDF', metadata, transactions, skippedRows };
+}
+
+/**
+ * Flag rows whose hash matches a stored transaction
+ * @param {Array<object>} transactions Normalized rows
+ * @param {Set<string>} existingHashes dataHash values already stored for the account
+ */
+function markDuplicates(transactions, existingHashes) {
+    return transactions.map(transaction => ({
+        ...transaction,
+        duplicate: candidateHashes(transaction).some(hash => existingHashes.has(hash))
+    }));
+}
+
+function summarize(transactions) {
+    return transactions.reduce((summary, transaction) => {
+        summary.total++;
+        if (transaction.duplicate) summary.duplicates++;
+        else if (transaction.type === 'income') summary.income += transaction.amount;
+        else summary.expense += Math.abs(transaction.amount);
+        return summary;
+    }, { total: 0, duplicates: 0, income: 0, expense: 0 });
+}
+
+const IMPORT_BATCH_SIZE = 400; // Firestore allows 500 writes per batch
+
+/**
+ * @param {object} deps
+ * @param {object} [deps.categorizer] createCategorizer service; when given, previewed rows get suggested categories
+ * @param {object} [deps.ledger] createLedgerService service, for moving account balances
+ */
+function createImportService({ db, admin, categorizer = null, ledger = createLedgerService({ db, admin }) }) {
+    const userDoc = userId => db.collection('users').doc(userId);
+
+    async function existingHashes(userId, accountId) {
+        const snapshot = await userDoc(userId).collection('transactions').where('accountId', '==', accountId).get();
+        return new Set(snapshot.docs.map(doc => doc.data().dataHash).filter(Boolean));
+    }
+
+    // Statement accounts: the chosen one, or for PDFs the account whose card/account number ends the same way
+    async function resolveAccount(userId, accountId, accountLast4) {
+        if (accountId) {
+            const doc = await userDoc(userId).collection('bankAccounts').doc(accountId).get();
+            if (!doc.exists) throw new StatementImportError('Account not found', 404, 'STATEMENT_ACCOUNT_NOT_FOUND');
+            return { id: doc.id, ...doc.data() };
+        }
+        if (accountLast4) {
+            const snapshot = await userDoc(userId).collection('bankAccounts').get();
+            const match = snapshot.docs.find(doc => String(doc.data().cardNumber || '').replace(/\D/g, '').endsWith(accountLast4));
+            if (match) return { id: match.id, ...match.data() };
+        }
+        throw new StatementImportError('Choose the account this statement belongs to', 400, 'STATEMENT_ACCOUNT_REQUIRED');
+    }
+
+    async function parseFile(file, { accountId, bank, password }) {
+        if (!/\.pdf$/i.test(file.originalname || '') && file.mimetype !== 'application/pdf') {
+            return normalizeStatement(readStatementRows(file), { accountId, bank });
+        }
+        try {
+            return normalizePdfStatement(await readPdfLines(file.buffer, password), { accountId });
+        } catch (error) {
+            if (!(error instanceof PdfReadError)) throw error;
+            const passwordError = error.code === 'PDF_PASSWORD_REQUIRED' || error.code === 'PDF_PASSWORD_INCORRECT';
+            throw new StatementImportError(error.message, passwordError ? 422 : 400, error.code.replace(/^PDF_/, 'STATEMENT_'));
+        }
+    }
+
+    /**
+     * Parse an uploaded statement and keep the result as a preview in uploads/{fileId}.
+     * Nothing is written to the user's transactions until confirmImport. PDF passwords are only
+     * used to open the file and are never stored.
+     */
+    async function previewStatement(userId, file, { accountId = null, bank = null, password = '' } = {}) {
+        const isPdf = /\.pdf$/i.test(file.originalname || '') || file.mimetype === 'application/pdf';
+        if (!accountId && !isPdf) {
+            throw new StatementImportError('accountId is required to import a statement', 400, 'STATEMENT_ACCOUNT_REQUIRED');
+        }
+
+        // Parse first with a placeholder account so a PDF's account number can pick the account
+        const parsed = await parseFile(file, { accountId: accountId || '', bank: bank || null, password });
+        const account = await resolveAccount(userId, accountId, parsed.metadata?.accountLast4);
+        const suggestions = categorizer ? await categorizer.suggestCategories(userId, parsed.transactions) : [];
+        const transactions = parsed.transactions.map((transaction, index) => {
+            const withAccount = { ...transaction, accountId: account.id };
+            const suggestion = suggestions[index];
+            return {
+                ...withAccount,
+                category: suggestion ? suggestion.category : transaction.category,
+                categorySource: suggestion ? suggestion.source : null,
+                dataHash: transactionHash(withAccount)
+            };
+        });
+        if (transactions.length === 0 && !parsed.metadata) {
+            throw new StatementImportError('No transactions found in the statement', 400, 'STATEMENT_EMPTY');
+        }
+
+        const preview = markDuplicates(transactions, await existingHashes(userId, account.id));
+        const summary = summarize(preview);
+        const metadata = parsed.metadata || null;
+        const docRef = await db.collection('uploads').add({
+            originalName: file.originalname,
+            mimetype: file.mimetype,
+            size: file.size,
+            uploadedAt: admin.firestore.FieldValue.serverTimestamp(),
+            userId,
+            kind: 'statement',
+            status: 'preview',
+            bank: parsed.bank,
+            accountId: account.id,
+            accountName: account.name || null,
+            transactions: preview,
+            skippedRows: parsed.skippedRows,
+            metadata,
+            summary
+        });
+
+        return {
+            fileId: docRef.id,
+            bank: parsed.bank,
+            accountId: account.id,
+            accountName: account.name || null,
+            transactions: preview,
+            skippedRows: parsed.skippedRows,
+            metadata,
+            summary
+        };
+    }
+
+    /**
+     * Copy a PDF statement's figures onto its account. Balance, minimum due and due date only
+     * move forward: an older statement imported late does not overwrite a newer one. The closing
+     * balance becomes the account's opening balance from the day after the statement, and
+     * transactions recorded since are added to it.
+     */
+    async function applyStatementMetadata(userId, accountId, metadata) {
+        const accountRef = userDoc(userId).collection('bankAccounts').doc(accountId);
+        const accountDoc = await accountRef.get();
+        if (!accountDoc.exists) return null;
+
+        const lastStatementDate = accountDoc.data().lastStatement?.statementDate || '';
+        const isLatest = !metadata.statementDate || metadata.statementDate >= lastStatementDate;
+        const update = { lastUpdated: new Date().toISOString() };
+
+        if (isLatest) {
+            update.lastStatement = { ...metadata, importedAt: new Date().toISOString() };
+            if (metadata.minimumDue !== null) update.minimumPayment = metadata.minimumDue;
+            if (metadata.dueDate) update.dueDate = metadata.dueDate;
+        }
+        if (metadata.interestRate !== null) update.interestRate = metadata.interestRate;
+        if (metadata.creditLimit !== null) update.creditLimit = metadata.creditLimit;
+
+        await accountRef.update(update);
+        if (isLatest && metadata.closingBalance !== null) {
+            Object.assign(update, await ledger.anchorBalance(userId, accountId, metadata.closingBalance, metadata.statementDate || null));
+        }
+        return update;
+    }
+
+    /**
+     * Write the previewed rows to the user's transactions in batches.
+     * Without rowNumbers every row not flagged as a duplicate is imported. Document ids are
+     * derived from the upload and row, so retrying a failed import never creates copies.
+     * Rows dated on or after the account's opening date move its balance in the same batch; older rows
+     * are already part of the opening balance. A PDF statement then re-anchors the balance on its own
+     * closing balance, and sets the minimum due and rate from its figures.
+     */
+    async function confirmImport(userId, fileId, { rowNumbers = null } = {}) {
+        const uploadRef = db.collection('uploads').doc(fileId);
+        const upload = await db.runTransaction(async tx => {
+            const doc = await tx.get(uploadRef);
+            if (!doc.exists || doc.data().userId !== userId || doc.data().kind !== 'statement') {
+                throw new StatementImportError('Statement upload not found', 404, 'STATEMENT_NOT_FOUND');
+            }
+            if (doc.data().status !== 'preview') {
+                throw new StatementImportError('This statement has already been imported', 409, 'STATEMENT_ALREADY_IMPORTED');
+            }
+            tx.update(uploadRef, { status: 'importing' });
+            return doc.data();
+        });
+
+        try {
+            let selected;
+            if (Array.isArray(rowNumbers)) {
+                const wanted = new Set(rowNumbers.map(Number));
+                selected = upload.transactions.filter(transaction => wanted.has(transaction.rowNumber));
+            } else {
+                // Re-check: transactions may have been added since the preview
+                selected = markDuplicates(upload.transactions, await existingHashes(userId, upload.accountId))
+                    .filter(transaction => !transaction.duplicate);
+            }
+
+            const transactionsRef = userDoc(userId).collection('transactions');
+            const accountRef = userDoc(userId).collection('bankAccounts').doc(upload.accountId);
+            const accountDoc = await accountRef.get();
+            // Rows a failed earlier attempt already wrote have already moved the balance
+            const written = new Set((await transactionsRef.where('importId', '==', fileId).get()).docs.map(doc => doc.id));
+            const now = new Date().toISOString();
+            for (let start = 0; start < selected.length; start += IMPORT_BATCH_SIZE) {
+                const batch = db.batch();
+                const rows = selected.slice(start, start + IMPORT_BATCH_SIZE);
+                rows.forEach(transaction => {
+                    const id = `imp_${fileId}_${transaction.rowNumber}`;
+                    batch.set(transactionsRef.doc(id), {
+                        id,
+                        transactionId: id,
+                        description: transaction.description,
+                        name: transaction.description,
+                        amount: transaction.amount,
+                        type: transaction.type,
+                        category: transaction.category,
+                        accountId: upload.accountId,
+                        accountName: upload.accountName,
+                        currency: (accountDoc.exists && accountDoc.data().currency) || 'PHP',
+                        date: transaction.date,
+                        notes: transaction.reference ? `Ref: ${transaction.reference}` : '',
+                        reference: transaction.reference,
+                        dataHash: transaction.dataHash,
+                        source: 'statement_import',
+                        importId: fileId,
+                        userId,
+                        createdAt: now,
+                        timestamp: admin.firestore.FieldValue.serverTimestamp()
+                    });
+                });
+                if (accountDoc.exists) {
+                    const newRows = rows
+                        .filter(transaction => !written.has(`imp_${fileId}_${transaction.rowNumber}`))
+                        .map(transaction => ({ ...transaction, accountId: upload.accountId }));
+                    const delta = ledgerDelta({ id: accountDoc.id, ...accountDoc.data() }, newRows);
+                    if (delta !== 0) {
+                        batch.update(accountRef, { balance: admin.firestore.FieldValue.increment(delta), lastUpdated: now });
+                    }
+                }
+                await batch.commit();
+            }
+
+            const accountUpdate = upload.metadata
+                ? await applyStatementMetadata(userId, upload.accountId, upload.metadata)
+                : null;
+
+            await uploadRef.update({
+                status: 'imported',
+                importedCount: selected.length,
+                importedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            return { imported: selected.length, skipped: upload.transactions.length - selected.length, accountUpdate };
+        } catch (error) {
+            await uploadRef.update({ status: 'preview' }).catch(() => {});
+            throw error;
+        }
+    }
+
+    return { previewStatement, confirmImport };
+}
+
+module.exports = {
+    BANK_MAPPERS,
+    MAX_IMPORT_ROWS,
+    StatementImportError,
+    parseCsv,
+    readStatementRows,
+    parseStatementDate,
+    parseStatementAmount,
+    resolveMapping,
+    normalizeStatement,
+    normalizePdfStatement,
+    transactionHash,
+    markDuplicates,
+    summarize,
+    createImportService
+};
@@ -0,0 +1,61 @@
+/**
+ * Telegram Bot API Client for Kita-kita Platform
+ * A thin wrapper over the Bot API (https://core.telegram.org/bots/api) for messaging users who linked Telegram
+ * with their connection key. TELEGRAM_BOT_TOKEN enables it; TELEGRAM_API_BASE_URL points it at another
+ * server, such as a local stand-in during development.
+ */
+
+const DEFAULT_BASE_URL = 'https://api.telegram.org';
+
+class TelegramApiError extends Error {
+    constructor(message, status = 502, code = 'TELEGRAM_API_ERROR') {
+        super(message);
+        this.name = 'TelegramApiError';
+        this.code = code;
+        this.status = status;
+    }
+
+    toJSON() {
+        return { error: this.message, code: this.code };
+    }
+}
+
+function createTelegramApi({
+    token = process.env.TELEGRAM_BOT_TOKEN,
+    baseURL = process.env.TELEGRAM_API_BASE_URL || DEFAULT_BASE_URL
+} = {}) {
+    const root = baseURL.replace(/\/$/, '');
+
+    /**
+     * Call a Bot API method with JSON parameters and return its `result`.
+     */
+    async function call(method, params = {}) {
+        if (!token) {
+            throw new TelegramApiError('Telegram is not configured (TELEGRAM_BOT_TOKEN)', 503, 'TELEGRAM_DISABLED');
+        }
+        const response = await fetch(`${root}/bot${token}/${method}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(params)
+        });
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok || !body.ok) {
+            throw new TelegramApiError(body.description || `Telegram ${method} failed with status ${response.status}`);
+        }
+        return body.result;
+    }
+
+    return {
+        isAvailable: () => !!token,
+        call,
+        getMe: () => call('getMe'),
+        // Long polling: waits up to `timeout` seconds for updates after `offset`
+        getUpdates: ({ offset, timeout = 25 } = {}) => call('getUpdates', { offset, timeout, allowed_updates: ['message'] }),
+        sendMessage: (chatId, text, options = {}) => call('sendMessage', { chat_id: chatId, text, ...options })
+    };
+}
+
+module.exports = {
+    TelegramApiError,
+    createTelegramApi
+};
@@ -0,0 +1,377 @@
+/**
+ * Telegram Bot for Kita-kita Platform
+ * The bot on the other side of the profile page's connection key. A chat is linked by sending the key
+ * (`/connect TG-...`, `/start TG-...` from a deep link, or the key alone); the user document then records
+ * `telegramKeyUsed`, the `telegramChatId`, the key it was linked with and who linked it. A key in use by one
+ * chat can't link another until that chat sends /disconnect. A linked chat can check balances, budgets and
+ * bills, record a transaction, and ask any of the AI agents a question.
+ * Updates come in by long polling (startPolling) through lib/telegram-api.js.
+ */
+
+const { today, isLiability } = require('./recurring-transactions.js');
+
+const KEY_PATTERN = /^TG-[A-Z0-9]+-[A-Z0-9]+-[A-Z0-9]+$/i;
+const MAX_DESCRIPTION_LENGTH = 100;
+const POLL_RETRY_MS = 5000;
+// The bot the profile page's instructions name, used until getMe answers
+const DEFAULT_BOT_USERNAME = 'KitakitaAIBot';
+
+// `/ask <agent> <question>`: the name the user types, and the agent type of the chat route
+const AGENTS = {
+    ipon: { agentType: 'iponCoach', name: 'IponCoach' },
+    gastos: { agentType: 'gastosGuardian', name: 'GastosGuardian' },
+    pera: { agentType: 'peraPlanner', name: 'PeraPlanner' },
+    utang: { agentType: 'debtDemolisher', name: 'Debt Demolisher' },
+    debt: { agentType: 'debtDemolisher', name: 'Debt Demolisher' }
+};
+
+const HELP_TEXT = [
+    'Here is what I can do:',
+    '/balance - your account balances',
+    '/add expense 150 food jollibee - record a transaction (add @account to pick one, e.g. @gcash)',
+    '/add income 25000 salary',
+    '/budget - this period\'s budgets',
+    '/bills - bills due soon',
+    '/ask ipon|gastos|pera|utang <question> - ask an AI agent',
+    '/disconnect - unlink this chat'
+].join('\n');
+
+function formatAmount(amount, currency = 'PHP') {
+    const value = Math.abs(Number(amount) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    const sign = Number(amount) < 0 ? '-' : '';
+    return currency === 'PHP' ? `${sign}₱${value}` : `${sign}${currency} ${value}`;
+}
+
+// '/add@KitakitaAIBot expense 150' -> { command: 'add', args: ['expense', '150'] }
+function parseCommand(text) {
+    const [first, ...args] = String(text || '').trim().split(/\s+/);
+    if (!first || !first.startsWith('/')) return null;
+    return { command: first.slice(1).split('@')[0].toLowerCase(), args };
+}
+
+/**
+ * Read `/add` arguments: a type, an amount, then an optional category and the description.
+ * An `@name` word picks the account.
+ * @returns {{type: string, amount: number, words: Array<string>, account: string|null}}
+ */
+function parseAddCommand(args) {
+    const account = args.find(word => word.startsWith('@') && word.length > 1);
+    const [type, amountText, ...words] = args.filter(word => word !== account);
+    if (!['expense', 'income'].includes(String(type).toLowerCase())) {
+        throw new Error('Start with expense or income, e.g. /add expense 150 food jollibee');
+    }
+    const amount = parseFloat(String(amountText || '').replace(/[₱,]/g, ''));
+    if (!(amount > 0)) throw new Error('The amount must be a number above zero, e.g. /add expense 150 food jollibee');
+    return { type: type.toLowerCase(), amount: Math.round(amount * 100) / 100, words, account: account ? account.slice(1) : null };
+}
+
+/**
+ * @param {object} deps
+ * @param {function(string, string, string): Promise<string>} deps.askAgent (userId, agentType, message) -> reply
+ * @param {function(string, string, object, boolean): Promise} [deps.logActivity] Audit log writer (dbHelpers.logUserActivity)
+ */
+function createTelegramBot({ db, telegram, ledger, fx, budgets, bills, categories, categorizer, askAgent, logActivity = async () => {} }) {
+    const usersRef = () => db.collection('users');
+    let botInfo = null;
+
+    async function findUserByChat(chatId) {
+        const snapshot = await usersRef().where('telegramChatId', '==', chatId).limit(1).get();
+        const doc = snapshot.docs[0];
+        return doc ? { id: doc.id, ...doc.data() } : null;
+    }
+
+    async function loadTransactions(userId) {
+        const snapshot = await usersRef().doc(userId).collection('transactions').get();
+        return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    }
+
+    async function loadAccounts(userId) {
+        const snapshot = await usersRef().doc(userId).collection('bankAccounts').get();
+        return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    }
+
+    /**
+     * Link a chat to the user whose connection key was sent. A chat is linked to one user at a time, so
+     * linking moves it off any other. A key already used by another chat is refused, unless the user's key
+     * has changed since that chat was linked; then the new chat takes over and the old one is told.
+     */
+    async function linkChat(chatId, key, from = {}) {
+        const snapshot = await usersRef().where('telegramKey', '==', key.toUpperCase()).limit(1).get();
+        if (snapshot.docs.length === 0) {
+            return 'That key doesn\'t match any Kita-kita account. Copy it again from your Profile page and send /connect <key>.';
+        }
+        const userDoc = snapshot.docs[0];
+        const user = userDoc.data();
+        const oldChatId = user.telegramKeyUsed && user.telegramChatId && user.telegramChatId !== chatId ? user.telegramChatId : null;
+        // Links from before the key was recorded count as made with the current key
+        if (oldChatId && (user.telegramLinkedKey || user.telegramKey) === user.telegramKey) {
+            await logActivity(userDoc.id, 'TELEGRAM_LINK_REFUSED', { telegramUsername: from.username || null }, true);
+            return 'That key is already linked to another Telegram chat. Send /disconnect in that chat first, then /connect <key> here.';
+        }
+
+        const previous = await usersRef().where('telegramChatId', '==', chatId).get();
+        await Promise.all(previous.docs
+            .filter(doc => doc.id !== userDoc.id)
+            .map(doc => doc.ref.update({ telegramChatId: null, telegramKeyUsed: false })));
+
+        await userDoc.ref.update({
+            telegramKeyUsed: true,
+            telegramChatId: chatId,
+            telegramLinkedKey: user.telegramKey,
+            telegramLinkedAt: new Date().toISOString(),
+            telegramFirstName: from.first_name || null,
+            telegramLastName: from.last_name || null,
+            telegramUsername: from.username || null
+        });
+        await logActivity(userDoc.id, 'TELEGRAM_LINKED', { telegramUsername: from.username || null }, true);
+
+        if (oldChatId) {
+            try {
+                await telegram.sendMessage(oldChatId, 'This chat is no longer linked to your Kita-kita account: it was connected from another Telegram chat with your new key.');
+            } catch (error) {
+                console.error('❌ Could not tell the old Telegram chat it was unlinked:', error.message);
+            }
+        }
+
+        const name = user.firstName;
+        return `✅ Connected${name ? `, ${name}` : ''}! Your Kita-kita account is now linked to this chat.\n\n${HELP_TEXT}`;
+    }
+
+    async function unlinkChat(user) {
+        await usersRef().doc(user.id).update({ telegramChatId: null, telegramKeyUsed: false });
+        await logActivity(user.id, 'TELEGRAM_UNLINKED', {}, true);
+        return 'This chat is no longer linked. Send /connect <key> to link it again.';
+    }
+
+    async function balanceReply(user) {
+        const stored = await loadAccounts(user.id);
+        if (stored.length === 0) return 'You have no accounts yet. Add them on the Accounts page.';
+
+        const { homeCurrency, accounts } = await fx.convertForUser(user.id, { accounts: stored, userData: user });
+        let assets = 0;
+        let liabilities = 0;
+        accounts.forEach(account => {
+            const balance = Number(account.balance) || 0;
+            if (isLiability(account)) liabilities += balance;
+            else assets += balance;
+        });
+
+        const lines = stored
+            .slice()
+            .sort((a, b) => Number(isLiability(a)) - Number(isLiability(b)) || String(a.name).localeCompare(String(b.name)))
+            .map(account => `• ${account.name}: ${formatAmount(account.balance, account.currency || 'PHP')}${isLiability(account) ? ' owed' : ''}`);
+        return [
+            '💰 Balances',
+            ...lines,
+            '',
+            `Assets: ${formatAmount(assets, homeCurrency)}`,
+            `Owed: ${formatAmount(liabilities, homeCurrency)}`,
+            `Net worth: ${formatAmount(assets - liabilities, homeCurrency)}`
+        ].join('\n');
+    }
+
+    async function addReply(user, args) {
+        let parsed;
+        try {
+            parsed = parseAddCommand(args);
+        } catch (error) {
+            return error.message;
+        }
+        const { type, amount, account: accountName } = parsed;
+        let { words } = parsed;
+
+        let account = null;
+        if (accountName) {
+            const needle = accountName.toLowerCase();
+            const accounts = await loadAccounts(user.id);
+            account = accounts.find(item => String(item.name || '').toLowerCase().replace(/\s+/g, '') === needle)
+                || accounts.find(item => String(item.name || '').toLowerCase().replace(/\s+/g, '').includes(needle));
+            if (!account) return `No account matches @${accountName}. Send /balance to see your account names.`;
+        }
+
+        // The first word is the category when it names one of the user's; otherwise it is suggested
+        const userCategories = (await categories.listCategories(user.id)).filter(item => item.type === type);
+        const first = String(words[0] || '').toLowerCase();
+        let category = userCategories.find(item => item.key === first || String(item.name).toLowerCase() === first);
+        if (category) words = words.slice(1);
+        const description = (words.join(' ') || (category ? category.name : type)).slice(0, MAX_DESCRIPTION_LENGTH);
+        if (!category) {
+            const suggestion = await categorizer.suggestCategory(user.id, { description, type });
+            category = userCategories.find(item => item.key === suggestion?.category) || { key: 'other', name: 'Other' };
+        }
+
+        const transaction = {
+            type,
+            amount: type === 'expense' ? -amount : amount,
+            name: description,
+            description,
+            category: category.key,
+            date: today(),
+            accountId: account ? account.id : null,
+            accountName: account ? account.name : null,
+            source: 'telegram'
+        };
+        await ledger.postTransaction(user.id, transaction);
+
+        const currency = account?.currency || 'PHP';
+        return `✅ Recorded ${type === 'expense' ? 'expense' : 'income'}: ${description}, ${formatAmount(amount, currency)} (${category.name})`
+            + `${account ? ` on ${account.name}` : ''}.`;
+    }
+
+    async function budgetReply(user) {
+        const { transactions } = await fx.convertForUser(user.id, { transactions: await loadTransactions(user.id), userData: user });
+        const [list, userCategories] = await Promise.all([
+            budgets.listBudgets(user.id, { transactions }),
+            categories.listCategories(user.id)
+        ]);
+        if (list.length === 0) return 'You have no budgets yet. Add them on the Dashboard.';
+
+        const icon = { over: '🔴', warning: '🟡', 'on-track': '🟢' };
+        const lines = list.map(budget => {
+            const { status } = budget;
+            const label = userCategories.find(item => item.key === budget.category)?.name || budget.category;
+            const left = status.remaining >= 0 ? `${formatAmount(status.remaining)} left` : `${formatAmount(-status.remaining)} over`;
+            return `${icon[status.state] || '•'} ${label}: ${formatAmount(status.spent)} of ${formatAmount(status.available)} (${status.percent}%), ${left}`;
+        });
+        return ['📊 Budgets this period', ...lines].join('\n');
+    }
+
+    async function billsReply(user) {
+        const due = (await bills.listBills(user.id)).filter(bill => bill.nextDueDate && bill.state !== 'upcoming');
+        if (due.length === 0) return 'No bills due in the next few days. 🎉';
+        const lines = due.map(bill => `• ${bill.name}${bill.amount > 0 ? ` ${formatAmount(bill.amount, bill.currency)}` : ''}: `
+            + (bill.state === 'overdue' ? `overdue since ${bill.nextDueDate}` : `due ${bill.nextDueDate}`));
+        return ['🔔 Bills due', ...lines].join('\n');
+    }
+
+    async function askReply(user, args) {
+        const [agentName, ...words] = args;
+        const agent = AGENTS[String(agentName || '').toLowerCase()];
+        const question = words.join(' ').trim();
+        if (!agent || !question) {
+            return 'Ask like this: /ask ipon How much should I save each payday?\nAgents: ipon, gastos, pera, utang';
+        }
+        const reply = await askAgent(user.id, agent.agentType, question);
+        return `🤖 ${agent.name}:\n${reply}`;
+    }
+
+    // The reply to one message, or null when there is nothing to say
+    async function replyTo(message) {
+        const chatId = message.chat.id;
+        const text = String(message.text || '').trim();
+        const parsed = parseCommand(text);
+
+        // Linking works before the chat is linked
+        if (KEY_PATTERN.test(text)) return linkChat(chatId, text, message.from);
+        if (parsed && ['connect', 'start'].includes(parsed.command) && KEY_PATTERN.test(parsed.args[0] || '')) {
+            return linkChat(chatId, parsed.args[0], message.from);
+        }
+
+        const user = await findUserByChat(chatId);
+        if (!user) {
+            return parsed?.command === 'connect'
+                ? 'Send /connect followed by the key from your Kita-kita Profile page, e.g. /connect TG-ABC123-DEFG456-HIJ789.'
+                : 'Welcome to Kita-kita! Link your account first: copy the connection key from your Profile page and send /connect <key>.';
+        }
+        if (!parsed) return `Send a command, or ask an agent with /ask.\n\n${HELP_TEXT}`;
+
+        switch (parsed.command) {
+            case 'start':
+            case 'help':
+                return HELP_TEXT;
+            case 'balance':
+                return balanceReply(user);
+            case 'add':
+                return addReply(user, parsed.args);
+            case 'budget':
+            case 'budgets':
+                return budgetReply(user);
+            case 'bills':
+                return billsReply(user);
+            case 'ask':
+                return askReply(user, parsed.args);
+            case 'disconnect':
+                return unlinkChat(user);
+            default:
+                return `I don't know /${parsed.command}.\n\n${HELP_TEXT}`;
+        }
+    }
+
+    /**
+     * Answer one update from getUpdates. Failures are answered with an apology rather than thrown, so one
+     * bad message doesn't stop the others.
+     * @returns {Promise<string|null>} What was sent back
+     */
+    async function handleUpdate(update) {
+        const message = update.message;
+        if (!message || !message.chat || typeof message.text !== 'string') return null;
+
+        let reply;
+        try {
+            reply = await replyTo(message);
+        } catch (error) {
+            console.error('❌ Telegram bot failed to answer a message:', error.message);
+            reply = 'Sorry, something went wrong on our side. Please try again in a moment.';
+        }
+        if (reply) await telegram.sendMessage(message.chat.id, reply);
+        return reply;
+    }
+
+    /**
+     * The bot's name and link for the profile page, from getMe (cached once it answers).
+     * @returns {Promise<{botName: string, botUrl: string}>}
+     */
+    async function getBotInfo() {
+        if (!botInfo && telegram.isAvailable()) {
+            try {
+                const me = await telegram.getMe();
+                botInfo = { botName: `@${me.username}`, botUrl: `https://t.me/${me.username}` };
+            } catch (error) {
+                console.error('❌ Telegram getMe failed:', error.message);
+            }
+        }
+        return botInfo || { botName: `@${DEFAULT_BOT_USERNAME}`, botUrl: `https://t.me/${DEFAULT_BOT_USERNAME}` };
+    }
+
+    /**
+     * Long-poll for updates and answer them one at a time until stopped. Returns a stop function.
+     * Only one instance may poll a bot token; set TELEGRAM_BOT=off on the others.
+     */
+    function startPolling({ timeoutSeconds = 25 } = {}) {
+        let stopped = false;
+        let offset;
+
+        async function loop() {
+            while (!stopped) {
+                try {
+                    const updates = await telegram.getUpdates({ offset, timeout: timeoutSeconds });
+                    for (const update of updates) {
+                        offset = update.update_id + 1;
+                        if (!stopped) await handleUpdate(update);
+                    }
+                } catch (error) {
+                    console.error('❌ Telegram polling failed:', error.message);
+                    await new Promise(resolve => setTimeout(resolve, POLL_RETRY_MS).unref());
+                }
+            }
+        }
+
+        loop();
+        return () => {
+            stopped = true;
+        };
+    }
+
+    return {
+        handleUpdate,
+        getBotInfo,
+        startPolling
+    };
+}
+
+module.exports = {
+    AGENTS,
+    parseCommand,
+    parseAddCommand,
+    createTelegramBot
+};
@@ -0,0 +1,154 @@
+import { createRequire } from 'module';
+import { transactionLegs, ledgerDelta, computeLedgerBalance, anchorLegacyAccount, reconcileAccount, createLedgerService, LedgerError } from '../account-ledger.js';
+
+const require = createRequire(import.meta.url);
+const { createFakeFirestore } = require('./fake-firestore.cjs');
+
+const bank = { id: 'bpi', name: 'BPI Savings', category: 'traditional-bank', accountType: 'Savings', openingBalance: 10000, openingDate: '2026-01-01' };
+const card = { id: 'card', name: 'BDO Visa', category: 'credit-card', accountType: 'Credit Card', openingBalance: 0, openingDate: '2026-01-01' };
+
+describe('transactionLegs', () => {
+    test('income and expenses move their own account by the amount\'s size', () => {
+        expect(transactionLegs({ type: 'expense', amount: -250, accountId: 'bpi' })).toEqual([{ accountId: 'bpi', type: 'expense', amount: 250 }]);
+        expect(transactionLegs({ type: 'income', amount: 1000, accountId: 'bpi' })).toEqual([{ accountId: 'bpi', type: 'income', amount: 1000 }]);
+    });
+
+    test('a transfer leaves one account and enters the other, in the received amount for a remittance', () => {
+        expect(transactionLegs({ type: 'transfer', amount: 500, accountId: 'bpi', toAccountId: 'card' })).toEqual([
+            { accountId: 'bpi', type: 'expense', amount: 500 },
+            { accountId: 'card', type: 'income', amount: 500 }
+        ]);
+        expect(transactionLegs({ type: 'transfer', amount: 100, accountId: 'usd', toAccountId: 'bpi', receivedAmount: 5650 })[1])
+            .toEqual({ accountId: 'bpi', type: 'income', amount: 5650 });
+    });
+
+    test('transactions without an account or with an unknown type move nothing', () => {
+        expect(transactionLegs({ type: 'expense', amount: -5 })).toEqual([]);
+        expect(transactionLegs({ type: 'adjustment', amount: 5, accountId: 'bpi' })).toEqual([]);
+        expect(transactionLegs({ type: 'transfer', amount: 5, accountId: 'bpi' })).toEqual([{ accountId: 'bpi', type: 'expense', amount: 5 }]);
+    });
+});
+
+describe('ledger balances', () => {
+    const transactions = [
+        { type: 'income', amount: 25000, accountId: 'bpi', date: '2026-01-15' },
+        { type: 'expense', amount: -1200, accountId: 'card', date: '2026-01-20' },
+        { type: 'transfer', amount: 1000, accountId: 'bpi', toAccountId: 'card', date: '2026-02-01' },
+        { type: 'expense', amount: -999, accountId: 'bpi', date: '2025-12-31' }
+    ];
+
+    test('assets rise with income; liabilities rise with spending and fall with payments', () => {
+        expect(ledgerDelta(bank, transactions)).toBe(24000);
+        expect(ledgerDelta(card, transactions)).toBe(200);
+    });
+
+    test('transactions before the opening date are already in the opening balance', () => {
+        expect(computeLedgerBalance(bank, transactions)).toBe(34000);
+    });
+
+    test('an account from before the ledger is anchored at its current balance', () => {
+        const legacy = { id: 'bpi', balance: 30000 };
+        expect(anchorLegacyAccount(legacy, transactions, '2026-01-01')).toEqual({ openingBalance: 6000, openingDate: '2026-01-01' });
+        expect(reconcileAccount(legacy, transactions)).toMatchObject({ state: 'anchored', drift: 0 });
+    });
+
+    test('reconciling flags a stored balance that drifted from the ledger', () => {
+        expect(reconcileAccount({ ...bank, balance: 34000 }, transactions)).toMatchObject({ state: 'balanced', drift: 0 });
+        expect(reconcileAccount({ ...bank, balance: 33500 }, transactions)).toMatchObject({ state: 'drift', drift: -500, ledgerBalance: 34000 });
+    });
+});
+
+describe('createLedgerService', () => {
+    let fake;
+    let ledger;
+    const account = id => fake.read(`users/u1/bankAccounts/${id}`);
+    const stored = id => fake.read(`users/u1/transactions/${id}`);
+
+    beforeEach(() => {
+        fake = createFakeFirestore({
+            'users/u1/bankAccounts/bpi': { ...bank, balance: 10000 },
+            'users/u1/bankAccounts/card': { ...card, balance: 0 },
+            'users/u1/bankAccounts/usd': { id: 'usd', name: 'USD Savings', category: 'traditional-bank', currency: 'USD', openingBalance: 0, openingDate: '2026-01-01', balance: 0 }
+        });
+        ledger = createLedgerService(fake);
+    });
+
+    test('posting writes the transaction and moves the balance together', async () => {
+        const id = await ledger.postTransaction('u1', { id: 't1', type: 'expense', amount: -350, accountId: 'bpi', date: '2026-02-01' });
+        expect(id).toBe('t1');
+        expect(stored('t1')).toMatchObject({ userId: 'u1', transactionId: 't1', currency: 'PHP' });
+        expect(account('bpi').balance).toBe(9650);
+    });
+
+    test('posting the same id twice is rejected without moving the balance again', async () => {
+        const transaction = { id: 'bill_b1_20260201', type: 'expense', amount: -350, accountId: 'bpi', date: '2026-02-01' };
+        await ledger.postTransaction('u1', transaction);
+        await expect(ledger.postTransaction('u1', transaction)).rejects.toMatchObject({ status: 409, code: 'TRANSACTION_EXISTS' });
+        expect(account('bpi').balance).toBe(9650);
+    });
+
+    test('a transfer moves both accounts and writes its fee as an expense', async () => {
+        await ledger.postTransaction('u1', { id: 'pay', type: 'transfer', amount: 2000, fee: 15, accountId: 'bpi', toAccountId: 'card', date: '2026-02-01' });
+        expect(account('bpi').balance).toBe(7985);
+        expect(account('card').balance).toBe(-2000);
+        expect(stored('pay_fee')).toMatchObject({ type: 'expense', amount: -15, category: 'bills', transferId: 'pay' });
+    });
+
+    test('rejects invalid transactions and remittances without the amount received', async () => {
+        await expect(ledger.postTransaction('u1', { type: 'gift', amount: 1, accountId: 'bpi' })).rejects.toThrow(LedgerError);
+        await expect(ledger.postTransaction('u1', { type: 'transfer', amount: 1, accountId: 'bpi', toAccountId: 'bpi' })).rejects.toThrow('two different accounts');
+        await expect(ledger.postTransaction('u1', { type: 'transfer', amount: 100, accountId: 'usd', toAccountId: 'bpi', date: '2026-02-01' }))
+            .rejects.toThrow('from USD to PHP needs the amount received');
+        expect(fake.list('users/u1/transactions')).toEqual([]);
+    });
+
+    test('updating moves the balances by the difference, including across accounts', async () => {
+        await ledger.postTransaction('u1', { id: 't1', type: 'expense', amount: -350, accountId: 'bpi', date: '2026-02-01' });
+        await ledger.updateTransaction('u1', 't1', { amount: -500, category: 'food' });
+        expect(account('bpi').balance).toBe(9500);
+        expect(stored('t1')).toMatchObject({ amount: -500, category: 'food', userId: 'u1' });
+
+        await ledger.updateTransaction('u1', 't1', { accountId: 'card' });
+        expect(account('bpi').balance).toBe(10000);
+        expect(account('card').balance).toBe(500);
+    });
+
+    test('turning a transfer into an expense removes its fee', async () => {
+        await ledger.postTransaction('u1', { id: 'pay', type: 'transfer', amount: 2000, fee: 15, accountId: 'bpi', toAccountId: 'card', date: '2026-02-01' });
+        await ledger.updateTransaction('u1', 'pay', { type: 'expense', amount: -2000 });
+        expect(stored('pay_fee')).toBeUndefined();
+        expect(account('bpi').balance).toBe(8000);
+        expect(account('card').balance).toBe(0);
+    });
+
+    test('deleting undoes the balance change, fee included', async () => {
+        await ledger.postTransaction('u1', { id: 'pay', type: 'transfer', amount: 2000, fee: 15, accountId: 'bpi', toAccountId: 'card', date: '2026-02-01' });
+        await ledger.deleteTransaction('u1', 'pay');
+        expect(fake.list('users/u1/transactions')).toEqual([]);
+        expect(account('bpi').balance).toBe(10000);
+        expect(account('card').balance).toBe(0);
+        await expect(ledger.deleteTransaction('u1', 'pay')).rejects.toMatchObject({ status: 404, code: 'TRANSACTION_NOT_FOUND' });
+    });
+
+    test('correcting the opening balance keeps the transactions applied', async () => {
+        await ledger.postTransaction('u1', { id: 't1', type: 'income', amount: 5000, accountId: 'bpi', date: '2026-02-01' });
+        await expect(ledger.setOpeningBalance('u1', 'bpi', 12000)).resolves.toEqual({ openingBalance: 12000, openingDate: '2026-01-01' });
+        expect(account('bpi').balance).toBe(17000);
+        await expect(ledger.setOpeningBalance('u1', 'bpi', -1)).rejects.toThrow('Balance cannot be negative');
+        await expect(ledger.setOpeningBalance('u1', 'card', -300)).resolves.toMatchObject({ openingBalance: -300 });
+        await expect(ledger.setOpeningBalance('u1', 'gone', 1)).rejects.toMatchObject({ code: 'ACCOUNT_NOT_FOUND' });
+    });
+
+    test('reconciling finds drift and resolving it keeps the chosen figure', async () => {
+        await ledger.postTransaction('u1', { id: 't1', type: 'income', amount: 5000, accountId: 'bpi', date: '2026-02-01' });
+        await fake.db.collection('users').doc('u1').collection('bankAccounts').doc('bpi').update({ balance: 14000 });
+
+        const results = await ledger.reconcileAccounts('u1', { asOf: '2026-03-01' });
+        expect(results.find(result => result.accountId === 'bpi')).toMatchObject({ state: 'drift', drift: -1000, ledgerBalance: 15000 });
+        expect(account('bpi').reconciliation).toMatchObject({ state: 'drift', drift: -1000 });
+
+        await ledger.resolveDrift('u1', 'bpi', 'balance');
+        expect(account('bpi')).toMatchObject({ balance: 14000, openingBalance: 9000 });
+        await expect(ledger.resolveDrift('u1', 'bpi', 'maybe')).rejects.toThrow('keep must be one of');
+    });
+});
@@ -0,0 +1,58 @@
+import { jest } from '@jest/globals';
+import AIEngine from '../ai-engine.js';
+import { AIProviderError, createProvider } from '../llm-provider.js';
+
+function createEngine(provider = createProvider('local')) {
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const engine = new AIEngine({ provider });
+    errorSpy.mockRestore();
+    return engine;
+}
+
+const today = new Date().toISOString().slice(0, 10);
+const transactions = [
+    { type: 'income', amount: 30000, category: 'salary', date: today },
+    { type: 'expense', amount: -4500, category: 'food', date: today },
+    { type: 'expense', amount: -1500, category: 'transportation', date: today },
+    { type: 'expense', amount: -500, category: 'food', date: today }
+];
+
+describe('buildChatContext', () => {
+    const engine = createEngine();
+
+    test('totals stored-negative expenses as positive amounts', () => {
+        const context = engine.buildChatContext('iponCoach', { transactions });
+        expect(context.monthlyIncome).toBe(30000);
+        expect(context.monthlyExpenses).toBe(6500);
+        expect(context.savingsRate).toBe(78);
+    });
+
+    test('ranks the biggest spending category first', () => {
+        const { topCategories, monthlyExpenses } = engine.buildChatContext('gastosGuardian', { transactions });
+        expect(monthlyExpenses).toBe(6500);
+        expect(topCategories).toEqual([
+            { name: 'food', total: 5000 },
+            { name: 'transportation', total: 1500 }
+        ]);
+    });
+});
+
+describe('getChatResponse', () => {
+    test('answers from the provider', async () => {
+        const engine = createEngine();
+        await expect(engine.getChatResponse('iponCoach', 'Paano mag-ipon?')).resolves.toMatch(/sweldo/);
+    });
+
+    test('throws a typed error instead of returning an apology as the reply', async () => {
+        const provider = createProvider('local');
+        provider.generate = async () => {
+            throw new Error('quota exceeded');
+        };
+        const engine = createEngine(provider);
+        const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const reply = engine.getChatResponse('iponCoach', 'Paano mag-ipon?');
+        await expect(reply).rejects.toBeInstanceOf(AIProviderError);
+        await expect(reply).rejects.toMatchObject({ status: 503, code: 'AI_UNAVAILABLE' });
+        errorSpy.mockRestore();
+    });
+});
@@ -0,0 +1,130 @@
+import { createRequire } from 'module';
+import { normalizeBill, billState, calendarEntries, reminderMessage, createBillService, BillError } from '../bills.js';
+import { createLedgerService } from '../account-ledger.js';
+
+const require = createRequire(import.meta.url);
+const { createFakeFirestore } = require('./fake-firestore.cjs');
+
+const meralco = { id: 'meralco', name: 'Meralco', kind: 'utility', amount: 3200, frequency: 'monthly', startDate: '2026-01-20', dayOfMonth: 20, remindDaysBefore: 3, nextDueDate: '2026-03-20' };
+
+describe('normalizeBill', () => {
+    test('fills in the category, reminder window and monthly schedule', () => {
+        expect(normalizeBill({ name: ' Rent ', kind: 'rent', amount: 15000, startDate: '2026-01-05' })).toMatchObject({
+            name: 'Rent', kind: 'rent', amount: 15000, category: 'housing', remindDaysBefore: 3, payeeAccountId: null,
+            frequency: 'monthly', startDate: '2026-01-05', dayOfMonth: 5
+        });
+    });
+
+    test('a card or loan bill needs the account it pays', () => {
+        expect(() => normalizeBill({ name: 'BDO Visa', kind: 'credit-card', startDate: '2026-01-05' })).toThrow('needs payeeAccountId, the card it pays');
+        expect(normalizeBill({ name: 'BDO Visa', kind: 'credit-card', startDate: '2026-01-05', payeeAccountId: 'card' }).payeeAccountId).toBe('card');
+    });
+
+    test('rejects invalid bills with a typed error, schedule errors included', () => {
+        expect(() => normalizeBill({ kind: 'rent', startDate: '2026-01-05' })).toThrow(BillError);
+        expect(() => normalizeBill({ name: 'Gym', remindDaysBefore: 30, startDate: '2026-01-05' })).toThrow('remindDaysBefore must be a whole number from 0 to 14');
+        expect(() => normalizeBill({ name: 'Gym', frequency: 'hourly', startDate: '2026-01-05' })).toThrow(BillError);
+    });
+});
+
+describe('billState and reminders', () => {
+    test('moves from upcoming to due soon, due today and overdue', () => {
+        expect(billState(meralco, '2026-03-10')).toEqual({ state: 'upcoming', daysUntilDue: 10 });
+        expect(billState(meralco, '2026-03-17')).toEqual({ state: 'due-soon', daysUntilDue: 3 });
+        expect(billState(meralco, '2026-03-20')).toEqual({ state: 'due-today', daysUntilDue: 0 });
+        expect(billState(meralco, '2026-03-22')).toEqual({ state: 'overdue', daysUntilDue: -2 });
+        expect(billState({ ...meralco, nextDueDate: null })).toEqual({ state: 'paid', daysUntilDue: null });
+    });
+
+    test('reminder text says when the bill is due', () => {
+        expect(reminderMessage(meralco, '2026-03-19')).toBe('Meralco (₱3,200.00) is due tomorrow, on 2026-03-20.');
+        expect(reminderMessage({ ...meralco, amount: 0 }, '2026-03-21')).toBe('Meralco was due on 2026-03-20 and is still unpaid.');
+    });
+});
+
+describe('calendarEntries', () => {
+    test('lists a month\'s due dates with paid ones marked', () => {
+        const entries = calendarEntries([{ ...meralco, frequency: 'semi-monthly', daysOfMonth: [5, 20], nextDueDate: '2026-03-20' }], '2026-03-01', '2026-03-31', '2026-03-18');
+        expect(entries.map(({ date, paid, state }) => ({ date, paid, state }))).toEqual([
+            { date: '2026-03-05', paid: true, state: 'paid' },
+            { date: '2026-03-20', paid: false, state: 'due-soon' }
+        ]);
+    });
+
+    test('keeps showing an unpaid due date from an earlier month', () => {
+        const entries = calendarEntries([{ ...meralco, nextDueDate: '2026-02-20' }], '2026-03-01', '2026-03-31', '2026-03-05');
+        expect(entries.map(({ date, state }) => ({ date, state }))).toEqual([
+            { date: '2026-02-20', state: 'overdue' },
+            { date: '2026-03-20', state: 'upcoming' }
+        ]);
+    });
+});
+
+describe('createBillService', () => {
+    let fake;
+    let ledger;
+    let bills;
+    const bill = () => fake.read('users/u1/bills/meralco');
+    const balance = id => fake.read(`users/u1/bankAccounts/${id}`).balance;
+
+    beforeEach(() => {
+        fake = createFakeFirestore({
+            'users/u1/bankAccounts/bpi': { name: 'BPI', category: 'traditional-bank', balance: 20000, openingBalance: 20000, openingDate: '2026-01-01' },
+            'users/u1/bankAccounts/card': { name: 'BDO Visa', category: 'credit-card', accountType: 'Credit Card', balance: 8000, openingBalance: 8000, openingDate: '2026-01-01' },
+            'users/u1/bills/meralco': { ...meralco, accountId: 'bpi', accountName: 'BPI', category: 'bills', skipDates: [], reminded: {}, lastPayment: null },
+            'users/u1/bills/visa': { id: 'visa', name: 'BDO Visa', kind: 'credit-card', amount: 0, frequency: 'monthly', startDate: '2026-01-25', dayOfMonth: 25, remindDaysBefore: 3, nextDueDate: '2026-03-25', accountId: 'bpi', payeeAccountId: 'card', payeeAccountName: 'BDO Visa', category: 'bills', skipDates: [], reminded: {} }
+        });
+        ledger = createLedgerService(fake);
+        bills = createBillService({ db: fake.db, ledger });
+    });
+
+    test('paying posts an expense with a per-due-date id and moves to the next due date', async () => {
+        const { transactionId, bill: updated } = await bills.markPaid('u1', 'meralco', { date: '2026-03-18' });
+        expect(transactionId).toBe('bill_meralco_20260320');
+        expect(fake.read('users/u1/transactions/bill_meralco_20260320')).toMatchObject({ type: 'expense', amount: -3200, billId: 'meralco', source: 'bill_payment' });
+        expect(balance('bpi')).toBe(16800);
+        expect(updated).toMatchObject({ nextDueDate: '2026-04-20', lastPayment: { dueDate: '2026-03-20', amount: 3200, transactionId } });
+        expect(bill().nextDueDate).toBe('2026-04-20');
+    });
+
+    test('finishes a payment that was posted before the bill moved on, without posting it twice', async () => {
+        // A crash after the ledger write: the payment exists but the bill still shows the due date
+        await ledger.postTransaction('u1', { id: 'bill_meralco_20260320', type: 'expense', amount: -3200, accountId: 'bpi', date: '2026-03-18' });
+        const { transactionId } = await bills.markPaid('u1', 'meralco', { date: '2026-03-18' });
+
+        expect(transactionId).toBe('bill_meralco_20260320');
+        expect(balance('bpi')).toBe(16800);
+        expect(fake.list('users/u1/transactions')).toHaveLength(1);
+        expect(bill().nextDueDate).toBe('2026-04-20');
+    });
+
+    test('leaves the bill alone when another request moved it on meanwhile', async () => {
+        const billRef = fake.db.collection('users').doc('u1').collection('bills').doc('meralco');
+        // The other request pays the same due date while this one is posting
+        const racingLedger = {
+            postTransaction: async (userId, transaction) => {
+                await billRef.update({ nextDueDate: '2026-04-20', lastPayment: { dueDate: '2026-03-20', date: '2026-03-17' } });
+                return ledger.postTransaction(userId, transaction);
+            }
+        };
+        await createBillService({ db: fake.db, ledger: racingLedger }).markPaid('u1', 'meralco', { date: '2026-03-18' });
+
+        expect(bill()).toMatchObject({ nextDueDate: '2026-04-20', lastPayment: { date: '2026-03-17' } });
+    });
+
+    test('a card bill is paid as a transfer into the card, with the amount entered', async () => {
+        await expect(bills.markPaid('u1', 'visa')).rejects.toThrow('amount is required for a bill whose amount varies');
+        await bills.markPaid('u1', 'visa', { amount: 5000, date: '2026-03-24' });
+        expect(fake.read('users/u1/transactions/bill_visa_20260325')).toMatchObject({ type: 'transfer', amount: 5000, toAccountId: 'card' });
+        expect(balance('bpi')).toBe(15000);
+        expect(balance('card')).toBe(3000);
+    });
+
+    test('sends each reminder once per due date and channel', async () => {
+        const first = await bills.collectReminders('u1', 'app', { asOf: '2026-03-18' });
+        expect(first.map(reminder => reminder.billId)).toEqual(['meralco']);
+        expect(await bills.collectReminders('u1', 'app', { asOf: '2026-03-19' })).toEqual([]);
+        expect((await bills.collectReminders('u1', 'telegram', { asOf: '2026-03-19' })).map(reminder => reminder.billId)).toEqual(['meralco']);
+        expect(bill().reminded).toEqual({ app: '2026-03-20', telegram: '2026-03-20' });
+    });
+});
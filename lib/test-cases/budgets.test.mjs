@@ -0,0 +1,119 @@
+import { createRequire } from 'module';
+import { periodBounds, normalizeBudget, computeBudgetStatus, createBudgetService, BudgetError } from '../budgets.js';
+import { createFxService } from '../fx-rates.js';
+
+const require = createRequire(import.meta.url);
+const { createFakeFirestore } = require('./fake-firestore.cjs');
+
+const expense = (date, amount, category = 'food') => ({ type: 'expense', date, amount: -amount, category });
+const budget = overrides => ({ id: 'b1', category: 'food', amount: 1000, period: 'monthly', rollover: 'none', startDate: '2026-01-01', ...overrides });
+
+describe('periodBounds', () => {
+    test('weeks run Monday to Sunday', () => {
+        expect(periodBounds('weekly', '2026-03-04')).toEqual({ start: '2026-03-02', end: '2026-03-08' });
+        expect(periodBounds('weekly', '2026-03-08')).toEqual({ start: '2026-03-02', end: '2026-03-08' });
+    });
+
+    test('half-months are the 1st-15th and the 16th to the month end', () => {
+        expect(periodBounds('semi-monthly', '2026-02-15')).toEqual({ start: '2026-02-01', end: '2026-02-15' });
+        expect(periodBounds('semi-monthly', '2026-02-16')).toEqual({ start: '2026-02-16', end: '2026-02-28' });
+    });
+
+    test('months end on their last day', () => {
+        expect(periodBounds('monthly', '2028-02-10')).toEqual({ start: '2028-02-01', end: '2028-02-29' });
+    });
+});
+
+describe('normalizeBudget', () => {
+    test('lowercases the category and fills in defaults', () => {
+        expect(normalizeBudget({ category: ' Food ', amount: '1500.555', startDate: '2026-01-01' }))
+            .toEqual({ category: 'food', amount: 1500.56, period: 'monthly', rollover: 'none', startDate: '2026-01-01', type: 'expense' });
+    });
+
+    test('rejects invalid budgets with a typed error', () => {
+        expect(() => normalizeBudget({ amount: 100 })).toThrow(BudgetError);
+        expect(() => normalizeBudget({ category: 'food', amount: -5 })).toThrow('amount must be a positive number');
+        expect(() => normalizeBudget({ category: 'food', amount: 5, period: 'yearly' })).toThrow('period must be one of');
+        expect(() => normalizeBudget({ category: 'food', amount: 5, rollover: 'some' })).toThrow('rollover must be one of');
+    });
+
+    test('changing the period restarts rollover from the current period', () => {
+        const existing = normalizeBudget({ category: 'food', amount: 1000, startDate: '2020-01-01' });
+        expect(normalizeBudget({ period: 'weekly' }, existing).startDate).not.toBe('2020-01-01');
+        expect(normalizeBudget({ amount: 1200 }, existing).startDate).toBe('2020-01-01');
+    });
+});
+
+describe('computeBudgetStatus', () => {
+    const transactions = [
+        expense('2026-01-10', 600),
+        expense('2026-02-05', 1300),
+        expense('2026-03-03', 500),
+        expense('2026-03-04', 300, 'food:groceries'),
+        expense('2026-03-05', 999, 'transportation'),
+        { type: 'income', date: '2026-03-05', amount: 5000, category: 'food' }
+    ];
+
+    test('sums the period\'s expenses in the category and its sub-categories', () => {
+        expect(computeBudgetStatus(budget(), transactions, '2026-03-20')).toMatchObject({
+            periodStart: '2026-03-01', periodEnd: '2026-03-31', carriedOver: 0, available: 1000, spent: 800, remaining: 200, percent: 80, state: 'warning'
+        });
+    });
+
+    test('"unused" carries leftovers forward but never a deficit', () => {
+        // January leaves 400; February overspends 1400 - 1300 = 100 left
+        expect(computeBudgetStatus(budget({ rollover: 'unused' }), transactions, '2026-03-20'))
+            .toMatchObject({ carriedOver: 100, available: 1100, spent: 800, state: 'on-track' });
+    });
+
+    test('"all" also carries overspending, shrinking the next period', () => {
+        const overspent = [expense('2026-01-10', 1500), expense('2026-02-10', 200)];
+        // January is 500 over; February has 1000 - 500 = 500 and leaves 300
+        expect(computeBudgetStatus(budget({ rollover: 'all' }), overspent, '2026-03-01')).toMatchObject({ carriedOver: 300, available: 1300 });
+        expect(computeBudgetStatus(budget({ rollover: 'unused' }), overspent, '2026-03-01')).toMatchObject({ carriedOver: 800, available: 1800 });
+    });
+
+    test('rollover starts at the budget start date', () => {
+        expect(computeBudgetStatus(budget({ rollover: 'unused', startDate: '2026-03-01' }), transactions, '2026-03-20').carriedOver).toBe(0);
+    });
+
+    test('is over at 100% and when nothing is available', () => {
+        expect(computeBudgetStatus(budget({ amount: 800 }), transactions, '2026-03-20')).toMatchObject({ percent: 100, state: 'over', remaining: 0 });
+        // January's unused 100 carries into February, which ends 200 + -500 = -300
+        const drained = computeBudgetStatus(budget({ rollover: 'all', amount: 100 }), [expense('2026-02-01', 500)], '2026-03-01');
+        expect(drained).toMatchObject({ available: -200, percent: 100, state: 'over' });
+    });
+
+    test('leaves out expenses with no FX rate and counts them', () => {
+        const unconverted = { ...expense('2026-03-06', 50), currency: 'JPY', fxMissing: true };
+        expect(computeBudgetStatus(budget(), [...transactions, unconverted], '2026-03-20')).toMatchObject({ spent: 800, fxMissing: 1 });
+    });
+});
+
+describe('createBudgetService', () => {
+    let fake;
+    let budgets;
+
+    beforeEach(() => {
+        fake = createFakeFirestore({
+            'users/u1': { homeCurrency: 'PHP' },
+            'users/u1/fxRates/usd': { currency: 'USD', rate: 56.5, date: '2026-03-01' },
+            'users/u1/budgets/b1': budget(),
+            'users/u1/transactions/t1': { ...expense('2026-03-03', 10), currency: 'USD' },
+            'users/u1/transactions/t2': expense('2026-03-04', 300)
+        });
+        budgets = createBudgetService({ ...fake, fx: createFxService(fake) });
+    });
+
+    test('counts a foreign-currency expense in the home currency', async () => {
+        const [listed] = await budgets.listBudgets('u1', { asOf: '2026-03-20' });
+        // US$10 at 56.5 is ₱565
+        expect(listed.status).toMatchObject({ spent: 865, remaining: 135, percent: 87, state: 'warning' });
+    });
+
+    test('alerts on thresholds crossed by converted spending, once per period', async () => {
+        await expect(budgets.collectAlerts('u1', { asOf: '2026-03-20' })).resolves
+            .toEqual([expect.objectContaining({ budgetId: 'b1', threshold: 80, spent: 865 })]);
+        await expect(budgets.collectAlerts('u1', { asOf: '2026-03-21' })).resolves.toEqual([]);
+    });
+});
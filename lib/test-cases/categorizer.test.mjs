@@ -0,0 +1,87 @@
+import { merchantKey, normalizeRule, matchRule, trainClassifier, classify, categorize, CategoryRuleError } from '../categorizer.js';
+
+const history = [
+    { type: 'expense', description: 'JOLLIBEE SM NORTH', category: 'Food' },
+    { type: 'expense', description: 'JOLLIBEE MAKATI', category: 'food' },
+    { type: 'expense', description: 'MCDONALDS BGC', category: 'food' },
+    { type: 'expense', description: 'GRAB RIDE', category: 'transportation' },
+    { type: 'expense', description: 'GRAB RIDE AIRPORT', category: 'transportation' },
+    { type: 'expense', description: 'MERALCO BILL', category: 'bills' },
+    { type: 'expense', description: 'UNKNOWN POS', category: 'other' },
+    { type: 'income', description: 'PAYROLL ACME', category: 'salary' }
+];
+
+describe('merchantKey', () => {
+    test('skips payment-channel words', () => {
+        expect(merchantKey('POS PURCHASE JOLLIBEE SM NORTH')).toBe('jollibee');
+        expect(merchantKey('INSTAPAY TRANSFER')).toBeNull();
+    });
+});
+
+describe('normalizeRule', () => {
+    test('defaults to contains and lowercases the category', () => {
+        expect(normalizeRule({ pattern: ' Jollibee ', category: 'Food' })).toEqual({ pattern: 'Jollibee', matchType: 'contains', category: 'food', type: null });
+    });
+
+    test('rejects incomplete or unknown rules with a typed error', () => {
+        expect(() => normalizeRule({ category: 'food' })).toThrow(CategoryRuleError);
+        expect(() => normalizeRule({ pattern: 'x', category: '' })).toThrow('category is required');
+        expect(() => normalizeRule({ pattern: 'x', category: 'food', matchType: 'regex' })).toThrow('matchType must be one of');
+        expect(() => normalizeRule({ pattern: 'x', category: 'food', type: 'transfer' })).toThrow('type must be one of');
+    });
+});
+
+describe('matchRule', () => {
+    const rules = [
+        { id: 'r1', pattern: 'grab', matchType: 'contains', category: 'transportation', type: null },
+        { id: 'r2', pattern: 'grab food', matchType: 'contains', category: 'food', type: null },
+        { id: 'r3', pattern: 'grab', matchType: 'startsWith', category: 'rides', type: null },
+        { id: 'r4', pattern: 'grab food refund', matchType: 'equals', category: 'refunds', type: 'income' }
+    ];
+
+    test('picks the most specific rule: equals, then startsWith, then the longest contains', () => {
+        expect(matchRule(rules, { type: 'expense', description: 'GRAB FOOD ORDER' }).id).toBe('r3');
+        expect(matchRule(rules, { type: 'expense', description: 'POS GRAB FOOD' }).id).toBe('r2');
+        expect(matchRule(rules, { type: 'income', description: 'Grab  Food Refund' }).id).toBe('r4');
+    });
+
+    test('respects the rule type', () => {
+        expect(matchRule(rules, { type: 'expense', description: 'GRAB FOOD REFUND' }).id).toBe('r3');
+        expect(matchRule(rules, { type: 'expense', description: 'MERALCO' })).toBeNull();
+    });
+});
+
+describe('trainClassifier and classify', () => {
+    const model = trainClassifier(history);
+
+    test('learns per transaction type and leaves out "other"', () => {
+        expect(model.expense.documents).toBe(6);
+        expect(Object.keys(model.expense.labels).sort()).toEqual(['bills', 'food', 'transportation']);
+        expect(model.income.documents).toBe(1);
+    });
+
+    test('suggests the category of similar past transactions', () => {
+        expect(classify(model, { type: 'expense', description: 'JOLLIBEE QC' })).toEqual({ category: 'food', confidence: expect.any(Number) });
+        expect(classify(model, { type: 'expense', description: 'GRAB RIDE HOME' }).category).toBe('transportation');
+    });
+
+    test('stays quiet on unseen words or too little history', () => {
+        expect(classify(model, { type: 'expense', description: 'SHOPEE' })).toBeNull();
+        expect(classify(model, { type: 'income', description: 'PAYROLL ACME' })).toBeNull();
+    });
+});
+
+describe('categorize', () => {
+    const model = trainClassifier(history);
+
+    test('a matching rule wins over the model', () => {
+        const rules = [{ id: 'r1', pattern: 'jollibee', matchType: 'contains', category: 'treats', type: null }];
+        expect(categorize(rules, model, { type: 'expense', description: 'JOLLIBEE QC' }))
+            .toEqual({ category: 'treats', source: 'rule', confidence: 1, ruleId: 'r1' });
+    });
+
+    test('falls back to the learned model, then to nothing', () => {
+        expect(categorize([], model, { type: 'expense', description: 'JOLLIBEE QC' })).toMatchObject({ category: 'food', source: 'learned' });
+        expect(categorize([], null, { type: 'expense', description: 'JOLLIBEE QC' })).toBeNull();
+    });
+});
@@ -0,0 +1,136 @@
+/**
+ * In-memory Firestore stand-in for the specs that go through transactions or batches.
+ * Covers what the lib services use: collection/doc paths, add/get/set/update/delete, where (==, <=, >=),
+ * orderBy, limit, batches, runTransaction (writes applied after the callback; reads after a write throw,
+ * as in Firestore) and the FieldValue sentinels serverTimestamp and increment.
+ */
+
+const SERVER_TIMESTAMP = '__serverTimestamp__';
+
+function createFakeFirestore(initial = {}) {
+    const store = new Map(Object.entries(initial).map(([path, data]) => [path, clone(data)]));
+    let autoId = 0;
+
+    function clone(data) {
+        return JSON.parse(JSON.stringify(data));
+    }
+
+    function applyFields(previous, data) {
+        const next = { ...previous };
+        Object.entries(data).forEach(([key, value]) => {
+            if (value && value.__increment !== undefined) {
+                next[key] = (Number(previous[key]) || 0) + value.__increment;
+            } else if (value !== undefined) {
+                next[key] = value;
+            }
+        });
+        return next;
+    }
+
+    function snapshot(path) {
+        const data = store.get(path);
+        return { id: path.split('/').pop(), ref: docRef(path), exists: Boolean(data), data: () => (data ? clone(data) : undefined) };
+    }
+
+    function docRef(path) {
+        return {
+            id: path.split('/').pop(),
+            path,
+            collection: name => collectionRef(`${path}/${name}`),
+            get: async () => snapshot(path),
+            set: async (data, { merge = false } = {}) => {
+                store.set(path, applyFields(merge ? store.get(path) || {} : {}, data));
+            },
+            update: async data => {
+                if (!store.has(path)) throw new Error(`No document to update: ${path}`);
+                store.set(path, applyFields(store.get(path), data));
+            },
+            delete: async () => { store.delete(path); }
+        };
+    }
+
+    const matches = {
+        '==': (value, expected) => value === expected,
+        '<=': (value, expected) => value <= expected,
+        '>=': (value, expected) => value >= expected
+    };
+
+    function collectionRef(path, { filters = [], order = null, max = null } = {}) {
+        const query = changes => collectionRef(path, { filters, order, max, ...changes });
+        return {
+            path,
+            doc: id => docRef(`${path}/${id || `auto${++autoId}`}`),
+            add: async data => {
+                const ref = docRef(`${path}/auto${++autoId}`);
+                await ref.set(data);
+                return ref;
+            },
+            where: (field, op, value) => query({ filters: [...filters, [field, op, value]] }),
+            orderBy: (field, direction = 'asc') => query({ order: [field, direction] }),
+            limit: count => query({ max: count }),
+            get: async () => {
+                let docs = [...store.keys()]
+                    .filter(key => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+                    .map(snapshot)
+                    .filter(doc => filters.every(([field, op, value]) => matches[op](doc.data()[field], value)));
+                if (order) {
+                    const [field, direction] = order;
+                    docs.sort((a, b) => String(a.data()[field]).localeCompare(String(b.data()[field])) * (direction === 'desc' ? -1 : 1));
+                }
+                if (max !== null) docs = docs.slice(0, max);
+                return { docs, size: docs.length, empty: docs.length === 0, forEach: fn => docs.forEach(fn) };
+            }
+        };
+    }
+
+    function writeQueue() {
+        const writes = [];
+        return {
+            writes,
+            set: (ref, data, options) => { writes.push(() => ref.set(data, options)); },
+            update: (ref, data) => { writes.push(() => ref.update(data)); },
+            delete: ref => { writes.push(() => ref.delete()); },
+            commit: async () => { for (const write of writes) await write(); }
+        };
+    }
+
+    const db = {
+        collection: name => collectionRef(name),
+        batch: () => writeQueue(),
+        runTransaction: async fn => {
+            const queue = writeQueue();
+            const tx = {
+                get: ref => {
+                    if (queue.writes.length > 0) throw new Error('Firestore transactions must read before writing');
+                    return ref.get();
+                },
+                set: queue.set,
+                update: queue.update,
+                delete: queue.delete
+            };
+            const result = await fn(tx);
+            await queue.commit();
+            return result;
+        }
+    };
+
+    const admin = {
+        firestore: {
+            FieldValue: {
+                serverTimestamp: () => SERVER_TIMESTAMP,
+                increment: amount => ({ __increment: amount })
+            }
+        }
+    };
+
+    return {
+        db,
+        admin,
+        /** Stored document data by path, e.g. read('users/u1/bankAccounts/bpi') */
+        read: path => (store.has(path) ? clone(store.get(path)) : undefined),
+        /** Paths of the documents directly under a collection path */
+        list: path => [...store.keys()].filter(key => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+    };
+}
+
+module.exports = { createFakeFirestore, SERVER_TIMESTAMP };
@@ -0,0 +1,93 @@
+import { currencyOf, normalizeCurrency, parseRatesCsv, createRateTable, toHomeCurrency, FxError } from '../fx-rates.js';
+
+const rates = [
+    { currency: 'USD', rate: 56.5, date: '2026-01-01' },
+    { currency: 'USD', rate: 58, date: '2026-02-01' },
+    { currency: 'SAR', rate: 15, date: '2026-01-01' }
+];
+
+describe('currencies', () => {
+    test('records without a currency are in pesos', () => {
+        expect(currencyOf({})).toBe('PHP');
+        expect(currencyOf({ currency: ' usd ' })).toBe('USD');
+    });
+
+    test('only supported currencies are accepted', () => {
+        expect(normalizeCurrency('sgd')).toBe('SGD');
+        expect(() => normalizeCurrency('BTC')).toThrow(FxError);
+    });
+});
+
+describe('parseRatesCsv', () => {
+    test('reads currency, rate and date columns, defaulting the date', () => {
+        const csv = 'Code,PHP,As of\nUSD,"1,056.50",2026-03-02\nsar,15.05,\n';
+        expect(parseRatesCsv(csv, '2026-03-01')).toEqual({
+            rates: [
+                { currency: 'USD', rate: 1056.5, date: '2026-03-02' },
+                { currency: 'SAR', rate: 15.05, date: '2026-03-01' }
+            ],
+            errors: []
+        });
+    });
+
+    test('reports bad rows by line without failing the rest', () => {
+        const { rates: parsed, errors } = parseRatesCsv('currency,rate,date\nUSD,58,2026-03-02\nPHP,1,\nJPY,-1,\nEUR,61,03/02/2026', '2026-03-01');
+        expect(parsed).toHaveLength(1);
+        expect(errors).toEqual([
+            { line: 3, error: 'PHP is the base currency and always has rate 1' },
+            { line: 4, error: 'rate for JPY must be a positive number' },
+            { line: 5, error: 'date for EUR must be a YYYY-MM-DD date' }
+        ]);
+    });
+
+    test('needs a currency and a rate column', () => {
+        expect(() => parseRatesCsv('code,date\nUSD,2026-03-01')).toThrow('needs a "currency" column and a "rate" column');
+    });
+});
+
+describe('createRateTable', () => {
+    const table = createRateTable(rates);
+
+    test('uses the latest rate on or before the date, or the earliest before them all', () => {
+        expect(table.rateOn('USD', '2026-01-31')).toBe(56.5);
+        expect(table.rateOn('USD', '2026-02-01')).toBe(58);
+        expect(table.rateOn('USD', '2025-06-01')).toBe(56.5);
+        expect(table.rateOn('PHP', '2026-01-01')).toBe(1);
+        expect(table.rateOn('JPY', '2026-01-01')).toBeNull();
+    });
+
+    test('converts through the peso, on the given day', () => {
+        expect(table.convert(100, 'USD', 'PHP', '2026-02-15')).toBe(5800);
+        expect(table.convert(5650, 'PHP', 'USD', '2026-01-15')).toBe(100);
+        expect(table.convert(100, 'USD', 'SAR', '2026-01-15')).toBe(376.67);
+        expect(table.convert(100, 'USD', 'USD')).toBe(100);
+        expect(table.convert(100, 'JPY', 'PHP', '2026-01-15')).toBeNull();
+    });
+});
+
+describe('toHomeCurrency', () => {
+    const table = createRateTable(rates);
+
+    test('converts balances at the as-of rate and transactions at their own date\'s, keeping the originals', () => {
+        const { accounts, transactions } = toHomeCurrency({
+            accounts: [{ id: 'usd', balance: 1000, currency: 'USD' }, { id: 'bpi', balance: 5000 }],
+            transactions: [{ id: 't1', amount: -20, currency: 'USD', date: '2026-01-10' }]
+        }, table, 'PHP', '2026-03-01');
+
+        expect(accounts).toEqual([
+            { id: 'usd', balance: 58000, currency: 'PHP', originalBalance: 1000, originalCurrency: 'USD' },
+            { id: 'bpi', balance: 5000 }
+        ]);
+        expect(transactions[0]).toEqual({ id: 't1', amount: -1130, currency: 'PHP', originalAmount: -20, originalCurrency: 'USD', date: '2026-01-10' });
+    });
+
+    test('leaves records without a rate as they are and marks them', () => {
+        const { accounts } = toHomeCurrency({ accounts: [{ id: 'jpy', balance: 10000, currency: 'JPY' }] }, table, 'PHP', '2026-03-01');
+        expect(accounts[0]).toEqual({ id: 'jpy', balance: 10000, currency: 'JPY', fxMissing: true });
+    });
+
+    test('converts peso records for a user whose home currency is not the peso', () => {
+        const { accounts } = toHomeCurrency({ accounts: [{ id: 'bpi', balance: 5800 }] }, table, 'USD', '2026-03-01');
+        expect(accounts[0]).toMatchObject({ balance: 100, currency: 'USD', originalCurrency: 'PHP' });
+    });
+});
@@ -0,0 +1,97 @@
+import { normalizeEvent, computePosition, parsePricesCsv, summarizePortfolio, HoldingError } from '../investment-holdings.js';
+import { createRateTable } from '../fx-rates.js';
+
+const event = (type, date, fields) => normalizeEvent({ type, date, ...fields }, '2026-06-30');
+
+describe('normalizeEvent', () => {
+    test('computes a trade\'s amount and keeps a dividend\'s cash amount', () => {
+        expect(event('buy', '2026-01-05', { units: '1,000', price: 2.5, fees: 20 }))
+            .toEqual({ type: 'buy', date: '2026-01-05', units: 1000, price: 2.5, fees: 20, amount: 2500, notes: '' });
+        expect(event('dividend', '2026-03-01', { amount: 150 })).toMatchObject({ units: 0, amount: 150 });
+    });
+
+    test('rejects invalid events with a typed error', () => {
+        expect(() => event('split', '2026-01-05', {})).toThrow(HoldingError);
+        expect(() => event('buy', '2026-07-01', { units: 1, price: 1 })).toThrow('date cannot be in the future');
+        expect(() => event('sell', '2026-01-05', { units: 0, price: 1 })).toThrow('units must be a positive number');
+        expect(() => event('dividend', '2026-01-05', { amount: 0 })).toThrow('amount must be a positive number');
+    });
+});
+
+describe('computePosition', () => {
+    const events = [
+        event('sell', '2026-03-01', { units: 120, price: 15, fees: 30 }),
+        event('buy', '2026-01-05', { units: 100, price: 10, fees: 20 }),
+        event('buy', '2026-02-01', { units: 50, price: 12 }),
+        event('dividend', '2026-04-01', { amount: 100, fees: 10 })
+    ];
+
+    test('sells the oldest lots first, with buying fees in their cost', () => {
+        // 100 units at 10.20 and 20 at 12 cost 1260; the sale nets 1800 - 30
+        expect(computePosition(events, { price: 14, date: '2026-06-30' })).toEqual({
+            units: 30,
+            costBasis: 360,
+            averageCost: 12,
+            price: 14,
+            priceDate: '2026-06-30',
+            marketValue: 420,
+            unrealizedGain: 60,
+            unrealizedPercent: 16.7,
+            realizedGain: 510,
+            dividends: 90,
+            lots: [{ date: '2026-02-01', units: 30, costPerUnit: 12 }]
+        });
+    });
+
+    test('has no market value without a quote', () => {
+        expect(computePosition(events)).toMatchObject({ units: 30, marketValue: null, unrealizedGain: null, unrealizedPercent: null });
+    });
+
+    test('a sold-out position has no average cost', () => {
+        const closed = [event('buy', '2026-01-05', { units: 10, price: 100 }), event('sell', '2026-02-05', { units: 10, price: 90 })];
+        expect(computePosition(closed)).toMatchObject({ units: 0, costBasis: 0, averageCost: null, realizedGain: -100, lots: [] });
+    });
+
+    test('same-day events replay in the order they were recorded', () => {
+        const sameDay = [
+            { ...event('sell', '2026-01-05', { units: 5, price: 11 }), createdAt: '2026-01-05T10:00:00Z' },
+            { ...event('buy', '2026-01-05', { units: 5, price: 10 }), createdAt: '2026-01-05T09:00:00Z' }
+        ];
+        expect(computePosition(sameDay).realizedGain).toBe(5);
+    });
+
+    test('refuses to sell more than was held on the sale date', () => {
+        const oversold = [event('buy', '2026-02-01', { units: 10, price: 1 }), event('sell', '2026-01-15', { units: 5, price: 1 })];
+        expect(() => computePosition(oversold)).toThrow(expect.objectContaining({ status: 409, code: 'HOLDING_OVERSOLD' }));
+    });
+});
+
+describe('parsePricesCsv', () => {
+    test('reads symbol, price and date columns and reports bad rows', () => {
+        const { prices, errors } = parsePricesCsv('Ticker,Close,Date\njfc,250.40,2026-06-29\nALI,abc,\nsm,900,', '2026-06-30');
+        expect(prices).toEqual([
+            { symbol: 'JFC', price: 250.4, date: '2026-06-29' },
+            { symbol: 'SM', price: 900, date: '2026-06-30' }
+        ]);
+        expect(errors).toEqual([{ line: 3, error: 'price for ALI must be zero or more' }]);
+    });
+});
+
+describe('summarizePortfolio', () => {
+    test('totals in the home currency and leaves unpriced holdings out', () => {
+        const table = createRateTable([{ currency: 'USD', rate: 58, date: '2026-01-01' }]);
+        const position = (units, marketValue, costBasis, extra = {}) => ({ units, marketValue, costBasis, realizedGain: 0, dividends: 0, ...extra });
+        const summary = summarizePortfolio([
+            { currency: 'PHP', assetClass: 'stock', position: position(30, 420, 360, { realizedGain: 510, dividends: 90 }) },
+            { currency: 'USD', assetClass: 'stock', position: position(1, 10, 5) },
+            { currency: 'PHP', assetClass: 'mp2', position: position(1000, 1000, 1000) },
+            { currency: 'PHP', assetClass: 'uitf', position: position(5, null, 500) }
+        ], table, 'PHP', '2026-06-30');
+
+        expect(summary).toMatchObject({ marketValue: 2000, costBasis: 1650, unrealizedGain: 350, unrealizedPercent: 21.2, realizedGain: 510, dividends: 90, unpriced: 1 });
+        expect(summary.allocation).toEqual([
+            { assetClass: 'stock', marketValue: 1000, percent: 50 },
+            { assetClass: 'mp2', marketValue: 1000, percent: 50 }
+        ]);
+    });
+});
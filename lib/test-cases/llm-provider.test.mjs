@@ -0,0 +1,156 @@
+import { jest } from '@jest/globals';
+import os from 'os';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { AIProviderError, createProvider, generateWithRetry, LocalMockProvider, LLMProvider } from '../llm-provider.js';
+import AIEngine from '../ai-engine.js';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'llm');
+
+async function collect(iterable) {
+    const chunks = [];
+    for await (const chunk of iterable) chunks.push(chunk);
+    return chunks;
+}
+
+describe('createProvider', () => {
+    test('creates the local fixture provider by name, case-insensitively', () => {
+        const provider = createProvider('LOCAL');
+        expect(provider).toBeInstanceOf(LocalMockProvider);
+        expect(provider.name).toBe('local');
+        expect(provider.fixturesDir).toBe(fixturesDir);
+        expect(provider.isAvailable()).toBe(true);
+    });
+
+    test('rejects an unknown provider', () => {
+        expect(() => createProvider('claude')).toThrow('Unknown AI provider: claude');
+    });
+});
+
+describe('LocalMockProvider', () => {
+    const provider = createProvider('local');
+
+    test('answers each agent from the chat fixture', async () => {
+        const chat = JSON.parse(fs.readFileSync(path.join(fixturesDir, 'chat.json'), 'utf8'));
+        for (const entry of chat.responses) {
+            await expect(provider.generate('any prompt', { task: 'chat', agentType: entry.agentType }))
+                .resolves.toBe(entry.response);
+        }
+        await expect(provider.generate('any prompt', { task: 'chat', agentType: 'unknown' })).resolves.toBe(chat.default);
+    });
+
+    test('serializes JSON fixture responses so structured callers can parse them', async () => {
+        const text = await provider.generate('plan', { task: 'wealth-builder' });
+        expect(() => JSON.parse(text)).not.toThrow();
+    });
+
+    test('falls back to the default fixture for a task without one', async () => {
+        const fallback = JSON.parse(fs.readFileSync(path.join(fixturesDir, 'default.json'), 'utf8'));
+        const text = await provider.generate('hello', { task: 'no-such-task' });
+        expect(text).toBe(typeof fallback.default === 'string' ? fallback.default : JSON.stringify(fallback.default));
+    });
+
+    test('records every call', async () => {
+        const local = createProvider('local');
+        await local.generate('first', { task: 'chat', agentType: 'iponCoach' });
+        expect(local.calls).toEqual([{ task: 'chat', agentType: 'iponCoach', prompt: 'first' }]);
+    });
+
+    test('matches on prompt substrings before the default', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kitakita-fixtures-'));
+        fs.writeFileSync(path.join(dir, 'chat.json'), JSON.stringify({
+            responses: [{ match: 'utang', response: 'Pay the card first.' }],
+            default: 'Hello!'
+        }));
+        const local = createProvider('local', { fixturesDir: dir });
+        await expect(local.generate('may utang ako', { task: 'chat' })).resolves.toBe('Pay the card first.');
+        await expect(local.generate('kumusta', { task: 'chat' })).resolves.toBe('Hello!');
+        await expect(createProvider('local', { fixturesDir: path.join(dir, 'missing') }).generate('x', { task: 'chat' }))
+            .rejects.toThrow('No local fixture found for task "chat"');
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+});
+
+describe('generateWithRetry', () => {
+    let errorSpy;
+    beforeEach(() => {
+        errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+    afterEach(() => {
+        errorSpy.mockRestore();
+        jest.useRealTimers();
+    });
+
+    test('returns the local provider answer on the first attempt', async () => {
+        const provider = createProvider('local');
+        await expect(generateWithRetry(provider, 'prompt', { task: 'chat', agentType: 'gastosGuardian' }))
+            .resolves.toMatch(/spending/);
+        expect(provider.calls).toHaveLength(1);
+    });
+
+    test('does not retry a local provider failure', async () => {
+        const provider = createProvider('local', { fixturesDir: path.join(os.tmpdir(), 'kitakita-no-fixtures') });
+        const failing = generateWithRetry(provider, 'prompt', { task: 'chat' });
+        await expect(failing).rejects.toThrow('No local fixture found');
+        await expect(failing).rejects.toBeInstanceOf(AIProviderError);
+        expect(provider.calls).toHaveLength(1);
+    });
+
+    test('retries a remote provider with backoff and gives up after the last attempt', async () => {
+        jest.useFakeTimers();
+        const provider = new LLMProvider('flaky');
+        provider.generate = jest.fn()
+            .mockRejectedValueOnce(new Error('503'))
+            .mockResolvedValueOnce('ok');
+        const result = generateWithRetry(provider, 'prompt', {}, 3);
+        await jest.advanceTimersByTimeAsync(2000);
+        await expect(result).resolves.toBe('ok');
+        expect(provider.generate).toHaveBeenCalledTimes(2);
+
+        provider.generate = jest.fn().mockRejectedValue(new Error('503'));
+        const failing = generateWithRetry(provider, 'prompt', {}, 2);
+        const assertion = expect(failing).rejects.toThrow(new AIProviderError('flaky failed after 2 attempts: 503'));
+        await jest.advanceTimersByTimeAsync(2000);
+        await assertion;
+        await expect(failing).rejects.toMatchObject({ status: 503, code: 'AI_UNAVAILABLE' });
+        expect(provider.generate).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('streaming', () => {
+    test('the local provider streams the fixture word by word', async () => {
+        const provider = createProvider('local');
+        const full = await provider.generate('prompt', { task: 'chat', agentType: 'iponCoach' });
+        const chunks = await collect(provider.stream('prompt', { task: 'chat', agentType: 'iponCoach' }));
+        expect(chunks.length).toBeGreaterThan(1);
+        expect(chunks.join('')).toBe(full);
+    });
+
+    test('an aborted signal stops the stream', async () => {
+        const provider = createProvider('local');
+        const controller = new AbortController();
+        const chunks = [];
+        for await (const chunk of provider.stream('prompt', { task: 'chat', agentType: 'iponCoach', signal: controller.signal })) {
+            chunks.push(chunk);
+            controller.abort();
+        }
+        expect(chunks).toHaveLength(1);
+    });
+
+    test('providers without native streaming yield the whole completion once', async () => {
+        const provider = new LLMProvider('plain');
+        provider.generate = async () => 'whole reply';
+        await expect(collect(provider.stream('prompt'))).resolves.toEqual(['whole reply']);
+    });
+
+    test('AIEngine streams a chat reply through the local provider', async () => {
+        const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const engine = new AIEngine({ provider: createProvider('local') });
+        errorSpy.mockRestore();
+        const chunks = await collect(engine.streamChatResponse('peraPlanner', 'Saan ako mag-invest?', { monthlyIncome: 30000 }));
+        expect(chunks.join('')).toMatch(/Pag-IBIG MP2/);
+        expect(engine.provider.calls[0]).toMatchObject({ task: 'chat', agentType: 'peraPlanner' });
+        expect(engine.provider.calls[0].prompt).toContain('Saan ako mag-invest?');
+    });
+});
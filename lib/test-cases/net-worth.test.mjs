@@ -0,0 +1,80 @@
+import { buildSnapshot, monthlyHistory, summarizeTrend } from '../net-worth.js';
+
+const snapshot = (date, netWorth, assets = netWorth, liabilities = 0) => ({ date, currency: 'PHP', assets, liabilities, netWorth });
+
+describe('buildSnapshot', () => {
+    test('groups assets and liabilities by account type', () => {
+        const result = buildSnapshot([
+            { category: 'traditional-bank', balance: 50000 },
+            { category: 'digital-wallet', balance: '2500.50' },
+            { category: 'credit-card', accountType: 'Credit Card', balance: 12000 },
+            { category: 'loan', accountType: 'Personal Loan', balance: 30000 },
+            { category: 'crypto', balance: 1000 }
+        ], { date: '2026-03-31' });
+
+        expect(result).toMatchObject({ date: '2026-03-31', currency: 'PHP', assets: 53500.5, liabilities: 42000, netWorth: 11500.5, accounts: 5, fxMissing: 0 });
+        expect(result.byType).toEqual({
+            'traditional-bank': { assets: 50000, liabilities: 0, accounts: 1 },
+            'digital-wallet': { assets: 2500.5, liabilities: 0, accounts: 1 },
+            credit: { assets: 0, liabilities: 42000, accounts: 2 },
+            other: { assets: 1000, liabilities: 0, accounts: 1 }
+        });
+    });
+
+    test('leaves out balances that could not be converted', () => {
+        const result = buildSnapshot([{ category: 'cash', balance: 100 }, { category: 'cash', balance: 9999, fxMissing: true }], { currency: 'USD' });
+        expect(result).toMatchObject({ currency: 'USD', assets: 100, accounts: 1, fxMissing: 1 });
+    });
+
+    test('an overpaid card lowers liabilities', () => {
+        expect(buildSnapshot([{ category: 'cash', balance: 1000 }, { accountType: 'Credit Card', balance: -200 }]).netWorth).toBe(1200);
+    });
+});
+
+describe('monthlyHistory', () => {
+    test('keeps each month\'s last snapshot and the change from the month before', () => {
+        const history = monthlyHistory([
+            snapshot('2026-02-28', 110000),
+            snapshot('2026-01-10', 90000),
+            snapshot('2026-01-31', 100000),
+            snapshot('2026-03-15', 99000)
+        ]);
+        expect(history).toEqual([
+            { month: '2026-01', date: '2026-01-31', assets: 100000, liabilities: 0, netWorth: 100000, change: null, changePercent: null },
+            { month: '2026-02', date: '2026-02-28', assets: 110000, liabilities: 0, netWorth: 110000, change: 10000, changePercent: 10 },
+            { month: '2026-03', date: '2026-03-15', assets: 99000, liabilities: 0, netWorth: 99000, change: -11000, changePercent: -10 }
+        ]);
+    });
+
+    test('measures the change against the size of a negative net worth', () => {
+        const [, second] = monthlyHistory([snapshot('2026-01-31', -20000, 10000, 30000), snapshot('2026-02-28', -15000, 15000, 30000)]);
+        expect(second).toMatchObject({ change: 5000, changePercent: 25 });
+    });
+
+    test('has no percentage after a month at zero', () => {
+        const [, second] = monthlyHistory([snapshot('2026-01-31', 0), snapshot('2026-02-28', 500)]);
+        expect(second).toMatchObject({ change: 500, changePercent: null });
+    });
+});
+
+describe('summarizeTrend', () => {
+    test('is null without snapshots', () => {
+        expect(summarizeTrend([], 'PHP')).toBeNull();
+    });
+
+    test('reports the latest figures and the average monthly change over the last six months', () => {
+        const snapshots = ['2025-08', '2025-09', '2025-10', '2025-11', '2025-12', '2026-01', '2026-02', '2026-03']
+            .map((month, index) => snapshot(`${month}-28`, 100000 + index * 5000 + (index === 7 ? 5000 : 0)));
+        const trend = summarizeTrend(snapshots, 'PHP');
+
+        expect(trend).toMatchObject({ currency: 'PHP', date: '2026-03-28', netWorth: 140000, direction: 'up' });
+        expect(trend.months.map(month => month.month)).toEqual(['2025-10', '2025-11', '2025-12', '2026-01', '2026-02', '2026-03']);
+        expect(trend.averageMonthlyChange).toBe(5833.33);
+    });
+
+    test('goes down when net worth shrinks and is flat with a single month', () => {
+        expect(summarizeTrend([snapshot('2026-01-31', 50000), snapshot('2026-02-28', 40000)], 'PHP').direction).toBe('down');
+        expect(summarizeTrend([snapshot('2026-01-05', 50000), snapshot('2026-01-20', 60000)], 'PHP'))
+            .toMatchObject({ netWorth: 60000, averageMonthlyChange: null, direction: 'flat' });
+    });
+});
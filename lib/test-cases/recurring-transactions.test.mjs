@@ -0,0 +1,137 @@
+import { createRequire } from 'module';
+import { nextOccurrence, dueOccurrences, normalizeTemplate, normalizeSchedule, createRecurringService, RecurringTemplateError } from '../recurring-transactions.js';
+import { createLedgerService } from '../account-ledger.js';
+
+const require = createRequire(import.meta.url);
+const { createFakeFirestore } = require('./fake-firestore.cjs');
+
+const schedule = input => normalizeSchedule({ startDate: '2026-01-31', ...input });
+const nextDates = (template, from, count) => {
+    const dates = [];
+    let date = from;
+    while (dates.length < count) {
+        const next = nextOccurrence(template, date);
+        if (!next) break;
+        dates.push(next);
+        date = new Date(Date.parse(`${next}T00:00:00Z`) + 86400000).toISOString().slice(0, 10);
+    }
+    return dates;
+};
+
+describe('nextOccurrence', () => {
+    test('monthly clamps the day to short months and returns to it after', () => {
+        expect(nextDates(schedule({ frequency: 'monthly' }), '2026-01-01', 4))
+            .toEqual(['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30']);
+    });
+
+    test('semi-monthly pays on kinsenas and katapusan by default', () => {
+        expect(nextDates(schedule({ frequency: 'semi-monthly', startDate: '2026-02-01' }), '2026-02-01', 4))
+            .toEqual(['2026-02-15', '2026-02-28', '2026-03-15', '2026-03-31']);
+    });
+
+    test('semi-monthly follows custom pay days in date order', () => {
+        expect(nextDates(schedule({ frequency: 'semi-monthly', startDate: '2026-03-01', daysOfMonth: [20, 5] }), '2026-03-01', 3))
+            .toEqual(['2026-03-05', '2026-03-20', '2026-04-05']);
+    });
+
+    test('weekly and daily step from the start date', () => {
+        expect(nextDates(schedule({ frequency: 'weekly', startDate: '2026-03-02' }), '2026-03-04', 2)).toEqual(['2026-03-09', '2026-03-16']);
+        expect(nextDates(schedule({ frequency: 'daily', startDate: '2026-03-02' }), '2026-02-01', 2)).toEqual(['2026-03-02', '2026-03-03']);
+    });
+
+    test('custom intervals count days, weeks or months', () => {
+        expect(nextOccurrence(schedule({ frequency: 'custom', interval: 10, unit: 'day', startDate: '2026-03-01' }), '2026-03-12')).toBe('2026-03-21');
+        expect(nextOccurrence(schedule({ frequency: 'custom', interval: 2, unit: 'week', startDate: '2026-03-02' }), '2026-03-03')).toBe('2026-03-16');
+        expect(nextDates(schedule({ frequency: 'custom', interval: 3, unit: 'month', startDate: '2026-01-15' }), '2026-02-01', 2))
+            .toEqual(['2026-04-15', '2026-07-15']);
+    });
+
+    test('skips skipped dates and stops after the end date', () => {
+        const template = { ...schedule({ frequency: 'monthly', startDate: '2026-01-10', endDate: '2026-03-10' }), skipDates: ['2026-02-10'] };
+        expect(nextDates(template, '2026-01-01', 5)).toEqual(['2026-01-10', '2026-03-10']);
+        expect(nextOccurrence(template, '2026-03-11')).toBeNull();
+    });
+});
+
+describe('dueOccurrences', () => {
+    const template = { ...schedule({ frequency: 'weekly', startDate: '2026-03-02' }), status: 'active', nextRunDate: '2026-03-02' };
+
+    test('lists every occurrence from the next run date up to and including the day', () => {
+        expect(dueOccurrences(template, '2026-03-16')).toEqual(['2026-03-02', '2026-03-09', '2026-03-16']);
+    });
+
+    test('caps a long backlog', () => {
+        expect(dueOccurrences(template, '2027-03-01', 5)).toHaveLength(5);
+    });
+
+    test('posts nothing for a paused or ended template', () => {
+        expect(dueOccurrences({ ...template, status: 'paused' }, '2026-03-16')).toEqual([]);
+        expect(dueOccurrences({ ...template, nextRunDate: null }, '2026-03-16')).toEqual([]);
+    });
+});
+
+describe('normalizeTemplate', () => {
+    const input = { description: 'Rent', amount: '-15000', type: 'expense', accountId: 'bpi', frequency: 'monthly', startDate: '2026-03-05' };
+
+    test('fills in the schedule and stores the amount as a magnitude', () => {
+        expect(normalizeTemplate(input)).toMatchObject({
+            description: 'Rent', amount: 15000, category: 'Other', dayOfMonth: 5, daysOfMonth: [15, 'last'], interval: 1, unit: null, endDate: null
+        });
+    });
+
+    test('rejects invalid input with a typed error', () => {
+        expect(() => normalizeTemplate({ ...input, amount: 0 })).toThrow(RecurringTemplateError);
+        expect(() => normalizeTemplate({ ...input, type: 'transfer' })).toThrow('type must be either "income" or "expense"');
+        expect(() => normalizeTemplate({ ...input, frequency: 'yearly' })).toThrow('frequency must be one of');
+        expect(() => normalizeTemplate({ ...input, startDate: '05/03/2026' })).toThrow('startDate must be a date in YYYY-MM-DD format');
+        expect(() => normalizeTemplate({ ...input, endDate: '2026-01-01' })).toThrow('endDate must not be before startDate');
+        expect(() => normalizeTemplate({ ...input, frequency: 'custom', interval: 2, unit: 'year' })).toThrow('unit must be one of');
+    });
+
+    test('merges an edit onto the stored template', () => {
+        const existing = normalizeTemplate(input);
+        expect(normalizeTemplate({ amount: 16000 }, existing)).toMatchObject({ description: 'Rent', amount: 16000, startDate: '2026-03-05' });
+    });
+});
+
+describe('createRecurringService', () => {
+    const netflix = {
+        description: 'Netflix', amount: 549, type: 'expense', category: 'entertainment', accountId: 'card', accountName: 'BPI Card',
+        frequency: 'monthly', dayOfMonth: 10, startDate: '2026-01-10', nextRunDate: '2026-01-10', status: 'active', postedCount: 0
+    };
+    let fake;
+    let ledger;
+    let recurring;
+
+    beforeEach(() => {
+        fake = createFakeFirestore({
+            'users/u1/bankAccounts/card': { name: 'BPI Card', accountType: 'Credit Card', balance: 1000, openingBalance: 1000, openingDate: '2026-01-01', currency: 'USD' },
+            'users/u1/recurringTransactions/netflix': netflix
+        });
+        ledger = createLedgerService(fake);
+        recurring = createRecurringService({ ...fake, ledger });
+    });
+
+    test('posts due occurrences through the ledger and moves the template on', async () => {
+        await expect(recurring.postOccurrence('u1', 'netflix', '2026-01-10')).resolves.toBe(true);
+        await expect(recurring.postOccurrence('u1', 'netflix', '2026-02-10')).resolves.toBe(true);
+        // Not the template's next date
+        await expect(recurring.postOccurrence('u1', 'netflix', '2026-02-10')).resolves.toBe(false);
+
+        expect(fake.read('users/u1/transactions/rec_netflix_20260110')).toMatchObject({ amount: -549, type: 'expense', currency: 'USD', recurringId: 'netflix', source: 'recurring_job' });
+        expect(fake.list('users/u1/transactions')).toHaveLength(2);
+        // Spending on a card raises what is owed
+        expect(fake.read('users/u1/bankAccounts/card').balance).toBe(2098);
+        expect(fake.read('users/u1/recurringTransactions/netflix')).toMatchObject({ nextRunDate: '2026-03-10', lastPostedDate: '2026-02-10', postedCount: 2 });
+    });
+
+    test('an occurrence the ledger already has only moves the template on', async () => {
+        await ledger.postTransaction('u1', { id: 'rec_netflix_20260110', type: 'expense', amount: -549, accountId: 'card', date: '2026-01-10' });
+
+        await expect(recurring.postOccurrence('u1', 'netflix', '2026-01-10')).resolves.toBe(false);
+        expect(fake.read('users/u1/bankAccounts/card').balance).toBe(1549);
+        expect(fake.read('users/u1/recurringTransactions/netflix').nextRunDate).toBe('2026-02-10');
+        await expect(recurring.postOccurrence('u1', 'netflix', '2026-01-10')).resolves.toBe(false);
+        expect(fake.read('users/u1/recurringTransactions/netflix').postedCount).toBe(1);
+    });
+});
@@ -0,0 +1,80 @@
+import { normalizeGoal, computeGoalProgress, GoalError } from '../savings-goals.js';
+
+const goal = overrides => ({ id: 'g1', name: 'Emergency fund', targetAmount: 60000, initialAmount: 0, deadline: null, accountId: null, createdAt: '2025-01-01T00:00:00.000Z', ...overrides });
+
+describe('normalizeGoal', () => {
+    test('trims the name and rounds the amounts', () => {
+        expect(normalizeGoal({ name: '  Laptop ', targetAmount: '45000.555', initialAmount: 500 }))
+            .toEqual({ name: 'Laptop', targetAmount: 45000.56, initialAmount: 500, deadline: null, accountId: null, status: 'active' });
+    });
+
+    test('rejects invalid goals with a typed error', () => {
+        expect(() => normalizeGoal({ targetAmount: 100 })).toThrow(GoalError);
+        expect(() => normalizeGoal({ name: 'Trip', targetAmount: 0 })).toThrow('targetAmount must be a positive number');
+        expect(() => normalizeGoal({ name: 'Trip', targetAmount: 10, initialAmount: -1 })).toThrow('initialAmount must be zero or more');
+        expect(() => normalizeGoal({ name: 'Trip', targetAmount: 10, deadline: '12/31/2026' })).toThrow('deadline must be a YYYY-MM-DD date');
+    });
+});
+
+describe('computeGoalProgress', () => {
+    const asOf = '2026-04-01';
+
+    test('counts deposits toward the goal and withdrawals or refunds against it', () => {
+        const transactions = [
+            { goalId: 'g1', type: 'expense', amount: -10000, date: '2026-01-15' },
+            { goalId: 'g1', type: 'transfer', amount: 5000, date: '2026-02-15', accountId: 'wallet', toAccountId: 'bank' },
+            { goalId: 'g1', type: 'income', amount: 3000, date: '2026-03-01' },
+            { goalId: 'other', type: 'expense', amount: -9999, date: '2026-03-01' }
+        ];
+        expect(computeGoalProgress(goal({ initialAmount: 2000 }), transactions, asOf))
+            .toMatchObject({ saved: 14000, remaining: 46000, percent: 23, contributionCount: 3, lastContributionDate: '2026-03-01' });
+    });
+
+    test('with a linked account, money into it is a deposit and money out of it a withdrawal', () => {
+        const transactions = [
+            { goalId: 'g1', type: 'transfer', amount: 8000, date: '2026-01-10', accountId: 'wallet', toAccountId: 'savings' },
+            { goalId: 'g1', type: 'income', amount: 150, date: '2026-01-31', accountId: 'savings' },
+            { goalId: 'g1', type: 'transfer', amount: 2000, date: '2026-02-10', accountId: 'savings', toAccountId: 'wallet' },
+            { goalId: 'g1', type: 'expense', amount: -500, date: '2026-02-20', accountId: 'savings' }
+        ];
+        expect(computeGoalProgress(goal({ accountId: 'savings' }), transactions, asOf).saved).toBe(5650);
+    });
+
+    test('never reports less than nothing saved', () => {
+        const refund = [{ goalId: 'g1', type: 'income', amount: 1000, date: '2026-03-01' }];
+        expect(computeGoalProgress(goal(), refund, asOf)).toMatchObject({ saved: 0, remaining: 60000, state: 'stalled' });
+    });
+
+    test('projects the finish date from the last 90 days of saving', () => {
+        const transactions = [
+            { goalId: 'g1', type: 'expense', amount: -20000, date: '2025-06-01' },
+            { goalId: 'g1', type: 'expense', amount: -6000, date: '2026-02-01' },
+            { goalId: 'g1', type: 'expense', amount: -3000, date: '2026-03-01' }
+        ];
+        const progress = computeGoalProgress(goal({ deadline: '2026-12-31' }), transactions, asOf);
+        expect(progress).toMatchObject({ saved: 29000, remaining: 31000, monthlyRate: 3043.75 });
+        expect(progress.projectedDate > '2027-01-01').toBe(true);
+        expect(progress.state).toBe('behind');
+        expect(progress.requiredMonthly).toBeCloseTo(31000 / progress.monthsLeft, 0);
+    });
+
+    test('withdrawals slow the pace', () => {
+        const transactions = [
+            { goalId: 'g1', type: 'expense', amount: -9000, date: '2026-02-01' },
+            { goalId: 'g1', type: 'income', amount: 9000, date: '2026-03-01' }
+        ];
+        expect(computeGoalProgress(goal(), transactions, asOf)).toMatchObject({ saved: 0, monthlyRate: 0, projectedDate: null, state: 'stalled' });
+    });
+
+    test('a young goal is measured over its own age', () => {
+        const young = goal({ createdAt: '2026-03-02T00:00:00.000Z', deadline: '2026-09-30' });
+        const progress = computeGoalProgress(young, [{ goalId: 'g1', type: 'expense', amount: -10000, date: '2026-03-05' }], asOf);
+        expect(progress.monthlyRate).toBe(10000);
+        expect(progress.state).toBe('on-track');
+    });
+
+    test('is achieved once the target is reached', () => {
+        const progress = computeGoalProgress(goal({ initialAmount: 60000 }), [], asOf);
+        expect(progress).toMatchObject({ remaining: 0, percent: 100, projectedDate: asOf, state: 'achieved' });
+    });
+});
@@ -0,0 +1,184 @@
+import {
+    parseCsv, parseStatementDate, parseStatementAmount, resolveMapping, normalizeStatement, normalizePdfStatement,
+    transactionHash, markDuplicates, summarize, StatementImportError
+} from '../statement-import.js';
+
+describe('parseCsv', () => {
+    test('handles quoted fields, escaped quotes, newlines in quotes and CRLF', () => {
+        const text = '﻿Date,Description,Amount\r\n01/05/2026,"JOLLIBEE, SM ""NORTH""",-150.00\r\n01/06/2026,"LINE\nTWO",20\r\n';
+        expect(parseCsv(text)).toEqual([
+            ['Date', 'Description', 'Amount'],
+            ['01/05/2026', 'JOLLIBEE, SM "NORTH"', '-150.00'],
+            ['01/06/2026', 'LINE\nTWO', '20']
+        ]);
+    });
+
+    test('detects semicolon and tab delimiters', () => {
+        expect(parseCsv('a;b;c\n1;2;3')).toEqual([['a', 'b', 'c'], ['1', '2', '3']]);
+        expect(parseCsv('a\tb\n1\t2')).toEqual([['a', 'b'], ['1', '2']]);
+    });
+});
+
+describe('parseStatementDate', () => {
+    test.each([
+        ['2026-01-05', 'MDY', '2026-01-05'],
+        ['01/05/2026', 'MDY', '2026-01-05'],
+        ['05/01/2026', 'DMY', '2026-01-05'],
+        ['1/5/26', 'MDY', '2026-01-05'],
+        ['Jan 05, 2026', 'MDY', '2026-01-05'],
+        ['January 5 2026', 'MDY', '2026-01-05'],
+        ['05 Jan 2026', 'MDY', '2026-01-05'],
+        ['05-Jan-26', 'MDY', '2026-01-05'],
+        [46027, 'MDY', '2026-01-05']
+    ])('reads %p (%s)', (value, order, expected) => {
+        expect(parseStatementDate(value, order)).toBe(expected);
+    });
+
+    test.each(['Opening Balance', '', null, '02/30/2026', 12])('returns null for %p', value => {
+        expect(parseStatementDate(value)).toBeNull();
+    });
+});
+
+describe('parseStatementAmount', () => {
+    test.each([
+        ['1,234.56', 1234.56],
+        ['(1,234.56)', -1234.56],
+        ['PHP -500', -500],
+        ['₱ 20.00 DR', -20],
+        ['5,000.00 CR', 5000],
+        [-42, -42]
+    ])('reads %p', (value, expected) => {
+        expect(parseStatementAmount(value)).toBe(expected);
+    });
+
+    test.each(['', '   ', null, 'n/a'])('returns null for %p', value => {
+        expect(parseStatementAmount(value)).toBeNull();
+    });
+});
+
+describe('resolveMapping', () => {
+    const bpiRows = [
+        ['BPI Savings Account', '', '', '', ''],
+        ['Account Number: 1234-5678-90', '', '', '', ''],
+        ['Transaction Date', 'Description', 'Debit', 'Credit', 'Running Balance'],
+        ['01/05/2026', 'ATM WITHDRAWAL', '2,000.00', '', '8,000.00']
+    ];
+
+    test('finds the header row below account details and picks the bank by its signature', () => {
+        expect(resolveMapping(bpiRows)).toMatchObject({
+            bank: 'BPI', headerIndex: 2, columns: { date: 0, description: 1, debit: 2, credit: 3 }
+        });
+    });
+
+    test('picks Maya from its signed amount column', () => {
+        const { bank, columns } = resolveMapping([['Date', 'Description', 'Amount', 'Reference ID']]);
+        expect(bank).toBe('Maya');
+        expect(columns.amount).toBe(2);
+    });
+
+    test('honours a requested bank and rejects an unsupported one', () => {
+        expect(resolveMapping(bpiRows, 'BDO').bank).toBe('BDO');
+        expect(() => resolveMapping(bpiRows, 'Chase')).toThrow(expect.objectContaining({ code: 'STATEMENT_BANK_UNSUPPORTED' }));
+    });
+
+    test('fails with a typed error when no mapper fits', () => {
+        const attempt = () => resolveMapping([['Name', 'Notes']]);
+        expect(attempt).toThrow(StatementImportError);
+        expect(attempt).toThrow(expect.objectContaining({ code: 'STATEMENT_COLUMNS_NOT_FOUND' }));
+    });
+});
+
+describe('normalizeStatement', () => {
+    const rows = [
+        ['Transaction Date', 'Description', 'Debit', 'Credit', 'Running Balance'],
+        ['', 'Beginning Balance', '', '', '10,000.00'],
+        ['01/05/2026', '  ATM   WITHDRAWAL ', '2,000.00', '', '8,000.00'],
+        ['01/15/2026', 'PAYROLL', '', '25,000.00', '33,000.00'],
+        ['01/16/2026', 'NO AMOUNT', '', '', '33,000.00'],
+        ['', '', '', '', '']
+    ];
+
+    test('turns rows into signed transactions for the account and reports skipped ones', () => {
+        const { bank, transactions, skippedRows } = normalizeStatement(rows, { accountId: 'bpi' });
+        expect(bank).toBe('BPI');
+        expect(transactions.map(({ rowNumber, date, description, amount, type }) => ({ rowNumber, date, description, amount, type }))).toEqual([
+            { rowNumber: 3, date: '2026-01-05', description: 'ATM WITHDRAWAL', amount: -2000, type: 'expense' },
+            { rowNumber: 4, date: '2026-01-15', description: 'PAYROLL', amount: 25000, type: 'income' }
+        ]);
+        expect(skippedRows).toEqual([{ row: 2, reason: 'No valid date' }, { row: 5, reason: 'No amount' }]);
+    });
+
+    test('hashes rows like the web app, so a re-import is flagged as a duplicate either sign', () => {
+        const { transactions } = normalizeStatement(rows, { accountId: 'bpi' });
+        const [withdrawal] = transactions;
+        const storedPositive = transactionHash({ description: 'ATM WITHDRAWAL', amount: 2000, type: 'expense', date: '2026-01-05', accountId: 'bpi' });
+        const marked = markDuplicates(transactions, new Set([storedPositive]));
+        expect(withdrawal.dataHash).toBe(transactionHash(withdrawal));
+        expect(marked.map(row => row.duplicate)).toEqual([true, false]);
+        expect(summarize(marked)).toEqual({ total: 2, duplicates: 1, income: 25000, expense: 0 });
+    });
+});
+
+describe('normalizePdfStatement', () => {
+    const cardLines = [
+        'BPI Credit Cards',
+        'Card Number: XXXX-XXXX-XXXX-4321',
+        'Statement Date: 01/10/2026   Payment Due Date: 01/30/2026',
+        'Previous Balance  12,000.00',
+        'Total Amount Due  15,350.00',
+        'Minimum Amount Due  850.00',
+        'Credit Limit  80,000.00',
+        'Interest rate of 3% per month',
+        '12/20  12/21  PAYMENT - THANK YOU  5,000.00 CR',
+        '12/28  12/29  JOLLIBEE SM NORTH  350.00',
+        'Jan 05  LAZADA PH  8,000.00',
+        '01/06  REVERSAL  (500.00)'
+    ];
+
+    test('reads card statement figures, converting a monthly rate to annual', () => {
+        const { bank, metadata } = normalizePdfStatement(cardLines, { accountId: 'card' });
+        expect(bank).toBe('BPI');
+        expect(metadata).toMatchObject({
+            statementType: 'credit_card',
+            accountLast4: '4321',
+            statementDate: '2026-01-10',
+            dueDate: '2026-01-30',
+            openingBalance: 12000,
+            closingBalance: 15350,
+            minimumDue: 850,
+            creditLimit: 80000,
+            interestRate: 36
+        });
+    });
+
+    test('dates without a year fall in the statement year or the year before it', () => {
+        const { transactions } = normalizePdfStatement(cardLines, { accountId: 'card' });
+        expect(transactions.map(row => [row.date, row.description, row.amount, row.type])).toEqual([
+            ['2025-12-20', 'PAYMENT - THANK YOU', 5000, 'income'],
+            ['2025-12-28', 'JOLLIBEE SM NORTH', -350, 'expense'],
+            ['2026-01-05', 'LAZADA PH', -8000, 'expense'],
+            ['2026-01-06', 'REVERSAL', 500, 'income']
+        ]);
+    });
+
+    test('bank statements use the running balance to tell debits from credits', () => {
+        const lines = [
+            'BDO Unibank Savings',
+            'Account No.: 001234567890',
+            'Statement Period: 01/01/2026 - 01/31/2026',
+            'Beginning Balance  10,000.00',
+            '01/05/2026  ATM WITHDRAWAL  2,000.00  8,000.00',
+            '01/15/2026  FUND TRANSFER  25,000.00  33,000.00',
+            '01/20/2026  SALARY ADJUSTMENT  1,000.00',
+            'Ending Balance  33,000.00'
+        ];
+        const { metadata, transactions } = normalizePdfStatement(lines, { accountId: 'bdo' });
+        expect(metadata).toMatchObject({ bank: 'BDO', statementType: 'bank', statementDate: '2026-01-31', openingBalance: 10000, accountLast4: '7890' });
+        expect(transactions.map(row => [row.description, row.amount, row.type])).toEqual([
+            ['ATM WITHDRAWAL', -2000, 'expense'],
+            ['FUND TRANSFER', 25000, 'income'],
+            // No running balance on the line: the description decides
+            ['SALARY ADJUSTMENT', 1000, 'income']
+        ]);
+    });
+});
@@ -0,0 +1,134 @@
+import { createRequire } from 'module';
+import { createTelegramBot, parseCommand, parseAddCommand } from '../telegram-bot.js';
+import { createTelegramApi } from '../telegram-api.js';
+import { createLedgerService } from '../account-ledger.js';
+import { createBudgetService } from '../budgets.js';
+import { createBillService } from '../bills.js';
+import { createFxService } from '../fx-rates.js';
+import { createCategoryService } from '../category-tree.js';
+import { createCategorizer } from '../categorizer.js';
+import { today } from '../recurring-transactions.js';
+
+const require = createRequire(import.meta.url);
+const { createFakeFirestore } = require('./fake-firestore.cjs');
+const { createFakeTelegramApi } = require('../../scripts/fake-telegram-api.js');
+
+const KEY = 'TG-ABC123-DEFG456-HIJ789';
+
+describe('parsing', () => {
+    test('commands drop the bot name and keep their arguments', () => {
+        expect(parseCommand('/balance@KitakitaBot')).toEqual({ command: 'balance', args: [] });
+        expect(parseCommand('/ask ipon how much?')).toEqual({ command: 'ask', args: ['ipon', 'how', 'much?'] });
+    });
+
+    test('/add reads the type, amount, words and account', () => {
+        expect(parseAddCommand(['expense', '150', 'food', 'jollibee', '@gcash'])).toEqual({ type: 'expense', amount: 150, words: ['food', 'jollibee'], account: 'gcash' });
+    });
+});
+
+describe('Telegram bot', () => {
+    let fake;
+    let telegram;
+
+    beforeAll(async () => {
+        fake = createFakeTelegramApi();
+        telegram = createTelegramApi({ token: 'test', baseURL: await fake.listen(0) });
+    });
+
+    afterAll(() => fake.close());
+
+    function setup() {
+        fake.reset();
+        const firestore = createFakeFirestore({
+            'users/u1': { firstName: 'Juan', telegramKey: KEY, telegramKeyUsed: false },
+            'users/u1/bankAccounts/gc': { name: 'GCash', balance: 5000, currency: 'PHP', category: 'digital-wallet' },
+            'users/u1/bankAccounts/cc': { name: 'BPI Card', balance: 12000, accountType: 'Credit Card', currency: 'PHP' },
+            'users/u1/budgets/food': { category: 'food', amount: 3000, period: 'monthly', rollover: 'none', startDate: `${today().slice(0, 7)}-01`, type: 'expense' }
+        });
+        const { db, admin } = firestore;
+        const ledger = createLedgerService({ db, admin });
+        const fx = createFxService({ db, admin });
+        const asked = [];
+        const bot = createTelegramBot({
+            db,
+            telegram,
+            ledger,
+            fx,
+            budgets: createBudgetService({ db, admin, fx }),
+            bills: createBillService({ db, ledger, telegram }),
+            categories: createCategoryService({ db, admin }),
+            categorizer: createCategorizer({ db, admin }),
+            askAgent: async (userId, agent, question) => {
+                asked.push({ userId, agent, question });
+                return `${agent} says: save first`;
+            }
+        });
+        const send = (chatId, text) => bot.handleUpdate(fake.sendUserMessage(chatId, text, { username: 'juan' }));
+        return { ...firestore, bot, send, asked };
+    }
+
+    test('/connect links the chat to the key\'s user', async () => {
+        const { send, read } = setup();
+        expect(await send(1001, `/connect ${KEY.toLowerCase()}`)).toContain('Juan');
+        expect(read('users/u1')).toMatchObject({ telegramKeyUsed: true, telegramChatId: 1001, telegramLinkedKey: KEY });
+        expect(fake.sentMessages(1001)).toHaveLength(1);
+    });
+
+    test('a key already linked to one chat is refused in another', async () => {
+        const { send, read } = setup();
+        await send(1001, `/connect ${KEY}`);
+
+        expect(await send(2002, `/connect ${KEY}`)).toContain('Send /disconnect in that chat first');
+        expect(read('users/u1').telegramChatId).toBe(1001);
+        expect(fake.sentMessages(1001)).toHaveLength(1);
+
+        await send(1001, '/disconnect');
+        expect(await send(2002, `/connect ${KEY}`)).toContain('Juan');
+        expect(read('users/u1').telegramChatId).toBe(2002);
+    });
+
+    test('after a key change the new chat takes over and the old chat is told', async () => {
+        const { db, send, read } = setup();
+        await send(1001, `/connect ${KEY}`);
+        await db.collection('users').doc('u1').update({ telegramKey: 'TG-NEW111-KEY2222-XYZ333' });
+
+        expect(await send(2002, '/connect TG-NEW111-KEY2222-XYZ333')).toContain('Juan');
+        expect(read('users/u1')).toMatchObject({ telegramChatId: 2002, telegramLinkedKey: 'TG-NEW111-KEY2222-XYZ333' });
+        expect(fake.sentMessages(1001).pop().text).toContain('no longer linked');
+    });
+
+    test('/add records an expense through the ledger', async () => {
+        const { send, read, list } = setup();
+        await send(1001, `/connect ${KEY}`);
+
+        expect(await send(1001, '/add expense 150 food jollibee @gcash')).toContain('150');
+        const [path] = list('users/u1/transactions');
+        expect(read(path)).toMatchObject({ type: 'expense', amount: -150, category: 'food', accountId: 'gc', source: 'telegram' });
+        expect(read('users/u1/bankAccounts/gc').balance).toBe(4850);
+    });
+
+    test('/balance and /budget report the accounts and this period\'s budgets', async () => {
+        const { send } = setup();
+        await send(1001, `/connect ${KEY}`);
+        await send(1001, '/add expense 150 food jollibee @gcash');
+
+        const balance = await send(1001, '/balance');
+        expect(balance).toContain('GCash');
+        expect(balance).toContain('4,850.00');
+        expect(balance).toContain('BPI Card');
+        expect(await send(1001, '/budget')).toMatch(/food[\s\S]*150/i);
+    });
+
+    test('/ask passes the question to the chosen agent', async () => {
+        const { send, asked } = setup();
+        await send(1001, `/connect ${KEY}`);
+
+        expect(await send(1001, '/ask ipon how much should I save?')).toContain('save first');
+        expect(asked).toEqual([expect.objectContaining({ userId: 'u1', question: 'how much should I save?' })]);
+    });
+
+    test('an unlinked chat is asked to connect first', async () => {
+        const { send } = setup();
+        expect(await send(3003, '/balance')).toMatch(/connect/i);
+    });
+});
@@ -0,0 +1,149 @@
+/**
+ * Minimal XLSX Reader for Kita-kita Platform
+ * Reads the first worksheet of an .xlsx workbook into rows of cell values using only zlib.
+ * Covers what bank exports contain (shared/inline strings, numbers, booleans); styles and formulas are ignored.
+ */
+
+const zlib = require('zlib');
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+class XlsxReadError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'XlsxReadError';
+    }
+}
+
+// --- Zip container ---
+
+function readZipEntries(buffer) {
+    // The end-of-central-directory record sits in the last 64KB (22 bytes + comment)
+    let eocd = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+        if (buffer.readUInt32LE(i) === EOCD_SIGNATURE) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd === -1) throw new XlsxReadError('File is not a valid XLSX workbook');
+
+    const count = buffer.readUInt16LE(eocd + 10);
+    let offset = buffer.readUInt32LE(eocd + 16);
+    const entries = new Map();
+
+    for (let i = 0; i < count; i++) {
+        if (buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) throw new XlsxReadError('Corrupt XLSX directory');
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+        entries.set(name, { method, compressedSize, localOffset });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+function readZipFile(buffer, entries, name) {
+    const entry = entries.get(name);
+    if (!entry) return null;
+
+    const local = entry.localOffset;
+    if (buffer.readUInt32LE(local) !== LOCAL_SIGNATURE) throw new XlsxReadError(`Corrupt XLSX entry: ${name}`);
+    const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+    const data = buffer.subarray(start, start + entry.compressedSize);
+
+    if (entry.method === 0) return data.toString('utf8');
+    if (entry.method === 8) return zlib.inflateRawSync(data).toString('utf8');
+    throw new XlsxReadError(`Unsupported XLSX compression method ${entry.method}`);
+}
+
+// --- Spreadsheet XML ---
+
+function decodeXml(text) {
+    return text
+        .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+// Text of every <t> inside a fragment (rich text splits one string across several runs)
+function textRuns(xml) {
+    return [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(match => decodeXml(match[1])).join('');
+}
+
+function columnIndex(reference) {
+    const letters = reference.match(/^[A-Z]+/i)[0].toUpperCase();
+    return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+// Path of the first sheet listed in the workbook, falling back to the conventional name
+function firstSheetPath(buffer, entries) {
+    const workbook = readZipFile(buffer, entries, 'xl/workbook.xml');
+    const rels = readZipFile(buffer, entries, 'xl/_rels/workbook.xml.rels');
+    const sheet = workbook && workbook.match(/<sheet\b[^>]*\br:id="([^"]+)"/);
+    if (sheet && rels) {
+        const rel = [...rels.matchAll(/<Relationship\b[^>]*>/g)]
+            .map(match => match[0])
+            .find(tag => tag.includes(`Id="${sheet[1]}"`));
+        const target = rel && rel.match(/Target="([^"]+)"/);
+        if (target) {
+            return target[1].startsWith('/') ? target[1].slice(1) : `xl/${target[1].replace(/^\.\//, '')}`;
+        }
+    }
+    return 'xl/worksheets/sheet1.xml';
+}
+
+/**
+ * Read the first worksheet of an XLSX file
+ * @param {Buffer} buffer The .xlsx file contents
+ * @returns {Array<Array<string|number|boolean|null>>} Rows of cell values; gaps are null
+ */
+function readFirstSheet(buffer) {
+    const entries = readZipEntries(buffer);
+    const sharedXml = readZipFile(buffer, entries, 'xl/sharedStrings.xml');
+    const sharedStrings = sharedXml
+        ? [...sharedXml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(match => textRuns(match[1]))
+        : [];
+
+    const sheetXml = readZipFile(buffer, entries, firstSheetPath(buffer, entries));
+    if (!sheetXml) throw new XlsxReadError('Workbook has no worksheet');
+
+    const rows = [];
+    for (const rowMatch of sheetXml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+        const rowNumber = rowMatch[1].match(/\br="(\d+)"/);
+        const cells = [];
+        for (const cellMatch of (rowMatch[2] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+            const attributes = cellMatch[1];
+            const body = cellMatch[2] || '';
+            const reference = attributes.match(/\br="([A-Z]+\d+)"/i);
+            const type = (attributes.match(/\bt="([^"]+)"/) || [])[1];
+            const raw = body.match(/<v>([\s\S]*?)<\/v>/);
+
+            let value = null;
+            if (type === 's') value = raw ? sharedStrings[parseInt(raw[1], 10)] ?? null : null;
+            else if (type === 'inlineStr') value = textRuns(body);
+            else if (type === 'str') value = raw ? decodeXml(raw[1]) : null;
+            else if (type === 'b') value = raw ? raw[1] === '1' : null;
+            else if (raw) value = Number(raw[1]);
+
+            cells[reference ? columnIndex(reference[1]) : cells.length] = value;
+        }
+        rows[rowNumber ? parseInt(rowNumber[1], 10) - 1 : rows.length] = Array.from(cells, cell => cell ?? null);
+    }
+    return Array.from(rows, row => row || []);
+}
+
+module.exports = {
+    readFirstSheet,
+    XlsxReadError
+};
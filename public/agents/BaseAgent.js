@@ -13,6 +13,8 @@ import { getAuth } from "https://www.gstatic.com/firebasejs/11.5.0/firebase-auth
 import { getUserData, getUserTransactions, getUserBankAccounts, storeUserData } from "../js/firestoredb.js";
 import { devLog, devWarn, prodError, prodLog, isProduction, getEnvironmentConfig } from "../js/utils/environment.js";
 import { callGeminiAI } from "../js/agentCommon.js";
+import { loadNetWorthTrend } from "../js/netWorth.js";
+import { parseStructuredOutput, generateStructuredOutput } from "../js/aiSchemas.js";
 
 // Rate limiting configuration
 const RATE_LIMIT = {
@@ -57,6 +59,7 @@ export class BaseAgent {
         this.userAccounts = [];           // User's bank accounts and wallets
         this.userTransactions = [];       // User's transaction history
         this.userFinancialProfile = null; // User's profile data
+        this.netWorthTrend = null;        // Month-end net worth from daily snapshots (see netWorth.js)
         this.accountInsights = new Map(); // Account-specific insights
         this.lastAccountsUpdate = null;   // Track when accounts were last loaded
         
@@ -174,7 +177,8 @@ export class BaseAgent {
             const results = await Promise.allSettled([
                 getUserData(currentUser.uid),
                 getUserTransactions(currentUser.uid),
-                getUserBankAccounts(currentUser.uid)
+                getUserBankAccounts(currentUser.uid),
+                loadNetWorthTrend()
             ]);
 
             // Process user profile data
@@ -201,6 +205,9 @@ export class BaseAgent {
                 this.userAccounts = [];
             }
 
+            // Net worth trend (null until the first snapshot or when the server is unreachable)
+            this.netWorthTrend = results[3].status === 'fulfilled' ? results[3].value : null;
+
             // Check if we have any data
             if (!this.userAccounts.length && !this.userTransactions.length) {
                 devLog(`⚠️ [${this.agentType}] No financial data found for user: ${currentUser.uid}`);
@@ -756,6 +763,7 @@ export class BaseAgent {
 
     /**
      * Get comprehensive financial overview from all accounts
+     * netWorthTrend is how the total has moved month to month (null before the first snapshot)
      * @returns {Object} Financial overview
      */
     getFinancialOverview() {
@@ -768,7 +776,8 @@ export class BaseAgent {
             savingsRate: 0,
             liquidityRatio: 0,
             riskDistribution: {},
-            totalAccounts: this.userAccounts.length
+            totalAccounts: this.userAccounts.length,
+            netWorthTrend: this.netWorthTrend
         };
 
         // Calculate totals and categorize accounts
@@ -1584,9 +1593,10 @@ export class BaseAgent {
      */
     async decomposeComplex(problem) {
         try {
-            const decompositionPrompt = `Decompose this complex financial problem into smaller, manageable sub-problems: "${problem}"`;
-            const response = await callGeminiAI(decompositionPrompt);
-            return this.parseAIResponse(response).subProblems || [problem];
+            const decompositionPrompt = `Decompose this complex financial problem into smaller, manageable sub-problems: "${problem}"
+Respond with JSON only: {"subProblems": ["sub-problem 1", "sub-problem 2"]}`;
+            const result = await generateStructuredOutput(callGeminiAI, decompositionPrompt, 'problemDecomposition');
+            return result.subProblems;
         } catch (error) {
             this.handleError('decomposition_failed', error, { problem });
             return [problem]; // Fallback to the original problem
@@ -1752,33 +1762,14 @@ export class BaseAgent {
     }
 
     /**
-     * Parse AI response with error handling
+     * Parse AI response against a schema from the shared registry
      * @param {string} rawResponse - Raw AI response
-     * @returns {Object} Parsed response
+     * @param {string} schemaId - Registry id the response must match (see lib/ai-schemas.js)
+     * @returns {Promise<Object>} Schema-valid response
+     * @throws {AIOutputError} When the response has no JSON or fails validation
      */
-    parseAIResponse(rawResponse) {
-        try {
-            // Try to extract JSON from response
-            const jsonMatch = rawResponse.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                return JSON.parse(jsonMatch[0]);
-            }
-            
-            // Fallback to structured parsing
-            return {
-                content: rawResponse,
-                confidence: 0.6,
-                timestamp: new Date().toISOString(),
-                parsed: false
-            };
-        } catch (error) {
-            return {
-                content: rawResponse,
-                confidence: 0.3,
-                error: 'parsing_failed',
-                timestamp: new Date().toISOString()
-            };
-        }
+    async parseAIResponse(rawResponse, schemaId) {
+        return parseStructuredOutput(rawResponse, schemaId);
     }
 
     /**
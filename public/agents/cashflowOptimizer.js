@@ -1,6 +1,9 @@
 import { getAuth, onAuthStateChanged } from "https://www.gstatic.com/firebasejs/11.5.0/firebase-auth.js";
 import { getUserTransactions, getUserBankAccounts } from "../js/firestoredb.js";
-import { callLocalAI, cleanAndParseJson } from "../js/agentCommon.js"; // Use the shared AI call function
+import { requestAgentAnalysis } from "../js/agentCommon.js"; // Use the shared AI call function
+import { describeAIError } from "../js/aiSchemas.js";
+import { getBills, createBill } from "../js/bills.js";
+import { showToast } from "../js/utils/notifications.js";
 
 const auth = getAuth();
 
@@ -12,6 +15,8 @@ const subscriptionContent = document.getElementById('subscription-content');
 const optimizationTipsContent = document.getElementById('optimization-tips-content');
 const cashflowChartCanvas = document.getElementById('cashflow-chart');
 let cashflowChart = null;
+// Subscriptions as listed, for the "Track due date" buttons
+let shownSubscriptions = [];
 
 // --- Main Initialization ---
 document.addEventListener('DOMContentLoaded', () => {
@@ -49,7 +54,7 @@ async function initializeApp(user) {
 async function processAndDisplayAIContent(transactions, accounts) {
     // --- CONSOLIDATED AI ANALYSIS ---
     try {
-        const analysis = await getConsolidatedAnalysis(transactions, accounts);
+        const analysis = await getConsolidatedAnalysis();
         if (analysis) {
             displaySubscriptions(analysis.subscriptions || [], transactions);
             displayOptimizationTips(analysis.optimizationTips || [], transactions, accounts);
@@ -73,43 +78,12 @@ function runFallbackAnalyses(transactions, accounts) {
     displayCashflowForecast(forecast);
 }
 
-async function getConsolidatedAnalysis(transactions, accounts) {
-    const totalIncome = transactions.filter(t => t.type === 'income').reduce((sum, t) => sum + t.amount, 0);
-    const totalExpenses = transactions.filter(t => t.type === 'expense').reduce((sum, t) => sum + Math.abs(t.amount), 0);
-    const topExpenses = getFallbackSpending(transactions);
-    const top5ExpenseCategories = Object.entries(topExpenses)
-        .sort(([, a], [, b]) => b - a)
-        .slice(0, 5)
-        .map(([cat, amt]) => `${cat}: ₱${amt.toFixed(2)}`)
-        .join(', ');
-
-    const prompt = `
-        Analyze the user's financial data provided below.
-        
-        DATA:
-        ${JSON.stringify(transactions, null, 2)}
-
-        TASKS:
-        1. Identify recurring subscriptions.
-        2. Provide 3-5 actionable cashflow optimization tips.
-        3. Categorize all expenses and sum the totals for each category.
-        4. Provide a brief, one-sentence cashflow forecast for the next 3 months based on the data.
-
-        Your entire response MUST be a single, valid JSON object. Do not add any text, conversational filler, or markdown before or after the JSON object.
-        The JSON object must follow this exact structure:
-        {
-          "subscriptions": [{"name": "string", "amount": "number"}],
-          "optimizationTips": ["string"],
-          "spendingAnalysis": { "category_name": "number" },
-          "cashflowForecast": "string"
-        }
-    `;
-
+async function getConsolidatedAnalysis() {
+    // The server builds the analysis prompt and returns data already validated against the cashflowAnalysis schema
     try {
-        const responseText = await callLocalAI(prompt);
-        return cleanAndParseJson(responseText);
+        return await requestAgentAnalysis('/api/ai/cashflow-optimizer', { promptType: 'analysis' });
     } catch (error) {
-        console.error("Error in getConsolidatedAnalysis:", error);
+        console.error("Error in getConsolidatedAnalysis:", describeAIError(error), error);
         return null; // Return null to trigger fallbacks
     }
 }
@@ -132,19 +106,72 @@ function setUIState(state) {
 // --- AI Generation Functions ---
 
 function displaySubscriptions(subscriptions, fallbackTransactions) {
-    if (subscriptions && subscriptions.length > 0) {
-        subscriptionContent.innerHTML = `<ul>${subscriptions.map(item => `<li><i class="fas fa-receipt"></i><span>${item.name}</span><strong>₱${(item.amount || 0).toFixed(2)}/mo</strong></li>`).join('')}</ul>`;
-    } else {
-        // Fallback to rule-based analysis if AI returns nothing or fails
-        const fallbackSubscriptions = getFallbackSubscriptions(fallbackTransactions);
-        if (fallbackSubscriptions.length > 0) {
-            subscriptionContent.innerHTML = `<ul>${fallbackSubscriptions.map(item => `<li><i class="fas fa-receipt"></i><span>${item.name}</span><strong>₱${item.amount.toFixed(2)}/mo</strong></li>`).join('')}</ul>`;
-        } else {
-            subscriptionContent.innerHTML = '<p>No recurring subscriptions were automatically detected.</p>';
-        }
+    // Fallback to rule-based analysis if AI returns nothing or fails
+    const items = subscriptions && subscriptions.length > 0
+        ? subscriptions.map(item => ({ ...lastChargeOf(item.name, fallbackTransactions), ...item, amount: item.amount || 0 }))
+        : getFallbackSubscriptions(fallbackTransactions);
+    if (items.length === 0) {
+        subscriptionContent.innerHTML = '<p>No recurring subscriptions were automatically detected.</p>';
+        return;
+    }
+    shownSubscriptions = items;
+    subscriptionContent.innerHTML = `<ul>${items.map((item, index) => `<li><i class="fas fa-receipt"></i><span>${item.name}</span><strong>₱${item.amount.toFixed(2)}/mo</strong><button type="button" class="track-bill-btn" data-index="${index}" title="Add to the bill calendar"><i class="fas fa-calendar-plus"></i> Track due date</button></li>`).join('')}</ul>`;
+    markTrackedSubscriptions();
+}
+
+// Subscriptions already on the bill calendar (matched by name) show as tracked
+async function markTrackedSubscriptions() {
+    try {
+        const tracked = new Set((await getBills()).map(bill => bill.name.toLowerCase()));
+        subscriptionContent.querySelectorAll('.track-bill-btn').forEach(button => {
+            if (tracked.has(shownSubscriptions[button.dataset.index].name.toLowerCase())) setTracked(button);
+        });
+    } catch (error) {
+        console.warn('Could not load bills:', error.message);
     }
 }
 
+function setTracked(button) {
+    button.disabled = true;
+    button.innerHTML = '<i class="fas fa-calendar-check"></i> Tracked';
+}
+
+// Same day next month, or that month's last day when it is shorter
+function nextMonthlyDate(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    return new Date(Date.UTC(year, month, Math.min(day, lastDay))).toISOString().slice(0, 10);
+}
+
+// A subscription becomes a monthly bill due a month after its last charge, paid from the same account
+async function trackSubscription(button) {
+    const item = shownSubscriptions[button.dataset.index];
+    if (!item) return;
+    button.disabled = true;
+    try {
+        const startDate = /^\d{4}-\d{2}-\d{2}$/.test(item.lastDate || '') ? nextMonthlyDate(item.lastDate) : new Date().toISOString().slice(0, 10);
+        await createBill({
+            name: item.name.slice(0, 60),
+            kind: 'subscription',
+            amount: Math.round(item.amount * 100) / 100,
+            accountId: item.accountId || null,
+            category: item.category || 'bills',
+            frequency: 'monthly',
+            startDate
+        });
+        setTracked(button);
+        showToast(`${item.name} added to your bills, next due ${startDate}`, 'success');
+    } catch (error) {
+        button.disabled = false;
+        showToast(error.message, 'error');
+    }
+}
+
+subscriptionContent?.addEventListener('click', e => {
+    const button = e.target.closest('.track-bill-btn');
+    if (button) trackSubscription(button);
+});
+
 function displayOptimizationTips(tips, fallbackTransactions, fallbackAccounts) {
     if (tips && tips.length > 0) {
         optimizationTipsContent.innerHTML = `<ul>${tips.map(item => `<li><i class="fas fa-lightbulb"></i>${item}</li>`).join('')}</ul>`;
@@ -248,6 +275,15 @@ function getFallbackForecast(transactions) {
     }
 }
 
+// The latest charge whose description matches a subscription's name: its date, account and category
+function lastChargeOf(name, transactions) {
+    const key = String(name || '').toLowerCase().trim();
+    const latest = (transactions || [])
+        .filter(t => t.type === 'expense' && t.description && t.description.toLowerCase().includes(key))
+        .sort((a, b) => String(b.date).localeCompare(String(a.date)))[0];
+    return latest ? { lastDate: String(latest.date).slice(0, 10), accountId: latest.accountId, category: latest.category } : {};
+}
+
 function getFallbackSubscriptions(transactions) {
     const recurring = {};
     const candidates = transactions.filter(t => t.type === 'expense');
@@ -259,8 +295,9 @@ function getFallbackSubscriptions(transactions) {
             if (recurring[name]) {
                 recurring[name].count++;
                 recurring[name].amounts.push(t.amount);
+                if (String(t.date) > String(recurring[name].latest.date)) recurring[name].latest = t;
             } else {
-                recurring[name] = { count: 1, amounts: [t.amount], originalName: t.description };
+                recurring[name] = { count: 1, amounts: [t.amount], originalName: t.description, latest: t };
             }
         }
     });
@@ -269,7 +306,10 @@ function getFallbackSubscriptions(transactions) {
         .filter(key => recurring[key].count > 1)
         .map(key => ({
             name: recurring[key].originalName,
-            amount: Math.abs(recurring[key].amounts.reduce((a, b) => a + b, 0) / recurring[key].amounts.length)
+            amount: Math.abs(recurring[key].amounts.reduce((a, b) => a + b, 0) / recurring[key].amounts.length),
+            lastDate: String(recurring[key].latest.date).slice(0, 10),
+            accountId: recurring[key].latest.accountId,
+            category: recurring[key].latest.category
         }));
 }
 
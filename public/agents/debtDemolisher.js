@@ -1,13 +1,17 @@
 /**
  * Debt Demolisher AI - Autonomous Debt Elimination Agent
- * Features: Debt portfolio analysis, Repayment strategy simulation (Avalanche, Snowball), Automated plan execution & monitoring.
+ * Features: Debt portfolio analysis, Repayment strategy simulation (Avalanche, Snowball, Hybrid, Custom order, Consolidation & Balance Transfer offers), Automated plan execution & monitoring.
  */
 
 import { getAuth } from "https://www.gstatic.com/firebasejs/11.5.0/firebase-auth.js";
 import { BaseAgent } from "./BaseAgent.js";
 import { OFFLINE_MODE } from "../js/config.js";
 import { getUserTransactions, getUserBankAccounts } from "../js/firestoredb.js";
-import { callLocalAI } from "../js/agentCommon.js";
+import { callLocalAI, streamAgentChatMessage, getAgentConversation } from "../js/agentCommon.js";
+import { generateStructuredOutput } from "../js/aiSchemas.js";
+import { resolveCardRules } from "../js/cardRules.js";
+import { loanStatus } from "../js/loanSchedule.js";
+import { StrategyEngine } from "../js/debtStrategy.js";
 
 // API configuration for potential future use (e.g., financial data aggregation APIs)
 const API_CONFIG = {
@@ -18,88 +22,6 @@ const API_CONFIG = {
     BACKOFF_MULTIPLIER: 1.5
 };
 
-/**
- * StrategyEngine: A pure logic module for simulating debt payoff scenarios.
- * It is self-contained and does not interact with the DOM.
- */
-class StrategyEngine {
-    constructor(debtAccounts, extraPayment = 0) {
-        // Deep copy accounts to avoid mutating the original data during simulation
-        this.accounts = JSON.parse(JSON.stringify(debtAccounts));
-        this.extraPayment = extraPayment;
-    }
-
-    /**
-     * Runs a full debt payoff simulation using a specified strategy.
-     * @param {'avalanche' | 'snowball'} strategy The strategy to use.
-     * @returns {object} An object containing the simulation results.
-     */
-    simulate(strategy) {
-        let sortedAccounts = this.getSortedAccounts(strategy);
-        
-        let months = 0;
-        let totalInterestPaid = 0;
-        const paymentSchedule = [];
-
-        // Main simulation loop
-        while (sortedAccounts.some(acc => acc.balance > 0) && months < 600) { // Safety break at 50 years
-            months++;
-            let monthInterest = 0;
-            let snowballPayment = this.extraPayment;
-            
-            // 1. Accrue interest and collect minimum payments for snowball
-            sortedAccounts.forEach(acc => {
-                if (acc.balance > 0) {
-                    const monthlyInterest = (acc.balance * (acc.interestRate / 100)) / 12;
-                    acc.balance += monthlyInterest;
-                    totalInterestPaid += monthlyInterest;
-                    monthInterest += monthlyInterest;
-                    snowballPayment += acc.minimumPayment;
-                }
-            });
-
-            // 2. Apply payments
-            sortedAccounts.forEach(acc => {
-                if (acc.balance > 0) {
-                    const payment = Math.min(acc.balance, snowballPayment);
-                    acc.balance -= payment;
-                    snowballPayment -= payment;
-                    if (snowballPayment <= 0.01) return; // End payments if snowball is used up
-                }
-            });
-
-            // Record monthly progress for charting
-            const remainingBalance = sortedAccounts.reduce((sum, acc) => sum + acc.balance, 0);
-            paymentSchedule.push({ month: months, balance: remainingBalance });
-            
-            if (remainingBalance <= 0) break;
-        }
-
-        return {
-            name: strategy === 'avalanche' ? 'Debt Avalanche' : 'Debt Snowball',
-            payoffTimeMonths: months,
-            totalInterestPaid: totalInterestPaid,
-            paymentSchedule: paymentSchedule,
-        };
-    }
-
-    /**
-     * Sorts accounts based on the chosen strategy.
-     * @param {'avalanche' | 'snowball'} strategy The strategy name.
-     * @returns {Array} A sorted array of account objects.
-     */
-    getSortedAccounts(strategy) {
-        const accountsToSimulate = this.accounts.filter(acc => acc.balance > 0);
-        if (strategy === 'avalanche') {
-            // Highest interest rate first
-            return accountsToSimulate.sort((a, b) => b.interestRate - a.interestRate);
-        } else { // snowball
-            // Lowest balance first
-            return accountsToSimulate.sort((a, b) => a.balance - b.balance);
-        }
-    }
-}
-
 class DebtDemolisherAI extends BaseAgent {
     constructor() {
         super('debtDemolisher', {
@@ -118,6 +40,12 @@ class DebtDemolisherAI extends BaseAgent {
         this.totalDebt = 0;
         this.userIncome = 0; // Default or fetched value
         this.extraPayment = 5000; // Default or user-defined value
+        this.customOrder = null; // Account ids in the user's own payoff order, once they reorder their debts
+        this.hybridSnowballCount = 1; // Debts the hybrid strategy clears smallest-first before switching to avalanche
+        this.extraSchedule = { lumpSums: [], monthlyExtras: [] }; // What-if lump sums and variable extra payments
+        this.scenarioResult = null; // Latest what-if comparison against the constant-extra baseline
+        this.debtOffers = { consolidation: null, balanceTransfer: null }; // Offers the user wants compared
+        this.chatAbortController = null; // Cancels the reply currently being streamed
         
         this.initializeElements();
         this.initializeEventListeners();
@@ -136,6 +64,8 @@ class DebtDemolisherAI extends BaseAgent {
             debtPortfolioContent: document.getElementById('debt-portfolio-content'),
             strategyContent: document.getElementById('strategy-content'),
             insightsContent: document.getElementById('insights-content'),
+            scenarioContent: document.getElementById('scenario-content'),
+            offersContent: document.getElementById('offers-content'),
             toast: document.getElementById('toast-notification'),
             toastMessage: document.getElementById('toast-message'),
             // Chatbot elements
@@ -166,6 +96,44 @@ class DebtDemolisherAI extends BaseAgent {
                 }
             });
         }
+
+        // Reordering debts builds a custom payoff order
+        if (this.elements.debtPortfolioContent) {
+            this.elements.debtPortfolioContent.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-debt-action]');
+                if (!button) return;
+                if (button.dataset.debtAction === 'reset-order') {
+                    this.setCustomOrder(null);
+                } else {
+                    this.moveDebt(button.dataset.accountId, button.dataset.debtAction === 'move-up' ? -1 : 1);
+                }
+            });
+        }
+
+        if (this.elements.strategyContent) {
+            this.elements.strategyContent.addEventListener('change', (e) => {
+                if (e.target.id !== 'hybrid-snowball-count') return;
+                const count = parseInt(e.target.value, 10);
+                if (count > 0) {
+                    this.hybridSnowballCount = count;
+                    this.refreshStrategies();
+                }
+            });
+        }
+
+        if (this.elements.scenarioContent) {
+            this.elements.scenarioContent.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-scenario-action]');
+                if (button) this.handleScenarioAction(button.dataset.scenarioAction, button.dataset);
+            });
+        }
+
+        if (this.elements.offersContent) {
+            this.elements.offersContent.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-offer-action]');
+                if (button) this.handleOfferAction(button.dataset.offerAction, button.dataset.offerType);
+            });
+        }
     }
 
     // Start the Debt Demolisher agent
@@ -191,8 +159,9 @@ class DebtDemolisherAI extends BaseAgent {
             
             this.showContentState();
             if (this.elements.chatbotTitle) {
-                this.elements.chatbotTitle.innerHTML = `AI Debt Assistant <span class="model-badge">Powered by Phi-3</span>`;
+                this.elements.chatbotTitle.textContent = 'AI Debt Assistant';
             }
+            await this.restoreConversation();
             console.log("✅ Debt Demolisher AI initialized successfully");
             
             // Automatically run the analysis after initialization
@@ -267,28 +236,30 @@ class DebtDemolisherAI extends BaseAgent {
             this.elements.insightsContent.innerHTML = cardLoaderHTML;
 
             // 1. Simulate strategies
-            const engine = new StrategyEngine(this.debtAccounts, this.extraPayment);
-            const avalanchePlan = engine.simulate('avalanche');
-        
-        const engine2 = new StrategyEngine(this.debtAccounts, this.extraPayment);
-            const snowballPlan = engine2.simulate('snowball');
+            const comparison = this._simulateStrategies();
+            const [avalanchePlan, snowballPlan] = comparison;
+            const offerPlans = comparison.filter(plan => plan.offer);
 
-            console.log("📊 Local simulations complete:", { avalanchePlan, snowballPlan });
+            console.log("📊 Local simulations complete:", this.repaymentStrategies.comparison);
 
             // Step 2: Ask the AI to analyze the pre-calculated results and provide insights.
-            const prompt = this._generateAnalysisPrompt(avalanchePlan, snowballPlan);
-            const aiResponse = await callLocalAI(prompt, { maxTokens: 1024 }); 
-
-            const parsedInsights = this.parseAIResponse(aiResponse);
+            // Insights must match the debtInsights schema; one repair round, then we build the plan without them
+            const prompt = this._generateAnalysisPrompt(avalanchePlan, snowballPlan, offerPlans);
+            let parsedInsights = null;
+            try {
+                parsedInsights = await generateStructuredOutput(text => callLocalAI(text, { maxTokens: 1024 }), prompt, 'debtInsights');
+            } catch (error) {
+                this.handleError('ai_response_parsing_failed', error, { code: error.code, details: error.errors });
+            }
 
             // Step 3: Translate the AI's insights and the calculated data into the final plan.
-            const structuredPlan = this._structureAIGeneratedPlan(parsedInsights, avalanchePlan, snowballPlan);
+            const structuredPlan = this._structureAIGeneratedPlan(parsedInsights, avalanchePlan, snowballPlan, offerPlans);
 
             if (!structuredPlan || !structuredPlan.recommendedStrategy || !structuredPlan.recommendedStrategy.name) {
                 throw new Error("AI analysis response was invalid, incomplete, or could not be structured.");
             }
             
-            // Store the AI-generated plan
+            // Store the AI-generated plan alongside the simulations it was built from
             this.repaymentStrategies.ai_driven_plan = structuredPlan;
             this.activeAlerts = structuredPlan.smartAlerts || [];
             
@@ -298,32 +269,267 @@ class DebtDemolisherAI extends BaseAgent {
         this.updateDebtPortfolioUI();
         this.updateStrategyUI();
         this.updateInsightsUI();
+        this.updateScenarioUI();
+        this.updateOffersUI();
 
         } catch (error) {
             this.handleError('analysis_failed', error);
             this.showToast("A critical error occurred during the AI analysis. We're showing a standard plan for now.", "error");
             
             // Critical Fallback: run the simple simulation so the page still works
-            const engine = new StrategyEngine(this.debtAccounts, this.extraPayment);
-            this.repaymentStrategies.avalanche = engine.simulate('avalanche');
-            this.repaymentStrategies.snowball = engine.simulate('snowball');
+            this._simulateStrategies();
             
             this.updateFinancialOverview();
             this.updateDebtPortfolioUI();
             this.updateStrategyUI();
             this.updateInsightsUI(); // Clear any old insights
+            this.updateScenarioUI();
+            this.updateOffersUI();
+        }
+    }
+
+    /**
+     * Simulates every strategy in the comparison: avalanche, snowball, hybrid, the user's custom order when set,
+     * and any consolidation or balance-transfer offer (paid down avalanche-style).
+     * @returns {Array<object>} The simulation results, avalanche and snowball first.
+     * @private
+     */
+    _simulateStrategies() {
+        const engine = new StrategyEngine(this.debtAccounts, this.extraPayment);
+        const strategies = ['avalanche', 'snowball', 'hybrid'];
+        if (this.customOrder) {
+            strategies.push('custom');
+        }
+
+        const offers = Object.values(this.debtOffers).filter(Boolean).map(offer => ({ strategy: 'avalanche', offer }));
+        const comparison = engine.compare([
+            ...strategies.map(strategy => ({ strategy, ...this._strategyOptions(strategy) })),
+            ...offers
+        ]);
+        this.repaymentStrategies.avalanche = comparison[0];
+        this.repaymentStrategies.snowball = comparison[1];
+        this.repaymentStrategies.comparison = comparison;
+        return comparison;
+    }
+
+    /**
+     * The user's settings for strategies that take options.
+     * @param {string} strategy Strategy name.
+     * @returns {object} Options for StrategyEngine.simulate.
+     * @private
+     */
+    _strategyOptions(strategy) {
+        if (strategy === 'hybrid') return { snowballCount: this.hybridSnowballCount };
+        if (strategy === 'custom') return { order: this.customOrder };
+        return {};
+    }
+
+    /**
+     * Options that re-create a simulated plan, including its offer.
+     * @param {object} plan A simulation result.
+     * @returns {object} Options for StrategyEngine.simulate.
+     * @private
+     */
+    _planOptions(plan) {
+        return { ...this._strategyOptions(plan.strategy), offer: plan.offer };
+    }
+
+    /**
+     * The plan the user follows: their custom order, else the recommended strategy, else the cheapest one.
+     * @param {object} [options]
+     * @param {boolean} [options.includeOffers=false] Whether a consolidation or transfer plan can be returned.
+     * @returns {object|null} A simulation result.
+     * @private
+     */
+    _getActivePlan({ includeOffers = false } = {}) {
+        const comparison = (this.repaymentStrategies.comparison || []).filter(plan => includeOffers || !plan.offer);
+        const recommended = this.repaymentStrategies.ai_driven_plan?.recommendedStrategy?.name;
+        return comparison.find(plan => plan.strategy === 'custom')
+            || comparison.find(plan => plan.name === recommended)
+            || comparison.reduce((best, plan) => (!best || plan.totalCost < best.totalCost ? plan : best), null);
+    }
+
+    /**
+     * Saves or removes a consolidation / balance-transfer offer from the offers form, then re-runs the analysis.
+     * @param {'save' | 'remove'} action The clicked button's action.
+     * @param {'consolidation' | 'balanceTransfer'} type The offer the button belongs to.
+     */
+    async handleOfferAction(action, type) {
+        if (action === 'remove') {
+            this.debtOffers[type] = null;
+        } else {
+            const offer = this._readOfferForm(type);
+            if (!offer) return;
+            this.debtOffers[type] = offer;
+        }
+
+        this.logAgentAction('debt_offer_updated', { type, offer: this.debtOffers[type] });
+        await this.runAnalysis();
+    }
+
+    /**
+     * Reads and validates one offer form.
+     * @param {'consolidation' | 'balanceTransfer'} type Which form to read.
+     * @returns {object|null} The offer, or null after telling the user what is missing.
+     * @private
+     */
+    _readOfferForm(type) {
+        const number = (id) => parseFloat(document.getElementById(id)?.value);
+        const accountIds = Array.from(document.querySelectorAll(`input[name="${type}-account"]:checked`)).map(input => input.value);
+        if (accountIds.length === 0) {
+            this.showToast('Select at least one debt for this offer.', 'error');
+            return null;
+        }
+
+        if (type === 'consolidation') {
+            const offer = {
+                type,
+                loanAmount: number('consolidation-amount'),
+                interestRate: number('consolidation-rate'),
+                termMonths: parseInt(document.getElementById('consolidation-term')?.value, 10),
+                processingFee: number('consolidation-fee') || 0,
+                accountIds
+            };
+            if (!(offer.loanAmount > 0) || !(offer.interestRate >= 0) || !(offer.termMonths > 0) || offer.processingFee >= offer.loanAmount) {
+                this.showToast('Enter the loan amount, annual rate, term and processing fee.', 'error');
+                return null;
+            }
+            return offer;
+        }
+
+        const offer = {
+            type,
+            amount: number('transfer-amount') || 0,
+            promoMonths: parseInt(document.getElementById('transfer-promo-months')?.value, 10),
+            promoRate: number('transfer-promo-rate') || 0,
+            postPromoRate: number('transfer-post-rate'),
+            transferFeeRate: number('transfer-fee-rate') || 0,
+            accountIds
+        };
+        if (!(offer.promoMonths > 0) || !(offer.postPromoRate >= 0)) {
+            this.showToast('Enter the promo months and the rate after the promo.', 'error');
+            return null;
+        }
+        return offer;
+    }
+
+    /**
+     * Re-runs the local simulations and redraws the cards without asking the AI again.
+     */
+    refreshStrategies() {
+        this._simulateStrategies();
+        this.updateFinancialOverview();
+        this.updateDebtPortfolioUI();
+        this.updateStrategyUI();
+        this.updateScenarioUI();
+    }
+
+    /**
+     * Compares the active plan with and without the user's lump sums and variable extra payments.
+     * @returns {object|null} The StrategyEngine.compareWithBaseline result, or null before analysis.
+     */
+    runScenario() {
+        const plan = this._getActivePlan({ includeOffers: true });
+        const { lumpSums, monthlyExtras } = this.extraSchedule;
+        if (!plan || (lumpSums.length === 0 && monthlyExtras.length === 0)) {
+            this.scenarioResult = null;
+            return null;
+        }
+
+        const engine = new StrategyEngine(this.debtAccounts, this.extraPayment, this.extraSchedule);
+        this.scenarioResult = engine.compareWithBaseline(plan.strategy, this._planOptions(plan));
+        this.logAgentAction('scenario_simulated', {
+            strategy: plan.strategy,
+            monthsSaved: this.scenarioResult.monthsSaved,
+            interestSaved: this.scenarioResult.interestSaved
+        });
+        return this.scenarioResult;
+    }
+
+    /**
+     * Adds or removes what-if entries from the scenario form, then re-runs the comparison.
+     * @param {'add-lump-sum' | 'add-monthly-extra' | 'remove'} action The clicked button's action.
+     * @param {DOMStringMap} data The clicked button's data attributes.
+     */
+    handleScenarioAction(action, data) {
+        const value = (id) => document.getElementById(id)?.value;
+
+        if (action === 'add-lump-sum') {
+            const amount = parseFloat(value('scenario-lump-amount'));
+            if (!(amount > 0)) {
+                this.showToast('Enter the lump-sum amount first.', 'error');
+                return;
+            }
+            this.extraSchedule.lumpSums.push({
+                amount,
+                calendarMonth: parseInt(value('scenario-lump-month'), 10),
+                recurring: document.getElementById('scenario-lump-recurring')?.checked || false
+            });
+        } else if (action === 'add-monthly-extra') {
+            const amount = parseFloat(value('scenario-range-amount'));
+            const fromMonth = parseInt(value('scenario-range-from'), 10) || 1;
+            const toMonth = parseInt(value('scenario-range-to'), 10) || undefined;
+            if (!(amount >= 0) || (toMonth !== undefined && toMonth < fromMonth)) {
+                this.showToast('Enter an amount and a valid month range.', 'error');
+                return;
+            }
+            this.extraSchedule.monthlyExtras.push({ amount, fromMonth, toMonth });
+        } else if (action === 'remove') {
+            this.extraSchedule[data.kind]?.splice(parseInt(data.index, 10), 1);
         }
+
+        this.updateScenarioUI();
+    }
+
+    /**
+     * Sets the user's payoff order and refreshes the comparison.
+     * @param {Array<string>|null} order Account ids, first to be paid off first; null removes the custom strategy.
+     */
+    setCustomOrder(order) {
+        this.customOrder = order && order.length > 0 ? order : null;
+        this.logAgentAction('custom_order_updated', { order: this.customOrder });
+        this.refreshStrategies();
+    }
+
+    /**
+     * Moves a debt one place earlier or later in the payoff order shown in the portfolio.
+     * @param {string} accountId The debt to move.
+     * @param {number} offset -1 to pay it off sooner, 1 to pay it off later.
+     */
+    moveDebt(accountId, offset) {
+        const order = (this._getActivePlan()?.payoffOrder || []).map(item => item.accountId);
+        const index = order.indexOf(accountId);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= order.length) return;
+
+        [order[index], order[target]] = [order[target], order[index]];
+        this.setCustomOrder(order);
     }
 
     /**
      * Generates a sophisticated prompt to guide the AI in creating a full debt demolition plan.
      * @param {object} avalanchePlan - The pre-calculated avalanche plan data.
      * @param {object} snowballPlan - The pre-calculated snowball plan data.
+     * @param {Array<object>} [offerPlans] - Simulated consolidation / balance-transfer offers.
      * @returns {string} The prompt for the AI.
      * @private
      */
-    _generateAnalysisPrompt(avalanchePlan, snowballPlan) {
-        return `You are a helpful financial AI assistant. Your goal is to compare two debt repayment plans and recommend the best one.
+    _generateAnalysisPrompt(avalanchePlan, snowballPlan, offerPlans = []) {
+        const offerDescriptions = offerPlans.map((plan, index) => {
+            const label = String.fromCharCode(67 + index); // Plan C, D, ...
+            const terms = plan.offer.type === 'consolidation'
+                ? `New loan of ₱${plan.offer.loanAmount.toFixed(2)} at ${plan.offer.interestRate}% for ${plan.offer.termMonths} months`
+                : `${plan.offer.promoMonths} months at ${plan.offer.promoRate}%, then ${plan.offer.postPromoRate}%`;
+            return `*   **Plan ${label} (${plan.name}):**
+    *   ${terms}.
+    *   Fees: ₱${plan.fees.toFixed(2)}
+    *   Total Interest: ₱${plan.totalInterestPaid.toFixed(2)}
+    *   Total Cost (interest + fees): ₱${plan.totalCost.toFixed(2)}
+    *   Payoff Time: ${plan.payoffTimeMonths} months`;
+        }).join('\n');
+        const allowedNames = ['Debt Avalanche', 'Debt Snowball', ...offerPlans.map(plan => plan.name)];
+
+        return `You are a helpful financial AI assistant. Your goal is to compare debt repayment plans and recommend the best one.
 
 **CRITICAL INSTRUCTIONS:**
 - Your response must be ONLY a valid, flat JSON object.
@@ -339,9 +545,11 @@ class DebtDemolisherAI extends BaseAgent {
     *   Provides psychological wins by clearing small debts first.
     *   Total Interest: ₱${snowballPlan.totalInterestPaid.toFixed(2)}
     *   Payoff Time: ${snowballPlan.payoffTimeMonths} months
+${offerDescriptions}
 
 **YOUR TASK:**
 Based on the plan comparison, choose the best plan and provide a concise reasoning for your choice.
+"recommendedStrategyName" must be one of: ${allowedNames.map(name => `"${name}"`).join(', ')}.
 
 **JSON OUTPUT EXAMPLE:**
 \`\`\`json
@@ -360,26 +568,32 @@ Based on the plan comparison, choose the best plan and provide a concise reasoni
      * @param {object} insights - The flat JSON object of insights from the AI, which may be incomplete.
      * @param {object} avalanchePlan - The pre-calculated avalanche plan data.
      * @param {object} snowballPlan - The pre-calculated snowball plan data.
+     * @param {Array<object>} [offerPlans] - Simulated consolidation / balance-transfer offers.
      * @returns {object|null} A structured plan object or null if input is invalid.
      * @private
      */
-    _structureAIGeneratedPlan(insights, avalanchePlan, snowballPlan) {
+    _structureAIGeneratedPlan(insights, avalanchePlan, snowballPlan, offerPlans = []) {
         // Even if AI insights are null or empty, we can still build a plan.
         const safeInsights = insights || {};
 
         try {
-            // Default to Avalanche if AI gives no recommendation, as it's usually the most financially optimal.
-            const recommendedName = safeInsights.recommendedStrategyName || 'Debt Avalanche';
-            const chosenPlan = recommendedName === 'Debt Snowball' ? snowballPlan : avalanchePlan;
-            const focusAccount = chosenPlan.paymentSchedule[0];
+            // Default to Avalanche if AI gives no recommendation (or names an offer that was not simulated),
+            // as it's usually the most financially optimal.
+            const candidates = [avalanchePlan, snowballPlan, ...offerPlans];
+            const chosenPlan = candidates.find(plan => plan.name === safeInsights.recommendedStrategyName) || avalanchePlan;
+            const recommendedName = chosenPlan.name;
+            const focusAccount = chosenPlan.payoffOrder[0];
 
             // Generate a smarter default reasoning if the AI doesn't provide one.
             let reasoning = safeInsights.reasoning;
-            if (!reasoning) {
+            if (!reasoning && chosenPlan.offer) {
+                const savings = avalanchePlan.totalCost - chosenPlan.totalCost;
+                reasoning = `The <strong>${recommendedName}</strong> offer is recommended. Including ₱${chosenPlan.fees.toLocaleString('en-PH', { maximumFractionDigits: 0 })} in fees, it costs <strong>₱${savings.toLocaleString('en-PH', { maximumFractionDigits: 0 })} less</strong> than paying your current debts with the Debt Avalanche method.`;
+            } else if (!reasoning) {
                 // Check if a valid focus account was found in the simulation
                 if (focusAccount && focusAccount.name && typeof focusAccount.interestRate === 'number') {
                     if (recommendedName === 'Debt Avalanche') {
-                        reasoning = `The <strong>Debt Avalanche</strong> method is recommended. By focusing on your <strong>${focusAccount.name}</strong> with its high interest rate of <strong>${(focusAccount.interestRate * 100).toFixed(1)}%</strong>, you will save the most money on interest charges over the long term.`;
+                        reasoning = `The <strong>Debt Avalanche</strong> method is recommended. By focusing on your <strong>${focusAccount.name}</strong> with its high interest rate of <strong>${focusAccount.interestRate.toFixed(1)}%</strong>, you will save the most money on interest charges over the long term.`;
                     } else {
                         reasoning = `The <strong>Debt Snowball</strong> method is recommended. Focusing on your smallest debt, the <strong>${focusAccount.name}</strong>, will give you a quick win and build powerful momentum to keep you motivated on your debt-free journey.`;
                     }
@@ -399,7 +613,8 @@ Based on the plan comparison, choose the best plan and provide a concise reasoni
                     reasoning: reasoning,
                     payoffTimeMonths: chosenPlan.payoffTimeMonths,
                     totalInterestPaid: chosenPlan.totalInterestPaid,
-                    focusAccount: chosenPlan.paymentSchedule[0]?.name || "Not specified",
+                    fees: chosenPlan.fees,
+                    focusAccount: focusAccount?.name || "Not specified",
                 },
                 actionPlan: [],
                 insights: []
@@ -413,6 +628,15 @@ Based on the plan comparison, choose the best plan and provide a concise reasoni
                     description: safeInsights.insight1_description,
                     priority: 'high'
                 });
+            } else if (chosenPlan.offer) {
+                structuredPlan.actionPlan.push({
+                    step: 1,
+                    title: chosenPlan.offer.type === 'consolidation' ? 'Apply for the Consolidation Loan' : 'Request the Balance Transfer',
+                    description: chosenPlan.offer.type === 'consolidation'
+                        ? 'Use the loan proceeds to close the covered debts right away, then keep paying the same monthly amount so the extra goes to your remaining balances.'
+                        : `Move the covered balances and clear as much as possible within the ${chosenPlan.offer.promoMonths}-month promo, before the ${chosenPlan.offer.postPromoRate}% rate kicks in.`,
+                    priority: 'high'
+                });
             } else {
                 // Create a default, but still useful, action step
                 structuredPlan.actionPlan.push({
@@ -443,7 +667,7 @@ Based on the plan comparison, choose the best plan and provide a concise reasoni
             
             // If AI provides no insights, create smart, calculated ones.
             if (structuredPlan.insights.length === 0) {
-                structuredPlan.insights = this._generateStrategicInsights(avalanchePlan, snowballPlan, recommendedName);
+                structuredPlan.insights = this._generateStrategicInsights(avalanchePlan, snowballPlan, recommendedName, offerPlans);
             }
 
 
@@ -460,12 +684,13 @@ Based on the plan comparison, choose the best plan and provide a concise reasoni
      * @param {object} avalanchePlan - The pre-calculated avalanche plan data.
      * @param {object} snowballPlan - The pre-calculated snowball plan data.
      * @param {string} recommendedName - The name of the recommended strategy.
+     * @param {Array<object>} [offerPlans] - Simulated consolidation / balance-transfer offers.
      * @returns {Array<object>} A list of insight objects.
      * @private
      */
-    _generateStrategicInsights(avalanchePlan, snowballPlan, recommendedName) {
+    _generateStrategicInsights(avalanchePlan, snowballPlan, recommendedName, offerPlans = []) {
         const insights = [];
-        const chosenPlan = recommendedName === 'Debt Avalanche' ? avalanchePlan : snowballPlan;
+        const chosenPlan = [avalanchePlan, snowballPlan, ...offerPlans].find(plan => plan.name === recommendedName) || avalanchePlan;
 
         // --- Insight 1: Payment Power Analysis ---
         const paymentPowerDescription = [
@@ -475,7 +700,7 @@ Based on the plan comparison, choose the best plan and provide a concise reasoni
         scenarios.forEach(extra => {
             const increasedExtraPayment = this.extraPayment + extra;
             const tempEngine = new StrategyEngine(this.debtAccounts, increasedExtraPayment);
-            const fasterPlan = tempEngine.simulate(recommendedName.toLowerCase().replace(' ', ''));
+            const fasterPlan = tempEngine.simulate(chosenPlan.strategy, this._planOptions(chosenPlan));
             const monthsSaved = chosenPlan.payoffTimeMonths - fasterPlan.payoffTimeMonths;
             if (monthsSaved > 0) {
                 paymentPowerDescription.push(`- <strong>+₱${extra.toLocaleString()}/mo:</strong> Pay off debt ${monthsSaved} months sooner!`);
@@ -489,6 +714,32 @@ Based on the plan comparison, choose the best plan and provide a concise reasoni
             });
         }
 
+        // --- Offer check: is each consolidation / balance transfer worth it against today's avalanche plan? ---
+        offerPlans.forEach(plan => {
+            const savings = avalanchePlan.totalCost - plan.totalCost;
+            const monthsDelta = avalanchePlan.payoffTimeMonths - plan.payoffTimeMonths;
+            const formatPeso = (value) => `₱${Math.abs(value).toLocaleString('en-PH', { maximumFractionDigits: 0 })}`;
+            let description = savings > 0
+                ? `After ${formatPeso(plan.fees)} in fees, the ${plan.name} saves <strong>${formatPeso(savings)}</strong>`
+                : `After ${formatPeso(plan.fees)} in fees, the ${plan.name} costs <strong>${formatPeso(savings)} more</strong>`;
+            description += monthsDelta === 0
+                ? ' and finishes in the same time as your current plan.'
+                : ` and finishes ${Math.abs(monthsDelta)} months ${monthsDelta > 0 ? 'sooner' : 'later'} than your current plan.`;
+
+            if (plan.offer.type === 'balanceTransfer') {
+                const promoEnd = plan.accountSchedule.find(row => row.accountId === 'offer-balance-transfer' && row.month === plan.offer.promoMonths);
+                if (promoEnd && promoEnd.balance > 0) {
+                    description += ` About ${formatPeso(promoEnd.balance)} will still be on the card when the promo ends and starts charging ${plan.offer.postPromoRate}%.`;
+                }
+            }
+
+            insights.push({
+                title: `${plan.name} Offer Check`,
+                description,
+                priority: savings > 0 ? 'opportunity' : 'medium'
+            });
+        });
+
         // --- Insight 2: Debt-to-Income (DTI) Ratio Analysis ---
         if (this.userIncome > 0) {
             const dti = (this.totalDebt / (this.userIncome * 12)) * 100;
@@ -523,7 +774,7 @@ Based on the plan comparison, choose the best plan and provide a concise reasoni
             priority: 'medium'
         });
 
-        return insights.slice(0, 4);
+        return insights.slice(0, 4 + offerPlans.length);
     }
 
     // Update the main metric cards
@@ -541,9 +792,10 @@ Based on the plan comparison, choose the best plan and provide a concise reasoni
             payoffMonths = aiPlan.payoffTimeMonths;
 
             // To calculate interest saved, we need a baseline. Let's run a quick "minimum payments only" simulation.
+            // Card minimums shrink with the balance, so nothing rolls over and the strategy doesn't matter.
             const baselineEngine = new StrategyEngine(this.debtAccounts, 0); // 0 extra payment
-            const baselineSim = baselineEngine.simulate('snowball'); // Strategy doesn't matter with 0 extra payment
-            interestSaved = baselineSim.totalInterestPaid - aiPlan.totalInterestPaid;
+            const baselineSim = baselineEngine.simulate('avalanche', { minimumsOnly: true });
+            interestSaved = baselineSim.totalInterestPaid - (aiPlan.totalInterestPaid + (aiPlan.fees || 0));
 
         } else if (this.repaymentStrategies.avalanche) {
             // Fallback for offline or failed AI analysis
@@ -571,27 +823,61 @@ Based on the plan comparison, choose the best plan and provide a concise reasoni
         this.elements.debtReductionProgress.textContent = "0%";
     }
 
-    // Display the list of identified debts
+    // Display the list of identified debts, in payoff order, with the month each one is cleared
     updateDebtPortfolioUI() {
         if (!this.elements.debtPortfolioContent) return;
 
-        let content = this.debtAccounts.map(acc => {
-            const icon = acc.type === 'loan' ? 'fa-landmark' : 'fa-credit-card';
+        const plan = this._getActivePlan();
+        const payoffOrder = plan?.payoffOrder || [];
+        const accounts = payoffOrder.length > 0
+            ? payoffOrder.map(item => this.debtAccounts.find(acc => acc.id === item.accountId)).filter(Boolean)
+            : this.debtAccounts;
+
+        let content = accounts.map((acc, index) => {
+            const icon = acc.category === 'loan' ? 'fa-landmark' : 'fa-credit-card';
+            const payoff = payoffOrder.find(item => item.accountId === acc.id);
+            const rules = resolveCardRules(acc);
+            const loan = acc.loan ? loanStatus(acc.loan) : null;
+            let minimumText = `Min. payment: ₱${(Number(acc.minimumPayment) || 0).toLocaleString('en-PH')}`;
+            if (rules && rules.minimumType === 'percent') {
+                minimumText = `Min. due: ${rules.minimumPercent}% or ₱${rules.minimumFloor.toLocaleString('en-PH')} · Late fee up to ₱${rules.lateFee.toLocaleString('en-PH')}`;
+            } else if (loan) {
+                minimumText = `Amortization: ₱${loan.monthlyPayment.toLocaleString('en-PH', { maximumFractionDigits: 2 })}/month at ${loan.effectiveRate}% · ${loan.remainingPayments} payment${loan.remainingPayments === 1 ? '' : 's'} left on schedule`;
+            }
+            const payoffText = payoff?.payoffDate
+                ? `Paid off ${this._formatMonthYear(payoff.payoffDate)} (month ${payoff.payoffMonth}) · Interest ₱${payoff.totalInterest.toLocaleString('en-PH', { maximumFractionDigits: 0 })}`
+                : 'Not paid off within 50 years at the current payments';
             return `
-                <div class="recommendation-item">
+                <div class="recommendation-item debt-portfolio-item">
                     <i class="fas ${icon}"></i>
                     <div class="recommendation-content">
-                        <div class="recommendation-title">${acc.name}</div>
+                        <div class="recommendation-title">${index + 1}. ${this._escapeHTML(acc.name)}</div>
                         <div class="recommendation-desc">Balance: ₱${Math.abs(acc.balance).toLocaleString('en-PH')}</div>
+                        <div class="recommendation-desc">${minimumText}</div>
+                        ${payoff ? `<div class="recommendation-desc debt-payoff-date">${payoffText}</div>` : ''}
                     </div>
+                    ${payoff ? `
+                    <div class="debt-order-controls">
+                        <button type="button" data-debt-action="move-up" data-account-id="${acc.id}" title="Pay off sooner" ${index === 0 ? 'disabled' : ''}><i class="fas fa-arrow-up"></i></button>
+                        <button type="button" data-debt-action="move-down" data-account-id="${acc.id}" title="Pay off later" ${index === accounts.length - 1 ? 'disabled' : ''}><i class="fas fa-arrow-down"></i></button>
+                    </div>` : ''}
                 </div>
             `;
         }).join('');
 
+        if (content && plan) {
+            content = `
+                <p class="debt-order-note">Payoff order: <strong>${plan.name}</strong>
+                    ${this.customOrder ? '<button type="button" class="debt-order-reset" data-debt-action="reset-order">Reset</button>' : ''}
+                </p>
+                ${content}
+            `;
+        }
+
         this.elements.debtPortfolioContent.innerHTML = content || '<p>No debt accounts to display.</p>';
     }
 
-    // Display placeholder for repayment strategies
+    // Display the repayment strategies
     updateStrategyUI() {
         if (!this.elements.strategyContent) return;
 
@@ -626,44 +912,194 @@ Based on the plan comparison, choose the best plan and provide a concise reasoni
                             </li>
                         `).join('')}
                     </ul>
+                    <hr>
+                    ${this._renderStrategyComparison(strategy.name)}
                  </div>
             `;
-        } else if (this.repaymentStrategies.avalanche) {
-            // Fallback to the original comparison view
-            const avalanche = this.repaymentStrategies.avalanche;
-            const snowball = this.repaymentStrategies.snowball;
-            const formatMonths = (m) => `${Math.floor(m / 12)}y ${m % 12}m`;
-            const formatCurrency = (c) => `₱${c.toLocaleString('en-PH', {maximumFractionDigits: 0})}`;
+        } else if (this.repaymentStrategies.comparison) {
+            // Fallback to the plain comparison view, cheapest strategy recommended
+            this.elements.strategyContent.innerHTML = this._renderStrategyComparison();
+        } else {
+             this.elements.strategyContent.innerHTML = `<p>Run analysis to see repayment strategies.</p>`;
+        }
+    }
 
-            const bestStrategy = avalanche.totalInterestPaid < snowball.totalInterestPaid ? 'avalanche' : 'snowball';
+    /**
+     * Side-by-side cards for every simulated strategy.
+     * @param {string} [recommendedName] Strategy to mark as recommended; defaults to the one with the least interest.
+     * @returns {string} HTML for the comparison.
+     * @private
+     */
+    _renderStrategyComparison(recommendedName) {
+        const comparison = this.repaymentStrategies.comparison || [];
+        const formatMonths = (m) => `${Math.floor(m / 12)}y ${m % 12}m`;
+        const formatCurrency = (c) => `₱${c.toLocaleString('en-PH', {maximumFractionDigits: 0})}`;
+        const descriptions = {
+            avalanche: 'Focuses on highest interest rate first.',
+            snowball: 'Focuses on smallest balance first.',
+            hybrid: `Clears the ${this.hybridSnowballCount} smallest debt(s) first, then highest interest.`,
+            custom: 'Follows the payoff order you set in your portfolio.',
+            consolidation: 'Replaces the covered debts with one loan; fees included in total cost.',
+            balanceTransfer: 'Moves the covered balances to a promo-rate card; fees included in total cost.'
+        };
 
-            this.elements.strategyContent.innerHTML = `
-                <div class="strategy-comparison">
-                    <div class="strategy-card ${bestStrategy === 'avalanche' ? 'recommended' : ''}">
-                        ${bestStrategy === 'avalanche' ? '<div class="ribbon">Recommended</div>' : ''}
-                        <h4>Debt Avalanche</h4>
-                        <p>Focuses on highest interest rate first.</p>
-                        <div class="strategy-metrics">
-                            <div><span>Payoff Time</span> <strong>${formatMonths(avalanche.payoffTimeMonths)}</strong></div>
-                            <div><span>Total Interest</span> <strong>${formatCurrency(avalanche.totalInterestPaid)}</strong></div>
-                    </div>
-                </div>
-                    <div class="strategy-card ${bestStrategy === 'snowball' ? 'recommended' : ''}">
-                        ${bestStrategy === 'snowball' ? '<div class="ribbon">Recommended</div>' : ''}
-                    <h4>Debt Snowball</h4>
-                    <p>Focuses on smallest balance first.</p>
+        const best = recommendedName
+            || comparison.reduce((cheapest, plan) => (!cheapest || plan.totalCost < cheapest.totalCost ? plan : cheapest), null)?.name;
+
+        const cards = comparison.map(plan => {
+            const isBest = plan.name === best;
+            const firstWin = plan.payoffOrder.find(item => item.payoffDate);
+            const lastDate = plan.paidOff ? plan.paymentSchedule[plan.paymentSchedule.length - 1]?.date : null;
+            return `
+                <div class="strategy-card ${isBest ? 'recommended' : ''}">
+                    ${isBest ? '<div class="ribbon">Recommended</div>' : ''}
+                    <h4>${plan.name}</h4>
+                    <p>${descriptions[plan.offer?.type || plan.strategy] || ''}</p>
                     <div class="strategy-metrics">
-                            <div><span>Payoff Time</span> <strong>${formatMonths(snowball.payoffTimeMonths)}</strong></div>
-                            <div><span>Total Interest</span> <strong>${formatCurrency(snowball.totalInterestPaid)}</strong></div>
+                        <div><span>Payoff Time</span> <strong>${formatMonths(plan.payoffTimeMonths)}</strong></div>
+                        <div><span>Total Interest</span> <strong>${formatCurrency(plan.totalInterestPaid)}</strong></div>
+                        ${plan.fees > 0 ? `<div><span>Fees</span> <strong>${formatCurrency(plan.fees)}</strong></div>` : ''}
+                        <div><span>Debt-Free</span> <strong>${lastDate ? this._formatMonthYear(lastDate) : 'N/A'}</strong></div>
                     </div>
+                    ${firstWin ? `<p class="strategy-first-win">First win: <strong>${this._escapeHTML(firstWin.name)}</strong> in ${this._formatMonthYear(firstWin.payoffDate)}</p>` : ''}
                 </div>
+            `;
+        }).join('');
+
+        return `
+            <div class="strategy-comparison">
+                <label class="strategy-option">
+                    Hybrid: snowball the first
+                    <input type="number" id="hybrid-snowball-count" min="1" max="${Math.max(1, this.debtAccounts.length)}" value="${this.hybridSnowballCount}">
+                    debt(s), then avalanche
+                </label>
+                ${cards}
             </div>
         `;
-        } else {
-             this.elements.strategyContent.innerHTML = `<p>Run analysis to see repayment strategies.</p>`;
-        }
+    }
+
+    _formatMonthYear(date) {
+        return new Date(date).toLocaleDateString('en-PH', { month: 'short', year: 'numeric' });
     }
     
+    // Display the what-if form and the delta against the baseline plan
+    updateScenarioUI() {
+        if (!this.elements.scenarioContent) return;
+
+        const result = this.runScenario();
+        const formatCurrency = (c) => `₱${c.toLocaleString('en-PH', { maximumFractionDigits: 0 })}`;
+        const monthNames = Array.from({ length: 12 }, (_, i) => new Date(2000, i, 1).toLocaleDateString('en-PH', { month: 'long' }));
+        const { lumpSums, monthlyExtras } = this.extraSchedule;
+
+        const entries = [
+            ...lumpSums.map((entry, index) => ({
+                kind: 'lumpSums',
+                index,
+                text: `${formatCurrency(entry.amount)} in ${monthNames[entry.calendarMonth - 1]}${entry.recurring ? ', every year' : ''}`
+            })),
+            ...monthlyExtras.map((entry, index) => ({
+                kind: 'monthlyExtras',
+                index,
+                text: `${formatCurrency(entry.amount)}/mo extra, months ${entry.fromMonth}–${entry.toMonth ?? 'end'}`
+            }))
+        ];
+
+        let resultHTML = '<p class="scenario-hint">Add a lump sum (like your December 13th-month pay) or a different monthly extra to see how much sooner you could be debt-free.</p>';
+        if (result) {
+            const { baseline, scenario, monthsSaved, interestSaved } = result;
+            resultHTML = `
+                <div class="strategy-metrics scenario-result">
+                    <div><span>Payoff Time</span> <strong>${scenario.payoffTimeMonths} mo</strong><small>${monthsSaved >= 0 ? `${monthsSaved} mo sooner` : `${-monthsSaved} mo later`} than ${baseline.payoffTimeMonths} mo</small></div>
+                    <div><span>Total Interest</span> <strong>${formatCurrency(scenario.totalInterestPaid)}</strong><small>${interestSaved >= 0 ? `${formatCurrency(interestSaved)} saved` : `${formatCurrency(-interestSaved)} more`}</small></div>
+                </div>
+                <p class="scenario-hint">Compared with ${formatCurrency(this.extraPayment)}/mo extra on the ${scenario.name} plan.</p>
+            `;
+        }
+
+        this.elements.scenarioContent.innerHTML = `
+            <div class="scenario-form">
+                <div class="scenario-row">
+                    <input type="number" id="scenario-lump-amount" min="0" step="100" placeholder="Lump sum (₱)">
+                    <select id="scenario-lump-month">
+                        ${monthNames.map((name, i) => `<option value="${i + 1}" ${i === 11 ? 'selected' : ''}>${name}</option>`).join('')}
+                    </select>
+                    <label><input type="checkbox" id="scenario-lump-recurring" checked> Every year</label>
+                    <button type="button" data-scenario-action="add-lump-sum">Add</button>
+                </div>
+                <div class="scenario-row">
+                    <input type="number" id="scenario-range-amount" min="0" step="100" placeholder="Extra/mo (₱)">
+                    <input type="number" id="scenario-range-from" min="1" value="1" title="From month">
+                    <input type="number" id="scenario-range-to" min="1" placeholder="To month" title="To month (blank for no end)">
+                    <button type="button" data-scenario-action="add-monthly-extra">Add</button>
+                </div>
+            </div>
+            <ul class="scenario-entries">
+                ${entries.map(entry => `
+                    <li>${entry.text}
+                        <button type="button" data-scenario-action="remove" data-kind="${entry.kind}" data-index="${entry.index}" title="Remove"><i class="fas fa-times"></i></button>
+                    </li>
+                `).join('')}
+            </ul>
+            ${resultHTML}
+        `;
+    }
+
+    // Display the consolidation and balance-transfer offer forms with each offer's result
+    updateOffersUI() {
+        if (!this.elements.offersContent) return;
+
+        const formatCurrency = (c) => `₱${c.toLocaleString('en-PH', { maximumFractionDigits: 0 })}`;
+        const comparison = this.repaymentStrategies.comparison || [];
+        const avalanche = this.repaymentStrategies.avalanche;
+        const { consolidation, balanceTransfer } = this.debtOffers;
+
+        const accountChoices = (type, offer, isDefault) => this.debtAccounts.map(acc => {
+            const checked = offer ? offer.accountIds.includes(acc.id) : isDefault(acc);
+            return `<label><input type="checkbox" name="${type}-account" value="${acc.id}" ${checked ? 'checked' : ''}> ${this._escapeHTML(acc.name)}</label>`;
+        }).join('');
+
+        const offerResult = (type) => {
+            const plan = comparison.find(item => item.offer?.type === type);
+            if (!plan || !avalanche) return '';
+            const savings = avalanche.totalCost - plan.totalCost;
+            return `
+                <p class="offer-result ${savings > 0 ? 'positive' : 'negative'}">
+                    ${savings > 0 ? `Saves ${formatCurrency(savings)}` : `Costs ${formatCurrency(-savings)} more`} vs. Debt Avalanche,
+                    debt-free in ${plan.payoffTimeMonths} mo (now ${avalanche.payoffTimeMonths} mo)
+                </p>
+                <button type="button" data-offer-action="remove" data-offer-type="${type}">Remove</button>
+            `;
+        };
+
+        this.elements.offersContent.innerHTML = `
+            <div class="offer-form">
+                <h5><i class="fas fa-file-contract"></i> Consolidation Loan</h5>
+                <div class="scenario-row">
+                    <input type="number" id="consolidation-amount" min="0" step="1000" placeholder="Loan amount (₱)" value="${consolidation?.loanAmount ?? Math.round(this.totalDebt)}">
+                    <input type="number" id="consolidation-rate" min="0" step="0.1" placeholder="Annual rate (%)" value="${consolidation?.interestRate ?? ''}">
+                    <input type="number" id="consolidation-term" min="1" placeholder="Term (months)" value="${consolidation?.termMonths ?? ''}">
+                    <input type="number" id="consolidation-fee" min="0" step="100" placeholder="Processing fee (₱)" value="${consolidation?.processingFee ?? ''}">
+                </div>
+                <div class="offer-accounts">${accountChoices('consolidation', consolidation, () => true)}</div>
+                <button type="button" data-offer-action="save" data-offer-type="consolidation">Compare</button>
+                ${offerResult('consolidation')}
+            </div>
+            <div class="offer-form">
+                <h5><i class="fas fa-exchange-alt"></i> Balance Transfer</h5>
+                <div class="scenario-row">
+                    <input type="number" id="transfer-amount" min="0" step="1000" placeholder="Amount (₱, blank for all)" value="${balanceTransfer?.amount || ''}">
+                    <input type="number" id="transfer-promo-months" min="1" placeholder="Promo months" value="${balanceTransfer?.promoMonths ?? ''}">
+                    <input type="number" id="transfer-promo-rate" min="0" step="0.1" placeholder="Promo rate (%)" value="${balanceTransfer?.promoRate ?? 0}">
+                    <input type="number" id="transfer-post-rate" min="0" step="0.1" placeholder="Rate after promo (%)" value="${balanceTransfer?.postPromoRate ?? ''}">
+                    <input type="number" id="transfer-fee-rate" min="0" step="0.1" placeholder="Transfer fee (%)" value="${balanceTransfer?.transferFeeRate ?? ''}">
+                </div>
+                <div class="offer-accounts">${accountChoices('balanceTransfer', balanceTransfer, acc => acc.accountType === 'Credit Card')}</div>
+                <button type="button" data-offer-action="save" data-offer-type="balanceTransfer">Compare</button>
+                ${offerResult('balanceTransfer')}
+            </div>
+        `;
+    }
+
     // Display relevant insights for the user's debt situation
     updateInsightsUI() {
         if (!this.elements.insightsContent) return;
@@ -748,15 +1184,33 @@ Based on the plan comparison, choose the best plan and provide a concise reasoni
         const userInput = this.elements.chatbotInput.value.trim();
         if (!userInput) return;
 
+        // A new question cancels a reply that is still streaming
+        this.chatAbortController?.abort();
+        this.chatAbortController = new AbortController();
+        const { signal } = this.chatAbortController;
+
         this.appendMessage(userInput, 'user');
         this.elements.chatbotInput.value = '';
 
         // Show typing indicator
         this.appendMessage('<span></span><span></span><span></span>', 'typing-indicator');
 
+        // The reply bubble is created with the first chunk and filled in as text arrives
+        let replyDiv = null;
+        const onChunk = (chunk, fullText) => {
+            if (!replyDiv) replyDiv = this.appendMessage('', 'assistant');
+            replyDiv.innerHTML = this._escapeHTML(fullText);
+            this.elements.chatbotBody.scrollTop = this.elements.chatbotBody.scrollHeight;
+        };
+
         try {
-            const aiResponse = await this.getAIResponse(userInput);
-            this.appendMessage(aiResponse, 'assistant');
+            const aiResponse = await this.getAIResponse(userInput, { onChunk, signal });
+            if (signal.aborted) return;
+            if (replyDiv) {
+                replyDiv.innerHTML = aiResponse;
+            } else {
+                this.appendMessage(aiResponse, 'assistant');
+            }
         } catch (error) {
             console.error("Chatbot AI Error:", error);
             this.appendMessage("Sorry, I encountered an error. Please try again.", 'assistant error');
@@ -775,26 +1229,38 @@ Based on the plan comparison, choose the best plan and provide a concise reasoni
         messageDiv.innerHTML = message;
         this.elements.chatbotMessages.appendChild(messageDiv);
         this.elements.chatbotBody.scrollTop = this.elements.chatbotBody.scrollHeight;
+        return messageDiv;
+    }
+
+    // Reload the previous conversation so the user picks up where they left off
+    async restoreConversation() {
+        if (this.offlineMode || !this.elements.chatbotMessages) return;
+
+        const history = await getAgentConversation('debtDemolisher');
+        history.forEach(entry => {
+            this.appendMessage(this._escapeHTML(entry.content), entry.role === 'user' ? 'user' : 'assistant');
+        });
     }
 
-    async getAIResponse(userInput) {
+    async getAIResponse(userInput, streamOptions = {}) {
         if (this.offlineMode) {
-            this.log('Using offline chatbot response.');
+            console.log('Using offline chatbot response.');
             return this._getOfflineResponse(userInput);
         }
 
         try {
-            const prompt = this._generateChatPrompt(userInput);
-            const aiResponse = await callLocalAI(prompt);
+            // The server keeps the conversation history; we only send the debt context computed on this page
+            const aiResponse = await streamAgentChatMessage('debtDemolisher', userInput, this._buildChatContext(), streamOptions);
             
             if (!aiResponse) {
                 console.warn("AI response was empty or invalid. Falling back to offline response.");
                 return this._getOfflineResponse(userInput);
             }
 
-            return aiResponse;
+            return this._escapeHTML(aiResponse);
 
         } catch (error) {
+            if (error.name === 'AbortError') return '';
             console.error("Error calling AI for chat response:", error);
             this.handleError('chatbot_ai_call_failed', error, { userInput });
             return this._getOfflineResponse(userInput);
@@ -802,57 +1268,66 @@ Based on the plan comparison, choose the best plan and provide a concise reasoni
     }
 
     /**
-     * Generates a detailed prompt for the AI chatbot.
-     * @param {string} userInput The user's latest message.
-     * @returns {string} A comprehensive prompt for the AI.
+     * Builds the debtDemolisher context shape sent with each chat message.
+     * @returns {object} Debt totals, accounts and the simulated strategies.
      * @private
      */
-    _generateChatPrompt(userInput) {
-        const debtData = this.debtAccounts.map(acc => ({
-            name: acc.name,
-            balance: acc.balance,
-            interestRate: acc.interestRate,
-            minimumPayment: acc.minimumPayment
-        }));
-
-        const strategiesData = {
-            avalanche: {
-                payoffTimeMonths: this.repaymentStrategies.avalanche?.payoffTimeMonths,
-                totalInterestPaid: this.repaymentStrategies.avalanche?.totalInterestPaid,
-            },
-            snowball: {
-                payoffTimeMonths: this.repaymentStrategies.snowball?.payoffTimeMonths,
-                totalInterestPaid: this.repaymentStrategies.snowball?.totalInterestPaid,
-            }
-        };
-
-        // Construct a history of the conversation for context
-        const chatHistory = Array.from(this.elements.chatbotMessages.children)
-            .filter(node => node.classList.contains('chatbot-message') && !node.classList.contains('typing-indicator'))
-            .map(node => {
-                const role = node.classList.contains('user') ? 'user' : 'model';
-                return { role, parts: [{ text: node.textContent }] };
-            })
-            .slice(-6); // Get last 6 messages for context
-
-        const prompt = `You are the "Debt Demolisher AI", a specialized financial assistant within the "Kita-kita" app. Your personality is encouraging, expert, and focused on helping the user eliminate their debt. Your responses must be concise, helpful, and directly related to debt management. Do not answer off-topic questions.
-
-        **CRITICAL CONTEXT - DO NOT DISCLOSE TO THE USER:**
-        - **User's Total Debt:** ₱${this.totalDebt.toFixed(2)}
-        - **User's Debt Accounts:** ${JSON.stringify(debtData)}
-        - **Calculated Repayment Strategies:** ${JSON.stringify(strategiesData)}
-        - **Agent's Goal:** Provide clear, actionable advice to help the user understand and pay off their debt.
+    _buildChatContext() {
+        const debtAccounts = this.debtAccounts.map(acc => {
+            const loan = acc.loan ? loanStatus(acc.loan) : null;
+            return {
+                name: acc.name,
+                balance: acc.balance,
+                interestRate: acc.interestRate,
+                minimumPayment: acc.minimumPayment,
+                paymentRules: resolveCardRules(acc) || undefined,
+                // Amortized loans: fixed payment until the scheduled payoff date
+                loan: loan ? {
+                    method: loan.schedule.terms.method,
+                    effectiveRate: loan.effectiveRate,
+                    monthlyPayment: loan.monthlyPayment,
+                    remainingPayments: loan.remainingPayments,
+                    payoffDate: loan.payoffDate
+                } : undefined
+            };
+        });
 
-        **Conversation History:**
-        ${JSON.stringify(chatHistory)}
+        const summarize = (plan) => plan ? {
+            payoffTimeMonths: plan.payoffTimeMonths,
+            totalInterestPaid: plan.totalInterestPaid
+        } : undefined;
+
+        const strategies = {
+            recommended: this.repaymentStrategies.ai_driven_plan?.recommendedStrategy?.name,
+            avalanche: summarize(this.repaymentStrategies.avalanche),
+            snowball: summarize(this.repaymentStrategies.snowball),
+            comparison: (this.repaymentStrategies.comparison || []).map(plan => ({
+                name: plan.name,
+                ...summarize(plan),
+                payoffOrder: plan.payoffOrder.map(item => ({ name: item.name, payoffMonth: item.payoffMonth }))
+            }))
+        };
 
-        **Current User Question:**
-        "${userInput}"
+        const scenario = this.scenarioResult ? {
+            extraSchedule: this.extraSchedule,
+            monthsSaved: this.scenarioResult.monthsSaved,
+            interestSaved: this.scenarioResult.interestSaved
+        } : undefined;
 
-        **Your Task:**
-        Based on the user's question and the financial context provided, generate a helpful and encouraging response. Keep it brief and to the point. If the question is off-topic, politely decline to answer.`;
+        return {
+            totalDebt: this.totalDebt,
+            debtAccounts,
+            strategies,
+            extraPayment: this.extraPayment,
+            scenario,
+            offers: Object.values(this.debtOffers).filter(Boolean)
+        };
+    }
 
-        return prompt;
+    _escapeHTML(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
     }
 
     /**
@@ -880,28 +1355,6 @@ Based on the plan comparison, choose the best plan and provide a concise reasoni
         // Default response
         return "I'm here to help with your debt plan. Ask about 'Debt Snowball', 'Debt Avalanche', or 'which is better?' to compare strategies for your situation.";
     }
-
-    async parseAIResponse(response) {
-        try {
-            console.log('Parsing AI response for debt analysis plan...');
-
-            // Clean the response to extract only the JSON part
-            const jsonMatch = response.match(/```json\n([\s\S]*?)\n```|({[\s\S]*})/);
-            if (!jsonMatch) {
-                throw new Error("No valid JSON object found in the AI response.");
-            }
-            
-            // The actual JSON string is in one of the capturing groups
-            const jsonString = jsonMatch[1] || jsonMatch[2];
-
-            const parsed = JSON.parse(jsonString);
-            console.log('Successfully parsed AI response.');
-            return parsed;
-        } catch (error) {
-            this.handleError('ai_response_parsing_failed', error, { response });
-            return null; // Return null to indicate parsing failure
-        }
-    }
 }
 
 // Initialize and start the agent
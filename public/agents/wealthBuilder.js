@@ -8,7 +8,12 @@ import { firebaseConfig } from "../js/config.js";
 import { initializeApp } from "https://www.gstatic.com/firebasejs/11.5.0/firebase-app.js";
 import { getAuth, onAuthStateChanged } from "https://www.gstatic.com/firebasejs/11.5.0/firebase-auth.js";
 import { getUserTransactions, getUserBankAccounts } from "../js/firestoredb.js";
-import { callLocalAI } from "../js/agentCommon.js";
+import { requestAgentAnalysis } from "../js/agentCommon.js";
+import { describeAIError } from "../js/aiSchemas.js";
+import { loadNetWorthTrend } from "../js/netWorth.js";
+import { formatMoney } from "../js/currency.js";
+import { loadConverter } from "../js/fxRates.js";
+import { getPortfolio, allocationDrift } from "../js/holdings.js";
 
 const app = initializeApp(firebaseConfig);
 const auth = getAuth(app);
@@ -23,6 +28,7 @@ const ui = {
     monthlyExpenses: () => getElement('monthly-expenses'),
     totalBalance: () => getElement('total-balance'),
     savingsRate: () => getElement('savings-rate'),
+    netWorthTrend: () => getElement('net-worth-trend'),
     strategicPlanList: () => getElement('insights-list'),
     tacticalStepsList: () => getElement('actions-list'),
     financialInsightsHeader: () => getElement('financial-insights').querySelector('.card-header'),
@@ -32,8 +38,17 @@ const ui = {
     aiRiskAnalysis: () => getElement('ai-risk-analysis'),
     readinessGaugeChart: () => getElement('readiness-gauge-chart'),
     allocationChart: () => getElement('allocation-chart'),
+    timeHorizon: () => getElement('time-horizon'),
+    riskAppetite: () => getElement('risk-appetite'),
+    allocationDrift: () => getElement('allocation-drift'),
+    allocationDriftRows: () => getElement('allocation-drift-rows'),
+    allocationDriftNote: () => getElement('allocation-drift-note'),
 };
 
+// Drift within this many percentage points of the plan counts as on target
+const DRIFT_TOLERANCE = 5;
+const LIQUID_CATEGORIES = ['traditional-bank', 'digital-wallet', 'cash'];
+
 // Chart instances to prevent duplicates
 let readinessChart = null;
 let allocationChart = null;
@@ -43,6 +58,10 @@ document.addEventListener('DOMContentLoaded', () => {
     onAuthStateChanged(auth, (user) => {
         if (user) {
             analyzeAndRender(user);
+            // Changing a preference asks for a new plan with the same data
+            [ui.timeHorizon(), ui.riskAppetite()].forEach(select => {
+                select?.addEventListener('change', () => analyzeAndRender(user));
+            });
         } else {
             window.location.href = '../pages/login.html';
         }
@@ -53,9 +72,15 @@ async function analyzeAndRender(user) {
     try {
         setUIState('loading');
 
-        const [accounts, transactions] = await Promise.all([
+        const [accounts, transactions, netWorthTrend, portfolio, converter] = await Promise.all([
             getUserBankAccounts(user.uid),
             getUserTransactions(user.uid),
+            loadNetWorthTrend(),
+            getPortfolio().catch(error => {
+                console.warn('Holdings unavailable, showing the plan without drift:', error.message);
+                return null;
+            }),
+            loadConverter(),
         ]);
 
         if (!transactions || transactions.length === 0 || !accounts || accounts.length === 0) {
@@ -65,17 +90,23 @@ async function analyzeAndRender(user) {
 
         const financialData = calculateFinancialOverview(accounts, transactions);
         renderFinancialOverview(financialData);
-
-        // Generate the full wealth plan from the AI
-        const wealthPlan = await generateWealthPlan(financialData, accounts, transactions);
-
-        if (wealthPlan) {
-            renderWealthPlan(wealthPlan);
-        } else {
-            // Handle cases where the AI might fail
-            setUIState('error', 'Could not generate an AI-powered wealth plan at this time.');
+        renderNetWorthTrend(netWorthTrend);
+
+        // Generate the full wealth plan from the AI (already validated against the wealthPlan schema)
+        let wealthPlan;
+        try {
+            wealthPlan = await generateWealthPlan(getPlanPreferences());
+        } catch (error) {
+            console.error("Failed to generate wealth plan:", error);
+            setUIState('error', describeAIError(error));
+            return;
         }
 
+        renderWealthPlan(wealthPlan);
+        const cash = accounts
+            .filter(account => LIQUID_CATEGORIES.includes(account.category) && account.accountType !== 'Credit Card')
+            .reduce((sum, account) => sum + converter.toHome(account, 'balance', null), 0);
+        renderAllocationDrift(wealthPlan.portfolioSuggestion, portfolio, cash);
         setUIState('content');
     } catch (error) {
         console.error("WealthBuilder Analysis Failed:", error);
@@ -116,6 +147,18 @@ function renderFinancialOverview(data) {
     ui.savingsRate().textContent = `${data.savingsRate.toFixed(1)}%`;
 }
 
+// The same trend the server adds to the plan prompt
+function renderNetWorthTrend(trend) {
+    const element = ui.netWorthTrend();
+    if (!element) return;
+    if (!trend || trend.averageMonthlyChange === null) {
+        element.textContent = 'Not enough history';
+        return;
+    }
+    const change = trend.averageMonthlyChange;
+    element.textContent = `${change >= 0 ? '+' : '-'}${formatMoney(Math.abs(change), trend.currency)}`;
+}
+
 function renderWealthPlan(plan) {
     // Update text content
     ui.userPersona().textContent = plan.persona || 'Your Financial Profile';
@@ -225,6 +268,38 @@ function renderPortfolioAllocationChart(allocation) {
     });
 }
 
+// The plan's suggested allocation next to what the user holds (investments plus liquid cash)
+function renderAllocationDrift(target, portfolio, cash) {
+    const container = ui.allocationDrift();
+    if (!container) return;
+    if (!target?.labels?.length || !portfolio || portfolio.holdings.length === 0) {
+        container.style.display = 'none';
+        return;
+    }
+
+    const currency = portfolio.summary.currency;
+    const { rows } = allocationDrift(portfolio.summary, target, { cash });
+    ui.allocationDriftRows().innerHTML = rows.map(row => {
+        const state = Math.abs(row.drift) <= DRIFT_TOLERANCE ? 'drift-ok' : row.drift > 0 ? 'drift-over' : 'drift-under';
+        const move = Math.abs(row.drift) <= DRIFT_TOLERANCE
+            ? 'On target'
+            : `${row.toTarget > 0 ? 'Add' : 'Reduce by'} ${formatMoney(Math.abs(row.toTarget), currency, { decimals: 0 })}`;
+        return `
+            <tr>
+                <td>${row.label}</td>
+                <td>${row.targetPercent}%</td>
+                <td>${row.actualPercent}%</td>
+                <td class="${state}">${row.drift > 0 ? '+' : ''}${row.drift} pts</td>
+                <td>${move}</td>
+            </tr>
+        `;
+    }).join('');
+    ui.allocationDriftNote().textContent = portfolio.summary.unpriced > 0
+        ? `${portfolio.summary.unpriced} holding(s) have no price yet and are left out. Import prices on the Accounts page.`
+        : `Investments valued at your latest imported prices; cash is your bank, e-wallet and cash balances.`;
+    container.style.display = 'block';
+}
+
 function renderStrategicRecommendations(recommendations) {
     const list = ui.strategicPlanList();
     if (!recommendations || recommendations.length === 0) {
@@ -288,115 +363,15 @@ function calculateMonthlyAverage(transactions, type) {
     return numMonths > 0 ? total / numMonths : 0;
 }
 
-function categorizeAndSummarizeTransactions(transactions, limit = 5) {
-    const expenseCategories = transactions
-        .filter(t => t.type === 'expense' && t.category)
-        .reduce((acc, t) => {
-            const category = t.category || 'Uncategorized';
-            acc[category] = (acc[category] || 0) + (parseFloat(t.amount) || 0);
-            return acc;
-        }, {});
-
-    return Object.entries(expenseCategories)
-        .sort(([, a], [, b]) => b - a)
-        .slice(0, limit)
-        .map(([name, total]) => ({ name, total: total.toFixed(2) }));
-}
-
 // --- AI Generation & Logic ---
-function cleanAndParseJson(text) {
-    if (!text) return null;
-    
-    // Find the start of the JSON object
-    const startIndex = text.indexOf('{');
-    if (startIndex === -1) {
-        console.error("No JSON object found in response:", text);
-        return null;
-    }
-
-    // Attempt to repair the JSON string
-    let jsonString = text.substring(startIndex);
-    // Find the last closing brace or bracket
-    const lastBrace = jsonString.lastIndexOf('}');
-    const lastBracket = jsonString.lastIndexOf(']');
-    const lastIndex = Math.max(lastBrace, lastBracket);
-    if (lastIndex > -1) {
-        jsonString = jsonString.substring(0, lastIndex + 1);
-    }
-    
-    try {
-        return JSON.parse(jsonString);
-    } catch (e) {
-        console.error("Failed to parse JSON:", e, "Attempted to parse:", jsonString);
-        return null;
-    }
+// Only these preferences are sent - the server builds the prompt from the user's stored accounts and transactions
+function getPlanPreferences() {
+    return {
+        timeHorizon: ui.timeHorizon()?.value || 'medium',
+        riskAppetite: ui.riskAppetite()?.value || 'moderate'
+    };
 }
 
-async function generateWealthPlan(financialData, accounts, transactions) {
-    const prompt = buildWealthBuilderPrompt(financialData, accounts, transactions);
-    try {
-        const response = await callLocalAI(prompt, { maxOutputTokens: 2048 });
-        return cleanAndParseJson(response);
-    } catch (error) {
-        console.error("Failed to generate wealth plan:", error);
-        // Return a structured error object or null
-        return null;
-    }
+async function generateWealthPlan(params) {
+    return requestAgentAnalysis('/api/ai/wealth-builder', { params });
 }
-
-// --- Prompt Engineering ---
-function buildWealthBuilderPrompt(financialData, accounts, transactions) {
-    const topExpenses = categorizeAndSummarizeTransactions(transactions);
-    const accountSummary = accounts.map(acc => ({
-        name: acc.name,
-        type: acc.accountType,
-        balance: acc.balance.toFixed(2)
-    }));
-
-    // FINAL PROMPT v4.0 - Sophisticated Wealth Advisor with Visuals
-    return `You are "WealthBuilder AI," an expert wealth management advisor for the Philippine market. Your analysis must be personalized, detailed, and encouraging. Your entire response must be a single, valid JSON object. Do not include any other text or markdown.
-
-**User's Financial Profile (PHP):**
-- **Core Metrics:**
-  - Average Monthly Income: ${financialData.monthlyIncome.toFixed(2)}
-  - Average Monthly Expenses: ${financialData.monthlyExpenses.toFixed(2)}
-  - Calculated Savings Rate: ${financialData.savingsRate.toFixed(1)}%
-- **Assets:**
-  - Total Liquid Balance: ${financialData.totalBalance.toFixed(2)}
-  - Accounts: ${JSON.stringify(accountSummary)}
-- **Spending Habits:**
-  - Top 5 Expense Categories (Monthly Average): ${JSON.stringify(topExpenses)}
-
-**Your Task:**
-Based *only* on the data above, generate a comprehensive wealth-building plan.
-
-**Required JSON Output Structure:**
-{
-  "persona": "<A short, encouraging persona title for the user, e.g., 'The Emerging Investor', 'The Disciplined Saver'>",
-  "investmentReadinessScore": <Number, 0-100, assessing readiness based on savings, balance, and positive cash flow>,
-  "summary": "<A 2-3 sentence personalized and encouraging summary of their wealth-building potential, directly referencing their data>",
-  "riskAnalysis": "<A 1-2 sentence analysis of their current financial risk exposure based on their savings rate and emergency funds.>",
-  "portfolioSuggestion": {
-    "labels": ["<e.g., Stocks>", "<e.g., Bonds>", "<e.g., Emergency Fund>"],
-    "data": [<Number, e.g., 50>, <Number, e.g., 30>, <Number, e.g., 20>]
-  },
-  "strategicRecommendations": [
-    {
-      "title": "<Specific, actionable title, e.g., 'Establish a Core Equity Investment via UITF'>",
-      "description": "<Detailed explanation of why this strategy fits their profile, mentioning specific data points. Explain the 'what' and 'why'.>",
-      "investmentType": "<Stocks|Bonds|UITF|MP2|Real Estate|REITs|Emergency Fund>",
-      "riskLevel": "<Low|Medium|High>",
-      "timeHorizon": "<1-3 Years|3-5 Years|5+ Years>"
-    }
-  ],
-  "tacticalSteps": [
-    {
-      "title": "<Specific, actionable title, e.g., 'Automate ₱1,000 Monthly to Savings'>",
-      "description": "<Clear, step-by-step guidance on how to execute this. Link it to their data, e.g., 'Given your ₱${financialData.monthlyIncome.toFixed(0)} income...'>",
-      "difficulty": "<Easy|Moderate>",
-      "impact": "<Medium|High>"
-    }
-  ]
-}`;
-}
-
@@ -0,0 +1,52 @@
+// Client for the account balance ledger (/api/accounts/reconcile).
+// A balance is the account's opening balance plus its transactions; reconciling recomputes it on the
+// server and flags accounts whose stored balance has drifted from it.
+
+import { auth } from "./firestoredb.js";
+
+export const DRIFT_RESOLUTIONS = {
+    ledger: 'Use the balance from my transactions',
+    balance: 'Keep the current balance (adjust the opening balance)'
+};
+
+async function request(path, options = {}) {
+    const user = auth.currentUser;
+    if (!user) {
+        throw new Error('User not authenticated');
+    }
+
+    const response = await fetch(`/api/accounts${path}`, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${await user.getIdToken()}`
+        }
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(body.error || `Reconcile request failed with status ${response.status}`);
+    }
+    return body;
+}
+
+/**
+ * Checks every account against its transactions. The result is also saved on each account as `reconciliation`.
+ * @returns {Promise<Array<{accountId: string, name: string, balance: number, ledgerBalance: number, drift: number,
+ *   state: 'balanced'|'drift'|'anchored'}>>}
+ */
+export async function reconcileAccounts() {
+    const { data } = await request('/reconcile', { method: 'POST' });
+    return data;
+}
+
+/**
+ * Settles one account's drift.
+ * @param {'ledger'|'balance'} keep Which figure is right (see DRIFT_RESOLUTIONS)
+ */
+export async function resolveDrift(accountId, keep) {
+    const { data } = await request(`/${encodeURIComponent(accountId)}/reconcile`, {
+        method: 'POST',
+        body: JSON.stringify({ keep })
+    });
+    return data;
+}
@@ -5,10 +5,29 @@ import {
     storeBankAccount, 
     getUserBankAccounts, 
     updateBankAccount,
+    setOpeningBalance,
+    isLiabilityAccount,
     deleteDoc,
     doc,
     db
 } from "./firestoredb.js";
+import { PH_CARD_DEFAULTS, ISSUER_CARD_RULES } from "./cardRules.js";
+import { reconcileAccounts, resolveDrift, DRIFT_RESOLUTIONS } from "./accountLedger.js";
+import { CURRENCIES, createConverter, currencyOf, formatMoney } from "./currency.js";
+import { getFxRates, importFxRates, setHomeCurrency, loadConverter } from "./fxRates.js";
+import {
+    ASSET_CLASSES,
+    EVENT_TYPES,
+    getPortfolio,
+    getHolding,
+    createHolding,
+    deleteHolding,
+    addHoldingEvent,
+    deleteHoldingEvent,
+    getPrices,
+    importPrices
+} from "./holdings.js";
+import { LOAN_FREQUENCIES, LOAN_METHODS, PREPAYMENT_MODES, loanPreset, loanStatus } from "./loanSchedule.js";
 
 // Initialize Firebase
 const app = initializeApp(firebaseConfig);
@@ -45,9 +64,9 @@ const ACCOUNT_CONFIGS = {
     'loan': {
         providers: [
             'Bank Loan', 'Personal Lender', 'Auto Financing', 'Home Mortgage',
-            'Government Loan (e.g., SSS, Pag-IBIG)', 'Student Loan', 'Other'
+            'SSS', 'Pag-IBIG', 'Government Loan (e.g., SSS, Pag-IBIG)', 'Student Loan', 'Other'
         ],
-        types: ['Personal Loan', 'Auto Loan', 'Mortgage', 'Student Loan', 'Other']
+        types: ['Personal Loan', 'Salary Loan', 'Housing Loan', 'Auto Loan', 'Mortgage', 'Student Loan', 'Other']
     }
 };
 
@@ -57,6 +76,10 @@ let selectedAccountType = null;
 let editingAccountId = null;
 let currentAccounts = [];
 let currentFilter = 'all';
+// Totals are shown in the home currency; accounts keep their own
+let converter = createConverter();
+let currentHoldings = [];
+let scheduleAccount = null;
 
 document.addEventListener('DOMContentLoaded', () => {
     initializeEventListeners();
@@ -82,6 +105,26 @@ function initializeEventListeners() {
 
     // Add account modal handlers
     addAccountBtn.addEventListener('click', showAddAccountModal);
+    document.getElementById('reconcile-accounts-button').addEventListener('click', handleReconcile);
+    document.getElementById('fx-rates-button').addEventListener('click', showFxRatesModal);
+    document.getElementById('close-fx-rates').addEventListener('click', hideFxRatesModal);
+    document.getElementById('home-currency').addEventListener('change', handleHomeCurrencyChange);
+    document.getElementById('fx-rates-form').addEventListener('submit', handleImportFxRates);
+    document.getElementById('holdings-button').addEventListener('click', showHoldingsModal);
+    document.getElementById('close-holdings').addEventListener('click', hideHoldingsModal);
+    document.getElementById('holding-form').addEventListener('submit', handleAddHolding);
+    document.getElementById('holding-event-form').addEventListener('submit', handleAddHoldingEvent);
+    document.getElementById('event-type').addEventListener('change', updateEventFields);
+    document.getElementById('prices-form').addEventListener('submit', handleImportPrices);
+    document.getElementById('holdings-list').addEventListener('click', handleHoldingsListClick);
+    document.getElementById('loan-terms-fields').addEventListener('input', updateLoanTermsSummary);
+    document.getElementById('account-interest-rate').addEventListener('input', updateLoanTermsSummary);
+    document.getElementById('close-loan-schedule').addEventListener('click', hideLoanScheduleModal);
+    document.getElementById('loan-prepayment-form').addEventListener('submit', handleAddPrepayment);
+    document.getElementById('loan-prepayments').addEventListener('click', handleRemovePrepayment);
+    document.getElementById('account-currency').addEventListener('change', e => {
+        document.querySelector('#add-account-form .currency-symbol').textContent = CURRENCIES[e.target.value].symbol;
+    });
     closeAddAccountBtn.addEventListener('click', hideAddAccountModal);
     cancelAddAccountBtn.addEventListener('click', hideAddAccountModal);
     backToTypeSelectionBtn.addEventListener('click', showTypeSelection);
@@ -113,6 +156,15 @@ function initializeEventListeners() {
             if (e.target.closest('#edit-account-modal')) {
                 hideEditAccountModal();
             }
+            if (e.target.closest('#fx-rates-modal')) {
+                hideFxRatesModal();
+            }
+            if (e.target.closest('#holdings-modal')) {
+                hideHoldingsModal();
+            }
+            if (e.target.closest('#loan-schedule-modal')) {
+                hideLoanScheduleModal();
+            }
         }
     });
 
@@ -125,6 +177,15 @@ function initializeEventListeners() {
             if (editAccountModal.style.display === 'flex') {
                 hideEditAccountModal();
             }
+            if (document.getElementById('fx-rates-modal').style.display === 'flex') {
+                hideFxRatesModal();
+            }
+            if (document.getElementById('holdings-modal').style.display === 'flex') {
+                hideHoldingsModal();
+            }
+            if (document.getElementById('loan-schedule-modal').style.display === 'flex') {
+                hideLoanScheduleModal();
+            }
         }
     });
 
@@ -141,6 +202,13 @@ function initializeEventListeners() {
     });
 }
 
+// Currency options for the add-account form and the home currency picker
+function populateCurrencySelect(select, selected = 'PHP') {
+    select.innerHTML = Object.entries(CURRENCIES)
+        .map(([code, { name }]) => `<option value="${code}"${code === selected ? ' selected' : ''}>${code} - ${name}</option>`)
+        .join('');
+}
+
 function initializeCharacterCounters() {
     const notesTextarea = document.getElementById('account-notes');
     const editNotesTextarea = document.getElementById('edit-account-notes');
@@ -213,11 +281,16 @@ function filterAccounts(filter) {
     updateFilteredSummary(filteredAccounts);
 }
 
+// Sum of balances in the home currency; accounts in a currency without a rate count unconverted
+function totalBalanceOf(accounts) {
+    return accounts.reduce((sum, account) => sum + converter.toHome(account, 'balance', null), 0);
+}
+
 function updateFilteredSummary(accounts) {
-    const totalBalance = accounts.reduce((sum, account) => sum + parseFloat(account.balance || 0), 0);
+    const totalBalance = totalBalanceOf(accounts);
     const digitalWallets = accounts.filter(account => account.category === 'digital-wallet').length;
     
-    document.getElementById('total-balance').textContent = `₱${totalBalance.toLocaleString('en-PH', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    document.getElementById('total-balance').textContent = converter.format(totalBalance);
     document.getElementById('total-accounts').textContent = accounts.length.toString();
     document.getElementById('digital-wallets').textContent = digitalWallets.toString();
 }
@@ -308,11 +381,17 @@ function showAccountForm() {
     
     // Populate provider and type options
     populateFormOptions();
+    populateCurrencySelect(document.getElementById('account-currency'));
+    document.querySelector('#add-account-form .currency-symbol').textContent = CURRENCIES.PHP.symbol;
     
     // Show/hide liability details based on selection
     const liabilitySection = document.getElementById('liability-details-section');
     const typeSelect = document.getElementById('account-type-display');
 
+    const cardRulesFields = document.getElementById('card-rules-fields');
+    const loanTermsFields = document.getElementById('loan-terms-fields');
+    const providerSelect = document.getElementById('account-provider');
+
     const checkLiability = () => {
         const selectedValue = typeSelect.value;
         const isLiability = selectedAccountType === 'loan' || selectedValue === 'Credit Card';
@@ -322,9 +401,20 @@ function showAccountForm() {
         } else {
             liabilitySection.style.display = 'none';
         }
+
+        // Cards bill a percentage-based minimum; prefill the issuer's usual terms
+        if (cardRulesFields) {
+            cardRulesFields.style.display = selectedValue === 'Credit Card' ? 'block' : 'none';
+            if (selectedValue === 'Credit Card') fillCardRuleFields(providerSelect.value);
+        }
+
+        // Loans follow an amortization schedule; prefill the lender's usual terms
+        loanTermsFields.style.display = selectedAccountType === 'loan' ? 'block' : 'none';
+        if (selectedAccountType === 'loan') fillLoanTermFields(providerSelect.value, selectedValue);
     };
     
     typeSelect.addEventListener('change', checkLiability);
+    providerSelect.addEventListener('change', checkLiability);
     // Initial check in case a default is set
     checkLiability();
     
@@ -334,6 +424,72 @@ function showAccountForm() {
     }, 100);
 }
 
+function fillCardRuleFields(provider) {
+    const rules = { ...PH_CARD_DEFAULTS, ...(ISSUER_CARD_RULES[provider] || {}) };
+    document.getElementById('account-min-percent').value = rules.minimumPercent;
+    document.getElementById('account-min-floor').value = rules.minimumFloor;
+    document.getElementById('account-late-fee').value = rules.lateFee;
+    document.getElementById('account-interest-method').value = rules.interestMethod;
+}
+
+function fillLoanTermFields(provider, accountType) {
+    const frequencySelect = document.getElementById('loan-frequency');
+    if (!frequencySelect.options.length) {
+        frequencySelect.innerHTML = Object.entries(LOAN_FREQUENCIES)
+            .map(([value, { label }]) => `<option value="${value}">${label}</option>`)
+            .join('');
+        document.getElementById('loan-method').innerHTML = Object.entries(LOAN_METHODS)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+    }
+    if (!document.getElementById('loan-start-date').value) {
+        document.getElementById('loan-start-date').value = new Date().toISOString().slice(0, 10);
+    }
+
+    const preset = loanPreset(provider, accountType);
+    if (preset) {
+        document.getElementById('account-interest-rate').value = preset.annualRate;
+        document.getElementById('loan-term').value = preset.termMonths;
+        document.getElementById('loan-method').value = preset.method;
+    }
+    updateLoanTermsSummary();
+}
+
+// Loan terms from the add form, or null until the amount borrowed and term are filled in
+function readLoanTerms() {
+    if (document.getElementById('loan-terms-fields').style.display !== 'block') return null;
+    const principal = parseFloat(document.getElementById('loan-principal').value);
+    const termMonths = parseInt(document.getElementById('loan-term').value, 10);
+    if (!(principal > 0) || !(termMonths > 0)) return null;
+    return {
+        principal,
+        annualRate: parseFloat(document.getElementById('account-interest-rate').value) || 0,
+        termMonths,
+        startDate: document.getElementById('loan-start-date').value,
+        frequency: document.getElementById('loan-frequency').value,
+        method: document.getElementById('loan-method').value,
+        prepayments: []
+    };
+}
+
+// Shows the amortization the terms work out to and uses it as the minimum payment
+function updateLoanTermsSummary() {
+    const loan = readLoanTerms();
+    const summary = document.getElementById('loan-terms-summary');
+    if (!loan) {
+        summary.textContent = "Prefilled with the lender's usual terms; check them against your disclosure statement.";
+        return;
+    }
+
+    const status = loanStatus(loan);
+    const { schedule } = status;
+    const money = value => formatMoney(value, document.getElementById('account-currency').value || 'PHP');
+    const perPayment = `${money(schedule.payment)} ${LOAN_FREQUENCIES[loan.frequency].label.toLowerCase()}`;
+    const rateNote = loan.method === 'add-on' ? ` An add-on rate of ${loan.annualRate}% is about ${status.effectiveRate}% on the diminishing balance.` : '';
+    summary.textContent = `${perPayment}, ${schedule.rows.length} payments, ${money(schedule.totalInterest)} interest in all. You owe about ${money(status.balance)} today.${rateNote}`;
+    document.getElementById('account-minimum-payment').value = status.monthlyPayment.toFixed(2);
+}
+
 function populateFormOptions() {
     const config = ACCOUNT_CONFIGS[selectedAccountType];
     const providerSelect = document.getElementById('account-provider');
@@ -461,7 +617,7 @@ function validateField(field, prefix = '') {
             if (isNaN(balance)) {
                 isValid = false;
                 errorMessage = 'Please enter a valid balance';
-            } else if (balance < 0) {
+            } else if (balance < 0 && !balanceMayBeNegative(prefix)) {
                 isValid = false;
                 errorMessage = 'Balance cannot be negative';
             } else if (balance > 999999999) {
@@ -483,6 +639,18 @@ function validateField(field, prefix = '') {
     return isValid;
 }
 
+// Cards and loans hold what is owed, so an overpaid one goes below zero
+function balanceMayBeNegative(prefix) {
+    if (prefix === 'edit-') {
+        const account = currentAccounts.find(item => item.id === editingAccountId);
+        return Boolean(account && isLiabilityAccount(account));
+    }
+    return isLiabilityAccount({
+        category: selectedAccountType,
+        accountType: document.getElementById('account-type-display').value
+    });
+}
+
 function validateForm(formId) {
     const form = document.getElementById(formId);
     const requiredFields = form.querySelectorAll('[required]');
@@ -542,6 +710,7 @@ async function handleAddAccount(e) {
             accountType: document.getElementById('account-type-display').value,
             cardNumber: document.getElementById('account-number').value.trim(),
             balance: parseFloat(document.getElementById('account-balance').value) || 0,
+            currency: document.getElementById('account-currency').value || 'PHP',
             color: document.getElementById('account-color').value,
             notes: document.getElementById('account-notes').value.trim(),
             category: selectedAccountType,
@@ -556,6 +725,26 @@ async function handleAddAccount(e) {
             formData.minimumPayment = parseFloat(document.getElementById('account-minimum-payment').value) || 0;
         }
 
+        // Loan terms drive the amortization schedule; the APR and minimum shown elsewhere follow from them
+        const loan = readLoanTerms();
+        if (loan) {
+            const status = loanStatus(loan);
+            formData.loan = loan;
+            formData.interestRate = status.effectiveRate;
+            formData.minimumPayment = status.monthlyPayment;
+        }
+
+        // Card payment rules drive the Debt Demolisher's minimums, late fees and interest
+        const cardRulesFields = document.getElementById('card-rules-fields');
+        if (cardRulesFields && cardRulesFields.style.display === 'block') {
+            formData.paymentRules = {
+                minimumPercent: parseFloat(document.getElementById('account-min-percent').value) || PH_CARD_DEFAULTS.minimumPercent,
+                minimumFloor: parseFloat(document.getElementById('account-min-floor').value) || 0,
+                lateFee: parseFloat(document.getElementById('account-late-fee').value) || 0,
+                interestMethod: document.getElementById('account-interest-method').value
+            };
+        }
+
         // Validate required fields before proceeding
         if (!selectedAccountType) {
             throw new Error('Please select an account type');
@@ -650,7 +839,6 @@ async function handleEditAccount(e) {
 
         const updatedData = {
             name: document.getElementById('edit-account-name').value.trim(),
-            balance: parseFloat(document.getElementById('edit-account-balance').value) || 0,
             color: document.getElementById('edit-account-color').value,
             notes: document.getElementById('edit-account-notes').value.trim(),
             updatedAt: new Date().toISOString()
@@ -658,6 +846,13 @@ async function handleEditAccount(e) {
 
         console.log('Updating account:', editingAccountId, updatedData);
 
+        // The balance itself follows transactions; only its starting point is edited here
+        const account = currentAccounts.find(item => item.id === editingAccountId);
+        const openingBalance = parseFloat(document.getElementById('edit-account-balance').value) || 0;
+        if (account && openingBalance !== openingBalanceOf(account)) {
+            await setOpeningBalance(currentUser.uid, editingAccountId, openingBalance);
+        }
+
         const result = await updateBankAccount(currentUser.uid, editingAccountId, updatedData);
         
         if (result) {
@@ -695,7 +890,17 @@ async function loadAccounts(userId) {
     accountsGrid.innerHTML = '';
 
     try {
-        const accounts = await getUserBankAccounts(userId);
+        // Holdings only add their value to investment cards, so the page still loads without them
+        const [accounts, loadedConverter, portfolio] = await Promise.all([
+            getUserBankAccounts(userId),
+            loadConverter(),
+            getPortfolio().catch(error => {
+                console.warn('Holdings unavailable:', error.message);
+                return null;
+            })
+        ]);
+        converter = loadedConverter;
+        currentHoldings = portfolio?.holdings || [];
         loadingState.style.display = 'none';
         
         // Store accounts in global state
@@ -755,17 +960,53 @@ function createAccountCard(account) {
 
     const cardNumber = account.displayCardNumber || account.cardNumber;
     const maskedNumber = cardNumber ? ` • ${cardNumber}` : '';
-    const formattedBalance = parseFloat(account.balance).toLocaleString('en-PH', { 
-        minimumFractionDigits: 2, 
-        maximumFractionDigits: 2 
-    });
+    const currency = currencyOf(account);
+    const formattedBalance = formatMoney(account.balance, currency);
+    // Foreign-currency balances also show their home-currency value, or that a rate is missing
+    const converted = currency === converter.homeCurrency ? null : converter.convert(account.balance, currency);
+    let convertedInfo = '';
+    if (converted !== null) {
+        convertedInfo = `<div class="account-balance-converted">≈ ${converter.format(converted)}</div>`;
+    } else if (currency !== converter.homeCurrency) {
+        convertedInfo = `<div class="account-balance-converted">No ${currency} rate yet: import FX rates to include it in totals</div>`;
+    }
     
+    // Market value of the holdings kept in this account, in the home currency
+    const holdingsValue = currentHoldings
+        .filter(holding => holding.accountId === account.id && holding.position.marketValue !== null)
+        .reduce((sum, holding) => sum + (converter.convert(holding.position.marketValue, holding.currency) || 0), 0);
+    const holdingsInfo = holdingsValue > 0
+        ? `<div class="account-holdings-value"><i class="fas fa-chart-line"></i> Holdings worth ${converter.format(holdingsValue)}</div>`
+        : '';
+
+    // Flagged by the last reconcile: the stored balance differs from opening balance plus transactions
+    const drift = account.reconciliation?.state === 'drift' ? account.reconciliation : null;
+    const driftInfo = drift ? `
+        <div class="account-drift">
+            <i class="fas fa-exclamation-triangle"></i>
+            Off by ${formatMoney(drift.drift, currency)}: your transactions add up to ${formatMoney(drift.ledgerBalance, currency)}.
+            <div class="account-drift-actions">
+                ${Object.entries(DRIFT_RESOLUTIONS).map(([keep, label]) => `<button type="button" data-keep="${keep}">${label}</button>`).join('')}
+            </div>
+        </div>
+    ` : '';
+
+    const loan = account.loan ? loanStatus(account.loan) : null;
+    const loanInfo = loan ? `
+        <div class="account-loan-status">
+            ${loan.nextPayment
+                ? `Next: ${formatMoney(loan.nextPayment.amount, currency)} on ${loan.nextPayment.date} • ${loan.remainingPayments} left • paid off ${loan.payoffDate}`
+                : `Schedule ended ${loan.payoffDate}`}
+        </div>
+    ` : '';
+
     let liabilityInfo = '';
     if (account.interestRate !== undefined && account.minimumPayment !== undefined) {
         liabilityInfo = `
             <div class="account-liability-details">
                 <span>APR: <strong>${account.interestRate}%</strong></span>
                 <span>Min. Payment: <strong>₱${account.minimumPayment.toLocaleString('en-PH', {minimumFractionDigits: 2})}</strong></span>
+                ${account.paymentRules ? `<span>Min. Due: <strong>${account.paymentRules.minimumPercent}% or ₱${account.paymentRules.minimumFloor.toLocaleString('en-PH')}</strong></span>` : ''}
             </div>
         `;
     }
@@ -776,13 +1017,20 @@ function createAccountCard(account) {
             <div class="account-info">
                 <div class="account-name">${account.name}</div>
                 <div class="account-provider">${account.provider}${maskedNumber}</div>
-                <div class="account-type">${account.accountType}</div>
+                <div class="account-type">${account.accountType}${currency === 'PHP' ? '' : ` • ${currency}`}</div>
             </div>
         </div>
-        <div class="account-balance">₱${formattedBalance}</div>
+        <div class="account-balance">${formattedBalance}</div>
+        ${convertedInfo}
+        ${holdingsInfo}
+        ${driftInfo}
         ${liabilityInfo}
+        ${loanInfo}
         ${account.notes ? `<div class="account-notes">${account.notes}</div>` : ''}
         <div class="account-actions">
+            ${loan ? `<button class="loan-schedule-btn" data-id="${account.id}" title="Amortization Schedule" aria-label="Schedule for ${account.name}">
+                <i class="fas fa-calendar-alt"></i>
+            </button>` : ''}
             <button class="edit-account-btn" data-id="${account.id}" title="Edit Account" aria-label="Edit ${account.name}">
                 <i class="fas fa-edit"></i>
             </button>
@@ -803,6 +1051,18 @@ function createAccountCard(account) {
         deleteAccount(account.id, account.name);
     });
 
+    card.querySelector('.loan-schedule-btn')?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        showLoanScheduleModal(account);
+    });
+
+    card.querySelectorAll('.account-drift-actions button').forEach(button => {
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            handleResolveDrift(account, button.dataset.keep);
+        });
+    });
+
     // Add hover effect for account color
     card.addEventListener('mouseenter', () => {
         card.style.borderColor = account.color;
@@ -820,7 +1080,11 @@ function editAccount(account) {
     
     // Populate edit form
     document.getElementById('edit-account-name').value = account.name;
-    document.getElementById('edit-account-balance').value = account.balance;
+    document.getElementById('edit-account-balance').value = openingBalanceOf(account);
+    document.querySelector('#edit-account-form .currency-symbol').textContent = CURRENCIES[currencyOf(account)]?.symbol ?? currencyOf(account);
+    document.getElementById('edit-account-balance-help').textContent = account.openingDate
+        ? `As of ${account.openingDate}. Transactions since then bring it to ${formatMoney(account.balance, currencyOf(account))}.`
+        : 'Your balance today. Transactions you record from today on update it.';
     document.getElementById('edit-account-color').value = account.color;
     document.getElementById('edit-account-notes').value = account.notes || '';
     
@@ -836,6 +1100,490 @@ function editAccount(account) {
     showEditAccountModal();
 }
 
+// Accounts from before the ledger have no opening balance yet; their current balance stands in for it
+function openingBalanceOf(account) {
+    return account.openingDate ? parseFloat(account.openingBalance) || 0 : parseFloat(account.balance) || 0;
+}
+
+async function handleReconcile() {
+    const button = document.getElementById('reconcile-accounts-button');
+    button.disabled = true;
+    try {
+        const results = await reconcileAccounts();
+        await loadAccounts(currentUser.uid);
+        const drifted = results.filter(result => result.state === 'drift');
+        if (drifted.length === 0) {
+            showToast('All balances match their transactions', 'success');
+        } else {
+            showToast(`${drifted.length} account${drifted.length === 1 ? '' : 's'} out of balance: ${drifted.map(result => result.name).join(', ')}`, 'warning');
+        }
+    } catch (error) {
+        console.error('Error reconciling accounts:', error);
+        showToast(`Failed to reconcile: ${error.message}`, 'error');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+async function handleResolveDrift(account, keep) {
+    try {
+        const result = await resolveDrift(account.id, keep);
+        await loadAccounts(currentUser.uid);
+        showToast(`"${account.name}" balance is now ${formatMoney(result.balance, currencyOf(account))}`, 'success');
+    } catch (error) {
+        console.error('Error resolving drift:', error);
+        showToast(`Failed to update "${account.name}": ${error.message}`, 'error');
+    }
+}
+
+async function showFxRatesModal() {
+    document.getElementById('fx-rates-modal').style.display = 'flex';
+    await renderFxRates();
+}
+
+function hideFxRatesModal() {
+    document.getElementById('fx-rates-modal').style.display = 'none';
+    document.getElementById('fx-rates-form').reset();
+}
+
+async function renderFxRates() {
+    const list = document.getElementById('fx-rates-list');
+    try {
+        const { homeCurrency, latest } = await getFxRates({ refresh: true });
+        populateCurrencySelect(document.getElementById('home-currency'), homeCurrency);
+        list.innerHTML = latest.length === 0
+            ? '<p class="fx-rates-empty">No rates yet. Import a CSV to convert accounts in other currencies.</p>'
+            : latest.map(rate => `
+                <div class="fx-rate-row">
+                    <span>1 ${rate.currency}</span>
+                    <strong>${formatMoney(rate.rate, 'PHP', { decimals: 4 })}</strong>
+                    <small>as of ${rate.date}</small>
+                </div>
+            `).join('');
+    } catch (error) {
+        console.error('Error loading FX rates:', error);
+        list.innerHTML = `<p class="fx-rates-empty">Failed to load rates: ${error.message}</p>`;
+    }
+}
+
+async function handleHomeCurrencyChange(e) {
+    try {
+        const homeCurrency = await setHomeCurrency(e.target.value);
+        await loadAccounts(currentUser.uid);
+        showToast(`Totals are now shown in ${homeCurrency}`, 'success');
+    } catch (error) {
+        console.error('Error setting home currency:', error);
+        showToast(`Failed to change home currency: ${error.message}`, 'error');
+    }
+}
+
+async function handleImportFxRates(e) {
+    e.preventDefault();
+    const fileInput = document.getElementById('fx-rates-file');
+    const textInput = document.getElementById('fx-rates-csv');
+    const csv = fileInput.files[0] ? await fileInput.files[0].text() : textInput.value.trim();
+    if (!csv) {
+        showToast('Choose a CSV file or paste rates first', 'error');
+        return;
+    }
+
+    try {
+        const { imported, errors } = await importFxRates(csv);
+        e.target.reset();
+        await renderFxRates();
+        await loadAccounts(currentUser.uid);
+        showToast(
+            errors.length === 0
+                ? `Imported ${imported} rate${imported === 1 ? '' : 's'}`
+                : `Imported ${imported} rate${imported === 1 ? '' : 's'}; skipped line ${errors.map(item => item.line).join(', ')}`,
+            errors.length === 0 ? 'success' : 'warning'
+        );
+    } catch (error) {
+        console.error('Error importing FX rates:', error);
+        showToast(`Failed to import rates: ${error.message}`, 'error');
+    }
+}
+
+async function showHoldingsModal() {
+    document.getElementById('holdings-modal').style.display = 'flex';
+    document.getElementById('holding-class').innerHTML = Object.entries(ASSET_CLASSES)
+        .map(([value, label]) => `<option value="${value}">${label}</option>`)
+        .join('');
+    document.getElementById('event-type').innerHTML = Object.entries(EVENT_TYPES)
+        .map(([value, label]) => `<option value="${value}">${label}</option>`)
+        .join('');
+    populateCurrencySelect(document.getElementById('holding-currency'), converter.homeCurrency);
+    document.getElementById('holding-account').innerHTML = '<option value="">Not linked</option>' + currentAccounts
+        .filter(account => account.category === 'investment')
+        .map(account => `<option value="${account.id}">${account.name}</option>`)
+        .join('');
+    document.getElementById('event-date').value = new Date().toISOString().slice(0, 10);
+    updateEventFields();
+    await Promise.all([renderHoldings(), renderPrices()]);
+}
+
+function hideHoldingsModal() {
+    document.getElementById('holdings-modal').style.display = 'none';
+    ['holding-form', 'holding-event-form', 'prices-form'].forEach(id => document.getElementById(id).reset());
+}
+
+function updateEventFields() {
+    const isDividend = document.getElementById('event-type').value === 'dividend';
+    document.querySelector('#holding-event-form .trade-fields').style.display = isDividend ? 'none' : '';
+    document.querySelector('#holding-event-form .dividend-field').style.display = isDividend ? '' : 'none';
+}
+
+function gainClass(value) {
+    return value > 0 ? 'gain-positive' : value < 0 ? 'gain-negative' : '';
+}
+
+async function renderHoldings() {
+    const summaryEl = document.getElementById('holdings-summary');
+    const list = document.getElementById('holdings-list');
+    try {
+        const { holdings, summary } = await getPortfolio();
+        currentHoldings = holdings;
+        const money = value => formatMoney(value, summary.currency);
+        summaryEl.innerHTML = `
+            <div><span>Market Value</span><strong>${money(summary.marketValue)}</strong></div>
+            <div><span>Cost Basis</span><strong>${money(summary.costBasis)}</strong></div>
+            <div><span>Unrealized</span><strong class="${gainClass(summary.unrealizedGain)}">${money(summary.unrealizedGain)}</strong></div>
+            <div><span>Realized</span><strong class="${gainClass(summary.realizedGain)}">${money(summary.realizedGain)}</strong></div>
+            <div><span>Dividends</span><strong>${money(summary.dividends)}</strong></div>
+        `;
+        document.getElementById('event-holding').innerHTML = holdings
+            .map(holding => `<option value="${holding.id}">${holding.symbol}${holding.name ? ` - ${holding.name}` : ''}</option>`)
+            .join('');
+
+        list.innerHTML = holdings.length === 0
+            ? '<p class="fx-rates-empty">No holdings yet. Add one below, then record your buys.</p>'
+            : holdings.map(holding => {
+                const { position } = holding;
+                const money = value => formatMoney(value, holding.currency);
+                const value = position.marketValue === null
+                    ? `<small>No price for ${holding.symbol} yet: import prices to value it</small>`
+                    : `<strong>${money(position.marketValue)}</strong>`;
+                const unrealized = position.unrealizedGain === null
+                    ? ''
+                    : `<span class="${gainClass(position.unrealizedGain)}">Unrealized ${money(position.unrealizedGain)} (${position.unrealizedPercent}%)</span>`;
+                return `
+                    <div class="holding-row" data-holding-id="${holding.id}">
+                        <div class="holding-row-header">
+                            <div>
+                                <strong>${holding.symbol}</strong>
+                                <small>${holding.name ? `${holding.name} • ` : ''}${ASSET_CLASSES[holding.assetClass]}</small>
+                            </div>
+                            ${value}
+                        </div>
+                        <div class="holding-row-figures">
+                            <span>${position.units} unit${position.units === 1 ? '' : 's'}</span>
+                            ${position.averageCost === null ? '' : `<span>Avg cost ${money(position.averageCost)}</span>`}
+                            ${unrealized}
+                            ${position.realizedGain ? `<span class="${gainClass(position.realizedGain)}">Realized ${money(position.realizedGain)}</span>` : ''}
+                            ${position.dividends ? `<span>Dividends ${money(position.dividends)}</span>` : ''}
+                            <button type="button" data-action="events" title="Show history"><i class="fas fa-history"></i></button>
+                            <button type="button" data-action="delete" title="Delete holding"><i class="fas fa-trash"></i></button>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+    } catch (error) {
+        console.error('Error loading holdings:', error);
+        summaryEl.innerHTML = '';
+        list.innerHTML = `<p class="fx-rates-empty">Failed to load holdings: ${error.message}</p>`;
+    }
+}
+
+async function renderPrices() {
+    const list = document.getElementById('prices-list');
+    try {
+        const prices = await getPrices();
+        list.innerHTML = prices.length === 0
+            ? '<p class="fx-rates-empty">No prices yet. Import a CSV to value your stocks, UITFs and crypto.</p>'
+            : prices.map(price => `
+                <div class="fx-rate-row">
+                    <span>${price.symbol}</span>
+                    <strong>${price.price.toLocaleString('en-US', { maximumFractionDigits: 4 })}</strong>
+                    <small>as of ${price.date}</small>
+                </div>
+            `).join('');
+    } catch (error) {
+        console.error('Error loading prices:', error);
+        list.innerHTML = `<p class="fx-rates-empty">Failed to load prices: ${error.message}</p>`;
+    }
+}
+
+async function handleHoldingsListClick(e) {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+    const row = button.closest('.holding-row');
+    const holding = currentHoldings.find(item => item.id === row.dataset.holdingId);
+    if (!holding) return;
+
+    if (button.dataset.action === 'delete') {
+        const confirmed = await showConfirmDialog(
+            'Delete Holding',
+            `Delete ${holding.symbol}?`,
+            'Its buys, sales and dividends will be removed too. Your account balances are not affected.',
+            'Delete',
+            'danger'
+        );
+        if (!confirmed) return;
+        try {
+            await deleteHolding(holding.id);
+            await renderHoldings();
+            await loadAccounts(currentUser.uid);
+            showToast(`${holding.symbol} deleted`, 'success');
+        } catch (error) {
+            console.error('Error deleting holding:', error);
+            showToast(`Failed to delete ${holding.symbol}: ${error.message}`, 'error');
+        }
+        return;
+    }
+
+    // Toggle the holding's event history
+    const existing = row.querySelector('.holding-events');
+    if (existing) {
+        existing.remove();
+        return;
+    }
+    try {
+        const { events } = await getHolding(holding.id);
+        const history = document.createElement('ul');
+        history.className = 'holding-events';
+        history.innerHTML = events.length === 0
+            ? '<li>No events recorded</li>'
+            : events.map(event => `
+                <li data-event-id="${event.id}">
+                    <span>${event.date} • ${EVENT_TYPES[event.type]}${event.type === 'dividend' ? '' : ` ${event.units} @ ${formatMoney(event.price, holding.currency)}`}</span>
+                    <span>
+                        ${formatMoney(event.amount, holding.currency)}
+                        <button type="button" title="Delete event"><i class="fas fa-times"></i></button>
+                    </span>
+                </li>
+            `).join('');
+        history.addEventListener('click', async evt => {
+            const item = evt.target.closest('button') && evt.target.closest('li[data-event-id]');
+            if (!item) return;
+            try {
+                await deleteHoldingEvent(holding.id, item.dataset.eventId);
+                await renderHoldings();
+                await loadAccounts(currentUser.uid);
+                showToast('Event deleted', 'success');
+            } catch (error) {
+                console.error('Error deleting holding event:', error);
+                showToast(`Failed to delete event: ${error.message}`, 'error');
+            }
+        });
+        row.appendChild(history);
+    } catch (error) {
+        console.error('Error loading holding events:', error);
+        showToast(`Failed to load ${holding.symbol} history: ${error.message}`, 'error');
+    }
+}
+
+async function handleAddHolding(e) {
+    e.preventDefault();
+    const symbol = document.getElementById('holding-symbol').value.trim().toUpperCase();
+    if (!symbol) {
+        showToast('Enter the symbol or fund code', 'error');
+        return;
+    }
+
+    try {
+        const holding = await createHolding({
+            symbol,
+            name: document.getElementById('holding-name').value.trim(),
+            assetClass: document.getElementById('holding-class').value,
+            currency: document.getElementById('holding-currency').value,
+            accountId: document.getElementById('holding-account').value || null
+        });
+        e.target.reset();
+        populateCurrencySelect(document.getElementById('holding-currency'), converter.homeCurrency);
+        await renderHoldings();
+        document.getElementById('event-holding').value = holding.id;
+        showToast(`${holding.symbol} added. Record your first buy below.`, 'success');
+    } catch (error) {
+        console.error('Error adding holding:', error);
+        showToast(`Failed to add holding: ${error.message}`, 'error');
+    }
+}
+
+async function handleAddHoldingEvent(e) {
+    e.preventDefault();
+    const holdingId = document.getElementById('event-holding').value;
+    if (!holdingId) {
+        showToast('Add a holding first', 'error');
+        return;
+    }
+
+    const type = document.getElementById('event-type').value;
+    const event = { type, date: document.getElementById('event-date').value };
+    if (type === 'dividend') {
+        event.amount = parseFloat(document.getElementById('event-amount').value);
+    } else {
+        event.units = parseFloat(document.getElementById('event-units').value);
+        event.price = parseFloat(document.getElementById('event-price').value);
+        event.fees = parseFloat(document.getElementById('event-fees').value) || 0;
+    }
+
+    try {
+        await addHoldingEvent(holdingId, event);
+        const date = event.date;
+        e.target.reset();
+        document.getElementById('event-holding').value = holdingId;
+        document.getElementById('event-date').value = date;
+        updateEventFields();
+        await renderHoldings();
+        await loadAccounts(currentUser.uid);
+        showToast(`${EVENT_TYPES[type]} recorded`, 'success');
+    } catch (error) {
+        console.error('Error recording holding event:', error);
+        showToast(`Failed to record ${EVENT_TYPES[type].toLowerCase()}: ${error.message}`, 'error');
+    }
+}
+
+async function handleImportPrices(e) {
+    e.preventDefault();
+    const fileInput = document.getElementById('prices-file');
+    const textInput = document.getElementById('prices-csv');
+    const csv = fileInput.files[0] ? await fileInput.files[0].text() : textInput.value.trim();
+    if (!csv) {
+        showToast('Choose a CSV file or paste prices first', 'error');
+        return;
+    }
+
+    try {
+        const { imported, errors } = await importPrices(csv);
+        e.target.reset();
+        await Promise.all([renderPrices(), renderHoldings()]);
+        await loadAccounts(currentUser.uid);
+        showToast(
+            errors.length === 0
+                ? `Imported ${imported} price${imported === 1 ? '' : 's'}`
+                : `Imported ${imported} price${imported === 1 ? '' : 's'}; skipped line ${errors.map(item => item.line).join(', ')}`,
+            errors.length === 0 ? 'success' : 'warning'
+        );
+    } catch (error) {
+        console.error('Error importing prices:', error);
+        showToast(`Failed to import prices: ${error.message}`, 'error');
+    }
+}
+
+function showLoanScheduleModal(account) {
+    scheduleAccount = account;
+    document.getElementById('loan-schedule-title').textContent = `${account.name} Schedule`;
+    document.getElementById('prepayment-mode').innerHTML = Object.entries(PREPAYMENT_MODES)
+        .map(([value, label]) => `<option value="${value}">${label}</option>`)
+        .join('');
+    document.getElementById('prepayment-date').value = new Date().toISOString().slice(0, 10);
+    document.getElementById('loan-schedule-modal').style.display = 'flex';
+    renderLoanSchedule();
+}
+
+function hideLoanScheduleModal() {
+    document.getElementById('loan-schedule-modal').style.display = 'none';
+    document.getElementById('loan-prepayment-form').reset();
+    scheduleAccount = null;
+}
+
+function renderLoanSchedule() {
+    const { loan } = scheduleAccount;
+    const currency = currencyOf(scheduleAccount);
+    const money = value => formatMoney(value, currency);
+    const status = loanStatus(loan);
+    const { schedule } = status;
+    const today = new Date().toISOString().slice(0, 10);
+
+    document.getElementById('loan-schedule-summary').innerHTML = `
+        <div><span>Borrowed</span><strong>${money(schedule.terms.principal)}</strong></div>
+        <div><span>Payment</span><strong>${money(schedule.currentPayment)}</strong></div>
+        <div><span>Rate</span><strong>${status.effectiveRate}%${schedule.terms.method === 'add-on' ? ` (${schedule.terms.annualRate}% add-on)` : ''}</strong></div>
+        <div><span>Owed per Schedule</span><strong>${money(status.balance)}</strong></div>
+        <div><span>Total Interest</span><strong>${money(schedule.totalInterest)}</strong></div>
+        <div><span>Paid Off</span><strong>${schedule.payoffDate || '-'}</strong>${schedule.paymentsSaved > 0 ? `<span>${schedule.paymentsSaved} payment${schedule.paymentsSaved === 1 ? '' : 's'} early</span>` : ''}</div>
+    `;
+
+    document.getElementById('loan-prepayments').innerHTML = schedule.terms.prepayments.length === 0
+        ? '<p class="fx-rates-empty">No prepayments yet. Adding one recomputes the schedule.</p>'
+        : schedule.terms.prepayments.map((prepayment, index) => `
+            <div class="fx-rate-row">
+                <span>${prepayment.date}</span>
+                <strong>${money(prepayment.amount)}</strong>
+                <small>${PREPAYMENT_MODES[prepayment.mode]}</small>
+                <button type="button" class="secondary-button" data-prepayment-index="${index}" title="Remove prepayment"><i class="fas fa-times"></i></button>
+            </div>
+        `).join('');
+
+    const next = status.nextPayment?.date;
+    document.getElementById('loan-schedule-rows').innerHTML = schedule.rows.map(row => `
+        <tr class="${row.date <= today ? 'loan-row-paid' : row.date === next ? 'loan-row-next' : ''}">
+            <td>${row.period}</td>
+            <td>${row.date}</td>
+            <td>${money(row.payment)}</td>
+            <td>${money(row.interest)}</td>
+            <td>${money(row.principal)}</td>
+            <td>${row.prepayment > 0 ? money(row.prepayment) : ''}</td>
+            <td>${money(row.balance)}</td>
+        </tr>
+    `).join('');
+}
+
+// Stores new prepayments on the loan; the minimum payment follows a 'reduce-payment' prepayment
+async function saveLoanPrepayments(prepayments) {
+    const loan = { ...scheduleAccount.loan, prepayments };
+    const minimumPayment = loanStatus(loan).monthlyPayment;
+    const saved = await updateBankAccount(currentUser.uid, scheduleAccount.id, { loan, minimumPayment });
+    if (!saved) {
+        throw new Error('Could not save the loan');
+    }
+    scheduleAccount = { ...scheduleAccount, loan, minimumPayment };
+    renderLoanSchedule();
+    await loadAccounts(currentUser.uid);
+}
+
+async function handleAddPrepayment(e) {
+    e.preventDefault();
+    const date = document.getElementById('prepayment-date').value;
+    const amount = parseFloat(document.getElementById('prepayment-amount').value);
+    if (!date || !(amount > 0)) {
+        showToast('Enter the prepayment date and amount', 'error');
+        return;
+    }
+
+    try {
+        const mode = document.getElementById('prepayment-mode').value;
+        await saveLoanPrepayments([...(scheduleAccount.loan.prepayments || []), { date, amount, mode }]);
+        document.getElementById('prepayment-amount').value = '';
+        const { schedule } = loanStatus(scheduleAccount.loan);
+        showToast(
+            mode === 'reduce-payment'
+                ? `Prepayment added. Payments are now ${formatMoney(schedule.currentPayment, currencyOf(scheduleAccount))}`
+                : `Prepayment added. Paid off ${schedule.payoffDate}`,
+            'success'
+        );
+    } catch (error) {
+        console.error('Error adding prepayment:', error);
+        showToast(`Failed to add prepayment: ${error.message}`, 'error');
+    }
+}
+
+async function handleRemovePrepayment(e) {
+    const button = e.target.closest('button[data-prepayment-index]');
+    if (!button) return;
+
+    // Indexes follow the sorted list shown, so remove from a sorted copy
+    const prepayments = [...(scheduleAccount.loan.prepayments || [])].sort((a, b) => a.date.localeCompare(b.date));
+    prepayments.splice(Number(button.dataset.prepaymentIndex), 1);
+    try {
+        await saveLoanPrepayments(prepayments);
+        showToast('Prepayment removed', 'success');
+    } catch (error) {
+        console.error('Error removing prepayment:', error);
+        showToast(`Failed to remove prepayment: ${error.message}`, 'error');
+    }
+}
+
 async function deleteAccount(accountId, accountName) {
     // Enhanced confirmation dialog
     const confirmed = await showConfirmDialog(
@@ -873,20 +1621,14 @@ async function deleteAccount(accountId, accountName) {
 }
 
 function updateSummaryCards(accounts, totalAccounts) {
-    // Calculate total balance
-    const totalBalance = accounts.reduce((sum, account) => sum + parseFloat(account.balance || 0), 0);
+    // Calculate total balance in the home currency
+    const totalBalance = totalBalanceOf(accounts);
     
     // Count digital wallets
     const digitalWallets = accounts.filter(account => account.category === 'digital-wallet').length;
     
-    // Format numbers with proper locale
-    const formattedBalance = totalBalance.toLocaleString('en-PH', { 
-        minimumFractionDigits: 2, 
-        maximumFractionDigits: 2 
-    });
-    
     // Update summary cards with animation
-    animateNumberChange('total-balance', `₱${formattedBalance}`);
+    animateNumberChange('total-balance', converter.format(totalBalance));
     animateNumberChange('total-accounts', totalAccounts.toString());
     animateNumberChange('digital-wallets', digitalWallets.toString());
 }
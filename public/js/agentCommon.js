@@ -1,5 +1,8 @@
 // Common utilities for AI agents
+import { getAuth } from "https://www.gstatic.com/firebasejs/11.5.0/firebase-auth.js";
 import { GEMINI_API_KEY, GEMINI_MODEL } from './config.js';
+import { AIOutputError } from './aiSchemas.js';
+import { formatMoney } from './currency.js';
 
 // Rate limiting configuration
 const RATE_LIMIT = {
@@ -10,14 +13,7 @@ const RATE_LIMIT = {
 
 // Format currency function
 export function formatCurrency(amount, currency = 'PHP') {
-    const currencySymbols = {
-        'PHP': '₱',
-        'USD': '$',
-        'EUR': '€'
-    };
-    
-    const symbol = currencySymbols[currency] || '₱';
-    return `${symbol}${parseFloat(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    return formatMoney(amount, currency);
 }
 
 // Format date function
@@ -338,39 +334,152 @@ async function executeApiCall(prompt, options) {
     }
 }
 
+// Build headers for authenticated calls to our backend
+async function getAuthHeaders() {
+    const user = getAuth().currentUser;
+    if (!user) {
+        throw new Error('User not authenticated');
+    }
+    return {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${await user.getIdToken()}`
+    };
+}
+
 /**
- * A robust function to find and parse a JSON object from a string
- * that might contain extra text or markdown.
- * @param {string} text The raw string response from the AI.
- * @returns {object|null} The parsed JSON object or null if parsing fails.
+ * Sends a chat message to an agent through the backend. The server keeps the
+ * conversation history, so only the new message and page context are sent.
+ * @param {string} agentType One of iponCoach, gastosGuardian, peraPlanner, debtDemolisher.
+ * @param {string} message The user's message.
+ * @param {object} context Agent-specific context computed by the page (optional).
+ * @returns {Promise<string>} The agent's reply.
  */
-export function cleanAndParseJson(text) {
-    if (!text || typeof text !== 'string') {
-        console.warn("cleanAndParseJson received invalid input:", text);
-        return null;
+export async function sendAgentChatMessage(agentType, message, context = {}) {
+    const response = await fetch('/api/v1/ai/chat', {
+        method: 'POST',
+        headers: await getAuthHeaders(),
+        body: JSON.stringify({ agentType, message, context })
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(data.error || `Chat request failed with status ${response.status}`);
     }
 
-    // Find the start of the JSON object
-    const startIndex = text.indexOf('{');
-    if (startIndex === -1) {
-        console.error("No JSON object found in AI response:", text);
-        return null;
+    return data.response;
+}
+
+/**
+ * Requests an analysis from one of the agent endpoints. The server builds the prompt
+ * from the user's stored data; only template parameters travel from the browser.
+ * @param {string} endpoint e.g. '/api/ai/wealth-builder'.
+ * @param {object} body Template options such as { params: { timeHorizon, riskAppetite } }.
+ * @returns {Promise<object|Array|string>} Schema-valid data, or text for free-form sections.
+ * @throws {AIOutputError} When the server reports a typed error (see describeAIError).
+ */
+export async function requestAgentAnalysis(endpoint, body = {}) {
+    const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: await getAuthHeaders(),
+        body: JSON.stringify(body)
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        if (result.code) {
+            throw new AIOutputError(result.code, result.error, result.schema, result.details);
+        }
+        throw new Error(`Analysis request failed with status ${response.status}`);
     }
 
-    // Find the last closing brace.
-    const lastIndex = text.lastIndexOf('}');
-    if (lastIndex === -1 || lastIndex < startIndex) {
-        console.error("Incomplete JSON object in AI response:", text);
-        return null;
+    return result.data ?? result.response;
+}
+
+/**
+ * Reads a Server-Sent Events response body, calling onEvent(event, data) per message.
+ * @param {Response} response A fetch response with a text/event-stream body.
+ * @param {function(string, object): void} onEvent Receives the event name and parsed data.
+ */
+export async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+        buffer += decoder.decode(chunk.value, { stream: true });
+
+        // Events are separated by a blank line
+        const events = buffer.split('\n\n');
+        buffer = events.pop();
+
+        for (const raw of events) {
+            let event = 'message';
+            let data = '';
+            for (const line of raw.split('\n')) {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                else if (line.startsWith('data:')) data += line.slice(5).trim();
+            }
+            if (data) onEvent(event, JSON.parse(data));
+        }
     }
-    
-    const jsonString = text.substring(startIndex, lastIndex + 1);
-    
+}
+
+/**
+ * Streaming variant of sendAgentChatMessage. The reply is rendered as it is
+ * generated; aborting the signal cancels generation on the server as well.
+ * @param {string} agentType One of iponCoach, gastosGuardian, peraPlanner, debtDemolisher.
+ * @param {string} message The user's message.
+ * @param {object} context Agent-specific context computed by the page (optional).
+ * @param {object} options { onChunk(text, fullText), signal }.
+ * @returns {Promise<string>} The complete reply.
+ */
+export async function streamAgentChatMessage(agentType, message, context = {}, options = {}) {
+    const response = await fetch('/api/v1/ai/chat?stream=true', {
+        method: 'POST',
+        headers: { ...await getAuthHeaders(), 'Accept': 'text/event-stream' },
+        body: JSON.stringify({ agentType, message, context }),
+        signal: options.signal
+    });
+
+    if (!response.ok) {
+        throw new Error(`Chat request failed with status ${response.status}`);
+    }
+
+    let fullText = '';
+    await readEventStream(response, (event, data) => {
+        if (event === 'chunk') {
+            fullText += data.text;
+            options.onChunk?.(data.text, fullText);
+        } else if (event === 'done') {
+            fullText = data.response;
+        } else if (event === 'error') {
+            throw new Error(data.error || 'Chat stream failed');
+        }
+    });
+
+    return fullText;
+}
+
+/**
+ * Loads the stored conversation with an agent, oldest message first.
+ * @param {string} agentType The agent whose conversation to load.
+ * @param {number} limit Maximum number of messages to return.
+ * @returns {Promise<Array<{role: string, content: string, createdAt: string}>>}
+ */
+export async function getAgentConversation(agentType, limit = 20) {
     try {
-        return JSON.parse(jsonString);
-    } catch (e) {
-        console.error("Failed to parse JSON from AI response:", e.message);
-        console.error("Attempted to parse this string:", jsonString);
-        return null;
+        const response = await fetch(`/api/v1/ai/chat/${encodeURIComponent(agentType)}/history?limit=${limit}`, {
+            headers: await getAuthHeaders()
+        });
+
+        if (!response.ok) {
+            throw new Error(`History request failed with status ${response.status}`);
+        }
+
+        const data = await response.json();
+        return data.data || [];
+    } catch (error) {
+        console.error('Failed to load conversation history:', error);
+        return [];
     }
-}
\ No newline at end of file
+}
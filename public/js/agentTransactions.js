@@ -1,7 +1,11 @@
 // Transaction analysis utilities for AI agents
 import { formatCurrency, formatDate, callGeminiAI } from './agentCommon.js';
+import { getCategories, topLevelCategory, categoryLabel } from './categories.js';
+import { currencyOf } from './currency.js';
+import { loadConverter } from './fxRates.js';
 
-// Get transaction insights
+// Get transaction insights. Categories roll up to the user's top-level categories and amounts are
+// converted to the home currency; pass options.categories or options.converter to reuse loaded ones.
 export async function getTransactionInsights(transactions, options = {}) {
     if (!transactions || transactions.length === 0) {
         return {
@@ -14,32 +18,45 @@ export async function getTransactionInsights(transactions, options = {}) {
         };
     }
 
+    const converter = options.converter || await loadConverter();
+    const amountOf = transaction => Math.abs(converter.toHome(transaction));
+
     const totalSpent = transactions
         .filter(t => t.type === 'expense')
-        .reduce((sum, t) => sum + Math.abs(parseFloat(t.amount) || 0), 0);
+        .reduce((sum, t) => sum + amountOf(t), 0);
 
     const totalIncome = transactions
         .filter(t => t.type === 'income')
-        .reduce((sum, t) => sum + parseFloat(t.amount) || 0, 0);
+        .reduce((sum, t) => sum + amountOf(t), 0);
 
     const netFlow = totalIncome - totalSpent;
 
-    // Category breakdown
+    const userCategories = options.categories || await getCategories().catch(() => []);
+
+    // Category breakdown (transfers only move money between the user's own accounts)
     const categoryBreakdown = {};
-    transactions.forEach(transaction => {
-        const category = transaction.category || 'Other';
-        const amount = Math.abs(parseFloat(transaction.amount) || 0);
+    transactions.filter(transaction => transaction.type !== 'transfer').forEach(transaction => {
+        const parent = topLevelCategory(userCategories, transaction.category, transaction.type);
+        const category = parent.name;
+        const amount = amountOf(transaction);
         
         if (!categoryBreakdown[category]) {
             categoryBreakdown[category] = {
                 total: 0,
                 count: 0,
-                type: transaction.type
+                type: transaction.type,
+                icon: parent.icon,
+                color: parent.color,
+                subcategories: {}
             };
         }
         
         categoryBreakdown[category].total += amount;
         categoryBreakdown[category].count += 1;
+        if (parent.key !== String(transaction.category || 'other').toLowerCase()) {
+            const subcategory = categoryLabel(userCategories, transaction.category, transaction.type);
+            categoryBreakdown[category].subcategories[subcategory] = (categoryBreakdown[category].subcategories[subcategory] || 0) + amount;
+        }
     });
 
     // Generate insights
@@ -49,13 +66,13 @@ export async function getTransactionInsights(transactions, options = {}) {
 
     if (sortedCategories.length > 0) {
         const topCategory = sortedCategories[0];
-        insights.push(`Your top spending category is ${topCategory[0]} with ${formatCurrency(topCategory[1].total)}`);
+        insights.push(`Your top spending category is ${topCategory[0]} with ${formatCurrency(topCategory[1].total, converter.homeCurrency)}`);
     }
 
     if (netFlow > 0) {
-        insights.push(`Great! You have a positive cash flow of ${formatCurrency(netFlow)}`);
+        insights.push(`Great! You have a positive cash flow of ${formatCurrency(netFlow, converter.homeCurrency)}`);
     } else if (netFlow < 0) {
-        insights.push(`You're spending ${formatCurrency(Math.abs(netFlow))} more than you earn`);
+        insights.push(`You're spending ${formatCurrency(Math.abs(netFlow), converter.homeCurrency)} more than you earn`);
     }
 
     // Identify trends
@@ -64,7 +81,7 @@ export async function getTransactionInsights(transactions, options = {}) {
         const recent = transactions.slice(-7);
         const recentSpending = recent
             .filter(t => t.type === 'expense')
-            .reduce((sum, t) => sum + Math.abs(parseFloat(t.amount) || 0), 0);
+            .reduce((sum, t) => sum + amountOf(t), 0);
 
         if (recentSpending > totalSpent * 0.3) {
             trends.push('High spending activity in recent transactions');
@@ -132,7 +149,7 @@ export function analyzeTransaction(transaction) {
         analysis: analysis.join(', ') || 'Regular transaction',
         suggestions,
         risk,
-        amount: formatCurrency(amount),
+        amount: formatCurrency(amount, currencyOf(transaction)),
         date: formatDate(transaction.date)
     };
 }
@@ -0,0 +1,94 @@
+// Structured AI output validation for browser-side agents.
+// The schemas, the validator and the repair prompt live on the server (lib/ai-schemas.js);
+// model text is checked through POST /api/ai/schemas/:schemaId/validate, as the signed-in user.
+
+import { getAuth } from "https://www.gstatic.com/firebasejs/11.5.0/firebase-auth.js";
+
+/**
+ * Error for AI output the UI cannot use. The server sends the same codes:
+ * AI_OUTPUT_UNPARSEABLE, AI_OUTPUT_INVALID, AI_OUTPUT_TOO_LARGE, INVALID_PROMPT_PARAMS, plus
+ * AI_SCHEMA_UNAVAILABLE when the schema is unknown or the validation service can't be reached (or no one is signed in).
+ * repairPrompt is set on invalid output and is what to send the model for its one repair round.
+ */
+export class AIOutputError extends Error {
+    constructor(code, message, schemaId = null, errors = [], repairPrompt = null) {
+        super(message);
+        this.name = 'AIOutputError';
+        this.code = code;
+        this.schemaId = schemaId;
+        this.errors = errors;
+        this.repairPrompt = repairPrompt;
+    }
+}
+
+/**
+ * Parses model text and validates it against a registered schema on the server.
+ * @param {string} text Raw AI response.
+ * @param {string} schemaId Registry id, e.g. 'debtInsights'.
+ * @returns {Promise<object|Array>} The schema-valid value.
+ * @throws {AIOutputError} When no JSON is found, it fails validation, or the server can't be reached.
+ */
+export async function parseStructuredOutput(text, schemaId) {
+    let response;
+    let result;
+    try {
+        const user = getAuth().currentUser;
+        if (!user) {
+            throw new Error('User not authenticated');
+        }
+        response = await fetch(`/api/ai/schemas/${encodeURIComponent(schemaId)}/validate`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${await user.getIdToken()}`
+            },
+            body: JSON.stringify({ text: String(text ?? '') })
+        });
+        result = await response.json();
+    } catch (error) {
+        throw new AIOutputError('AI_SCHEMA_UNAVAILABLE', `Could not validate AI output: ${error.message}`, schemaId);
+    }
+
+    if (!response.ok) {
+        throw new AIOutputError(result.code || 'AI_SCHEMA_UNAVAILABLE', result.error, schemaId, result.details || [], result.repairPrompt || null);
+    }
+    return result.data;
+}
+
+/**
+ * Calls a model and returns schema-valid output, re-asking once with the server's repair prompt if needed.
+ * @param {function(string): Promise<string>} callModel e.g. prompt => callLocalAI(prompt).
+ * @param {string} prompt The original prompt.
+ * @param {string} schemaId Registry id the output must match.
+ * @returns {Promise<object|Array>} The schema-valid value.
+ * @throws {AIOutputError} When the repaired answer is still unusable.
+ */
+export async function generateStructuredOutput(callModel, prompt, schemaId) {
+    try {
+        return await parseStructuredOutput(await callModel(prompt), schemaId);
+    } catch (error) {
+        if (!(error instanceof AIOutputError) || !error.repairPrompt) throw error;
+
+        console.warn(`${schemaId} output rejected (${error.code}), asking for a repair`);
+        return parseStructuredOutput(await callModel(error.repairPrompt), schemaId);
+    }
+}
+
+/**
+ * User-facing message for a typed AI error.
+ * @param {Error} error Any error thrown by an agent call.
+ * @returns {string} Text safe to show in the UI.
+ */
+export function describeAIError(error) {
+    switch (error?.code) {
+        case 'AI_OUTPUT_UNPARSEABLE':
+        case 'AI_OUTPUT_INVALID':
+            return 'The AI returned an answer we could not read. Please try again in a moment.';
+        case 'INVALID_PROMPT_PARAMS':
+            return 'Some of the selected options are not supported. Please adjust them and try again.';
+        case 'AI_SCHEMA_UNAVAILABLE':
+            return 'AI insights are unavailable while offline.';
+        default:
+            return 'Could not reach the AI service right now. Please try again later.';
+    }
+}
@@ -0,0 +1,107 @@
+// Client for bills and due dates (/api/bills).
+// A bill's next due date is the earliest one not yet paid; marking it paid posts the payment as a transaction
+// (a transfer into the card or loan for credit-card and loan bills) and moves the due date on.
+
+import { auth } from "./firestoredb.js";
+
+// Kinds of bill (mirrors lib/bills.js); credit-card and loan bills pay down one of the user's accounts
+export const BILL_KINDS = {
+    'credit-card': 'Credit card',
+    loan: 'Loan',
+    utility: 'Utility',
+    subscription: 'Subscription',
+    rent: 'Rent',
+    insurance: 'Insurance',
+    other: 'Other'
+};
+
+export const TRANSFER_KINDS = ['credit-card', 'loan'];
+
+export const BILL_STATES = {
+    overdue: 'Overdue',
+    'due-today': 'Due today',
+    'due-soon': 'Due soon',
+    upcoming: 'Upcoming',
+    paid: 'Paid'
+};
+
+async function request(path = '', options = {}) {
+    const user = auth.currentUser;
+    if (!user) {
+        throw new Error('User not authenticated');
+    }
+
+    const response = await fetch(`/api/bills${path}`, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${await user.getIdToken()}`
+        }
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(body.error || `Bill request failed with status ${response.status}`);
+    }
+    return body;
+}
+
+/**
+ * The user's bills, soonest due first.
+ * @returns {Promise<Array<{id: string, name: string, kind: string, amount: number, currency: string, accountId: string|null,
+ *   payeeAccountId: string|null, frequency: string, dayOfMonth: number|null, nextDueDate: string|null, remindDaysBefore: number,
+ *   lastPayment: object|null, state: 'overdue'|'due-today'|'due-soon'|'upcoming'|'paid', daysUntilDue: number|null}>>}
+ */
+export async function getBills() {
+    const { data } = await request();
+    return data;
+}
+
+/**
+ * Due dates in a month, paid and unpaid.
+ * @param {string} [month] YYYY-MM, this month by default.
+ * @returns {Promise<{month: string, from: string, to: string, entries: Array<{billId: string, name: string, kind: string,
+ *   amount: number, currency: string, date: string, paid: boolean, state: string}>}>}
+ */
+export async function getBillCalendar(month) {
+    const { data } = await request(`/calendar${month ? `?month=${encodeURIComponent(month)}` : ''}`);
+    return data;
+}
+
+/**
+ * Creates a bill, e.g. { name: 'Meralco', kind: 'utility', amount: 2500, accountId, frequency: 'monthly',
+ * startDate: '2026-10-10', dayOfMonth: 10 }. An amount of 0 means it varies and is entered when paying.
+ */
+export async function createBill(bill) {
+    const { data } = await request('', { method: 'POST', body: JSON.stringify(bill) });
+    return data;
+}
+
+export async function updateBill(billId, changes) {
+    const { data } = await request(`/${encodeURIComponent(billId)}`, { method: 'PUT', body: JSON.stringify(changes) });
+    return data;
+}
+
+/**
+ * Removes a bill. Payments already made stay in the user's transactions.
+ */
+export async function deleteBill(billId) {
+    await request(`/${encodeURIComponent(billId)}`, { method: 'DELETE' });
+}
+
+/**
+ * Pays the bill's next due date. Amount, date and paying account default to the bill's and today.
+ * @returns {Promise<{bill: object, transactionId: string}>}
+ */
+export async function markBillPaid(billId, payment = {}) {
+    const { data } = await request(`/${encodeURIComponent(billId)}/paid`, { method: 'POST', body: JSON.stringify(payment) });
+    return data;
+}
+
+/**
+ * Bills due soon or overdue that haven't been shown for their current due date; pass them to notifyBillReminders.
+ * @returns {Promise<Array<{billId: string, name: string, dueDate: string, state: string, daysUntilDue: number, message: string}>>}
+ */
+export async function checkBillReminders() {
+    const { reminders } = await request('/reminders', { method: 'POST' });
+    return reminders;
+}
@@ -0,0 +1,75 @@
+// Client for budget envelopes (/api/budgets).
+// The server computes each budget's status (spent, remaining, percent, rollover) from the user's transactions,
+// so a fresh getBudgets() after any transaction change is always current.
+
+import { auth } from "./firestoredb.js";
+
+export const BUDGET_PERIODS = {
+    weekly: 'Weekly',
+    'semi-monthly': 'Kinsenas (1-15, 16-end)',
+    monthly: 'Monthly'
+};
+
+export const ROLLOVER_MODES = {
+    none: 'No rollover',
+    unused: 'Roll over unused',
+    all: 'Roll over unused and overspending'
+};
+
+async function request(path = '', options = {}) {
+    const user = auth.currentUser;
+    if (!user) {
+        throw new Error('User not authenticated');
+    }
+
+    const response = await fetch(`/api/budgets${path}`, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${await user.getIdToken()}`
+        }
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(body.error || `Budget request failed with status ${response.status}`);
+    }
+    return body;
+}
+
+/**
+ * The user's budgets, most used first.
+ * @returns {Promise<Array<{id: string, category: string, amount: number, period: string, rollover: string,
+ *   status: {periodStart: string, periodEnd: string, available: number, carriedOver: number, spent: number,
+ *   remaining: number, percent: number, state: 'on-track'|'warning'|'over'}}>>}
+ */
+export async function getBudgets() {
+    const { data } = await request();
+    return data;
+}
+
+/**
+ * Creates a budget, e.g. { category: 'food', amount: 6000, period: 'monthly', rollover: 'unused' }.
+ * One budget per category and period.
+ */
+export async function createBudget(budget) {
+    const { data } = await request('', { method: 'POST', body: JSON.stringify(budget) });
+    return data;
+}
+
+export async function updateBudget(budgetId, changes) {
+    const { data } = await request(`/${encodeURIComponent(budgetId)}`, { method: 'PUT', body: JSON.stringify(changes) });
+    return data;
+}
+
+export async function deleteBudget(budgetId) {
+    await request(`/${encodeURIComponent(budgetId)}`, { method: 'DELETE' });
+}
+
+/**
+ * Budgets that crossed 80% or 100% since the last check; pass them to notifyBudgetAlerts.
+ * @returns {Promise<Array<{budgetId: string, category: string, threshold: number, percent: number, remaining: number}>>}
+ */
+export async function checkBudgetAlerts() {
+    const { alerts } = await request('/alerts', { method: 'POST' });
+    return alerts;
+}
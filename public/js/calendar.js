@@ -0,0 +1,404 @@
+// Bill calendar page: a month grid of due dates, the list of bills, and "mark paid", which posts the payment
+// and moves the bill to its next due date (see lib/bills.js).
+
+import { auth, getUserBankAccounts, isLiabilityAccount } from "./firestoredb.js";
+import {
+    BILL_KINDS,
+    BILL_STATES,
+    TRANSFER_KINDS,
+    getBills,
+    getBillCalendar,
+    createBill,
+    updateBill,
+    deleteBill,
+    markBillPaid,
+    checkBillReminders
+} from "./bills.js";
+import { getCategories, fillCategorySelect } from "./categories.js";
+import { formatMoney } from "./currency.js";
+import { showToast, notifyBillReminders } from "./utils/notifications.js";
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+// The schedules offered in the form, as recurring schedule fields (see normalizeSchedule on the server)
+const FREQUENCY_CHOICES = {
+    monthly: startDay => ({ frequency: 'monthly', dayOfMonth: startDay }),
+    'semi-monthly': startDay => {
+        const first = startDay > 15 ? startDay - 15 : startDay;
+        return { frequency: 'semi-monthly', daysOfMonth: [first, first + 15] };
+    },
+    weekly: () => ({ frequency: 'weekly' }),
+    quarterly: () => ({ frequency: 'custom', interval: 3, unit: 'month' }),
+    yearly: () => ({ frequency: 'custom', interval: 12, unit: 'month' })
+};
+
+let currentUser = null;
+let bills = [];
+let accounts = [];
+let categories = [];
+let shownMonth = todayString().slice(0, 7);
+let editingBillId = null;
+let payingBillId = null;
+
+// Local 'YYYY-MM-DD', the format of due dates
+function todayString() {
+    const now = new Date();
+    return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().split('T')[0];
+}
+
+function shiftMonth(month, count) {
+    const [year, number] = month.split('-').map(Number);
+    const shifted = new Date(Date.UTC(year, number - 1 + count, 1));
+    return shifted.toISOString().slice(0, 7);
+}
+
+function frequencyChoice(bill) {
+    if (bill.frequency === 'custom' && bill.unit === 'month') {
+        if (bill.interval === 3) return 'quarterly';
+        if (bill.interval === 12) return 'yearly';
+    }
+    return FREQUENCY_CHOICES[bill.frequency] ? bill.frequency : 'monthly';
+}
+
+function describeDue(bill) {
+    if (!bill.nextDueDate) return 'No more due dates';
+    if (bill.daysUntilDue < 0) return `Overdue since ${bill.nextDueDate}`;
+    if (bill.daysUntilDue === 0) return 'Due today';
+    if (bill.daysUntilDue === 1) return `Due tomorrow, ${bill.nextDueDate}`;
+    return `Due ${bill.nextDueDate}, in ${bill.daysUntilDue} days`;
+}
+
+function billAmount(bill) {
+    return bill.amount > 0 ? formatMoney(bill.amount, bill.currency) : 'Amount varies';
+}
+
+// --- Rendering ---
+
+async function refresh() {
+    try {
+        const [list, calendar] = await Promise.all([getBills(), getBillCalendar(shownMonth)]);
+        bills = list;
+        renderSummary();
+        renderCalendar(calendar);
+        renderBillList();
+    } catch (error) {
+        console.error('Error loading bills:', error);
+        showToast(error.message, 'error');
+    }
+}
+
+function renderSummary() {
+    const container = document.getElementById('bills-summary');
+    const unpaid = bills.filter(bill => bill.nextDueDate);
+    const overdue = unpaid.filter(bill => bill.state === 'overdue');
+    const dueThisWeek = unpaid.filter(bill => bill.daysUntilDue >= 0 && bill.daysUntilDue <= 7);
+    // Pesos only; bills in other currencies are counted but not summed
+    const sum = list => list.filter(bill => (bill.currency || 'PHP') === 'PHP').reduce((total, bill) => total + bill.amount, 0);
+
+    container.innerHTML = `
+        <div class="bills-summary-card${overdue.length > 0 ? ' overdue' : ''}">
+            <span class="label">Overdue</span>
+            <span class="value">${overdue.length} · ${formatMoney(sum(overdue))}</span>
+        </div>
+        <div class="bills-summary-card">
+            <span class="label">Due in the next 7 days</span>
+            <span class="value">${dueThisWeek.length} · ${formatMoney(sum(dueThisWeek))}</span>
+        </div>
+        <div class="bills-summary-card">
+            <span class="label">Active bills</span>
+            <span class="value">${unpaid.length}</span>
+        </div>
+    `;
+}
+
+function renderCalendar(calendar) {
+    const grid = document.getElementById('calendar-grid');
+    const [year, month] = calendar.month.split('-').map(Number);
+    document.getElementById('calendar-month-label').textContent = `${MONTH_NAMES[month - 1]} ${year}`;
+
+    const byDate = {};
+    calendar.entries.forEach(entry => {
+        // Unpaid due dates from earlier months are shown on the 1st
+        const date = entry.date < calendar.from ? calendar.from : entry.date;
+        (byDate[date] = byDate[date] || []).push(entry);
+    });
+
+    grid.innerHTML = '';
+    const firstWeekday = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const today = todayString();
+    for (let i = 0; i < firstWeekday; i++) {
+        const filler = document.createElement('div');
+        filler.className = 'calendar-day outside';
+        grid.appendChild(filler);
+    }
+    for (let day = 1; day <= daysInMonth; day++) {
+        const date = `${calendar.month}-${String(day).padStart(2, '0')}`;
+        const cell = document.createElement('div');
+        cell.className = `calendar-day${date === today ? ' today' : ''}`;
+        cell.innerHTML = `<span class="calendar-day-number">${day}</span>`;
+        (byDate[date] || []).forEach(entry => {
+            const chip = document.createElement('span');
+            chip.className = `bill-chip ${entry.state}`;
+            chip.dataset.id = entry.billId;
+            chip.dataset.date = entry.date;
+            // Bill names are user input
+            chip.textContent = entry.name;
+            chip.title = `${entry.name} · ${entry.amount > 0 ? formatMoney(entry.amount, entry.currency) : 'amount varies'} · ${BILL_STATES[entry.state]}${entry.date !== date ? ` (due ${entry.date})` : ''}`;
+            cell.appendChild(chip);
+        });
+        grid.appendChild(cell);
+    }
+}
+
+function renderBillList() {
+    const list = document.getElementById('bill-list');
+    document.getElementById('bill-empty-state').style.display = bills.length === 0 ? 'block' : 'none';
+
+    list.innerHTML = '';
+    bills.forEach(bill => {
+        const item = document.createElement('li');
+        item.className = `bill-item ${bill.state}`;
+        item.innerHTML = `
+            <div class="bill-details">
+                <span><span class="bill-name"></span><span class="bill-state ${bill.state}">${BILL_STATES[bill.state]}</span></span>
+                <span class="bill-meta"></span>
+            </div>
+            <div class="bill-actions">
+                ${bill.nextDueDate ? `<button type="button" class="pay-bill-btn" data-id="${bill.id}"><i class="fas fa-check"></i> Mark Paid</button>` : ''}
+                <button type="button" class="edit-bill-btn" data-id="${bill.id}"><i class="fas fa-edit"></i> Edit</button>
+                <button type="button" class="delete-bill-btn" data-id="${bill.id}" aria-label="Delete bill"><i class="fas fa-trash"></i></button>
+            </div>
+        `;
+        item.querySelector('.bill-name').textContent = bill.name;
+        const from = bill.accountName ? ` · from ${bill.accountName}` : '';
+        const to = bill.payeeAccountName ? ` to ${bill.payeeAccountName}` : '';
+        const last = bill.lastPayment ? ` · last paid ${formatMoney(bill.lastPayment.amount, bill.currency)} on ${bill.lastPayment.date}` : '';
+        item.querySelector('.bill-meta').textContent =
+            `${BILL_KINDS[bill.kind]} · ${billAmount(bill)} · ${describeDue(bill)}${from}${to}${last}`;
+        list.appendChild(item);
+    });
+}
+
+// --- Forms ---
+
+function fillAccountSelect(select, list, { emptyLabel = null, selected = '' } = {}) {
+    select.innerHTML = '';
+    if (emptyLabel) select.appendChild(new Option(emptyLabel, ''));
+    list.forEach(account => select.appendChild(new Option(account.name, account.id)));
+    select.value = selected || '';
+}
+
+function updatePayeeField() {
+    const kind = document.getElementById('bill-kind').value;
+    const isTransfer = TRANSFER_KINDS.includes(kind);
+    document.getElementById('bill-payee-row').style.display = isTransfer ? 'flex' : 'none';
+    document.getElementById('bill-payee-label').textContent = kind === 'loan' ? 'Loan Paid' : 'Card Paid';
+
+    const payee = document.getElementById('bill-payee-account');
+    const current = payee.value;
+    const matches = accounts.filter(account => (kind === 'loan'
+        ? account.category === 'loan'
+        : isLiabilityAccount(account) && account.category !== 'loan'));
+    fillAccountSelect(payee, matches, { emptyLabel: 'Choose an account', selected: current });
+}
+
+function openBillModal(bill = null) {
+    editingBillId = bill ? bill.id : null;
+    document.getElementById('bill-modal-title').textContent = bill ? 'Edit Bill' : 'Add Bill';
+    document.getElementById('bill-name').value = bill ? bill.name : '';
+    document.getElementById('bill-kind').value = bill ? bill.kind : 'utility';
+    document.getElementById('bill-amount').value = bill && bill.amount > 0 ? bill.amount : '';
+    fillAccountSelect(document.getElementById('bill-account'), accounts, {
+        emptyLabel: 'Choose when paying',
+        selected: bill ? bill.accountId : ''
+    });
+    updatePayeeField();
+    document.getElementById('bill-payee-account').value = bill?.payeeAccountId || '';
+    document.getElementById('bill-frequency').value = bill ? frequencyChoice(bill) : 'monthly';
+    // Editing starts the schedule over from the bill's next due date
+    document.getElementById('bill-start-date').value = bill ? bill.nextDueDate || bill.startDate : todayString();
+    document.getElementById('bill-remind-days').value = bill ? bill.remindDaysBefore : 3;
+    document.getElementById('bill-category').value = bill ? bill.category : 'bills';
+    document.getElementById('bill-modal').style.display = 'flex';
+}
+
+async function handleBillSubmit(e) {
+    e.preventDefault();
+    const kind = document.getElementById('bill-kind').value;
+    const startDate = document.getElementById('bill-start-date').value;
+    const startDay = parseInt(startDate.slice(8, 10), 10);
+    const bill = {
+        name: document.getElementById('bill-name').value.trim(),
+        kind,
+        amount: parseFloat(document.getElementById('bill-amount').value) || 0,
+        accountId: document.getElementById('bill-account').value || null,
+        payeeAccountId: TRANSFER_KINDS.includes(kind) ? document.getElementById('bill-payee-account').value || null : null,
+        category: document.getElementById('bill-category').value || 'bills',
+        remindDaysBefore: parseInt(document.getElementById('bill-remind-days').value, 10) || 0,
+        startDate,
+        ...FREQUENCY_CHOICES[document.getElementById('bill-frequency').value](startDay)
+    };
+
+    try {
+        if (editingBillId) {
+            await updateBill(editingBillId, bill);
+            showToast('Bill updated', 'success');
+        } else {
+            await createBill(bill);
+            showToast('Bill added', 'success');
+        }
+        closeModal('bill-modal');
+        await refresh();
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+function openPayModal(bill) {
+    payingBillId = bill.id;
+    document.getElementById('pay-bill-title').textContent = `Pay ${bill.name}`;
+    document.getElementById('pay-bill-due').textContent = `${describeDue(bill)} · ${billAmount(bill)}`;
+    document.getElementById('pay-bill-amount').value = bill.amount > 0 ? bill.amount : '';
+    document.getElementById('pay-bill-date').value = todayString();
+    const payers = accounts.filter(account => account.id !== bill.payeeAccountId);
+    fillAccountSelect(document.getElementById('pay-bill-account'), payers, {
+        emptyLabel: 'Choose an account',
+        selected: bill.accountId
+    });
+    document.getElementById('pay-bill-modal').style.display = 'flex';
+}
+
+async function handlePaySubmit(e) {
+    e.preventDefault();
+    try {
+        const { bill } = await markBillPaid(payingBillId, {
+            amount: parseFloat(document.getElementById('pay-bill-amount').value),
+            date: document.getElementById('pay-bill-date').value,
+            accountId: document.getElementById('pay-bill-account').value
+        });
+        showToast(bill.nextDueDate ? `Paid. Next due ${bill.nextDueDate}` : 'Paid. No more due dates for this bill', 'success');
+        closeModal('pay-bill-modal');
+        await refresh();
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+function closeModal(id) {
+    document.getElementById(id).style.display = 'none';
+}
+
+async function handleListClick(e) {
+    const button = e.target.closest('button[data-id]');
+    if (!button) return;
+    const bill = bills.find(item => item.id === button.dataset.id);
+    if (!bill) return;
+
+    if (button.classList.contains('pay-bill-btn')) {
+        openPayModal(bill);
+    } else if (button.classList.contains('edit-bill-btn')) {
+        openBillModal(bill);
+    } else if (button.classList.contains('delete-bill-btn')) {
+        if (!confirm(`Delete ${bill.name}? Payments already made stay in your transactions.`)) return;
+        try {
+            await deleteBill(bill.id);
+            await refresh();
+        } catch (error) {
+            showToast(error.message, 'error');
+        }
+    }
+}
+
+// A chip on the bill's next due date pays it; any other opens the bill
+function handleCalendarClick(e) {
+    const chip = e.target.closest('.bill-chip[data-id]');
+    if (!chip) return;
+    const bill = bills.find(item => item.id === chip.dataset.id);
+    if (!bill) return;
+    if (chip.dataset.date === bill.nextDueDate) openPayModal(bill);
+    else openBillModal(bill);
+}
+
+function setupNotificationButton() {
+    const button = document.getElementById('enable-notifications-button');
+    if (typeof Notification === 'undefined' || Notification.permission !== 'default') return;
+    button.style.display = 'flex';
+    button.addEventListener('click', async () => {
+        const permission = await Notification.requestPermission();
+        button.style.display = 'none';
+        if (permission === 'granted') showToast('Reminders will also show as notifications', 'success');
+    });
+}
+
+function initializeEventListeners() {
+    const kindSelect = document.getElementById('bill-kind');
+    Object.entries(BILL_KINDS).forEach(([value, label]) => kindSelect.appendChild(new Option(label, value)));
+    fillCategorySelect(document.getElementById('bill-category'), categories, 'expense');
+
+    kindSelect.addEventListener('change', updatePayeeField);
+    document.getElementById('add-bill-button').addEventListener('click', () => openBillModal());
+    document.getElementById('bill-form').addEventListener('submit', handleBillSubmit);
+    document.getElementById('pay-bill-form').addEventListener('submit', handlePaySubmit);
+    document.getElementById('bill-list').addEventListener('click', handleListClick);
+    document.getElementById('calendar-grid').addEventListener('click', handleCalendarClick);
+    document.querySelectorAll('[data-close]').forEach(button => {
+        button.addEventListener('click', () => closeModal(button.dataset.close));
+    });
+    document.querySelectorAll('.modal').forEach(modal => {
+        modal.addEventListener('click', e => {
+            if (e.target === modal) closeModal(modal.id);
+        });
+    });
+    document.addEventListener('keydown', e => {
+        if (e.key === 'Escape') document.querySelectorAll('.modal').forEach(modal => closeModal(modal.id));
+    });
+
+    document.getElementById('calendar-prev').addEventListener('click', () => {
+        shownMonth = shiftMonth(shownMonth, -1);
+        refresh();
+    });
+    document.getElementById('calendar-next').addEventListener('click', () => {
+        shownMonth = shiftMonth(shownMonth, 1);
+        refresh();
+    });
+    document.getElementById('calendar-today').addEventListener('click', () => {
+        shownMonth = todayString().slice(0, 7);
+        refresh();
+    });
+    setupNotificationButton();
+}
+
+async function initializePage() {
+    const user = await new Promise(resolve => {
+        const unsubscribe = auth.onAuthStateChanged(firebaseUser => {
+            unsubscribe();
+            resolve(firebaseUser);
+        });
+    });
+    if (!user) {
+        window.location.href = 'login.html';
+        return;
+    }
+    currentUser = user;
+
+    try {
+        [accounts, categories] = await Promise.all([
+            getUserBankAccounts(currentUser.uid),
+            getCategories().catch(() => [])
+        ]);
+    } catch (error) {
+        console.error('Error loading accounts:', error);
+        accounts = [];
+    }
+    initializeEventListeners();
+    await refresh();
+
+    try {
+        notifyBillReminders(await checkBillReminders());
+    } catch (error) {
+        console.error('Error checking bill reminders:', error);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', initializePage);
@@ -0,0 +1,92 @@
+// Credit card payment rules for Philippine issuers.
+// Used by the accounts form (to prefill a card's terms) and by the Debt Demolisher simulator.
+
+/**
+ * Terms most local cards share. Finance charges are capped by the BSP at 3% per month,
+ * and late fees are the lesser of the unpaid minimum and a fixed amount.
+ */
+export const PH_CARD_DEFAULTS = {
+    minimumType: 'percent',   // 'percent' of the statement balance, or 'fixed' (uses account.minimumPayment)
+    minimumPercent: 3,        // % of the statement balance
+    minimumFloor: 500,        // ₱, or the whole balance when it is lower
+    lateFee: 1500,            // ₱ charged when less than the minimum is paid
+    lateFeeCapAtUnpaid: true, // Late fee never exceeds the unpaid part of the minimum
+    financeChargeCap: 3,      // Max finance charge, % of the balance per month
+    interestMethod: 'daily'   // 'daily' (average daily balance) or 'monthly' (APR / 12)
+};
+
+/**
+ * Issuer terms keyed by the provider names in accounts.js. Values are the issuers' usual published
+ * terms; anything a cardholder agreement says differently belongs in the account's own paymentRules.
+ */
+export const ISSUER_CARD_RULES = {
+    'BPI': { minimumPercent: 3, minimumFloor: 500, lateFee: 1500 },
+    'BDO': { minimumPercent: 3, minimumFloor: 500, lateFee: 1500 },
+    'Banco de Oro': { minimumPercent: 3, minimumFloor: 500, lateFee: 1500 },
+    'Metrobank': { minimumPercent: 3, minimumFloor: 500, lateFee: 1500 }
+};
+
+/**
+ * Whether an account is a credit card (and so follows card payment rules).
+ * @param {object} account A bank account document.
+ * @returns {boolean}
+ */
+export function isCreditCard(account) {
+    return account?.accountType === 'Credit Card';
+}
+
+/**
+ * Resolves a card's payment rules: PH defaults, then the issuer's terms, then the account's own overrides.
+ * @param {object} account A bank account document (provider, accountType, paymentRules).
+ * @returns {object|null} The rules, or null for non-card debts, which keep their fixed minimumPayment.
+ */
+export function resolveCardRules(account) {
+    if (!isCreditCard(account)) return null;
+    return {
+        ...PH_CARD_DEFAULTS,
+        ...(ISSUER_CARD_RULES[account.provider] || {}),
+        ...(account.paymentRules || {})
+    };
+}
+
+/**
+ * Minimum amount due on a statement balance.
+ * @param {object|null} rules Resolved card rules, or null for a fixed minimum.
+ * @param {number} balance Statement balance.
+ * @param {number} [fixedMinimum=0] The account's fixed minimumPayment.
+ * @returns {number}
+ */
+export function minimumDue(rules, balance, fixedMinimum = 0) {
+    if (balance <= 0) return 0;
+    if (!rules || rules.minimumType === 'fixed') return Math.min(balance, fixedMinimum);
+    return Math.min(balance, Math.max(balance * (rules.minimumPercent / 100), rules.minimumFloor));
+}
+
+/**
+ * Finance charge for one billing cycle, with no new purchases (so the average daily balance is the balance).
+ * @param {object|null} rules Resolved card rules, or null for simple monthly interest.
+ * @param {number} balance Balance carried through the cycle.
+ * @param {number} annualRate Annual rate in percent.
+ * @param {number} [daysInCycle=30] Days in the billing cycle, for daily-balance interest.
+ * @returns {number}
+ */
+export function financeCharge(rules, balance, annualRate, daysInCycle = 30) {
+    if (balance <= 0) return 0;
+    const charge = rules?.interestMethod === 'daily'
+        ? balance * (annualRate / 100 / 365) * daysInCycle
+        : (balance * (annualRate / 100)) / 12;
+    return rules?.financeChargeCap !== undefined
+        ? Math.min(charge, balance * (rules.financeChargeCap / 100))
+        : charge;
+}
+
+/**
+ * Late fee when a payment falls short of the minimum due.
+ * @param {object|null} rules Resolved card rules; non-card debts are not charged here.
+ * @param {number} unpaidMinimum Part of the minimum that was not paid.
+ * @returns {number}
+ */
+export function lateFee(rules, unpaidMinimum) {
+    if (!rules || unpaidMinimum <= 0.01) return 0;
+    return rules.lateFeeCapAtUnpaid ? Math.min(rules.lateFee, unpaidMinimum) : rules.lateFee;
+}
@@ -0,0 +1,152 @@
+// Client for the user's category tree (/api/categories).
+// Transactions store a category key: 'food' for a top-level category, 'bills:load/data' for a sub-category.
+// Reports roll sub-categories up to their top-level category; keys without a category (older data) show as-is.
+
+import { auth } from "./firestoredb.js";
+
+// Icons offered when creating a category (Font Awesome 6 free, solid)
+export const CATEGORY_ICONS = [
+    'fa-tag', 'fa-utensils', 'fa-shopping-bag', 'fa-file-invoice', 'fa-bus', 'fa-gas-pump', 'fa-film', 'fa-home',
+    'fa-heartbeat', 'fa-graduation-cap', 'fa-paper-plane', 'fa-mobile-alt', 'fa-wifi', 'fa-bolt', 'fa-tint',
+    'fa-users', 'fa-piggy-bank', 'fa-baby', 'fa-paw', 'fa-church', 'fa-briefcase', 'fa-gift', 'fa-chart-line',
+    'fa-laptop', 'fa-hand-holding-usd'
+];
+
+const UNKNOWN_ICON = 'fa-tag';
+const UNKNOWN_COLOR = '#8b949e';
+
+let categoriesPromise = null;
+
+async function request(path = '', options = {}) {
+    const user = auth.currentUser;
+    if (!user) {
+        throw new Error('User not authenticated');
+    }
+
+    const response = await fetch(`/api/categories${path}`, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${await user.getIdToken()}`
+        }
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(body.error || `Category request failed with status ${response.status}`);
+    }
+    return body;
+}
+
+/**
+ * The current user's categories as a flat list, fetched once per page unless refreshed.
+ * @returns {Promise<Array<{id: string, key: string, name: string, type: string, parentId: string|null, icon: string, color: string}>>}
+ */
+export function getCategories({ refresh = false } = {}) {
+    if (!categoriesPromise || refresh) {
+        categoriesPromise = request().then(({ data }) => data);
+        categoriesPromise.catch(() => { categoriesPromise = null; });
+    }
+    return categoriesPromise;
+}
+
+/**
+ * Creates a category. Pass parentId to make it a sub-category.
+ * @param {{name: string, type: 'expense'|'income', parentId?: string, icon?: string, color?: string}} category
+ */
+export async function createCategory(category) {
+    const { data } = await request('', { method: 'POST', body: JSON.stringify(category) });
+    categoriesPromise = null;
+    return data;
+}
+
+/**
+ * Renames or restyles a category; transactions follow a rename.
+ * @returns {Promise<{data: object, migrated: number}>}
+ */
+export async function updateCategory(categoryId, changes) {
+    const result = await request(`/${encodeURIComponent(categoryId)}`, { method: 'PUT', body: JSON.stringify(changes) });
+    categoriesPromise = null;
+    return result;
+}
+
+/**
+ * Moves a category's transactions into another category and removes it.
+ * @returns {Promise<{data: object, migrated: number}>}
+ */
+export async function mergeCategory(categoryId, targetId) {
+    const result = await request(`/${encodeURIComponent(categoryId)}/merge`, { method: 'POST', body: JSON.stringify({ targetId }) });
+    categoriesPromise = null;
+    return result;
+}
+
+/**
+ * Removes a category; its transactions move to "Other".
+ * @returns {Promise<{data: object, migrated: number}>}
+ */
+export async function deleteCategory(categoryId) {
+    const result = await request(`/${encodeURIComponent(categoryId)}`, { method: 'DELETE' });
+    categoriesPromise = null;
+    return result;
+}
+
+/**
+ * Top-level categories of a type, each with its sorted `children`.
+ */
+export function buildCategoryTree(categories, type = null) {
+    const byName = (a, b) => a.name.localeCompare(b.name);
+    return categories
+        .filter(category => !category.parentId && (!type || category.type === type))
+        .sort(byName)
+        .map(parent => ({
+            ...parent,
+            children: categories.filter(category => category.parentId === parent.id).sort(byName)
+        }));
+}
+
+/**
+ * The category a stored key refers to. Unknown keys get a placeholder named after the key.
+ * @param {string} [type] Narrows the lookup when a key exists for both types ('other')
+ */
+export function findCategory(categories, value, type = null) {
+    const key = String(value || 'other').toLowerCase().trim();
+    const matches = (categories || []).filter(category => category.key === key);
+    const match = matches.find(category => !type || category.type === type) || matches[0];
+    if (match) return match;
+
+    const name = key.split(':').pop();
+    return { id: null, key, name: name.charAt(0).toUpperCase() + name.slice(1), type, parentId: null, icon: UNKNOWN_ICON, color: UNKNOWN_COLOR };
+}
+
+/**
+ * The top-level category a key rolls up to in reports.
+ */
+export function topLevelCategory(categories, value, type = null) {
+    const category = findCategory(categories, value, type);
+    if (!category.parentId) return category;
+    return (categories || []).find(item => item.id === category.parentId) || category;
+}
+
+/**
+ * Display name of a key, with its parent for sub-categories ("Bills › Load/Data").
+ */
+export function categoryLabel(categories, value, type = null) {
+    const category = findCategory(categories, value, type);
+    const parent = category.parentId && (categories || []).find(item => item.id === category.parentId);
+    return parent ? `${parent.name} › ${category.name}` : category.name;
+}
+
+/**
+ * Replaces a select's options with the categories of a type; sub-categories are indented under their parent.
+ */
+export function fillCategorySelect(select, categories, type) {
+    if (!select) return;
+    select.innerHTML = '';
+    buildCategoryTree(categories, type).forEach(parent => {
+        [parent, ...parent.children].forEach(category => {
+            const option = document.createElement('option');
+            option.value = category.key;
+            option.textContent = category.parentId ? `\u00A0\u00A0↳ ${category.name}` : category.name;
+            select.appendChild(option);
+        });
+    });
+}
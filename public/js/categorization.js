@@ -0,0 +1,115 @@
+// Client for category suggestions and rules.
+// The server (/api/categorize, /api/category-rules) applies the user's rules first, then a model
+// trained on how they categorized past transactions.
+
+import { auth } from "./firestoredb.js";
+
+async function request(path, options = {}) {
+    const user = auth.currentUser;
+    if (!user) {
+        throw new Error('User not authenticated');
+    }
+
+    const response = await fetch(`/api${path}`, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${await user.getIdToken()}`
+        }
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(body.error || `Category request failed with status ${response.status}`);
+    }
+    return body;
+}
+
+/**
+ * Suggests a category for a description.
+ * @returns {Promise<{category: string, source: 'rule'|'learned', confidence: number}|null>} null when unsure.
+ */
+export async function suggestCategory(description, type = 'expense') {
+    const { data } = await request('/categorize', { method: 'POST', body: JSON.stringify({ description, type }) });
+    return data;
+}
+
+/**
+ * Lists the current user's category rules.
+ * @returns {Promise<Array<{id: string, pattern: string, matchType: string, category: string, type: string|null}>>}
+ */
+export async function getCategoryRules() {
+    const { data } = await request('/category-rules');
+    return data;
+}
+
+/**
+ * Creates a rule, e.g. { pattern: 'Jollibee', category: 'food' }. matchType is 'contains' (default),
+ * 'startsWith' or 'equals'; type limits it to 'expense' or 'income'.
+ * @returns {Promise<object>} The saved rule.
+ */
+export async function createCategoryRule(rule) {
+    const { data } = await request('/category-rules', { method: 'POST', body: JSON.stringify(rule) });
+    return data;
+}
+
+export async function deleteCategoryRule(ruleId) {
+    await request(`/category-rules/${encodeURIComponent(ruleId)}`, { method: 'DELETE' });
+}
+
+/**
+ * Finds transactions from the same merchant or payee.
+ * @returns {Promise<{key: string|null, category: string, transactions: Array<object>}>}
+ */
+export async function findSimilarTransactions(transactionId) {
+    const { data } = await request(`/transactions/${encodeURIComponent(transactionId)}/similar`);
+    return data;
+}
+
+/**
+ * Gives a transaction and all similar ones a category.
+ * @param {object} [options]
+ * @param {boolean} [options.createRule] Also categorize future transactions from this merchant the same way.
+ * @returns {Promise<{key: string|null, category: string, updated: number, rule: object|null}>}
+ */
+export async function applyCategoryToSimilar(transactionId, category, { createRule = false } = {}) {
+    return request(`/transactions/${encodeURIComponent(transactionId)}/apply-category`, {
+        method: 'POST',
+        body: JSON.stringify({ category, createRule })
+    });
+}
+
+/**
+ * Fills a category select from the description as the user types, until they pick a category themselves.
+ * Suggestions the select does not offer are ignored.
+ * @param {object} fields
+ * @param {HTMLInputElement} fields.descriptionInput
+ * @param {HTMLSelectElement} fields.typeSelect
+ * @param {HTMLSelectElement} fields.categorySelect
+ * @param {function(): boolean} [fields.isEnabled] Return false to pause suggestions (e.g. while editing).
+ */
+export function attachCategorySuggestions({ descriptionInput, typeSelect, categorySelect, isEnabled = () => true }) {
+    if (!descriptionInput || !typeSelect || !categorySelect) return;
+    let timer = null;
+
+    categorySelect.addEventListener('change', (e) => {
+        // Only the user's own picks stop suggestions; ours are set without a change event
+        if (e.isTrusted) categorySelect.dataset.userPicked = 'true';
+    });
+
+    descriptionInput.addEventListener('input', () => {
+        clearTimeout(timer);
+        timer = setTimeout(async () => {
+            const description = descriptionInput.value.trim();
+            if (description.length < 3 || categorySelect.dataset.userPicked === 'true' || !isEnabled()) return;
+            try {
+                const suggestion = await suggestCategory(description, typeSelect.value);
+                const option = suggestion && [...categorySelect.options].find(item => item.value === suggestion.category);
+                if (option && descriptionInput.value.trim() === description) {
+                    categorySelect.value = option.value;
+                }
+            } catch (error) {
+                console.warn('⚠️ Category suggestion unavailable:', error.message);
+            }
+        }, 400);
+    });
+}
@@ -0,0 +1,83 @@
+// Currencies and conversion between them.
+// Accounts and transactions carry a `currency` (PHP when missing). FX rates are pesos per unit of a currency
+// on a day (see fxRates.js); an amount converts at the latest rate on or before its date.
+
+export const BASE_CURRENCY = 'PHP';
+
+// Peso plus the currencies OFWs are most often paid in (mirrors lib/fx-rates.js)
+export const CURRENCIES = {
+    PHP: { symbol: '₱', name: 'Philippine Peso' },
+    USD: { symbol: '$', name: 'US Dollar' },
+    SAR: { symbol: 'SAR ', name: 'Saudi Riyal' },
+    AED: { symbol: 'AED ', name: 'UAE Dirham' },
+    HKD: { symbol: 'HK$', name: 'Hong Kong Dollar' },
+    SGD: { symbol: 'S$', name: 'Singapore Dollar' },
+    QAR: { symbol: 'QAR ', name: 'Qatari Riyal' },
+    KWD: { symbol: 'KWD ', name: 'Kuwaiti Dinar' },
+    JPY: { symbol: '¥', name: 'Japanese Yen' },
+    EUR: { symbol: '€', name: 'Euro' },
+    GBP: { symbol: '£', name: 'British Pound' },
+    CAD: { symbol: 'C$', name: 'Canadian Dollar' },
+    AUD: { symbol: 'A$', name: 'Australian Dollar' }
+};
+
+export function currencyOf(record) {
+    return String(record?.currency || BASE_CURRENCY).toUpperCase();
+}
+
+/**
+ * Formats an amount with its currency's symbol, e.g. ₱1,250.00, $300.00 or SAR 1,500.00.
+ */
+export function formatMoney(amount, currency = BASE_CURRENCY, { decimals = 2 } = {}) {
+    const symbol = CURRENCIES[currency]?.symbol ?? `${currency} `;
+    const value = parseFloat(amount) || 0;
+    const formatted = Math.abs(value).toLocaleString('en-US', { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+    return `${value < 0 ? '-' : ''}${symbol}${formatted}`;
+}
+
+/**
+ * A converter to the home currency from a set of rates ({ currency, rate, date }).
+ * `convert` returns null when a currency has no rate; `toHome` falls back to the unconverted amount.
+ */
+export function createConverter({ homeCurrency = BASE_CURRENCY, rates = [] } = {}) {
+    const byCurrency = {};
+    rates.forEach(({ currency, rate, date }) => {
+        (byCurrency[currency] = byCurrency[currency] || []).push({ rate, date });
+    });
+    Object.values(byCurrency).forEach(list => list.sort((a, b) => a.date.localeCompare(b.date)));
+
+    function rateOn(currency, date) {
+        if (currency === BASE_CURRENCY) return 1;
+        const list = byCurrency[currency];
+        if (!list || list.length === 0) return null;
+        const day = String(date || new Date().toISOString()).slice(0, 10);
+        let found = list[0];
+        for (const entry of list) {
+            if (entry.date > day) break;
+            found = entry;
+        }
+        return found.rate;
+    }
+
+    function convert(amount, from, date) {
+        const value = parseFloat(amount) || 0;
+        if (from === homeCurrency) return value;
+        const fromRate = rateOn(from, date);
+        const toRate = rateOn(homeCurrency, date);
+        if (fromRate === null || toRate === null) return null;
+        return Math.round((value * fromRate / toRate) * 100) / 100;
+    }
+
+    return {
+        homeCurrency,
+        convert,
+        // A record's amount (or balance, with field 'balance') in the home currency
+        toHome(record, field = 'amount', date = record?.date) {
+            const converted = convert(record?.[field], currencyOf(record), date);
+            return converted === null ? parseFloat(record?.[field]) || 0 : converted;
+        },
+        format(amount, options) {
+            return formatMoney(amount, homeCurrency, options);
+        }
+    };
+}
@@ -11,22 +11,50 @@ import {
   deleteTransaction as deleteFirestoreTransaction,
   storeBankAccount,
   getUserBankAccounts,
-  updateBankAccount,
   db
 } from "./firestoredb.js";
 import { ref, uploadBytes, getDownloadURL } from "https://www.gstatic.com/firebasejs/11.5.0/firebase-storage.js";
+import { collection, onSnapshot } from "https://www.gstatic.com/firebasejs/11.5.0/firebase-firestore.js";
 import { firebaseConfig } from "./config.js";
 import { validateName, validateCardNumber, validateAmount, validateDate, showValidationError, clearAllValidationErrors, sanitizeString, secureStorage } from "./helpers.js";
+import { sendAgentChatMessage, getAgentConversation } from "./agentCommon.js";
+import { getCategories, topLevelCategory, categoryLabel, findCategory, fillCategorySelect } from "./categories.js";
+import { getBudgets, createBudget, deleteBudget, checkBudgetAlerts, BUDGET_PERIODS, ROLLOVER_MODES } from "./budgets.js";
+import { showToast, notifyBudgetAlerts, notifyBillReminders } from "./utils/notifications.js";
+import { checkBillReminders } from "./bills.js";
+import { createConverter, formatMoney } from "./currency.js";
+import { loadConverter } from "./fxRates.js";
+import { getNetWorthHistory, takeNetWorthSnapshot } from "./netWorth.js";
 
 // Initialize Firebase
 const app = initializeApp(firebaseConfig);
 const analytics = getAnalytics(app);
 const auth = getAuth(app);
 
+// The user's categories; the spending chart splits expenses by their top-level category once loaded
+let userCategories = [];
+
+// Totals and charts are in the user's home currency; pesos until their FX rates load
+let currencyConverter = createConverter();
+
+// Transfers between the user's own accounts are shown without a sign and left out of income and expense totals
+const TRANSACTION_TYPE_LABELS = { income: 'Income', expense: 'Expense', transfer: 'Transfer' };
+const amountSign = type => (type === 'income' ? '+' : type === 'transfer' ? '' : '-');
+
+// Budgets refresh shortly after the user's transactions change, so a burst of writes refreshes once
+const BUDGET_REFRESH_DELAY = 500;
+let budgetRefreshTimer = null;
+let stopWatchingTransactions = null;
+
+// Net worth chart (daily snapshots) and how many month-end changes to list under it
+let netWorthChart = null;
+const NET_WORTH_MONTHS_SHOWN = 6;
+
 document.addEventListener('DOMContentLoaded', function () {
   // Initialize page navigation
   initializeNavigation();
   initializeAgentCardNavigation();
+  initializeChatbot();
 
   // Check if user is logged in
   onAuthStateChanged(auth, async (user) => {
@@ -272,6 +300,9 @@ async function initializeDashboard() {
     initializeBankModalToggles();
     initializeTransactionForm();
     initializeBankForm();
+    await initializeBudgets();
+    await initializeNetWorth();
+    checkBills();
     
     // Add sample data for new users
     const sampleDataAdded = await secureStorage.getItem('sampleDataAdded');
@@ -287,6 +318,247 @@ async function initializeDashboard() {
   }
 }
 
+// Budgets widget: progress bars per budget, kept live by watching the user's transactions
+async function initializeBudgets() {
+  const form = document.getElementById('budget-form');
+  const user = auth.currentUser;
+  if (!form || !user) return;
+
+  const fillOptions = (select, labels, selected) => {
+    select.innerHTML = Object.entries(labels)
+      .map(([value, label]) => `<option value="${value}"${value === selected ? ' selected' : ''}>${label}</option>`)
+      .join('');
+  };
+  fillOptions(document.getElementById('budget-period'), BUDGET_PERIODS, 'monthly');
+  fillOptions(document.getElementById('budget-rollover'), ROLLOVER_MODES, 'none');
+
+  try {
+    userCategories = await getCategories();
+  } catch (error) {
+    console.warn('Categories unavailable for budgets:', error.message);
+  }
+  fillCategorySelect(document.getElementById('budget-category'), userCategories, 'expense');
+
+  form.addEventListener('submit', handleBudgetSubmit);
+  document.getElementById('budget-list').addEventListener('click', handleBudgetListClick);
+
+  // Fires once with the current transactions, then on every add, edit or delete (from any tab or the server)
+  if (stopWatchingTransactions) stopWatchingTransactions();
+  stopWatchingTransactions = onSnapshot(
+    collection(db, 'users', user.uid, 'transactions'),
+    () => scheduleBudgetRefresh(),
+    error => console.warn('⚠️ Live budget tracking unavailable:', error.message)
+  );
+}
+
+function scheduleBudgetRefresh() {
+  clearTimeout(budgetRefreshTimer);
+  budgetRefreshTimer = setTimeout(refreshBudgets, BUDGET_REFRESH_DELAY);
+}
+
+async function refreshBudgets() {
+  try {
+    renderBudgets(await getBudgets());
+    const alerts = await checkBudgetAlerts();
+    notifyBudgetAlerts(alerts, { labelFor: alert => categoryLabel(userCategories, alert.category, 'expense') });
+  } catch (error) {
+    console.error('Error refreshing budgets:', error);
+  }
+}
+
+function renderBudgets(budgets) {
+  const list = document.getElementById('budget-list');
+  const emptyState = document.getElementById('budget-empty-state');
+  if (!list) return;
+
+  list.innerHTML = '';
+  if (emptyState) emptyState.style.display = budgets.length === 0 ? 'block' : 'none';
+
+  const money = value => `₱${value.toLocaleString('en-PH', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  budgets.forEach(budget => {
+    const { status } = budget;
+    const category = findCategory(userCategories, budget.category, 'expense');
+    const item = document.createElement('li');
+    item.className = `budget-item ${status.state}`;
+    item.innerHTML = `
+      <div class="budget-item-header">
+        <span class="budget-name"><i class="fas ${category.icon}" style="color: ${category.color}"></i><span></span></span>
+        <span class="budget-figures">${money(status.spent)} of ${money(status.available)}</span>
+        <button type="button" class="budget-delete" data-id="${budget.id}" aria-label="Delete budget">
+          <i class="fas fa-trash"></i>
+        </button>
+      </div>
+      <div class="budget-progress" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${Math.min(status.percent, 100)}">
+        <div class="budget-progress-fill" style="width: ${Math.min(status.percent, 100)}%"></div>
+      </div>
+      <div class="budget-meta"></div>
+    `;
+    // Category names are user input
+    item.querySelector('.budget-name span').textContent = categoryLabel(userCategories, budget.category, 'expense');
+
+    const remaining = status.remaining >= 0 ? `${money(status.remaining)} left` : `${money(-status.remaining)} over`;
+    const carried = status.carriedOver !== 0 ? ` • ${status.carriedOver > 0 ? '+' : '-'}${money(Math.abs(status.carriedOver))} rolled over` : '';
+    item.querySelector('.budget-meta').textContent =
+      `${status.percent}% • ${remaining} • ${BUDGET_PERIODS[budget.period]} until ${status.periodEnd}${carried}`;
+    list.appendChild(item);
+  });
+}
+
+async function handleBudgetSubmit(e) {
+  e.preventDefault();
+  const form = e.target;
+  try {
+    await createBudget({
+      category: document.getElementById('budget-category').value,
+      amount: parseFloat(document.getElementById('budget-amount').value),
+      period: document.getElementById('budget-period').value,
+      rollover: document.getElementById('budget-rollover').value
+    });
+    form.reset();
+    document.getElementById('budget-period').value = 'monthly';
+    document.getElementById('budget-rollover').value = 'none';
+    showToast('Budget saved', 'success');
+    await refreshBudgets();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+async function handleBudgetListClick(e) {
+  const button = e.target.closest('.budget-delete');
+  if (!button || !confirm('Delete this budget?')) return;
+  try {
+    await deleteBudget(button.dataset.id);
+    await refreshBudgets();
+  } catch (error) {
+    showToast(error.message, 'error');
+  }
+}
+
+// Bills due soon or overdue, shown once per due date (the bill calendar page has the full list)
+async function checkBills() {
+  try {
+    notifyBillReminders(await checkBillReminders());
+  } catch (error) {
+    console.error('Error checking bill reminders:', error);
+  }
+}
+
+// Net worth widget: daily snapshots from the server job, charted, with month-over-month changes
+async function initializeNetWorth() {
+  const button = document.getElementById('net-worth-snapshot');
+  if (!button) return;
+
+  button.addEventListener('click', async () => {
+    button.disabled = true;
+    try {
+      await takeNetWorthSnapshot();
+      renderNetWorth(await getNetWorthHistory({ refresh: true }));
+      showToast('Net worth updated', 'success');
+    } catch (error) {
+      showToast(error.message, 'error');
+    } finally {
+      button.disabled = false;
+    }
+  });
+
+  try {
+    renderNetWorth(await getNetWorthHistory());
+  } catch (error) {
+    console.error('Error loading net worth history:', error);
+  }
+}
+
+function renderNetWorth({ currency, snapshots, monthly, trend }) {
+  const money = (value, options) => formatMoney(value, currency, options);
+  const signed = value => `${value >= 0 ? '+' : '-'}${money(Math.abs(value))}`;
+  const direction = value => (value > 0 ? 'up' : value < 0 ? 'down' : '');
+  document.getElementById('net-worth-empty-state').style.display = snapshots.length === 0 ? 'block' : 'none';
+
+  const total = document.getElementById('net-worth-total');
+  const change = document.getElementById('net-worth-change');
+  total.textContent = trend ? money(trend.netWorth) : '—';
+  const latestMonth = monthly[monthly.length - 1];
+  if (latestMonth && latestMonth.change !== null) {
+    const percent = latestMonth.changePercent === null ? '' : ` (${latestMonth.changePercent > 0 ? '+' : ''}${latestMonth.changePercent}%)`;
+    change.textContent = `${signed(latestMonth.change)}${percent} since last month`;
+    change.className = `net-worth-change ${direction(latestMonth.change)}`;
+  } else {
+    change.textContent = trend ? `As of ${trend.date}` : '';
+    change.className = 'net-worth-change';
+  }
+
+  const months = document.getElementById('net-worth-months');
+  months.innerHTML = '';
+  monthly.slice(-NET_WORTH_MONTHS_SHOWN).reverse().forEach(month => {
+    const item = document.createElement('li');
+    const label = new Date(`${month.month}-01T00:00:00`).toLocaleDateString('en-PH', { month: 'short', year: 'numeric' });
+    item.innerHTML = `
+      <span class="net-worth-month-label">${label}</span>
+      <strong>${money(month.netWorth)}</strong>
+      <span class="net-worth-month-change ${month.change === null ? '' : direction(month.change)}">${month.change === null ? 'First month' : signed(month.change)}</span>
+    `;
+    months.appendChild(item);
+  });
+
+  const canvas = document.getElementById('net-worth-chart');
+  if (!canvas || typeof Chart === 'undefined') return;
+  if (netWorthChart) netWorthChart.destroy();
+  netWorthChart = new Chart(canvas.getContext('2d'), {
+    type: 'line',
+    data: {
+      labels: snapshots.map(snapshot => snapshot.date),
+      datasets: [
+        {
+          label: 'Net Worth',
+          data: snapshots.map(snapshot => snapshot.netWorth),
+          backgroundColor: 'rgba(16, 223, 111, 0.2)',
+          borderColor: '#10df6f',
+          borderWidth: 2,
+          tension: 0.3,
+          fill: true,
+          pointRadius: 0
+        },
+        {
+          label: 'Liabilities',
+          data: snapshots.map(snapshot => snapshot.liabilities),
+          backgroundColor: 'transparent',
+          borderColor: '#e96d1f',
+          borderWidth: 2,
+          tension: 0.3,
+          fill: false,
+          pointRadius: 0
+        }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      interaction: { mode: 'index', intersect: false },
+      plugins: {
+        legend: {
+          labels: { color: 'rgba(255, 255, 255, 0.7)', usePointStyle: true, pointStyle: 'line' }
+        },
+        tooltip: {
+          callbacks: {
+            label: context => `${context.dataset.label}: ${money(context.raw)}`
+          }
+        }
+      },
+      scales: {
+        x: {
+          grid: { color: 'rgba(255, 255, 255, 0.05)' },
+          ticks: { color: 'rgba(255, 255, 255, 0.7)', maxTicksLimit: 8 }
+        },
+        y: {
+          grid: { color: 'rgba(255, 255, 255, 0.05)' },
+          ticks: { color: 'rgba(255, 255, 255, 0.7)', callback: value => money(value, { decimals: 0 }) }
+        }
+      }
+    }
+  });
+}
+
 function initializeSpendingChart() {
   const ctx = document.getElementById('spendingChart');
   if (!ctx) {
@@ -343,7 +615,7 @@ function initializeSpendingChart() {
           enabled: true,
           callbacks: {
             label: function (context) {
-              return `${context.dataset.label}: ₱${Math.abs(context.raw).toLocaleString()}`;
+              return `${context.dataset.label}: ${currencyConverter.format(Math.abs(context.raw))}`;
             }
           }
         }
@@ -366,7 +638,7 @@ function initializeSpendingChart() {
           ticks: {
             color: 'rgba(255, 255, 255, 0.7)',
             callback: function (value) {
-              return '₱' + value.toLocaleString();
+              return currencyConverter.format(value, { decimals: 0 });
             }
           }
         }
@@ -390,7 +662,16 @@ async function loadTransactionData() {
   }
   
   try {
-    const transactions = await getUserTransactions(user.uid);
+    const [transactions, categories, converter] = await Promise.all([
+      getUserTransactions(user.uid),
+      getCategories().catch(error => {
+        console.warn('Categories unavailable, showing expenses as one series:', error.message);
+        return [];
+      }),
+      loadConverter()
+    ]);
+    userCategories = categories;
+    currencyConverter = converter;
     updateSpendingChart(transactions);
   } catch (error) {
     console.error('Error loading transaction data for chart:', error);
@@ -406,44 +687,55 @@ function updateSpendingChart(transactions) {
     income: { 'Mon': 0, 'Tue': 0, 'Wed': 0, 'Thu': 0, 'Fri': 0, 'Sat': 0, 'Sun': 0 },
     expenses: { 'Mon': 0, 'Tue': 0, 'Wed': 0, 'Thu': 0, 'Fri': 0, 'Sat': 0, 'Sun': 0 }
   };
+  // Expenses by top-level category (sub-categories roll up into their parent)
+  const expensesByCategory = new Map();
 
   const daysOfWeek = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const chartDays = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
 
   // Process each transaction
   transactions.forEach(transaction => {
     if (transaction.amount && transaction.date) {
       const date = new Date(transaction.date);
       const dayName = daysOfWeek[date.getDay()];
-      const amount = Math.abs(parseFloat(transaction.amount));
+      const amount = Math.abs(currencyConverter.toHome(transaction));
 
       if (transaction.type === 'income') {
         dailyData.income[dayName] += amount;
-      } else {
+      } else if (transaction.type === 'expense') {
         dailyData.expenses[dayName] += amount;
+
+        const category = topLevelCategory(userCategories, transaction.category, 'expense');
+        if (!expensesByCategory.has(category.key)) {
+          expensesByCategory.set(category.key, { category, days: Object.fromEntries(chartDays.map(day => [day, 0])) });
+        }
+        expensesByCategory.get(category.key).days[dayName] += amount;
       }
     }
   });
 
   // Update chart data
-  window.spendingChart.data.datasets[0].data = [
-    dailyData.income['Mon'],
-    dailyData.income['Tue'],
-    dailyData.income['Wed'],
-    dailyData.income['Thu'],
-    dailyData.income['Fri'],
-    dailyData.income['Sat'],
-    dailyData.income['Sun']
-  ];
-
-  window.spendingChart.data.datasets[1].data = [
-    dailyData.expenses['Mon'],
-    dailyData.expenses['Tue'],
-    dailyData.expenses['Wed'],
-    dailyData.expenses['Thu'],
-    dailyData.expenses['Fri'],
-    dailyData.expenses['Sat'],
-    dailyData.expenses['Sun']
-  ];
+  const [incomeDataset] = window.spendingChart.data.datasets;
+  incomeDataset.data = chartDays.map(day => dailyData.income[day]);
+
+  if (userCategories.length > 0) {
+    // One stacked bar per category, in the category's color
+    window.spendingChart.data.datasets = [
+      incomeDataset,
+      ...[...expensesByCategory.values()].map(({ category, days }) => ({
+        type: 'bar',
+        label: category.name,
+        data: chartDays.map(day => days[day]),
+        backgroundColor: category.color,
+        borderWidth: 0,
+        stack: 'expenses'
+      }))
+    ];
+    window.spendingChart.options.scales.x.stacked = true;
+    window.spendingChart.options.scales.y.stacked = true;
+  } else {
+    window.spendingChart.data.datasets[1].data = chartDays.map(day => dailyData.expenses[day]);
+  }
 
   window.spendingChart.update();
 }
@@ -475,15 +767,15 @@ function renderRecentTransactionsList(transactions) {
 
   transactionsList.innerHTML = recentTransactions.map(transaction => {
     const date = new Date(transaction.date).toLocaleDateString();
-    const amountClass = transaction.type === 'income' ? 'transaction-amount income' : 'transaction-amount expense';
-    const amountPrefix = transaction.type === 'income' ? '+' : '-';
+    const amountClass = `transaction-amount ${transaction.type === 'transfer' ? 'transfer' : transaction.type === 'income' ? 'income' : 'expense'}`;
+    const amountPrefix = amountSign(transaction.type);
     
     return `
       <div class="transaction-item">
         <div class="transaction-info">
           <div class="transaction-description">${transaction.name || transaction.description || 'Unnamed'}</div>
           <div class="transaction-date">${date}</div>
-          <div class="transaction-category">${transaction.category || 'Other'}</div>
+          <div class="transaction-category">${categoryLabel(userCategories, transaction.category, transaction.type)}</div>
         </div>
         <div class="${amountClass}">${amountPrefix} ₱${parseFloat(transaction.amount).toFixed(2)}</div>
         <button class="delete-transaction" data-id="${transaction.id}">
@@ -809,33 +1101,6 @@ if (addTransactionForm) {
       return;
     }
 
-    // Only update account balance if an actual account is selected
-    if (accountField.value !== "no_account") {
-      // Get the account to update its balance
-      const accounts = await getUserBankAccounts(user.uid);
-      const accountToUpdate = accounts.find(acc => acc.id === accountField.value);
-
-      if (!accountToUpdate) {
-        throw new Error('Selected account not found');
-      }
-
-      // Calculate transaction amount (negative for expense, positive for income)
-      const transactionAmount = typeField && typeField.value === 'income' ? Math.abs(amount) : -Math.abs(amount);
-
-      // Calculate new balance
-      const newBalance = parseFloat(accountToUpdate.balance) + transactionAmount;
-
-      // Update the account balance
-      const accountUpdateSuccess = await updateBankAccount(user.uid, accountField.value, {
-        balance: newBalance,
-        lastUpdated: new Date().toISOString()
-      });
-
-      if (!accountUpdateSuccess) {
-        throw new Error('Failed to update account balance');
-      }
-    }
-
     // Create the transaction data object
     const transactionData = {
       id: Date.now().toString(),
@@ -1010,10 +1275,10 @@ function renderTransactions(transactions) {
   tableBody.innerHTML = transactions.map(transaction => `
     <tr data-transaction-id="${transaction.id}" class="transaction-row" style="cursor: pointer;">
       <td>${transaction.name}</td>
-      <td class="${transaction.type === 'income' ? 'positive' : 'negative'}">
-        ${transaction.type === 'income' ? '+' : '-'}₱${Math.abs(transaction.amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+      <td class="${transaction.type === 'income' ? 'positive' : transaction.type === 'transfer' ? '' : 'negative'}">
+        ${amountSign(transaction.type)}₱${Math.abs(transaction.amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
       </td>
-      <td><span class="transaction-type ${transaction.type}">${transaction.type === 'income' ? 'Income' : 'Expense'}</span></td>
+      <td><span class="transaction-type ${transaction.type}">${TRANSACTION_TYPE_LABELS[transaction.type] || 'Expense'}</span></td>
       <td>${new Date(transaction.date).toLocaleDateString()}</td>
       <td>${transaction.channel}</td>
       <td>${transaction.category}</td>
@@ -1036,35 +1301,7 @@ function renderTransactions(transactions) {
       
       if (confirm('Are you sure you want to delete this transaction?')) {
         try {
-          // First get the transaction details to know which account to update
-          const allTransactions = await getUserTransactions(user.uid);
-            const transaction = allTransactions.find(t => t.id === transactionId);
-
-            if (!transaction) {
-              throw new Error('Transaction not found');
-            }
-
-            // If the transaction has an associated account, update its balance
-            if (transaction.accountId) {
-              // Get the account
-              const accounts = await getUserBankAccounts(user.uid);
-              const accountToUpdate = accounts.find(acc => acc.id === transaction.accountId);
-
-              if (accountToUpdate) {
-                // Reverse the transaction effect on balance
-                // If it was an expense (negative amount), add it back
-                // If it was income (positive amount), subtract it
-                const newBalance = parseFloat(accountToUpdate.balance) - parseFloat(transaction.amount);
-
-                // Update the account balance
-                await updateBankAccount(user.uid, transaction.accountId, {
-                  balance: newBalance,
-                  lastUpdated: new Date().toISOString()
-                });
-              }
-            }
-
-            // Delete the transaction
+            // Delete the transaction; its account balance is moved back in the same Firestore transaction
             const success = await deleteFirestoreTransaction(user.uid, transactionId);
 
             if (success) {
@@ -1321,19 +1558,21 @@ async function updateBalanceSummary() {
 
     // Get both transactions and accounts
     console.log('Fetching transactions and accounts...');
-    const [transactions, accounts] = await Promise.all([
+    const [transactions, accounts, converter] = await Promise.all([
       getUserTransactions(user.uid),
-      getUserBankAccounts(user.uid)
+      getUserBankAccounts(user.uid),
+      loadConverter()
     ]);
+    currencyConverter = converter;
     console.log('Data fetched:', {
       transactionsCount: transactions ? transactions.length : 0,
       accountsCount: accounts ? accounts.length : 0
     });
     
-    // Calculate total balance from accounts
+    // Calculate total balance from accounts, in the home currency
     let currentBalance = 0;
     if (accounts && accounts.length > 0) {
-      currentBalance = accounts.reduce((sum, account) => sum + parseFloat(account.balance || 0), 0);
+      currentBalance = accounts.reduce((sum, account) => sum + currencyConverter.toHome(account, 'balance', null), 0);
       console.log('Calculated current balance from accounts:', currentBalance);
     }
 
@@ -1344,7 +1583,7 @@ async function updateBalanceSummary() {
     if (transactions && transactions.length > 0) {
       console.log('Processing transactions for income/expense calculation:');
       transactions.forEach((transaction, index) => {
-        const amount = parseFloat(transaction.amount || 0);
+        const amount = currencyConverter.toHome(transaction);
         console.log(`Transaction ${index + 1}:`, {
           name: transaction.name,
           type: transaction.type,
@@ -1379,9 +1618,9 @@ async function updateBalanceSummary() {
     });
 
     // Format balance with currency symbol and thousands separators
-    const formattedBalance = `₱${currentBalance.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
-    const formattedIncome = `₱${totalIncome.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
-    const formattedExpenses = `₱${totalExpenses.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    const formattedBalance = currencyConverter.format(currentBalance);
+    const formattedIncome = currencyConverter.format(totalIncome);
+    const formattedExpenses = currencyConverter.format(totalExpenses);
 
     console.log('Formatted values:', { formattedBalance, formattedIncome, formattedExpenses });
 
@@ -1397,7 +1636,7 @@ async function updateBalanceSummary() {
       if (element) {
         // Check if the value has changed
         const currentValue = element.textContent.trim();
-        const currentBalanceNum = parseFloat(currentValue.replace(/[₱,\s]/g, '')) || 0;
+        const currentBalanceNum = parseFloat(currentValue.replace(/[^0-9.-]/g, '')) || 0;
         console.log(`Current balance for ${id}:`, currentBalanceNum, 'New balance:', currentBalance);
         
         // Update the element
@@ -1932,8 +2171,8 @@ function showTransactionDetails(transactionId, transactions) {
 
   // Fill in the details
   document.getElementById('view-transaction-name').textContent = transaction.name || 'N/A';
-  document.getElementById('view-transaction-amount').textContent = `${transaction.type === 'income' ? '+' : '-'}₱${Math.abs(transaction.amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
-  document.getElementById('view-transaction-amount').className = transaction.type === 'income' ? 'detail-value positive' : 'detail-value negative';
+  document.getElementById('view-transaction-amount').textContent = `${amountSign(transaction.type)}₱${Math.abs(transaction.amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  document.getElementById('view-transaction-amount').className = transaction.type === 'income' ? 'detail-value positive' : transaction.type === 'transfer' ? 'detail-value' : 'detail-value negative';
 
   // Display account information if available
   const accountElement = document.getElementById('view-transaction-account');
@@ -1969,7 +2208,7 @@ function showTransactionDetails(transactionId, transactions) {
 
   // Show the type 
   const typeElement = document.getElementById('view-transaction-status');
-  typeElement.textContent = transaction.type === 'income' ? 'Income' : 'Expense';
+  typeElement.textContent = TRANSACTION_TYPE_LABELS[transaction.type] || 'Expense';
   typeElement.className = `detail-value transaction-type ${transaction.type}`;
 
   // Set notes if available
@@ -2201,8 +2440,96 @@ async function addSampleTransactions() {
   }
 }
 
+// Dashboard chat contexts map onto the backend agent personas
+const DASHBOARD_CHAT_AGENTS = {
+  'expense-forecaster': 'gastosGuardian',
+  'subscription-manager': 'gastosGuardian',
+  'financial-time-machine': 'peraPlanner',
+  'debt-demolisher': 'debtDemolisher'
+};
+
+let activeChatAgent = 'iponCoach';
+
+function initializeChatbot() {
+  const toggle = document.getElementById('chatbotToggle');
+  const closeBtn = document.getElementById('closeChatbot');
+  const sendBtn = document.getElementById('sendMessage');
+  const input = document.getElementById('userInput');
+
+  if (toggle) {
+    toggle.addEventListener('click', () => {
+      const chatbotWindow = document.getElementById('chatbotWindow');
+      if (chatbotWindow && chatbotWindow.classList.contains('active')) {
+        hideChatbot();
+      } else {
+        showChatbot();
+      }
+    });
+  }
+
+  if (closeBtn) {
+    closeBtn.addEventListener('click', hideChatbot);
+  }
+
+  if (sendBtn) {
+    sendBtn.addEventListener('click', sendChatbotMessage);
+  }
+
+  if (input) {
+    input.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') {
+        sendChatbotMessage();
+      }
+    });
+  }
+}
+
+function hideChatbot() {
+  const chatbotWindow = document.getElementById('chatbotWindow');
+  if (!chatbotWindow) return;
+
+  chatbotWindow.style.opacity = '0';
+  chatbotWindow.style.transform = 'translateY(20px)';
+  chatbotWindow.classList.remove('active');
+  setTimeout(() => {
+    chatbotWindow.style.display = 'none';
+  }, 300);
+}
+
+function appendChatMessage(content, role) {
+  const chatMessages = document.getElementById('chatMessages');
+  if (!chatMessages) return null;
+
+  const messageDiv = document.createElement('div');
+  messageDiv.classList.add('message', role === 'user' ? 'user-message' : 'bot-message');
+  messageDiv.textContent = content;
+  chatMessages.appendChild(messageDiv);
+  chatMessages.scrollTop = chatMessages.scrollHeight;
+  return messageDiv;
+}
+
+async function sendChatbotMessage() {
+  const input = document.getElementById('userInput');
+  if (!input) return;
+
+  const message = input.value.trim();
+  if (!message) return;
+
+  input.value = '';
+  appendChatMessage(message, 'user');
+  const pending = appendChatMessage('Thinking...', 'assistant');
+
+  try {
+    const reply = await sendAgentChatMessage(activeChatAgent, message);
+    pending.textContent = reply;
+  } catch (error) {
+    console.error('Error sending chat message:', error);
+    pending.textContent = 'Sorry, I encountered an error. Please try again.';
+  }
+}
+
 // Function to show the chatbot with a specific agent context or redirect to dedicated agent pages
-function showChatbot(agentType) {
+async function showChatbot(agentType) {
   // Special case for Ipon Coach - redirect to dedicated page
   if (agentType === 'ipon-coach') {
     window.location.href = './agents/iponCoach.html';
@@ -2214,9 +2541,26 @@ function showChatbot(agentType) {
 
   if (!chatbotWindow || !chatMessages) return;
 
+  activeChatAgent = DASHBOARD_CHAT_AGENTS[agentType] || 'iponCoach';
+
   // Clear previous messages
   chatMessages.innerHTML = '';
 
+  // Show the chatbot window with animation
+  chatbotWindow.style.display = 'block';
+  setTimeout(() => {
+    chatbotWindow.style.opacity = '1';
+    chatbotWindow.style.transform = 'translateY(0)';
+    chatbotWindow.classList.add('active');
+  }, 10);
+
+  // Resume the stored conversation with this agent if there is one
+  const history = await getAgentConversation(activeChatAgent);
+  if (history.length > 0) {
+    history.forEach(entry => appendChatMessage(entry.content, entry.role));
+    return;
+  }
+
   // Add a welcome message based on the agent type
   let welcomeMessage = '';
 
@@ -2235,17 +2579,5 @@ function showChatbot(agentType) {
   }
 
   // Add welcome message
-  const messageDiv = document.createElement('div');
-  messageDiv.classList.add('message', 'bot-message');
-  messageDiv.innerHTML = welcomeMessage;
-  chatMessages.appendChild(messageDiv);
-
-  // Show the chatbot window with animation
-  chatbotWindow.style.display = 'block';
-  setTimeout(() => {
-    chatbotWindow.style.opacity = '1';
-    chatbotWindow.style.transform = 'translateY(0)';
-    chatbotWindow.classList.add('active');
-  }, 10);
+  appendChatMessage(welcomeMessage, 'assistant');
 }
-
@@ -0,0 +1,420 @@
+// Debt payoff simulation for the Debt Demolisher: strategies, extra-payment scenarios and offers.
+// Pure logic (no DOM or network), so it can run in the browser and under Jest.
+
+import { resolveCardRules, minimumDue, financeCharge, lateFee } from './cardRules.js';
+import { loanStatus } from './loanSchedule.js';
+
+const STRATEGY_LABELS = {
+    avalanche: 'Debt Avalanche',
+    snowball: 'Debt Snowball',
+    hybrid: 'Hybrid (Snowball → Avalanche)',
+    custom: 'Custom Order',
+    consolidation: 'Debt Consolidation',
+    balanceTransfer: 'Balance Transfer'
+};
+
+const MAX_SIMULATION_MONTHS = 600; // Safety break at 50 years
+
+/**
+ * StrategyEngine: A pure logic module for simulating debt payoff scenarios.
+ * It is self-contained and does not interact with the DOM.
+ *
+ * Every month each open debt accrues interest and receives its minimum payment; the extra payment plus the
+ * minimums freed by paid-off debts roll onto the current target in the strategy's payoff order.
+ *
+ * The optional extra schedule layers irregular money on top of the constant extra payment:
+ *   lumpSums:      [{ amount, month }]                        one-off, in simulation month N (1 = first month)
+ *                  [{ amount, date: 'YYYY-MM' }]             one-off, in a calendar month
+ *                  [{ amount, calendarMonth: 12, recurring }] e.g. 13th-month pay every December
+ *   monthlyExtras: [{ amount, fromMonth, toMonth }]           replaces the constant extra for those months
+ *
+ * Offers replace some debts with a new account before the run, keeping the same total monthly budget:
+ *   { type: 'consolidation', loanAmount, interestRate, termMonths, processingFee, accountIds }
+ *       fee is deducted from the proceeds, which pay off the selected debts highest rate first
+ *   { type: 'balanceTransfer', amount, promoMonths, promoRate, postPromoRate, transferFeeRate, minimumPayment, accountIds }
+ *       fee (% of the amount moved) is billed onto the new balance
+ *
+ * Credit cards follow their issuer's payment rules (js/cardRules.js): the minimum is a percentage of the statement
+ * balance with a floor, finance charges can use the average daily balance and are capped, and a late fee is
+ * billed whenever a fixed monthly budget does not cover a card's minimum. Other debts keep their fixed minimumPayment.
+ *
+ * Amortized loans (accounts with `loan` terms, js/loanSchedule.js) pay their scheduled amortization every month at
+ * the loan's diminishing-balance rate, with an add-on rate converted first. Unlike a card, the payment doesn't
+ * shrink with the balance: money rolled onto a loan is a prepayment that ends it sooner.
+ */
+export class StrategyEngine {
+    constructor(debtAccounts, extraPayment = 0, extraSchedule = {}) {
+        // Deep copy accounts to avoid mutating the original data during simulation
+        this.accounts = JSON.parse(JSON.stringify(debtAccounts)).map((acc, index) => {
+            const loan = acc.loan ? loanStatus(acc.loan) : null;
+            return {
+                ...acc,
+                id: acc.id ?? `debt-${index}`,
+                balance: Math.abs(Number(acc.balance) || 0),
+                interestRate: loan ? loan.effectiveRate : Number(acc.interestRate) || 0,
+                // A loan past its last due date but still owing keeps paying its last amortization
+                minimumPayment: loan?.monthlyPayment || Number(acc.minimumPayment) || 0,
+                paymentRules: resolveCardRules(acc)
+            };
+        });
+        this.extraPayment = extraPayment;
+        this.extraSchedule = extraSchedule;
+    }
+
+    /**
+     * Runs a full debt payoff simulation using a specified strategy.
+     * @param {'avalanche' | 'snowball' | 'hybrid' | 'custom'} strategy The strategy to use.
+     * @param {object} [options]
+     * @param {Array<string>} [options.order] Account ids (or names) in payoff order, for 'custom'.
+     * @param {number} [options.snowballCount=1] Debts cleared smallest-first before switching to avalanche, for 'hybrid'.
+     * @param {Date} [options.startDate] Month the first payment is made in (defaults to the current month).
+     * @param {string} [options.name] Display name overriding the strategy label.
+     * @param {object} [options.extraSchedule] Overrides the engine's extra schedule for this run ({} for none).
+     * @param {object} [options.offer] Consolidation or balance-transfer offer to apply first, see the class comment.
+     * @param {number} [options.monthlyBudget] Fixed money for debt each month before extras. Defaults to today's
+     *   minimums, raised in any month whose minimums due are higher.
+     * @param {boolean} [options.minimumsOnly=false] Pay only each month's minimums due (no extra, nothing rolls over).
+     * @returns {object} An object containing the simulation results.
+     */
+    simulate(strategy, options = {}) {
+        const { accounts: offerAccounts, fees, extraPayment } = this.applyOffer(options.offer);
+        // Fresh copies per run so the same engine can simulate several strategies
+        const accounts = this.getSortedAccounts(strategy, options, offerAccounts).map(acc => ({ ...acc }));
+        const startDate = options.startDate ? new Date(options.startDate) : new Date();
+        const extraSchedule = options.extraSchedule ?? this.extraSchedule;
+        const usedLumpSums = new Set();
+        const minimumBudget = options.monthlyBudget ?? accounts.reduce((sum, acc) => sum + StrategyEngine.minimumFor(acc), 0);
+        const payoffs = new Map(accounts.map(acc => [acc.id, { totalInterest: 0, totalPaid: 0, payoffMonth: null }]));
+
+        let months = 0;
+        let totalInterestPaid = 0;
+        let totalPaid = 0;
+        let lateFees = 0;
+        const paymentSchedule = [];
+        const accountSchedule = [];
+
+        // Main simulation loop
+        while (accounts.some(acc => acc.balance > 0) && months < MAX_SIMULATION_MONTHS) {
+            months++;
+            const date = StrategyEngine.addMonths(startDate, months - 1);
+            const rows = new Map();
+            const extra = options.minimumsOnly
+                ? { total: 0, lumpSum: 0 }
+                : this.getExtraForMonth(extraSchedule, months, date, usedLumpSums, extraPayment);
+            const daysInMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+
+            // 1. Accrue interest on every open debt
+            accounts.forEach(acc => {
+                if (acc.balance <= 0) return;
+                const interest = financeCharge(acc.paymentRules, acc.balance, StrategyEngine.rateForMonth(acc, months), daysInMonth);
+                acc.balance += interest;
+                rows.set(acc.id, { month: months, date, accountId: acc.id, accountName: acc.name, payment: 0, interest, lateFee: 0, principal: 0, balance: 0 });
+            });
+
+            // Minimums are due on the statement balance, after this month's finance charge. They can be higher
+            // than the minimums the budget was set from, so the default budget always covers them; only an
+            // explicit monthlyBudget can fall short and run up late fees.
+            const minimums = new Map(accounts.map(acc => [acc.id, StrategyEngine.minimumFor(acc)]));
+            const minimumsDue = Array.from(minimums.values()).reduce((sum, due) => sum + due, 0);
+            let available = options.minimumsOnly
+                ? minimumsDue
+                : (options.monthlyBudget ?? Math.max(minimumBudget, minimumsDue)) + extra.total;
+
+            // 2. Pay the minimum on every open debt (late fee if it can't be covered), then roll what is left onto the targets in order
+            const pay = (acc, amount) => {
+                const payment = Math.min(acc.balance, amount, available);
+                if (payment <= 0) return 0;
+                acc.balance -= payment;
+                available -= payment;
+                rows.get(acc.id).payment += payment;
+                return payment;
+            };
+            accounts.forEach(acc => {
+                if (acc.balance <= 0) return;
+                const due = minimums.get(acc.id);
+                const fee = lateFee(acc.paymentRules, due - pay(acc, due));
+                if (fee > 0) {
+                    acc.balance += fee;
+                    rows.get(acc.id).lateFee = fee;
+                    lateFees += fee;
+                }
+            });
+            accounts.forEach(acc => {
+                if (acc.balance > 0 && available > 0.01) pay(acc, available);
+            });
+
+            // 3. Record per-account rows and payoff dates
+            let monthPayment = 0;
+            let monthInterest = 0;
+            rows.forEach((row, id) => {
+                const acc = accounts.find(a => a.id === id);
+                if (acc.balance < 0.01) acc.balance = 0;
+                row.principal = row.payment - row.interest - row.lateFee;
+                row.balance = acc.balance;
+                accountSchedule.push(row);
+
+                const payoff = payoffs.get(id);
+                payoff.totalInterest += row.interest;
+                payoff.totalPaid += row.payment;
+                if (acc.balance === 0 && payoff.payoffMonth === null) payoff.payoffMonth = months;
+
+                monthPayment += row.payment;
+                monthInterest += row.interest;
+            });
+            totalInterestPaid += monthInterest;
+            totalPaid += monthPayment;
+
+            // Record monthly progress for charting
+            const remainingBalance = accounts.reduce((sum, acc) => sum + acc.balance, 0);
+            paymentSchedule.push({
+                month: months,
+                date,
+                balance: remainingBalance,
+                payment: monthPayment,
+                interest: monthInterest,
+                principal: monthPayment - monthInterest,
+                extraPayment: extra.total,
+                lumpSum: extra.lumpSum
+            });
+
+            if (remainingBalance <= 0) break;
+        }
+
+        const payoffOrder = accounts
+            .map(acc => {
+                const payoff = payoffs.get(acc.id);
+                return {
+                    accountId: acc.id,
+                    name: acc.name,
+                    interestRate: acc.interestRate,
+                    payoffMonth: payoff.payoffMonth,
+                    payoffDate: payoff.payoffMonth ? StrategyEngine.addMonths(startDate, payoff.payoffMonth - 1) : null,
+                    totalInterest: payoff.totalInterest,
+                    totalPaid: payoff.totalPaid
+                };
+            })
+            .sort((a, b) => (a.payoffMonth ?? Infinity) - (b.payoffMonth ?? Infinity));
+
+        return {
+            name: options.name || STRATEGY_LABELS[options.offer?.type] || STRATEGY_LABELS[strategy] || strategy,
+            strategy,
+            offer: options.offer || null,
+            payoffTimeMonths: months,
+            totalInterestPaid: totalInterestPaid,
+            totalPaid,
+            fees: fees + lateFees,
+            lateFees,
+            totalCost: totalInterestPaid + fees + lateFees,
+            monthlyBudget: minimumBudget + extraPayment,
+            paidOff: accounts.every(acc => acc.balance === 0),
+            paymentSchedule: paymentSchedule,
+            accountSchedule,
+            payoffOrder
+        };
+    }
+
+    /**
+     * Simulates several strategies against the same debts for a side-by-side comparison.
+     * @param {Array<string|object>} strategies Strategy names or { strategy, ...options } objects.
+     * @returns {Array<object>} One simulation result per entry, in the given order.
+     */
+    compare(strategies) {
+        return strategies.map(entry => {
+            const { strategy, ...options } = typeof entry === 'string' ? { strategy: entry } : entry;
+            return this.simulate(strategy, options);
+        });
+    }
+
+    /**
+     * Runs a strategy with and without the extra schedule, e.g. "what if my 13th-month pay goes to debt?".
+     * @param {string} strategy Strategy name, see simulate().
+     * @param {object} [options] Simulation options; options.extraSchedule is the scenario being tested.
+     * @returns {object} { baseline, scenario, monthsSaved, interestSaved }, positive when the scenario is better.
+     */
+    compareWithBaseline(strategy, options = {}) {
+        const baseline = this.simulate(strategy, { ...options, extraSchedule: {} });
+        const scenario = this.simulate(strategy, options);
+        return {
+            baseline,
+            scenario,
+            monthsSaved: baseline.payoffTimeMonths - scenario.payoffTimeMonths,
+            interestSaved: baseline.totalInterestPaid - scenario.totalInterestPaid
+        };
+    }
+
+    /**
+     * Extra money available in a simulation month: the constant (or variable) extra plus any lump sums due.
+     * @param {object} extraSchedule See the class comment.
+     * @param {number} month Simulation month, starting at 1.
+     * @param {Date} date First day of that calendar month.
+     * @param {Set<number>} usedLumpSums Indexes of one-off calendar-month lump sums already applied this run.
+     * @param {number} [baseExtra] Constant extra for this run (offers adjust it to keep the budget unchanged).
+     * @returns {{total: number, lumpSum: number}}
+     */
+    getExtraForMonth(extraSchedule, month, date, usedLumpSums, baseExtra = this.extraPayment) {
+        const { lumpSums = [], monthlyExtras = [] } = extraSchedule || {};
+
+        // The last matching range wins, so later entries can refine earlier ones
+        const variable = monthlyExtras.filter(entry =>
+            month >= (entry.fromMonth ?? 1) && month <= (entry.toMonth ?? Infinity)
+        ).pop();
+        const monthlyExtra = variable ? Number(variable.amount) || 0 : baseExtra;
+
+        const yearMonth = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+        const lumpSum = lumpSums.reduce((sum, entry, index) => {
+            let due = false;
+            if (entry.month !== undefined) {
+                due = entry.month === month;
+            } else if (entry.date !== undefined) {
+                due = entry.date === yearMonth;
+            } else if (entry.calendarMonth !== undefined && entry.calendarMonth === date.getMonth() + 1) {
+                due = entry.recurring || !usedLumpSums.has(index);
+                usedLumpSums.add(index);
+            }
+            return due ? sum + (Number(entry.amount) || 0) : sum;
+        }, 0);
+
+        return { total: monthlyExtra + lumpSum, lumpSum };
+    }
+
+    /**
+     * Sorts accounts based on the chosen strategy.
+     * @param {'avalanche' | 'snowball' | 'hybrid' | 'custom'} strategy The strategy name.
+     * @param {object} [options] See simulate().
+     * @param {Array} [accounts] Accounts to sort, defaults to the engine's own.
+     * @returns {Array} A new sorted array of the open accounts.
+     */
+    getSortedAccounts(strategy, options = {}, accounts = this.accounts) {
+        const accountsToSimulate = accounts.filter(acc => acc.balance > 0);
+        // Highest interest rate first
+        const byRate = (a, b) => b.interestRate - a.interestRate;
+        // Lowest balance first
+        const byBalance = (a, b) => a.balance - b.balance;
+
+        switch (strategy) {
+            case 'avalanche':
+                return accountsToSimulate.sort(byRate);
+            case 'snowball':
+                return accountsToSimulate.sort(byBalance);
+            case 'hybrid': {
+                const count = Math.max(0, Math.floor(options.snowballCount ?? 1));
+                const smallestFirst = accountsToSimulate.sort(byBalance);
+                return [...smallestFirst.slice(0, count), ...smallestFirst.slice(count).sort(byRate)];
+            }
+            case 'custom': {
+                // Debts missing from the user's order are paid after the listed ones, highest rate first
+                const order = options.order || [];
+                const rank = acc => {
+                    const index = order.findIndex(key => key === acc.id || key === acc.name);
+                    return index === -1 ? Infinity : index;
+                };
+                return accountsToSimulate.sort((a, b) => (rank(a) - rank(b)) || byRate(a, b));
+            }
+            default:
+                throw new Error(`Unknown debt strategy: ${strategy}`);
+        }
+    }
+
+    /**
+     * Replaces the debts an offer covers with the new loan or card balance.
+     * The constant extra is reduced (or grows) so minimums plus extra stay at today's monthly budget.
+     * @param {object|null} offer See the class comment.
+     * @returns {{accounts: Array, fees: number, extraPayment: number}}
+     */
+    applyOffer(offer) {
+        if (!offer) {
+            return { accounts: this.accounts, fees: 0, extraPayment: this.extraPayment };
+        }
+
+        const accounts = this.accounts.map(acc => ({ ...acc }));
+        const budget = accounts.reduce((sum, acc) => sum + StrategyEngine.minimumFor(acc), 0) + this.extraPayment;
+        const covered = accounts
+            .filter(acc => acc.balance > 0 && (!offer.accountIds || offer.accountIds.includes(acc.id)))
+            .sort((a, b) => b.interestRate - a.interestRate);
+
+        // Move up to `amount` off the covered debts; returns what moved and the minimums of debts fully cleared
+        const moveBalances = (amount) => {
+            let remaining = Math.max(0, amount);
+            let freedMinimums = 0;
+            covered.forEach(acc => {
+                const minimum = StrategyEngine.minimumFor(acc);
+                const moved = Math.min(acc.balance, remaining);
+                acc.balance -= moved;
+                remaining -= moved;
+                if (acc.balance < 0.01) {
+                    acc.balance = 0;
+                    freedMinimums += minimum;
+                }
+            });
+            return { moved: Math.max(0, amount) - remaining, freedMinimums };
+        };
+
+        let newAccount;
+        let fees;
+        if (offer.type === 'consolidation') {
+            const loanAmount = Number(offer.loanAmount) || 0;
+            fees = Number(offer.processingFee) || 0;
+            moveBalances(loanAmount - fees);
+            newAccount = {
+                id: 'offer-consolidation',
+                name: 'Consolidation Loan',
+                balance: loanAmount,
+                interestRate: Number(offer.interestRate) || 0,
+                minimumPayment: StrategyEngine.amortizedPayment(loanAmount, Number(offer.interestRate) || 0, Number(offer.termMonths) || 1),
+                paymentRules: null
+            };
+        } else if (offer.type === 'balanceTransfer') {
+            const available = covered.reduce((sum, acc) => sum + acc.balance, 0);
+            const { moved, freedMinimums } = moveBalances(Math.min(Number(offer.amount) || available, available));
+            fees = moved * ((Number(offer.transferFeeRate) || 0) / 100);
+            const promoMonths = Number(offer.promoMonths) || 0;
+            newAccount = {
+                id: 'offer-balance-transfer',
+                name: 'Balance Transfer',
+                balance: moved + fees,
+                interestRate: Number(offer.postPromoRate) || 0,
+                promoRate: Number(offer.promoRate) || 0,
+                promoMonths,
+                // Default to the minimums of the debts it replaced so the monthly budget stays comparable
+                minimumPayment: Number(offer.minimumPayment) || freedMinimums,
+                paymentRules: null
+            };
+        } else {
+            throw new Error(`Unknown debt offer: ${offer.type}`);
+        }
+
+        accounts.push(newAccount);
+        const minimums = accounts.reduce((sum, acc) => sum + StrategyEngine.minimumFor(acc), 0);
+        return { accounts, fees, extraPayment: Math.max(0, budget - minimums) };
+    }
+
+    /**
+     * Minimum due on an account's current balance: card rules when it has them, else its fixed minimumPayment.
+     */
+    static minimumFor(account) {
+        return minimumDue(account.paymentRules, account.balance, account.minimumPayment);
+    }
+
+    /**
+     * Annual rate in effect for a simulation month, honouring promo periods.
+     */
+    static rateForMonth(account, month) {
+        return account.promoMonths && month <= account.promoMonths ? account.promoRate : account.interestRate;
+    }
+
+    /**
+     * Fixed monthly payment that clears a loan over its term.
+     */
+    static amortizedPayment(principal, annualRate, termMonths) {
+        const monthlyRate = annualRate / 100 / 12;
+        if (monthlyRate === 0) return principal / termMonths;
+        return (principal * monthlyRate) / (1 - Math.pow(1 + monthlyRate, -termMonths));
+    }
+
+    /**
+     * First day of the month `count` months after `date`.
+     */
+    static addMonths(date, count) {
+        return new Date(date.getFullYear(), date.getMonth() + count, 1);
+    }
+}
@@ -9,6 +9,9 @@ import {
     db,
     getDocs
 } from "./firestoredb.js";
+import { getCategories, topLevelCategory, categoryLabel } from "./categories.js";
+import { loadNetWorthTrend } from "./netWorth.js";
+import { formatMoney } from "./currency.js";
 
 // Financial Health Configuration
 const FINANCIAL_HEALTH_CONFIG = {
@@ -83,17 +86,24 @@ async function getUserFinancialData(user) {
     try {
         console.log('Fetching financial data for user:', user.uid);
         
-        // Get accounts, transactions, and profile in parallel
-        const [accounts, transactions, profileData] = await Promise.all([
+        // Get accounts, transactions, profile, categories and the net worth trend in parallel
+        const [accounts, transactions, profileData, categories, netWorthTrend] = await Promise.all([
             getUserBankAccounts(user.uid),
             getUserTransactions(user.uid),
-            getUserData(user.uid)
+            getUserData(user.uid),
+            getCategories().catch(error => {
+                console.warn('Categories unavailable, grouping by stored category:', error.message);
+                return [];
+            }),
+            loadNetWorthTrend()
         ]);
         
         return {
             accounts: accounts || [],
             transactions: transactions || [],
-            profile: profileData || {}
+            profile: profileData || {},
+            categories: categories || [],
+            netWorthTrend
         };
     } catch (error) {
         console.error('Error fetching financial data:', error);
@@ -311,7 +321,7 @@ async function parsePlainTextAnalysis(text, userData) {
 }
 
 function generateFinancialPrompt(userData) {
-    const { accounts, transactions, profile } = userData;
+    const { accounts, transactions, profile, netWorthTrend } = userData;
     
     // Calculate some basic metrics to help the AI
     const totalBalance = accounts.reduce((sum, acc) => sum + parseFloat(acc.balance || 0), 0);
@@ -353,6 +363,13 @@ This data is provided in JSON format.
 - Account Summary: { "totalBalance": ${totalBalance.toFixed(2)}, "transactionalMonthlyIncome": ${monthlyIncome.toFixed(2)}, "monthlyExpenses": ${monthlyExpenses.toFixed(2)} }
 - Accounts Details: ${JSON.stringify(accountData)}
 - Recent Transactions (Current Month): ${JSON.stringify(transactionData)}
+- Net Worth Trend (month-end figures from daily snapshots): ${netWorthTrend ? JSON.stringify({
+        netWorth: netWorthTrend.netWorth,
+        assets: netWorthTrend.assets,
+        liabilities: netWorthTrend.liabilities,
+        months: netWorthTrend.months,
+        averageMonthlyChange: netWorthTrend.averageMonthlyChange
+    }) : 'Not recorded yet'}
 
 **YOUR TASK:**
 Based *only* on the data above, perform a detailed financial health analysis and generate the JSON response below.
@@ -415,21 +432,31 @@ function calculateMonthlyExpenses(transactions) {
         .reduce((sum, tx) => sum + Math.abs(parseFloat(tx.amount || 0)), 0);
 }
 
-function categorizeTransactions(transactions) {
+// Group transactions by top-level category name (sub-categories roll up, with their own totals in `subcategories`)
+function categorizeTransactions(transactions, userCategories = []) {
     const categories = {};
     
     transactions.forEach(tx => {
-        const category = tx.category || 'uncategorized';
+        const parent = tx.category ? topLevelCategory(userCategories, tx.category, tx.type) : null;
+        const category = parent ? parent.name : 'uncategorized';
+        const amount = Math.abs(parseFloat(tx.amount || 0));
         if (!categories[category]) {
             categories[category] = {
                 count: 0,
                 total: 0,
+                icon: parent?.icon || null,
+                color: parent?.color || null,
+                subcategories: {},
                 transactions: []
             };
         }
         
         categories[category].count++;
-        categories[category].total += Math.abs(parseFloat(tx.amount || 0));
+        categories[category].total += amount;
+        if (parent && parent.key !== String(tx.category).toLowerCase()) {
+            const subcategory = categoryLabel(userCategories, tx.category, tx.type);
+            categories[category].subcategories[subcategory] = (categories[category].subcategories[subcategory] || 0) + amount;
+        }
         categories[category].transactions.push({
             amount: tx.amount,
             date: tx.date || tx.timestamp,
@@ -835,7 +862,7 @@ function enhancedOfflineAnalysis(userData) {
         // Insight 4: Top Expense Category
         const expenseTransactions = monthlyTransactions.filter(tx => tx.type === 'expense');
         if (expenseTransactions.length > 0) {
-            const categorizedExpenses = categorizeTransactions(expenseTransactions);
+            const categorizedExpenses = categorizeTransactions(expenseTransactions, userData.categories);
             // Ensure categorizedExpenses is not empty before reducing
             if (Object.keys(categorizedExpenses).length > 0) {
                 const topCategory = Object.keys(categorizedExpenses).reduce((a, b) => categorizedExpenses[a].total > categorizedExpenses[b].total ? a : b);
@@ -861,6 +888,18 @@ function enhancedOfflineAnalysis(userData) {
             insights.push({ type: "strength", priority: "low", title: "Focused Financial Accounts", description: `With ${accounts.length} bank accounts, your finances are streamlined and easy to manage.`, impact: "low", trend: "stable" });
         }
 
+        // Insight 7: Net worth trend, when snapshots span at least two months
+        const trend = userData.netWorthTrend;
+        if (trend && trend.averageMonthlyChange !== null) {
+            const money = value => formatMoney(Math.abs(value), trend.currency);
+            const months = trend.months.length;
+            if (trend.averageMonthlyChange >= 0) {
+                insights.push({ type: "strength", priority: "medium", title: "Net Worth Is Growing", description: `Over the last ${months} months your net worth grew by ${money(trend.averageMonthlyChange)} a month on average, to ${money(trend.netWorth)}.`, impact: "high", trend: "improving" });
+            } else {
+                insights.push({ type: "weakness", priority: "high", title: "Net Worth Is Shrinking", description: `Over the last ${months} months your net worth fell by ${money(trend.averageMonthlyChange)} a month on average, to ${money(trend.netWorth)}. Check whether debt or spending is growing faster than your savings.`, impact: "high", trend: "declining" });
+            }
+        }
+
         // Calculate health score
         let healthScore = 10;
         healthScore += Math.max(0, Math.min(35, (savingsRate / FINANCIAL_HEALTH_CONFIG.savingsRateTarget) * 35));
@@ -890,7 +929,7 @@ function enhancedOfflineAnalysis(userData) {
 
         const offlineExpenseTransactions = monthlyTransactions.filter(tx => tx.type === 'expense');
         if (offlineExpenseTransactions.length > 0) {
-            const categorizedExpenses = categorizeTransactions(offlineExpenseTransactions);
+            const categorizedExpenses = categorizeTransactions(offlineExpenseTransactions, userData.categories);
             if (Object.keys(categorizedExpenses).length > 0) {
                 const topCategory = Object.keys(categorizedExpenses).reduce((a, b) => categorizedExpenses[a].total > categorizedExpenses[b].total ? a : b);
                 if (topCategory) {
@@ -903,6 +942,11 @@ function enhancedOfflineAnalysis(userData) {
             }
         }
         
+        if (trend && trend.averageMonthlyChange < 0) {
+            riskAssessment.longTerm.push(`Net worth has been falling (${formatMoney(trend.averageMonthlyChange, trend.currency)} a month on average); if this continues, savings will run down and debt will take a growing share of income.`);
+            riskAssessment.mitigationStrategies.push("Find the accounts driving the decline on the dashboard's net worth chart and set a budget or payoff plan for them.");
+        }
+
         riskAssessment.longTerm.push("Without dedicated investment accounts, your savings may lose purchasing power to inflation over time.");
         riskAssessment.mitigationStrategies.push("Consider opening a low-cost index fund or consulting a financial advisor to start investing.");
 
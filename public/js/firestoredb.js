@@ -19,6 +19,66 @@ export { auth };
 // Export Firestore functions
 export { doc, setDoc, getDocs, collection, deleteDoc, db, updateDoc };
 
+// A transfer moves money between two of the user's own accounts (or cash). It is neither income nor
+// expense, so totals leave it out; a fee is stored as its own expense linked by `transferId`.
+// Transactions and balances are written by the server's ledger (lib/account-ledger.js), which moves
+// account balances in the same Firestore transaction; Firestore rules keep the browser from writing them.
+export const TRANSACTION_TYPES = ['income', 'expense', 'transfer'];
+
+// Credit cards and loans hold what is owed, so an overpaid one goes below zero. For labels and form checks;
+// the server applies the same rule to balances.
+export function isLiabilityAccount(account) {
+    return account.category === 'loan' || account.accountType === 'Credit Card';
+}
+
+// Local 'YYYY-MM-DD', the format of transaction dates
+function todayString() {
+    const now = new Date();
+    return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().split('T')[0];
+}
+
+function validateTransfer(transfer) {
+    if (!transfer.toAccountId) {
+        throw new Error('A transfer needs a destination account');
+    }
+    if (transfer.toAccountId === transfer.accountId) {
+        throw new Error('A transfer needs two different accounts');
+    }
+    const fee = parseFloat(transfer.fee || 0);
+    if (isNaN(fee) || fee < 0) {
+        throw new Error('Transfer fee must be zero or more');
+    }
+    if (transfer.receivedCurrency && transfer.receivedCurrency !== (transfer.currency || 'PHP')) {
+        const received = parseFloat(transfer.receivedAmount);
+        if (isNaN(received) || received <= 0) {
+            throw new Error('Enter the amount received for a transfer between currencies');
+        }
+    }
+}
+
+// Calls the server's ledger routes with the user's ID token; errors carry the server's message and code
+async function ledgerRequest(path, options = {}) {
+    const user = auth.currentUser;
+    if (!user) {
+        throw new Error('User not authenticated');
+    }
+
+    const response = await fetch(path, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${await user.getIdToken()}`
+        }
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const error = new Error(body.error || `Ledger request failed with status ${response.status}`);
+        error.code = body.code;
+        throw error;
+    }
+    return body;
+}
+
 // Security helper functions
 function getCurrentUserId() {
     const user = auth.currentUser;
@@ -211,8 +271,8 @@ export async function storeTransaction(userId, transactionData) {
         if (isNaN(parseFloat(transactionData.amount))) {
             throw new Error('Transaction amount must be a valid number');
         }
-        if (!transactionData.type || !['income', 'expense'].includes(transactionData.type)) {
-            throw new Error('Transaction type must be either "income" or "expense"');
+        if (!transactionData.type || !TRANSACTION_TYPES.includes(transactionData.type)) {
+            throw new Error('Transaction type must be "income", "expense" or "transfer"');
         }
         if (!transactionData.date) {
             throw new Error('Transaction date is required');
@@ -220,6 +280,9 @@ export async function storeTransaction(userId, transactionData) {
         if (!transactionData.accountId) {
             throw new Error('Transaction must be associated with an account');
         }
+        if (transactionData.type === 'transfer') {
+            validateTransfer(transactionData);
+        }
 
         // Create Firestore document reference
         const docRef = doc(db, "users", userId, "transactions", transactionData.id);
@@ -272,9 +335,12 @@ export async function storeTransaction(userId, transactionData) {
 
         console.log('🔒 Attempting to store secured transaction data with audit trail');
 
-        // Store to Firestore
+        // The server's ledger stores it and moves the account balances in the same Firestore transaction
         try {
-            await setDoc(docRef, finalTransactionData);
+            await ledgerRequest(`/api/user/${encodeURIComponent(userId)}/transactions`, {
+                method: 'POST',
+                body: JSON.stringify(finalTransactionData)
+            });
             console.log('✅ Transaction successfully stored in Firestore at path:', docRef.path);
             
             // Log successful creation for audit
@@ -291,7 +357,7 @@ export async function storeTransaction(userId, transactionData) {
             
             return { success: true, transactionId: transactionData.id, timestamp: finalTransactionData.createdAt };
         } catch (firestoreError) {
-            console.error('❌ Firestore setDoc error for transaction:', firestoreError);
+            console.error('❌ Ledger error for transaction:', firestoreError);
             
             // Log failed creation for audit
             console.error('📊 AUDIT LOG - Transaction Creation Failed:', {
@@ -400,7 +466,7 @@ export async function getUserTransactions(userId) {
                         return;
                     }
                     
-                    if (!transactionData.type || !['income', 'expense'].includes(transactionData.type.toLowerCase())) {
+                    if (!transactionData.type || !TRANSACTION_TYPES.includes(transactionData.type.toLowerCase())) {
                         console.warn('⚠️ Skipping transaction with invalid type:', doc.id);
                         return;
                     }
@@ -435,11 +501,14 @@ export async function updateTransaction(userId, transactionId, updatedData) {
         // Validate user is authorized to modify this data
         validateUserAccess(userId);
 
-        // Ensure userId is included in updated data for security rule validation
-        updatedData.userId = userId;
+        if (updatedData.type === 'transfer') {
+            validateTransfer(updatedData);
+        }
 
-        const docRef = doc(db, "users", userId, "transactions", transactionId);
-        await setDoc(docRef, updatedData, { merge: true });
+        await ledgerRequest(`/api/user/${encodeURIComponent(userId)}/transactions/${encodeURIComponent(transactionId)}`, {
+            method: 'PUT',
+            body: JSON.stringify(updatedData)
+        });
         return true;
     } catch (error) {
         console.error("Error updating transaction: ", error);
@@ -453,8 +522,7 @@ export async function deleteTransaction(userId, transactionId) {
         // Validate user is authorized to modify this data
         validateUserAccess(userId);
 
-        const docRef = doc(db, "users", userId, "transactions", transactionId);
-        await deleteDoc(docRef);
+        await ledgerRequest(`/api/user/${encodeURIComponent(userId)}/transactions/${encodeURIComponent(transactionId)}`, { method: 'DELETE' });
         console.log("Transaction deleted successfully!");
         return true;
     } catch (error) {
@@ -500,7 +568,8 @@ export async function storeBankAccount(userId, accountData) {
         if (isNaN(balance)) {
             throw new Error('Invalid balance amount: must be a valid number');
         }
-        if (balance < 0) {
+        // A card or loan below zero has been overpaid
+        if (balance < 0 && !isLiabilityAccount(accountData)) {
             throw new Error('Balance cannot be negative');
         }
 
@@ -523,8 +592,13 @@ export async function storeBankAccount(userId, accountData) {
             userId,
             accountId: accountData.id,
             
-            // Financial data (validated)
+            // Financial data (validated). The balance entered is the opening balance; transactions dated
+            // from today on move it (see lib/account-ledger.js).
             balance: balance,
+            openingBalance: balance,
+            openingDate: accountData.openingDate || todayString(),
+            // Balances and the transactions on the account are in this currency
+            currency: accountData.currency || 'PHP',
             
             // Audit trail
             createdBy: userInfo,
@@ -708,15 +782,21 @@ export async function getUserBankAccounts(userId) {
 
 // Update bank account in Firestore
 export async function updateBankAccount(userId, accountId, updatedData) {
+    // Balances follow transactions; a wrong starting figure is corrected with setOpeningBalance
+    const balanceFields = ['balance', 'openingBalance', 'openingDate', 'reconciliation'].filter(field => field in updatedData);
+    if (balanceFields.length > 0) {
+        throw new Error(`updateBankAccount cannot change ${balanceFields.join(', ')}; use setOpeningBalance`);
+    }
+
     try {
         // Validate user is authorized to modify this data
         validateUserAccess(userId);
 
         // Ensure userId is included in updated data for security rule validation
-        updatedData.userId = userId;
+        const changes = { ...updatedData, userId };
 
         const accountRef = doc(db, "users", userId, "bankAccounts", accountId);
-        await updateDoc(accountRef, updatedData);
+        await updateDoc(accountRef, changes);
         console.log("Bank account updated in Firestore!");
         return true;
     } catch (error) {
@@ -725,6 +805,26 @@ export async function updateBankAccount(userId, accountId, updatedData) {
     }
 }
 
+/**
+ * Corrects an account's opening balance through the server's ledger. The stored balance moves by the same
+ * amount, so transactions already applied to it stay applied. Accounts from before the ledger take their
+ * current balance as the old opening balance, as of today.
+ */
+export async function setOpeningBalance(userId, accountId, openingBalance) {
+    validateUserAccess(userId);
+
+    const value = parseFloat(openingBalance);
+    if (isNaN(value)) {
+        throw new Error('Invalid balance amount: must be a valid number');
+    }
+
+    await ledgerRequest(`/api/accounts/${encodeURIComponent(accountId)}/opening-balance`, {
+        method: 'PUT',
+        body: JSON.stringify({ openingBalance: value })
+    });
+    return true;
+}
+
 // NEW FUNCTIONS FOR FINANCIAL INFORMATION MANAGEMENT
 
 // Update financial profile information
@@ -0,0 +1,70 @@
+// Client for FX rates and the home currency (/api/fx-rates).
+// Rates are imported by the user (CSV with currency, rate and optional date columns; rate is pesos per unit).
+// Totals on every page are shown in the home currency.
+
+import { auth } from "./firestoredb.js";
+import { createConverter } from "./currency.js";
+
+let ratesPromise = null;
+
+async function request(path = '', options = {}) {
+    const user = auth.currentUser;
+    if (!user) {
+        throw new Error('User not authenticated');
+    }
+
+    const response = await fetch(`/api/fx-rates${path}`, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${await user.getIdToken()}`
+        }
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(body.error || `FX rate request failed with status ${response.status}`);
+    }
+    return body;
+}
+
+/**
+ * The home currency and stored rates, cached for the page; pass refresh after a change.
+ * @returns {Promise<{homeCurrency: string, currencies: string[], rates: Array<{currency: string, rate: number, date: string,
+ *   source: string|null}>, latest: Array<{currency: string, rate: number, date: string}>}>}
+ */
+export function getFxRates({ refresh = false } = {}) {
+    if (!ratesPromise || refresh) {
+        ratesPromise = request().then(({ data }) => data);
+        ratesPromise.catch(() => { ratesPromise = null; });
+    }
+    return ratesPromise;
+}
+
+/**
+ * Imports rates from CSV text, e.g. "currency,rate,date\nUSD,58.25,2026-10-01".
+ * @returns {Promise<{imported: number, errors: Array<{line: number, error: string}>}>} Rows that could not be read are in errors
+ */
+export async function importFxRates(csv) {
+    const { data } = await request('/import', { method: 'POST', body: JSON.stringify({ csv }) });
+    ratesPromise = null;
+    return data;
+}
+
+export async function setHomeCurrency(currency) {
+    const { data } = await request('/home-currency', { method: 'PUT', body: JSON.stringify({ currency }) });
+    ratesPromise = null;
+    return data.homeCurrency;
+}
+
+/**
+ * A converter to the user's home currency (see currency.js createConverter).
+ * Without rates (signed out, server unreachable) amounts are shown as pesos, as before currencies existed.
+ */
+export async function loadConverter() {
+    try {
+        return createConverter(await getFxRates());
+    } catch (error) {
+        console.warn('FX rates unavailable, showing amounts unconverted:', error.message);
+        return createConverter();
+    }
+}
@@ -0,0 +1,181 @@
+// Client for investment holdings (/api/holdings).
+// A holding's buy, sell and dividend events are matched first-in, first-out on the server, which reports each
+// position's cost basis and realized and unrealized gain. Prices come from the user's imported price table.
+
+import { auth } from "./firestoredb.js";
+
+// Asset classes a holding can be in (mirrors lib/investment-holdings.js)
+export const ASSET_CLASSES = {
+    stock: 'PSE Stocks',
+    uitf: 'UITFs',
+    mp2: 'Pag-IBIG MP2',
+    crypto: 'Crypto',
+    bond: 'Bonds',
+    other: 'Other'
+};
+
+export const EVENT_TYPES = {
+    buy: 'Buy',
+    sell: 'Sell',
+    dividend: 'Dividend'
+};
+
+async function request(path = '', options = {}) {
+    const user = auth.currentUser;
+    if (!user) {
+        throw new Error('User not authenticated');
+    }
+
+    const response = await fetch(`/api/holdings${path}`, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${await user.getIdToken()}`
+        }
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(body.error || `Holdings request failed with status ${response.status}`);
+    }
+    return body;
+}
+
+/**
+ * Every holding with its position, and the portfolio's totals and allocation in the home currency.
+ * @returns {Promise<{holdings: Array<{id: string, symbol: string, name: string, assetClass: string, currency: string,
+ *   accountId: string|null, position: {units: number, costBasis: number, averageCost: number|null, price: number|null,
+ *   priceDate: string|null, marketValue: number|null, unrealizedGain: number|null, unrealizedPercent: number|null,
+ *   realizedGain: number, dividends: number}}>, summary: {currency: string, marketValue: number, costBasis: number,
+ *   unrealizedGain: number, realizedGain: number, dividends: number,
+ *   allocation: Array<{assetClass: string, marketValue: number, percent: number}>, unpriced: number}}>}
+ */
+export async function getPortfolio() {
+    const { data } = await request();
+    return data;
+}
+
+/**
+ * One holding with its position and `events`, newest first.
+ */
+export async function getHolding(holdingId) {
+    const { data } = await request(`/${encodeURIComponent(holdingId)}`);
+    return data;
+}
+
+/**
+ * Creates a holding, e.g. { symbol: 'BDO', name: 'BDO Unibank', assetClass: 'stock', accountId }.
+ */
+export async function createHolding(holding) {
+    const { data } = await request('', { method: 'POST', body: JSON.stringify(holding) });
+    return data;
+}
+
+export async function updateHolding(holdingId, changes) {
+    const { data } = await request(`/${encodeURIComponent(holdingId)}`, { method: 'PUT', body: JSON.stringify(changes) });
+    return data;
+}
+
+/**
+ * Removes a holding and all of its events.
+ */
+export async function deleteHolding(holdingId) {
+    await request(`/${encodeURIComponent(holdingId)}`, { method: 'DELETE' });
+}
+
+/**
+ * Records a buy or sell ({ type, date, units, price, fees }) or a dividend ({ type: 'dividend', date, amount }).
+ * A sale of more units than are held is rejected.
+ */
+export async function addHoldingEvent(holdingId, event) {
+    const { data } = await request(`/${encodeURIComponent(holdingId)}/events`, { method: 'POST', body: JSON.stringify(event) });
+    return data;
+}
+
+export async function deleteHoldingEvent(holdingId, eventId) {
+    await request(`/${encodeURIComponent(holdingId)}/events/${encodeURIComponent(eventId)}`, { method: 'DELETE' });
+}
+
+/**
+ * The latest price of each symbol.
+ * @returns {Promise<Array<{symbol: string, price: number, date: string}>>}
+ */
+export async function getPrices() {
+    const { data } = await request('/prices');
+    return data;
+}
+
+/**
+ * Imports prices from CSV text, e.g. "symbol,price,date\nBDO,142.50,2026-10-01".
+ * @returns {Promise<{imported: number, errors: Array<{line: number, error: string}>}>} Rows that could not be read are in errors
+ */
+export async function importPrices(csv) {
+    const { data } = await request('/prices/import', { method: 'POST', body: JSON.stringify({ csv }) });
+    return data;
+}
+
+// Which asset class a label in an AI-suggested allocation means; emergency funds and savings are cash
+const TARGET_LABELS = [
+    [/emergency|cash|savings|deposit|time deposit/i, 'cash'],
+    [/mp2|pag-?ibig/i, 'mp2'],
+    [/uitf|mutual|index fund|fund/i, 'uitf'],
+    [/stock|equit|pse|share/i, 'stock'],
+    [/crypto|bitcoin|btc|eth/i, 'crypto'],
+    [/bond|treasury|rtb|fixed income/i, 'bond']
+];
+
+function assetClassOfLabel(label) {
+    const match = TARGET_LABELS.find(([pattern]) => pattern.test(label));
+    return match ? match[1] : 'other';
+}
+
+/**
+ * Actual allocation against a target ({ labels, data } percentages, as in WealthBuilder's portfolioSuggestion).
+ * `cash` is the liquid balance (banks, e-wallets, cash) that counts toward emergency fund or savings targets.
+ * @returns {{total: number, rows: Array<{label: string, assetClass: string, targetPercent: number, actualPercent: number,
+ *   actualValue: number, drift: number, toTarget: number}>}} drift is actual minus target in percentage points;
+ *   toTarget is how much to add (or, when negative, move out) to reach the target
+ */
+export function allocationDrift(summary, target, { cash = 0 } = {}) {
+    const values = { cash: Math.max(0, cash) };
+    (summary?.allocation || []).forEach(({ assetClass, marketValue }) => {
+        values[assetClass] = (values[assetClass] || 0) + marketValue;
+    });
+
+    // Target labels that map to the same class share its value
+    const rows = (target?.labels || []).map((label, index) => ({
+        label,
+        assetClass: assetClassOfLabel(label),
+        targetPercent: parseFloat(target.data?.[index]) || 0
+    }));
+    const targetedClasses = new Set(rows.map(row => row.assetClass));
+    Object.keys(values)
+        .filter(assetClass => !targetedClasses.has(assetClass) && values[assetClass] > 0)
+        .forEach(assetClass => rows.push({ label: ASSET_CLASSES[assetClass] || 'Cash', assetClass, targetPercent: 0 }));
+
+    const total = Object.values(values).reduce((sum, value) => sum + value, 0);
+    const targetShare = {};
+    const labelCount = {};
+    rows.forEach(row => {
+        targetShare[row.assetClass] = (targetShare[row.assetClass] || 0) + row.targetPercent;
+        labelCount[row.assetClass] = (labelCount[row.assetClass] || 0) + 1;
+    });
+
+    return {
+        total,
+        rows: rows.map(row => {
+            const classValue = values[row.assetClass] || 0;
+            const share = targetShare[row.assetClass] > 0
+                ? row.targetPercent / targetShare[row.assetClass]
+                : 1 / labelCount[row.assetClass];
+            const actualValue = classValue * share;
+            const actualPercent = total > 0 ? (actualValue / total) * 100 : 0;
+            return {
+                ...row,
+                actualValue: Math.round(actualValue * 100) / 100,
+                actualPercent: Math.round(actualPercent * 10) / 10,
+                drift: Math.round((actualPercent - row.targetPercent) * 10) / 10,
+                toTarget: Math.round(((row.targetPercent / 100) * total - actualValue) * 100) / 100
+            };
+        })
+    };
+}
@@ -1,11 +1,13 @@
 // Ensure the API key is defined
 import { GEMINI_API_KEY, GEMINI_MODEL } from "./config.js";
+import { streamAgentChatMessage } from "./agentCommon.js";
 
 // Chatbot functionality for index page
 class IndexChatbot {
     constructor() {
         this.isOpen = false;
         this.conversationHistory = [];
+        this.abortController = null; // Cancels the reply currently being streamed
         this.init();
     }
 
@@ -55,6 +57,8 @@ class IndexChatbot {
             this.isOpen = false;
             window.style.display = 'none';
         }
+        // Stop generating a reply nobody is watching
+        this.abortController?.abort();
     }
 
     addWelcomeMessage() {
@@ -91,54 +95,59 @@ How can I assist you today?`
         
         // Show typing indicator
         this.showTypingIndicator();
+
+        this.abortController?.abort();
+        this.abortController = new AbortController();
+        const { signal } = this.abortController;
+
+        // The reply bubble replaces the typing indicator on the first chunk and grows as text arrives
+        const aiMessage = { role: 'assistant', content: '' };
+        let messageContent = null;
         
         try {
-            // Use backend endpoint instead of direct API call
-            const response = await this.callBackendAPI(message);
+            const response = await this.callBackendAPI(message, signal, (chunk, fullText) => {
+                if (!messageContent) {
+                    this.removeTypingIndicator();
+                    messageContent = this.displayMessage(aiMessage);
+                    if (!messageContent) return;
+                }
+                messageContent.textContent = fullText;
+                const messagesContainer = document.getElementById('chatMessages');
+                messagesContainer.scrollTop = messagesContainer.scrollHeight;
+            });
             
             // Remove typing indicator
             this.removeTypingIndicator();
             
             // Display AI response
-            const aiMessage = { role: 'assistant', content: response };
-            this.displayMessage(aiMessage);
+            aiMessage.content = response;
+            if (messageContent) {
+                messageContent.textContent = response;
+            } else {
+                this.displayMessage(aiMessage);
+            }
             this.conversationHistory.push(aiMessage);
             
         } catch (error) {
-            console.error('Error getting AI response:', error);
             this.removeTypingIndicator();
+            if (error.name === 'AbortError') return;
+            console.error('Error getting AI response:', error);
             
             const errorMessage = {
                 role: 'assistant',
-                content: '❌ Sorry, I encountered an error. Please try again later or contact support if the problem persists.'
+                content: error.message === 'User not authenticated'
+                    ? '🔒 Please log in to chat with your AI Financial Assistant.'
+                    : '❌ Sorry, I encountered an error. Please try again later or contact support if the problem persists.'
             };
             this.displayMessage(errorMessage);
         }
     }
 
-    async callBackendAPI(message) {
+    async callBackendAPI(message, signal, onChunk) {
         try {
-            const response = await fetch('/api/crew-ai', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    message: message,
-                    userId: 'anonymous_user', // For index page users
-                    context: {
-                        conversationHistory: this.conversationHistory.slice(-5), // Last 5 messages for context
-                        source: 'index_page'
-                    }
-                })
-            });
-
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-
-            const data = await response.json();
-            return data.response || data.message || 'I apologize, but I couldn\'t generate a proper response. Please try rephrasing your question.';
+            // The server keeps the conversation history, so only the new message is sent
+            const response = await streamAgentChatMessage('peraPlanner', message, { source: 'index_page' }, { signal, onChunk });
+            return response || 'I apologize, but I couldn\'t generate a proper response. Please try rephrasing your question.';
             
         } catch (error) {
             console.error('Backend API call failed:', error);
@@ -175,6 +184,7 @@ How can I assist you today?`
         
         // Scroll to bottom
         messagesContainer.scrollTop = messagesContainer.scrollHeight;
+        return messageContent;
     }
 
     showTypingIndicator() {
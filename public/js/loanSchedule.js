@@ -0,0 +1,239 @@
+// Amortization schedules for fixed-term loans: SSS and Pag-IBIG salary loans, Pag-IBIG housing loans, car and bank loans.
+// Used by the accounts page (loan terms and the schedule) and by the Debt Demolisher simulator.
+
+export const LOAN_FREQUENCIES = {
+    monthly: { label: 'Monthly', perYear: 12 },
+    'semi-monthly': { label: 'Twice a month', perYear: 24 }
+};
+
+/**
+ * How the lender computes interest. Diminishing-balance interest is charged on what is still owed;
+ * an add-on rate is charged on the original principal for the whole term, as most car loans quote it.
+ */
+export const LOAN_METHODS = {
+    diminishing: 'Diminishing balance',
+    'add-on': 'Add-on rate'
+};
+
+export const PREPAYMENT_MODES = {
+    'reduce-term': 'Same payment, shorter term',
+    'reduce-payment': 'Same term, lower payment'
+};
+
+/**
+ * Usual terms by lender and loan type, to prefill the accounts form. Published rates change; the loan's
+ * own disclosure statement is what counts.
+ */
+export const LOAN_PRESETS = [
+    { provider: 'SSS', accountType: 'Salary Loan', annualRate: 10, termMonths: 24, method: 'diminishing' },
+    { provider: 'Pag-IBIG', accountType: 'Salary Loan', annualRate: 10.5, termMonths: 24, method: 'diminishing' },
+    { provider: 'Pag-IBIG', accountType: 'Housing Loan', annualRate: 6.25, termMonths: 360, method: 'diminishing' },
+    { accountType: 'Auto Loan', annualRate: 8, termMonths: 60, method: 'add-on' },
+    { accountType: 'Housing Loan', annualRate: 7.5, termMonths: 240, method: 'diminishing' },
+    { accountType: 'Mortgage', annualRate: 7.5, termMonths: 240, method: 'diminishing' }
+];
+
+/**
+ * Preset terms for a lender and loan type: the lender's own first, then the loan type's.
+ * @param {string} provider Account provider, e.g. 'Pag-IBIG'.
+ * @param {string} accountType Account type, e.g. 'Housing Loan'.
+ * @returns {object|null} { annualRate, termMonths, method }, or null when there is no preset.
+ */
+export function loanPreset(provider, accountType) {
+    const preset = LOAN_PRESETS.find(entry => entry.provider === provider && entry.accountType === accountType)
+        || LOAN_PRESETS.find(entry => !entry.provider && entry.accountType === accountType);
+    if (!preset) return null;
+    const { annualRate, termMonths, method } = preset;
+    return { annualRate, termMonths, method };
+}
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function addDays(date, days) {
+    const shifted = new Date(`${date}T00:00:00Z`);
+    shifted.setUTCDate(shifted.getUTCDate() + days);
+    return shifted.toISOString().slice(0, 10);
+}
+
+// Same day `count` months later, or that month's last day when it is shorter
+function addMonths(date, count) {
+    const [year, month, day] = date.split('-').map(Number);
+    const lastDay = new Date(Date.UTC(year, month - 1 + count + 1, 0)).getUTCDate();
+    return new Date(Date.UTC(year, month - 1 + count, Math.min(day, lastDay))).toISOString().slice(0, 10);
+}
+
+/**
+ * Due date of payment `period` (1 = first) for a loan released on `startDate`.
+ * Semi-monthly payments fall on the release day and 15 days after it, every month.
+ */
+export function paymentDate(startDate, frequency, period) {
+    if (frequency === 'semi-monthly') {
+        const date = addMonths(startDate, Math.floor(period / 2));
+        return period % 2 === 1 ? addDays(date, 15) : date;
+    }
+    return addMonths(startDate, period);
+}
+
+/**
+ * Fixed payment that clears `principal` over `periods` payments at `periodicRate` (a fraction per payment).
+ */
+export function periodicPayment(principal, periodicRate, periods) {
+    if (periods <= 0) return principal;
+    if (periodicRate === 0) return principal / periods;
+    return (principal * periodicRate) / (1 - Math.pow(1 + periodicRate, -periods));
+}
+
+/**
+ * A loan's terms with defaults filled in and prepayments sorted by date.
+ * @param {object} loan An account's `loan` ({ principal, annualRate, termMonths, startDate, frequency, method, prepayments }).
+ * @returns {object}
+ */
+export function normalizeLoanTerms(loan = {}) {
+    return {
+        principal: Math.abs(Number(loan.principal) || 0),
+        annualRate: Number(loan.annualRate) || 0,
+        termMonths: Math.max(1, Math.round(Number(loan.termMonths) || 1)),
+        startDate: /^\d{4}-\d{2}-\d{2}$/.test(loan.startDate || '') ? loan.startDate : today(),
+        frequency: LOAN_FREQUENCIES[loan.frequency] ? loan.frequency : 'monthly',
+        method: LOAN_METHODS[loan.method] ? loan.method : 'diminishing',
+        prepayments: (loan.prepayments || [])
+            .map(({ date, amount, mode }) => ({
+                date,
+                amount: Math.abs(Number(amount) || 0),
+                mode: PREPAYMENT_MODES[mode] ? mode : 'reduce-term'
+            }))
+            .filter(prepayment => prepayment.amount > 0 && /^\d{4}-\d{2}-\d{2}$/.test(prepayment.date || ''))
+            .sort((a, b) => a.date.localeCompare(b.date))
+    };
+}
+
+/**
+ * Annual rate in percent on the diminishing balance. An add-on rate is converted to the rate that gives the
+ * same payment, so add-on loans amortize, prepay and compare against other debts like any other loan.
+ */
+export function effectiveAnnualRate(loan) {
+    return Math.round(diminishingRate(normalizeLoanTerms(loan)) * 100) / 100;
+}
+
+function diminishingRate(terms) {
+    if (terms.method !== 'add-on' || terms.annualRate === 0 || terms.principal === 0) return terms.annualRate;
+
+    const { perYear } = LOAN_FREQUENCIES[terms.frequency];
+    const periods = Math.round((terms.termMonths * perYear) / 12);
+    const addOnPayment = (terms.principal * (1 + (terms.annualRate / 100) * (terms.termMonths / 12))) / periods;
+    // Bisection: the payment grows with the rate
+    let low = 0;
+    let high = 1;
+    for (let i = 0; i < 60; i++) {
+        const mid = (low + high) / 2;
+        if (periodicPayment(terms.principal, mid, periods) < addOnPayment) low = mid;
+        else high = mid;
+    }
+    return ((low + high) / 2) * perYear * 100;
+}
+
+/**
+ * The full amortization table. A prepayment comes off the balance before the interest of the next payment
+ * due on or after its date; 'reduce-term' keeps the payment and ends the loan sooner, 'reduce-payment'
+ * spreads what is left over the remaining payments.
+ * @param {object} loan An account's `loan`, see normalizeLoanTerms.
+ * @returns {{terms: object, effectiveRate: number, periodsPerYear: number, payment: number, currentPayment: number,
+ *   rows: Array<{period: number, date: string, payment: number, interest: number, principal: number,
+ *   prepayment: number, balance: number}>, totalInterest: number, totalPaid: number, payoffDate: string|null,
+ *   paymentsSaved: number}}
+ */
+export function amortizationSchedule(loan) {
+    const terms = normalizeLoanTerms(loan);
+    const { perYear } = LOAN_FREQUENCIES[terms.frequency];
+    const periods = Math.round((terms.termMonths * perYear) / 12);
+    const rate = diminishingRate(terms) / 100 / perYear;
+
+    let balance = terms.principal;
+    let payment = periodicPayment(balance, rate, periods);
+    const scheduledPayment = payment;
+    let nextPrepayment = 0;
+    let totalInterest = 0;
+    let totalPaid = 0;
+    const rows = [];
+
+    for (let period = 1; period <= periods && balance > 0.005; period++) {
+        const date = paymentDate(terms.startDate, terms.frequency, period);
+
+        let prepaid = 0;
+        while (nextPrepayment < terms.prepayments.length && terms.prepayments[nextPrepayment].date <= date) {
+            const prepayment = terms.prepayments[nextPrepayment++];
+            const amount = Math.min(balance, prepayment.amount);
+            balance -= amount;
+            prepaid += amount;
+            if (prepayment.mode === 'reduce-payment' && balance > 0.005) {
+                payment = periodicPayment(balance, rate, periods - period + 1);
+            }
+        }
+
+        const interest = balance > 0.005 ? balance * rate : 0;
+        // The last payment clears whatever rounding left over
+        const paid = balance > 0.005 ? (period === periods ? balance + interest : Math.min(payment, balance + interest)) : 0;
+        balance = Math.max(0, balance + interest - paid);
+        totalInterest += interest;
+        totalPaid += paid + prepaid;
+        rows.push({
+            period,
+            date,
+            payment: roundMoney(paid),
+            interest: roundMoney(interest),
+            principal: roundMoney(paid - interest),
+            prepayment: roundMoney(prepaid),
+            balance: roundMoney(balance)
+        });
+    }
+
+    return {
+        terms,
+        effectiveRate: effectiveAnnualRate(terms),
+        periodsPerYear: perYear,
+        payment: roundMoney(scheduledPayment),
+        currentPayment: roundMoney(payment),
+        rows,
+        totalInterest: roundMoney(totalInterest),
+        totalPaid: roundMoney(totalPaid),
+        payoffDate: rows.length > 0 ? rows[rows.length - 1].date : null,
+        paymentsSaved: periods - rows.length
+    };
+}
+
+/**
+ * Where a loan stands on a day, per its schedule: what is still owed, the next payment, and the
+ * amortization as a monthly figure (two semi-monthly payments make one month).
+ * @param {object} loan An account's `loan`.
+ * @param {string} [asOf] YYYY-MM-DD, defaults to today.
+ * @returns {{balance: number, nextPayment: {date: string, amount: number}|null, monthlyPayment: number,
+ *   remainingPayments: number, payoffDate: string|null, effectiveRate: number, schedule: object}}
+ */
+export function loanStatus(loan, asOf = today()) {
+    const schedule = amortizationSchedule(loan);
+    const paid = schedule.rows.filter(row => row.date <= asOf);
+    const upcoming = schedule.rows.filter(row => row.date > asOf && row.payment > 0);
+    const lastDate = paid.length > 0 ? paid[paid.length - 1].date : '';
+    // Prepayments since the last due date show up in the next row, but are already off the balance today
+    const prepaidSince = schedule.terms.prepayments
+        .filter(prepayment => prepayment.date > lastDate && prepayment.date <= asOf)
+        .reduce((sum, prepayment) => sum + prepayment.amount, 0);
+    const owed = paid.length > 0 ? paid[paid.length - 1].balance : schedule.terms.principal;
+    const next = upcoming[0] || null;
+
+    return {
+        balance: roundMoney(Math.max(0, owed - prepaidSince)),
+        nextPayment: next ? { date: next.date, amount: next.payment } : null,
+        monthlyPayment: next ? roundMoney((next.payment * schedule.periodsPerYear) / 12) : 0,
+        remainingPayments: upcoming.length,
+        payoffDate: schedule.payoffDate,
+        effectiveRate: schedule.effectiveRate,
+        schedule
+    };
+}
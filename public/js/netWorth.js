@@ -0,0 +1,73 @@
+// Client for net worth history (/api/net-worth).
+// The server snapshots each user's assets and liabilities per account type once a day; history, month-end
+// changes and the trend come back in the home currency.
+
+import { auth } from "./firestoredb.js";
+
+// Account types a snapshot groups balances by (mirrors lib/net-worth.js); credit holds cards and loans
+export const NET_WORTH_TYPES = {
+    'traditional-bank': 'Banks',
+    'digital-wallet': 'E-wallets',
+    cash: 'Cash',
+    investment: 'Investments',
+    credit: 'Credit & Loans',
+    other: 'Other'
+};
+
+let historyPromise = null;
+
+async function request(path, options = {}) {
+    const user = auth.currentUser;
+    if (!user) {
+        throw new Error('User not authenticated');
+    }
+
+    const response = await fetch(`/api/net-worth${path}`, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${await user.getIdToken()}`
+        }
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(body.error || `Net worth request failed with status ${response.status}`);
+    }
+    return body;
+}
+
+/**
+ * The last year of snapshots, cached for the page; pass refresh after a new snapshot.
+ * @returns {Promise<{currency: string, snapshots: Array<{date: string, assets: number, liabilities: number,
+ *   netWorth: number, byType: Object}>, monthly: Array<{month: string, netWorth: number, change: number|null,
+ *   changePercent: number|null}>, trend: Object|null}>} trend is null until the first snapshot
+ */
+export function getNetWorthHistory({ refresh = false } = {}) {
+    if (!historyPromise || refresh) {
+        historyPromise = request('/history').then(({ data }) => data);
+        historyPromise.catch(() => { historyPromise = null; });
+    }
+    return historyPromise;
+}
+
+/**
+ * Records today's snapshot now (the server job otherwise does it every few hours).
+ * @returns {Promise<Object|null>} The snapshot, or null when the user has no accounts
+ */
+export async function takeNetWorthSnapshot() {
+    const { data } = await request('/snapshot', { method: 'POST' });
+    historyPromise = null;
+    return data;
+}
+
+/**
+ * The trend for agents and widgets; null when it can't be loaded so callers can carry on without it.
+ */
+export async function loadNetWorthTrend() {
+    try {
+        return (await getNetWorthHistory()).trend;
+    } catch (error) {
+        console.warn('Net worth history unavailable:', error.message);
+        return null;
+    }
+}
@@ -0,0 +1,32 @@
+// Receipt scanning: the server reads the photo with local OCR and returns a draft expense.
+// Nothing is saved until the user reviews the draft in the transaction form and submits it.
+
+import { auth } from "./firestoredb.js";
+
+/**
+ * Uploads a receipt photo and returns the draft expense read from it.
+ * @param {File} file JPEG or PNG photo of the receipt.
+ * @param {string[]} categories Expense categories the form offers; the suggested category is one of these.
+ * @returns {Promise<{fileId: string, draft: {merchant: string|null, description: string|null, amount: number|null, date: string|null, category: string, type: 'expense'}, text: string, confidence: number}>}
+ */
+export async function scanReceipt(file, categories) {
+    const user = auth.currentUser;
+    if (!user) {
+        throw new Error('User not authenticated');
+    }
+
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('categories', JSON.stringify(categories));
+
+    const response = await fetch('/api/upload', {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${await user.getIdToken()}` },
+        body: formData
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(body.error || `Receipt scan failed (status ${response.status})`);
+    }
+    return body;
+}
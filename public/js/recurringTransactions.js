@@ -0,0 +1,95 @@
+// Client for recurring transaction templates.
+// Templates are managed by the server (/api/recurring-transactions), which also posts each occurrence
+// into the user's transactions and updates the account balance.
+
+import { auth } from "./firestoredb.js";
+
+async function request(path = '', options = {}) {
+    const user = auth.currentUser;
+    if (!user) {
+        throw new Error('User not authenticated');
+    }
+
+    const response = await fetch(`/api/recurring-transactions${path}`, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${await user.getIdToken()}`
+        }
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(body.error || `Recurring transaction request failed with status ${response.status}`);
+    }
+    return body;
+}
+
+/**
+ * Lists the current user's recurring templates, newest first.
+ * @returns {Promise<Array<object>>}
+ */
+export async function getRecurringTransactions() {
+    const { data } = await request();
+    return data;
+}
+
+/**
+ * Creates a template. Occurrences already due (start date today or earlier) are posted right away.
+ * @param {object} template description, amount, type, category, accountId, accountName, notes,
+ *   frequency, startDate, and optionally endDate, interval and unit (custom), dayOfMonth, daysOfMonth.
+ * @returns {Promise<{data: object, posted: number}>}
+ */
+export async function createRecurringTransaction(template) {
+    return request('', { method: 'POST', body: JSON.stringify(template) });
+}
+
+/**
+ * Edits future occurrences of a series. Transactions already posted are not changed.
+ * @returns {Promise<{data: object, posted: number}>}
+ */
+export async function updateRecurringTransaction(recurringId, changes) {
+    return request(`/${encodeURIComponent(recurringId)}`, { method: 'PUT', body: JSON.stringify(changes) });
+}
+
+/**
+ * Skips one occurrence (the next one when no date is given).
+ * @returns {Promise<object>} The updated template.
+ */
+export async function skipRecurringOccurrence(recurringId, date = null) {
+    const { data } = await request(`/${encodeURIComponent(recurringId)}/skip`, {
+        method: 'POST',
+        body: JSON.stringify(date ? { date } : {})
+    });
+    return data;
+}
+
+/**
+ * Ends a series; nothing after today is posted.
+ * @returns {Promise<object>} The updated template.
+ */
+export async function endRecurringTransaction(recurringId) {
+    const { data } = await request(`/${encodeURIComponent(recurringId)}/end`, { method: 'POST' });
+    return data;
+}
+
+/**
+ * Human-readable schedule, e.g. "Every 2 weeks" or "Monthly on day 30".
+ * @param {object} template A stored template.
+ * @returns {string}
+ */
+export function describeSchedule(template) {
+    switch (template.frequency) {
+        case 'daily':
+            return 'Daily';
+        case 'weekly':
+            return 'Weekly';
+        case 'semi-monthly':
+            return `Twice a month (${template.daysOfMonth.map(day => (day === 'last' ? 'end of month' : `day ${day}`)).join(' & ')})`;
+        case 'monthly':
+            return `Monthly on day ${template.dayOfMonth}`;
+        case 'custom':
+            return `Every ${template.interval} ${template.unit}${template.interval > 1 ? 's' : ''}`;
+        default:
+            return template.frequency;
+    }
+}
@@ -0,0 +1,89 @@
+// Client for savings goals (/api/goals).
+// Money goes toward a goal through transactions tagged with its id (`goalId`); the server computes
+// each goal's progress and projects its completion from the last 90 days of contributions.
+
+import { auth } from "./firestoredb.js";
+
+async function request(path = '', options = {}) {
+    const user = auth.currentUser;
+    if (!user) {
+        throw new Error('User not authenticated');
+    }
+
+    const response = await fetch(`/api/goals${path}`, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${await user.getIdToken()}`
+        }
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(body.error || `Goal request failed with status ${response.status}`);
+    }
+    return body;
+}
+
+/**
+ * The user's goals, active ones first.
+ * @returns {Promise<Array<{id: string, name: string, targetAmount: number, initialAmount: number, deadline: string|null,
+ *   accountId: string|null, accountName: string|null, status: 'active'|'achieved'|'archived',
+ *   progress: {saved: number, remaining: number, percent: number, monthlyRate: number, projectedDate: string|null,
+ *   requiredMonthly: number|null, state: 'achieved'|'on-track'|'behind'|'no-deadline'|'stalled'}}>>}
+ */
+export async function getGoals() {
+    const { data } = await request();
+    return data;
+}
+
+/**
+ * One goal with its progress and `contributions` (the transactions tagged with it, newest first).
+ */
+export async function getGoal(goalId) {
+    const { data } = await request(`/${encodeURIComponent(goalId)}`);
+    return data;
+}
+
+/**
+ * Creates a goal, e.g. { name: 'Emergency fund', targetAmount: 60000, deadline: '2027-06-30', accountId }.
+ */
+export async function createGoal(goal) {
+    const { data } = await request('', { method: 'POST', body: JSON.stringify(goal) });
+    return data;
+}
+
+export async function updateGoal(goalId, changes) {
+    const { data } = await request(`/${encodeURIComponent(goalId)}`, { method: 'PUT', body: JSON.stringify(changes) });
+    return data;
+}
+
+/**
+ * Removes a goal; its transactions are kept without the tag.
+ * @returns {Promise<number>} Transactions untagged
+ */
+export async function deleteGoal(goalId) {
+    const { untagged } = await request(`/${encodeURIComponent(goalId)}`, { method: 'DELETE' });
+    return untagged;
+}
+
+/**
+ * One line on where a goal is heading, e.g. "On track: done by 2027-03-10 at ₱5,000/month".
+ */
+export function describeProjection(progress) {
+    const formatter = new Intl.NumberFormat('en-PH', { style: 'currency', currency: 'PHP', maximumFractionDigits: 0 });
+    const pace = `${formatter.format(progress.monthlyRate)}/month`;
+    switch (progress.state) {
+        case 'achieved':
+            return 'Goal reached';
+        case 'on-track':
+            return `On track: done by ${progress.projectedDate} at ${pace}`;
+        case 'behind':
+            return progress.projectedDate
+                ? `Behind: ${pace} finishes on ${progress.projectedDate}; set aside ${formatter.format(progress.requiredMonthly)}/month to make ${progress.deadline}`
+                : `No recent contributions; set aside ${formatter.format(progress.requiredMonthly)}/month to make ${progress.deadline}`;
+        case 'no-deadline':
+            return `Done by ${progress.projectedDate} at ${pace}`;
+        default:
+            return 'No contributions in the last 90 days';
+    }
+}
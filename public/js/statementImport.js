@@ -0,0 +1,238 @@
+// Bank statement import: upload a CSV/XLSX export or PDF e-statement, review the parsed rows, then confirm.
+// Parsing and duplicate detection happen on the server (/api/upload); nothing is saved until confirm.
+
+import { auth } from "./firestoredb.js";
+
+const currency = new Intl.NumberFormat('en-PH', { style: 'currency', currency: 'PHP' });
+
+async function authHeader() {
+    const user = auth.currentUser;
+    if (!user) {
+        throw new Error('User not authenticated');
+    }
+    return { 'Authorization': `Bearer ${await user.getIdToken()}` };
+}
+
+async function readResponse(response, fallback) {
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(body.error || `${fallback} (status ${response.status})`);
+    }
+    return body;
+}
+
+/**
+ * Uploads a statement and returns the server's preview.
+ * @param {File} file CSV or XLSX export, or a PDF e-statement.
+ * @param {string} accountId Account the statement belongs to; for PDFs it may be empty to match by card/account number.
+ * @param {object} [options]
+ * @param {string} [options.bank] BPI, BDO, Metrobank, GCash or Maya; detected from the headers when empty.
+ * @param {string} [options.password] Password of a protected PDF. It is only used to open the file.
+ * @returns {Promise<{fileId: string, bank: string, transactions: Array<object>, skippedRows: Array<object>, metadata: object|null, summary: object}>}
+ */
+export async function uploadStatement(file, accountId, { bank = '', password = '' } = {}) {
+    const formData = new FormData();
+    formData.append('file', file);
+    if (accountId) formData.append('accountId', accountId);
+    if (bank) formData.append('bank', bank);
+    if (password) formData.append('password', password);
+
+    const response = await fetch('/api/upload', {
+        method: 'POST',
+        headers: await authHeader(),
+        body: formData
+    });
+    return readResponse(response, 'Statement upload failed');
+}
+
+/**
+ * Imports the selected rows of a previewed statement.
+ * @param {string} fileId Id returned by uploadStatement.
+ * @param {number[]} rowNumbers Rows to import.
+ * @returns {Promise<{imported: number, skipped: number, accountUpdate: object|null}>}
+ */
+export async function confirmStatementImport(fileId, rowNumbers) {
+    const response = await fetch(`/api/upload/${encodeURIComponent(fileId)}/confirm`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(await authHeader()) },
+        body: JSON.stringify({ rowNumbers })
+    });
+    return readResponse(response, 'Statement import failed');
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+function describeMetadata(metadata) {
+    if (!metadata) return '';
+    const parts = [
+        metadata.closingBalance !== null && `balance ${currency.format(metadata.closingBalance)}`,
+        metadata.minimumDue !== null && `minimum due ${currency.format(metadata.minimumDue)}`,
+        metadata.dueDate && `due ${metadata.dueDate}`,
+        metadata.interestRate !== null && `${metadata.interestRate}% a year`
+    ].filter(Boolean);
+    return parts.length > 0 ? `<p class="import-summary">Importing also updates the account: ${parts.join(', ')}.</p>` : '';
+}
+
+function renderPreview(container, preview) {
+    const { summary, transactions, skippedRows } = preview;
+    container.innerHTML = `
+        ${describeMetadata(preview.metadata)}
+        <p class="import-summary">
+            ${escapeHtml(preview.bank)} statement for ${escapeHtml(preview.accountName || 'the selected account')}: ${summary.total} transactions
+            (${summary.duplicates} already recorded), ${currency.format(summary.income)} in,
+            ${currency.format(summary.expense)} out.
+            ${skippedRows.length > 0 ? `${skippedRows.length} non-transaction lines ignored.` : ''}
+        </p>
+        <div class="import-preview-table">
+            <table class="transactions-table">
+                <thead>
+                    <tr><th><input type="checkbox" id="import-select-all"></th><th>Date</th><th>Description</th><th>Category</th><th>Amount</th><th></th></tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+        </div>
+    `;
+
+    const body = container.querySelector('tbody');
+    transactions.forEach(transaction => {
+        const row = document.createElement('tr');
+        row.className = transaction.duplicate ? 'import-duplicate' : '';
+
+        const checkCell = document.createElement('td');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'import-row';
+        checkbox.value = transaction.rowNumber;
+        checkbox.checked = !transaction.duplicate;
+        checkCell.appendChild(checkbox);
+
+        const cells = [
+            transaction.date,
+            transaction.description,
+            transaction.category,
+            `${transaction.type === 'income' ? '+' : '-'}${currency.format(Math.abs(transaction.amount))}`,
+            transaction.duplicate ? 'Already recorded' : ''
+        ].map(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            return cell;
+        });
+        cells[3].className = `amount ${transaction.type}`;
+        if (transaction.categorySource) {
+            cells[2].title = transaction.categorySource === 'rule' ? 'Set by one of your category rules' : 'Suggested from your past transactions';
+        }
+
+        row.append(checkCell, ...cells);
+        body.appendChild(row);
+    });
+
+    container.querySelector('#import-select-all').addEventListener('change', (e) => {
+        container.querySelectorAll('.import-row').forEach(checkbox => { checkbox.checked = e.target.checked; });
+    });
+}
+
+/**
+ * Wires the import modal on the transactions page.
+ * @param {object} options
+ * @param {function(): Array<{id: string, name: string}>} options.getAccounts Accounts for the account select.
+ * @param {function({imported: number}): void} options.onImported Called after rows are saved.
+ * @param {function(string, string): void} options.notify Toast function (message, type).
+ */
+export function initStatementImport({ getAccounts, onImported, notify }) {
+    const modal = document.getElementById('import-statement-modal');
+    const openButton = document.getElementById('import-statement-button');
+    const form = document.getElementById('import-statement-form');
+    if (!modal || !openButton || !form) return;
+
+    const previewContainer = document.getElementById('import-preview');
+    const uploadButton = document.getElementById('import-upload-button');
+    const confirmButton = document.getElementById('import-confirm-button');
+    let preview = null;
+
+    const reset = () => {
+        preview = null;
+        form.reset();
+        previewContainer.innerHTML = '';
+        confirmButton.style.display = 'none';
+        uploadButton.style.display = '';
+        modal.querySelector('.import-password-field').style.display = 'none';
+    };
+    const close = () => {
+        modal.style.display = 'none';
+        reset();
+    };
+
+    openButton.addEventListener('click', () => {
+        const accountSelect = document.getElementById('import-account');
+        accountSelect.innerHTML = '<option value="">Match by card/account number (PDF only)</option>';
+        getAccounts().forEach(account => {
+            const option = document.createElement('option');
+            option.value = account.id;
+            option.textContent = account.name;
+            accountSelect.appendChild(option);
+        });
+        modal.style.display = 'flex';
+    });
+    modal.querySelectorAll('.import-close').forEach(button => button.addEventListener('click', close));
+    document.getElementById('import-file').addEventListener('change', (e) => {
+        const isPdf = /\.pdf$/i.test(e.target.files[0]?.name || '');
+        modal.querySelector('.import-password-field').style.display = isPdf ? '' : 'none';
+    });
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) close();
+    });
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const file = document.getElementById('import-file').files[0];
+        const accountId = document.getElementById('import-account').value;
+        if (!file || (!accountId && !/\.pdf$/i.test(file.name))) {
+            notify('Choose a statement file and an account', 'error');
+            return;
+        }
+
+        uploadButton.disabled = true;
+        uploadButton.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Reading...';
+        try {
+            preview = await uploadStatement(file, accountId, {
+                bank: document.getElementById('import-bank').value,
+                password: document.getElementById('import-password').value
+            });
+            renderPreview(previewContainer, preview);
+            uploadButton.style.display = 'none';
+            confirmButton.style.display = '';
+        } catch (error) {
+            console.error('❌ Statement upload failed:', error);
+            notify(error.message, 'error');
+        } finally {
+            uploadButton.disabled = false;
+            uploadButton.innerHTML = '<i class="fas fa-upload"></i> Preview';
+        }
+    });
+
+    confirmButton.addEventListener('click', async () => {
+        if (!preview) return;
+        const rowNumbers = [...previewContainer.querySelectorAll('.import-row:checked')].map(checkbox => Number(checkbox.value));
+        if (rowNumbers.length === 0 && !preview.metadata) {
+            notify('Select at least one transaction to import', 'error');
+            return;
+        }
+
+        confirmButton.disabled = true;
+        try {
+            const result = await confirmStatementImport(preview.fileId, rowNumbers);
+            notify(`Imported ${result.imported} transaction${result.imported === 1 ? '' : 's'}`, 'success');
+            close();
+            onImported(result);
+        } catch (error) {
+            console.error('❌ Statement import failed:', error);
+            notify(error.message, 'error');
+        } finally {
+            confirmButton.disabled = false;
+        }
+    });
+}
@@ -7,8 +7,42 @@ import {
     getUserData,
     updateTransaction
 } from "./firestoredb.js";
+import {
+    getRecurringTransactions,
+    createRecurringTransaction,
+    updateRecurringTransaction,
+    skipRecurringOccurrence,
+    endRecurringTransaction,
+    describeSchedule
+} from "./recurringTransactions.js";
+import { initStatementImport } from "./statementImport.js";
+import { scanReceipt } from "./receiptScan.js";
+import {
+    attachCategorySuggestions,
+    getCategoryRules,
+    createCategoryRule,
+    deleteCategoryRule,
+    findSimilarTransactions,
+    applyCategoryToSimilar
+} from "./categorization.js";
+import {
+    CATEGORY_ICONS,
+    getCategories,
+    createCategory,
+    updateCategory,
+    mergeCategory,
+    deleteCategory,
+    buildCategoryTree,
+    findCategory,
+    categoryLabel,
+    fillCategorySelect
+} from "./categories.js";
+import { getGoals, createGoal, updateGoal, deleteGoal, describeProjection } from "./savingsGoals.js";
+import { CURRENCIES, currencyOf, formatMoney } from "./currency.js";
 
 let currentUser = null;
+let userCategories = []; // The user's category tree, flat; empty until loaded
+let userGoals = []; // Savings goals with their progress
 
 // Initialize DOM elements
 const addTransactionBtn = document.getElementById('add-transaction-button');
@@ -20,6 +54,17 @@ const addTransactionForm = document.getElementById('add-transaction-form');
 const filterButton = document.getElementById('filter-button');
 const closeFilterBtn = document.getElementById('close-filter');
 const filterPanel = document.getElementById('filter-panel');
+const scanReceiptBtn = document.getElementById('scan-receipt-button');
+const receiptInput = document.getElementById('receipt-file');
+
+// Used until the user's categories load (or if they cannot)
+const EXPENSE_CATEGORIES = [
+    'Food', 'Shopping', 'Bills', 'Transportation', 
+    'Entertainment', 'Housing', 'Health', 'Education', 'Other'
+];
+const INCOME_CATEGORIES = [
+    'Salary', 'Stipend', 'Freelance', 'Investments', 'Gifts', 'Other'
+];
 
 // Modal Functions
 const showModal = () => {
@@ -35,6 +80,12 @@ const hideModal = () => {
             addTransactionForm.reset();
             addTransactionForm.dataset.editMode = 'false';
             delete addTransactionForm.dataset.transactionId;
+            delete addTransactionForm.dataset.recurringId;
+            delete addTransactionForm.dataset.originalCategory;
+            delete document.getElementById('transaction-category').dataset.userPicked;
+            document.getElementById('transaction-repeat').disabled = false;
+            toggleRepeatFields();
+            toggleTransferFields();
             
             // Reset modal title and button text
             const modalTitle = document.querySelector('.modal-header h2');
@@ -50,7 +101,95 @@ const hideModal = () => {
     }
 };
 
+// Show the end date and custom interval fields only for the schedules that use them
+const toggleRepeatFields = () => {
+    const repeat = document.getElementById('transaction-repeat')?.value || 'none';
+    document.querySelectorAll('.recurring-field').forEach(field => {
+        field.style.display = repeat === 'none' ? 'none' : '';
+    });
+    document.querySelectorAll('.recurring-custom-fields').forEach(field => {
+        field.style.display = repeat === 'custom' ? '' : 'none';
+    });
+};
+
 // Filter panel functions
+// Transfers take a destination account and an optional fee instead of a category, and don't repeat
+const toggleTransferFields = () => {
+    const isTransfer = document.getElementById('transaction-type')?.value === 'transfer';
+    document.querySelectorAll('.transfer-field').forEach(field => {
+        field.style.display = isTransfer ? '' : 'none';
+    });
+    document.querySelectorAll('.category-field, .repeat-row').forEach(field => {
+        field.style.display = isTransfer ? 'none' : '';
+    });
+    document.getElementById('transaction-to-account').required = isTransfer;
+    document.querySelector('label[for="transaction-account"]').textContent = isTransfer ? 'From Account' : 'Account';
+    if (isTransfer) {
+        document.getElementById('transaction-repeat').value = 'none';
+        toggleRepeatFields();
+        fillTransferAccountSelect();
+    }
+    syncCurrencyFields();
+};
+
+// An account option's currency; cash and "no account" have none
+const optionCurrency = select => select?.selectedOptions[0]?.dataset.currency || null;
+
+// A transaction is in its account's currency (chosen freely for cash). A transfer into an account in
+// another currency is a remittance: it also records the amount received and the rate it implies.
+const syncCurrencyFields = () => {
+    const currencySelect = document.getElementById('transaction-currency');
+    const receivedSelect = document.getElementById('transaction-received-currency');
+    if (!currencySelect || !receivedSelect) return;
+
+    const sourceCurrency = optionCurrency(document.getElementById('transaction-account'));
+    if (sourceCurrency) currencySelect.value = sourceCurrency;
+    currencySelect.disabled = !!sourceCurrency;
+    receivedSelect.value = optionCurrency(document.getElementById('transaction-to-account')) || currencySelect.value;
+
+    const isRemittance = document.getElementById('transaction-type').value === 'transfer'
+        && receivedSelect.value !== currencySelect.value;
+    document.querySelectorAll('.remittance-field').forEach(field => {
+        field.style.display = isRemittance ? '' : 'none';
+    });
+    const receivedInput = document.getElementById('transaction-received-amount');
+    receivedInput.required = isRemittance;
+
+    const amount = parseFloat(document.getElementById('transaction-amount').value);
+    const received = parseFloat(receivedInput.value);
+    document.getElementById('transaction-fx-rate').textContent = isRemittance && amount > 0 && received > 0
+        ? `1 ${currencySelect.value} = ${formatMoney(received / amount, receivedSelect.value, { decimals: 4 })}`
+        : '';
+};
+
+function fillCurrencySelects() {
+    const options = Object.entries(CURRENCIES)
+        .map(([code, { name }]) => `<option value="${code}">${code} - ${name}</option>`)
+        .join('');
+    document.getElementById('transaction-currency').innerHTML = options;
+    document.getElementById('transaction-received-currency').innerHTML = options;
+}
+
+// Destination choices are the accounts already loaded into the Account select, plus cash
+function fillTransferAccountSelect() {
+    const toAccountSelect = document.getElementById('transaction-to-account');
+    if (!toAccountSelect) return;
+
+    const selected = toAccountSelect.value;
+    toAccountSelect.innerHTML = '<option value="">-- Select Account --</option>';
+    [...document.querySelectorAll('#transaction-account option')]
+        .filter(option => option.value && !['no-account', 'add-account', 'retry', 'error'].includes(option.value))
+        .forEach(option => {
+            const choice = document.createElement('option');
+            choice.value = option.value;
+            choice.textContent = option.textContent;
+            choice.dataset.accountName = option.dataset.accountName || option.textContent;
+            if (option.dataset.currency) choice.dataset.currency = option.dataset.currency;
+            toAccountSelect.appendChild(choice);
+        });
+    toAccountSelect.value = selected;
+}
+
 const toggleFilterPanel = () => {
     if (filterPanel) {
         filterPanel.classList.toggle('show');
@@ -92,6 +231,65 @@ function initializeEventListeners() {
         closeFilterBtn.addEventListener('click', toggleFilterPanel);
     }
     
+    // Statement import uses the accounts already loaded into the transaction form
+    initStatementImport({
+        getAccounts: () => [...document.querySelectorAll('#transaction-account option')]
+            .filter(option => option.value && !['no-account', 'cash'].includes(option.value))
+            .map(option => ({ id: option.value, name: option.dataset.accountName || option.textContent })),
+        onImported: () => currentUser && loadTransactions(currentUser.uid),
+        notify: showToast
+    });
+
+    // Suggest a category from the description for new transactions
+    attachCategorySuggestions({
+        descriptionInput: document.getElementById('transaction-description'),
+        typeSelect: document.getElementById('transaction-type'),
+        categorySelect: document.getElementById('transaction-category'),
+        isEnabled: () => addTransactionForm.dataset.editMode !== 'true' && !addTransactionForm.dataset.recurringId
+            && document.getElementById('transaction-type').value !== 'transfer'
+    });
+
+    const categoryForm = document.getElementById('category-form');
+    if (categoryForm) {
+        categoryForm.addEventListener('submit', handleCategorySubmit);
+        categoryForm.querySelector('#category-type').addEventListener('change', fillCategoryParentSelect);
+        document.getElementById('category-merge-button').addEventListener('click', handleCategoryMerge);
+        document.getElementById('category-cancel-edit').addEventListener('click', resetCategoryForm);
+    }
+
+    const categoryRuleForm = document.getElementById('category-rule-form');
+    if (categoryRuleForm) {
+        categoryRuleForm.addEventListener('submit', handleCategoryRuleSubmit);
+    }
+
+    const goalForm = document.getElementById('goal-form');
+    if (goalForm) {
+        goalForm.addEventListener('submit', handleGoalSubmit);
+        document.getElementById('goal-cancel-edit').addEventListener('click', resetGoalForm);
+    }
+
+    // Receipt scanning opens the camera on phones and a file picker elsewhere
+    if (scanReceiptBtn && receiptInput) {
+        scanReceiptBtn.addEventListener('click', () => receiptInput.click());
+        receiptInput.addEventListener('change', handleReceiptSelected);
+    }
+
+    // Repeat schedule fields
+    const repeatSelect = document.getElementById('transaction-repeat');
+    if (repeatSelect) {
+        repeatSelect.addEventListener('change', toggleRepeatFields);
+    }
+
+    // Currency follows the chosen accounts; a remittance shows what was received
+    fillCurrencySelects();
+    ['transaction-account', 'transaction-to-account', 'transaction-currency'].forEach(id => {
+        document.getElementById(id).addEventListener('change', syncCurrencyFields);
+    });
+    ['transaction-amount', 'transaction-received-amount'].forEach(id => {
+        document.getElementById(id).addEventListener('input', syncCurrencyFields);
+    });
+    syncCurrencyFields();
+
     // Form submission
     if (addTransactionForm) {
         addTransactionForm.addEventListener('submit', async (e) => {
@@ -116,19 +314,63 @@ function initializeEventListeners() {
                     accountName: selectedOption.dataset.accountName || selectedOption.text,
                     date: formData.get('date'),
                     notes: formData.get('notes'),
+                    goalId: formData.get('goal') || null,
+                    // Read from the select: it is disabled (and left out of formData) when the account sets it
+                    currency: document.getElementById('transaction-currency').value,
                     id: addTransactionForm.dataset.editMode === 'true' ? 
                         addTransactionForm.dataset.transactionId : 
                         generateTransactionId()
                 };
                 
+                if (transactionData.type === 'transfer') {
+                    const toAccountSelect = document.getElementById('transaction-to-account');
+                    if (transactionData.accountId === 'no-account') {
+                        throw new Error('Choose the account the money comes from');
+                    }
+                    Object.assign(transactionData, {
+                        category: 'transfer',
+                        toAccountId: formData.get('toAccount'),
+                        toAccountName: toAccountSelect.selectedOptions[0]?.dataset.accountName || null,
+                        fee: parseFloat(formData.get('fee')) || 0
+                    });
+
+                    // Both sides of a remittance; a same-currency transfer clears any left from an edit
+                    const receivedCurrency = document.getElementById('transaction-received-currency').value;
+                    const receivedAmount = parseFloat(formData.get('receivedAmount'));
+                    if (receivedCurrency !== transactionData.currency) {
+                        if (!(receivedAmount > 0)) {
+                            throw new Error(`Enter how much ${receivedCurrency} was received`);
+                        }
+                        Object.assign(transactionData, {
+                            receivedAmount,
+                            receivedCurrency,
+                            fxRate: Math.round((receivedAmount / transactionData.amount) * 1e6) / 1e6
+                        });
+                    } else {
+                        Object.assign(transactionData, { receivedAmount: null, receivedCurrency, fxRate: null });
+                    }
+                }
+
                 const user = auth.currentUser;
                 if (!user) {
                     throw new Error('User not authenticated');
                 }
                 
-                if (addTransactionForm.dataset.editMode === 'true') {
+                const repeat = formData.get('repeat') || 'none';
+                if (addTransactionForm.dataset.recurringId) {
+                    await updateRecurringTransaction(addTransactionForm.dataset.recurringId, buildRecurringTemplate(transactionData, formData));
+                    showToast('Future occurrences updated', 'success');
+                } else if (addTransactionForm.dataset.editMode === 'true') {
+                    const originalCategory = addTransactionForm.dataset.originalCategory;
                     await updateTransaction(user.uid, transactionData.id, transactionData);
                     showToast('Transaction updated successfully', 'success');
+                    if (originalCategory !== undefined && originalCategory !== transactionData.category) {
+                        await offerApplyToSimilar(transactionData.id, transactionData.category);
+                    }
+                } else if (repeat !== 'none') {
+                    // The server posts the first occurrence (and any already due) itself
+                    const { posted } = await createRecurringTransaction(buildRecurringTemplate(transactionData, formData));
+                    showToast(posted > 0 ? `Recurring transaction created, ${posted} posted` : 'Recurring transaction created', 'success');
                 } else {
                     await storeTransaction(user.uid, transactionData);
                     showToast('Transaction added successfully', 'success');
@@ -136,6 +378,8 @@ function initializeEventListeners() {
                 
                 hideModal();
                 loadTransactions(user.uid);
+                loadRecurringTransactions();
+                if (transactionData.goalId) loadGoals();
                 
             } catch (error) {
                 console.error('❌ Failed to save transaction:', error);
@@ -150,22 +394,43 @@ function initializeEventListeners() {
     }
 }
 
+// Template fields for a recurring series; the form's date is the first occurrence
+function buildRecurringTemplate(transactionData, formData) {
+    return {
+        type: transactionData.type,
+        amount: transactionData.amount,
+        description: transactionData.description,
+        category: transactionData.category,
+        accountId: transactionData.accountId,
+        accountName: transactionData.accountName,
+        notes: transactionData.notes,
+        goalId: transactionData.goalId,
+        frequency: formData.get('repeat'),
+        startDate: transactionData.date,
+        endDate: formData.get('repeatEnd') || null,
+        interval: parseInt(formData.get('repeatInterval'), 10) || 1,
+        unit: formData.get('repeatUnit')
+    };
+}
+
 // Function to populate categories based on transaction type
 function populateCategories() {
     const transactionType = document.getElementById('transaction-type').value;
     const categorySelect = document.getElementById('transaction-category');
-    
-    const expenseCategories = [
-        'Food', 'Shopping', 'Bills', 'Transportation', 
-        'Entertainment', 'Housing', 'Health', 'Education', 'Other'
-    ];
-    const incomeCategories = [
-        'Salary', 'Stipend', 'Freelance', 'Investments', 'Gifts', 'Other'
-    ];
+
+    if (transactionType === 'transfer') {
+        categorySelect.innerHTML = '<option value="transfer">Transfer</option>';
+        return;
+    }
+
+    if (userCategories.length > 0) {
+        fillCategorySelect(categorySelect, userCategories, transactionType === 'income' ? 'income' : 'expense');
+        return;
+    }
 
     categorySelect.innerHTML = ''; // Clear existing options
 
-    const categories = transactionType === 'income' ? incomeCategories : expenseCategories;
+    const categories = transactionType === 'income' ? INCOME_CATEGORIES : EXPENSE_CATEGORIES;
 
     categories.forEach(category => {
         const option = document.createElement('option');
@@ -179,6 +444,7 @@ function populateCategories() {
 const transactionTypeSelect = document.getElementById('transaction-type');
 if (transactionTypeSelect) {
     transactionTypeSelect.addEventListener('change', populateCategories);
+    transactionTypeSelect.addEventListener('change', toggleTransferFields);
 }
 
 // Helper function to generate transaction ID
@@ -220,6 +486,10 @@ async function initializePage() {
             
             // Also load bank accounts
             await loadBankAccounts(user.uid);
+            await loadCategories();
+            loadRecurringTransactions();
+            loadCategoryRules();
+            loadGoals();
             
             // Initialize event listeners after auth is ready
             initializeEventListeners();
@@ -237,13 +507,37 @@ async function initializePage() {
 // Initialize when DOM is loaded
 document.addEventListener('DOMContentLoaded', initializePage);
 
+// Read the chosen receipt photo into a draft expense
+const handleReceiptSelected = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow the same photo to be picked again
+    if (!file) return;
+
+    scanReceiptBtn.disabled = true;
+    scanReceiptBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Reading...';
+    try {
+        const categories = userCategories.length > 0
+            ? buildCategoryTree(userCategories, 'expense').map(category => category.name)
+            : EXPENSE_CATEGORIES;
+        handleScanComplete(await scanReceipt(file, categories));
+    } catch (error) {
+        handleScanError(error);
+    } finally {
+        scanReceiptBtn.disabled = false;
+        scanReceiptBtn.innerHTML = '<i class="fas fa-receipt"></i> Scan Receipt';
+    }
+};
+
 // Handle successful scan
 const handleScanComplete = (scanData) => {
     try {
         console.log('📄 Scan completed:', scanData);
         showModal();
-        populateFormWithScanData(scanData);
-        showToast('Receipt scanned successfully', 'success');
+        populateFormWithTransaction(scanData.draft);
+        const missing = ['amount', 'date'].filter(field => scanData.draft[field] === null);
+        showToast(missing.length > 0
+            ? `Receipt scanned; enter the ${missing.join(' and ')} it did not show clearly`
+            : 'Receipt scanned. Review the details before saving', 'success');
     } catch (error) {
         console.error('❌ Error processing scan data:', error);
         showToast('Failed to process scanned receipt', 'error');
@@ -411,13 +705,14 @@ async function loadBankAccounts(userId) {
                         option.dataset.provider = acc.provider;
                         option.dataset.balance = acc.balance;
                         option.dataset.category = acc.category;
+                        option.dataset.currency = currencyOf(acc);
                         
                         // Format display text with consistent structure
                         const displayName = acc.name || 'Unknown Account';
                         const provider = acc.provider && acc.provider !== acc.name ? ` (${acc.provider})` : '';
                         const cardNumber = acc.displayCardNumber || acc.cardNumber;
                         const lastFour = cardNumber ? ` • ${cardNumber}` : '';
-                        const balance = ` • ₱${parseFloat(acc.balance || 0).toLocaleString('en-PH', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+                        const balance = ` • ${formatMoney(acc.balance, currencyOf(acc))}`;
                         
                         option.textContent = `${displayName}${provider}${lastFour}${balance}`;
                         accountSelect.appendChild(option);
@@ -740,18 +1035,27 @@ async function loadTransactions(userId) {
 
             // Category cell
             const categoryCell = document.createElement('td');
-            categoryCell.textContent = tx.category || 'Uncategorized';
+            const categoryIcon = document.createElement('i');
+            if (tx.type === 'transfer') {
+                categoryIcon.className = 'fas fa-exchange-alt category-icon';
+                categoryCell.append(categoryIcon, 'Transfer');
+            } else {
+                const category = findCategory(userCategories, tx.category, tx.type);
+                categoryIcon.className = `fas ${category.icon} category-icon`;
+                categoryIcon.style.color = category.color;
+                categoryCell.append(categoryIcon, tx.category ? categoryLabel(userCategories, tx.category, tx.type) : 'Uncategorized');
+            }
             row.appendChild(categoryCell);
 
             // Amount cell
             const amount = tx.amount; // Amount is already correctly signed
-            const formattedAmount = new Intl.NumberFormat('en-PH', {
-                style: 'currency',
-                currency: 'PHP'
-            }).format(Math.abs(amount));
+            const formattedAmount = formatMoney(Math.abs(amount), currencyOf(tx));
             const amountCell = document.createElement('td');
             amountCell.className = `amount ${tx.type.toLowerCase()}`;
-            amountCell.textContent = formattedAmount;
+            // A remittance shows both sides of the conversion
+            amountCell.textContent = tx.receivedAmount
+                ? `${formattedAmount} → ${formatMoney(tx.receivedAmount, tx.receivedCurrency)}`
+                : formattedAmount;
             row.appendChild(amountCell);
 
             // Type cell
@@ -767,7 +1071,9 @@ async function loadTransactions(userId) {
             accountCell.className = 'transaction-account-cell';
             const accountNameDiv = document.createElement('div');
             accountNameDiv.className = 'account-name';
-            accountNameDiv.textContent = tx.accountName || 'N/A';
+            accountNameDiv.textContent = tx.type === 'transfer'
+                ? `${tx.accountName || 'N/A'} → ${tx.toAccountName || 'N/A'}`
+                : tx.accountName || 'N/A';
             accountCell.appendChild(accountNameDiv);
             if (tx.accountProvider) {
                 const accountProviderDiv = document.createElement('div');
@@ -806,7 +1112,8 @@ async function loadTransactions(userId) {
                 if (confirm('Are you sure you want to delete this transaction?')) {
                     try {
                         await deleteTransaction(userId, transactionId);
-                        // Optimistically remove from UI
+                        // Optimistically remove from UI (a transfer's fee goes with it)
+                        document.querySelector(`tr[data-transaction-id="${transactionId}_fee"]`)?.remove();
                         const row = document.querySelector(`tr[data-transaction-id="${transactionId}"]`);
                         if (row) {
                             row.remove();
@@ -862,31 +1169,463 @@ async function loadTransactions(userId) {
 }
 
 // Helper function to populate form with transaction data
+// A transaction without an id (a scanned receipt draft) prefills the form in add mode
 function populateFormWithTransaction(transaction) {
     const form = document.getElementById('add-transaction-form');
     if (!form) return;
 
-    form.dataset.editMode = 'true';
-    form.dataset.transactionId = transaction.id;
+    const isDraft = !transaction.id;
+    if (isDraft) {
+        form.dataset.editMode = 'false';
+        delete form.dataset.transactionId;
+    } else {
+        form.dataset.editMode = 'true';
+        form.dataset.transactionId = transaction.id;
+        form.dataset.originalCategory = (transaction.category || '').toLowerCase();
+    }
 
     // Populate form fields
     form.querySelector('#transaction-type').value = transaction.type;
-    form.querySelector('#transaction-amount').value = transaction.amount;
+    populateCategories();
+    form.querySelector('#transaction-amount').value = transaction.amount ?? '';
     form.querySelector('#transaction-description').value = transaction.description || '';
-    form.querySelector('#transaction-category').value = transaction.category || '';
+    form.querySelector('#transaction-category').value = (transaction.category || '').toLowerCase();
     form.querySelector('#transaction-account').value = transaction.accountId || '';
-    form.querySelector('#transaction-date').value = transaction.date.split('T')[0];
+    form.querySelector('#transaction-goal').value = transaction.goalId || '';
+    form.querySelector('#transaction-date').value = (transaction.date || new Date().toISOString()).split('T')[0];
     form.querySelector('#transaction-notes').value = transaction.notes || '';
+    form.querySelector('#transaction-repeat').value = 'none';
+    form.querySelector('#transaction-repeat').disabled = !isDraft;
+    toggleRepeatFields();
+    toggleTransferFields();
+    form.querySelector('#transaction-to-account').value = transaction.toAccountId || '';
+    form.querySelector('#transaction-fee').value = transaction.fee || '';
+    form.querySelector('#transaction-currency').value = currencyOf(transaction);
+    form.querySelector('#transaction-received-amount').value = transaction.receivedAmount || '';
+    syncCurrencyFields();
 
     // Update modal title and button text
     const modalTitle = document.querySelector('.modal-header h2');
     if (modalTitle) {
-        modalTitle.innerHTML = '<i class="fas fa-edit"></i> Edit Transaction';
+        modalTitle.innerHTML = isDraft
+            ? '<i class="fas fa-receipt"></i> Review Scanned Receipt'
+            : '<i class="fas fa-edit"></i> Edit Transaction';
     }
 
     const submitButton = document.querySelector('.modal-actions .action-button');
     if (submitButton) {
-        submitButton.innerHTML = '<i class="fas fa-save"></i> Save Changes';
+        submitButton.innerHTML = isDraft
+            ? '<i class="fas fa-plus"></i> Add Transaction'
+            : '<i class="fas fa-save"></i> Save Changes';
+    }
+}
+
+// After a category change, offer to recategorize the same merchant's other transactions
+async function offerApplyToSimilar(transactionId, category) {
+    try {
+        const similar = await findSimilarTransactions(transactionId);
+        const others = similar.transactions.filter(transaction => (transaction.category || '').toLowerCase() !== category);
+        if (!similar.key || others.length === 0) return;
+
+        const label = categoryLabel(userCategories, category, similar.type);
+        const plural = others.length === 1 ? '' : 's';
+        if (!confirm(`Also set ${others.length} similar "${similar.key}" transaction${plural} to ${label}? Future "${similar.key}" transactions will be categorized the same way.`)) return;
+
+        const result = await applyCategoryToSimilar(transactionId, category, { createRule: true });
+        showToast(`Recategorized ${result.updated} transaction${result.updated === 1 ? '' : 's'}`, 'success');
+        loadCategoryRules();
+        if (currentUser) loadTransactions(currentUser.uid);
+    } catch (error) {
+        console.error('❌ Failed to apply category to similar transactions:', error);
+        showToast(error.message || 'Failed to update similar transactions', 'error');
+    }
+}
+
+// Category rules panel
+async function loadCategoryRules() {
+    const list = document.getElementById('category-rule-list');
+    const emptyState = document.getElementById('category-rule-empty-state');
+    const categorySelect = document.getElementById('category-rule-category');
+    if (!list) return;
+
+    if (categorySelect && userCategories.length > 0) {
+        categorySelect.innerHTML = '';
+        ['expense', 'income'].forEach(type => {
+            const group = document.createElement('optgroup');
+            group.label = type === 'income' ? 'Income' : 'Expense';
+            const options = document.createElement('select');
+            fillCategorySelect(options, userCategories, type);
+            group.append(...options.options);
+            categorySelect.appendChild(group);
+        });
+    } else if (categorySelect && categorySelect.options.length === 0) {
+        [...new Set([...EXPENSE_CATEGORIES, ...INCOME_CATEGORIES])].forEach(category => {
+            const option = document.createElement('option');
+            option.value = category.toLowerCase();
+            option.textContent = category;
+            categorySelect.appendChild(option);
+        });
+    }
+
+    try {
+        const rules = await getCategoryRules();
+        list.innerHTML = '';
+        if (emptyState) {
+            emptyState.style.display = rules.length === 0 ? 'block' : 'none';
+        }
+
+        rules.forEach(rule => {
+            const item = document.createElement('li');
+            item.className = 'recurring-item';
+
+            const details = document.createElement('div');
+            details.className = 'recurring-details';
+            const title = document.createElement('span');
+            title.className = 'transaction-name';
+            title.textContent = `"${rule.pattern}" → ${categoryLabel(userCategories, rule.category, rule.type)}`;
+            const scope = document.createElement('span');
+            scope.className = 'recurring-schedule';
+            scope.textContent = `Description ${rule.matchType === 'startsWith' ? 'starts with' : rule.matchType} · ${rule.type || 'any type'}`;
+            details.append(title, scope);
+
+            const actions = document.createElement('div');
+            actions.className = 'recurring-actions';
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = 'Delete';
+            button.addEventListener('click', async () => {
+                try {
+                    await deleteCategoryRule(rule.id);
+                    loadCategoryRules();
+                } catch (error) {
+                    console.error('❌ Failed to delete category rule:', error);
+                    showToast(error.message || 'Failed to delete rule', 'error');
+                }
+            });
+            actions.appendChild(button);
+
+            item.append(details, actions);
+            list.appendChild(item);
+        });
+    } catch (error) {
+        console.error('❌ Failed to load category rules:', error);
+        list.innerHTML = '';
+        if (emptyState) {
+            emptyState.textContent = 'Could not load category rules.';
+            emptyState.style.display = 'block';
+        }
+    }
+}
+
+async function handleCategoryRuleSubmit(e) {
+    e.preventDefault();
+    const form = e.target;
+    const pattern = form.querySelector('#category-rule-pattern').value.trim();
+    if (!pattern) return;
+
+    try {
+        await createCategoryRule({ pattern, category: form.querySelector('#category-rule-category').value });
+        form.reset();
+        showToast('Rule saved. New transactions with this description are categorized automatically', 'success');
+        loadCategoryRules();
+    } catch (error) {
+        console.error('❌ Failed to save category rule:', error);
+        showToast(error.message || 'Failed to save rule', 'error');
+    }
+}
+
+// Category manager: the user's category tree with add, edit, merge and delete
+async function loadCategories({ refresh = false } = {}) {
+    try {
+        userCategories = await getCategories({ refresh });
+    } catch (error) {
+        console.error('❌ Failed to load categories:', error);
+        showToast('Could not load your categories; showing the defaults', 'error');
+    }
+    renderCategoryManager();
+}
+
+function renderCategoryManager() {
+    const list = document.getElementById('category-list');
+    const iconSelect = document.getElementById('category-icon');
+    if (!list) return;
+
+    if (iconSelect && iconSelect.options.length === 0) {
+        CATEGORY_ICONS.forEach(icon => {
+            const option = document.createElement('option');
+            option.value = icon;
+            option.textContent = icon.replace(/^fa-/, '').replace(/-/g, ' ');
+            iconSelect.appendChild(option);
+        });
+    }
+    fillCategoryParentSelect();
+
+    list.innerHTML = '';
+    ['expense', 'income'].forEach(type => {
+        buildCategoryTree(userCategories, type).forEach(parent => {
+            [parent, ...parent.children].forEach(category => {
+                const item = document.createElement('li');
+                item.className = `recurring-item${category.parentId ? ' category-child' : ''}`;
+
+                const details = document.createElement('div');
+                details.className = 'recurring-details';
+                const title = document.createElement('span');
+                title.className = 'transaction-name';
+                const icon = document.createElement('i');
+                icon.className = `fas ${category.icon} category-icon`;
+                icon.style.color = category.color;
+                title.append(icon, category.name);
+                const scope = document.createElement('span');
+                scope.className = 'recurring-schedule';
+                scope.textContent = category.parentId ? `Sub-category of ${parent.name}` : (type === 'income' ? 'Income' : 'Expense');
+                details.append(title, scope);
+
+                const actions = document.createElement('div');
+                actions.className = 'recurring-actions';
+                [['edit', 'Edit'], ['delete', 'Delete']].forEach(([action, label]) => {
+                    if (action === 'delete' && category.key === 'other') return;
+                    const button = document.createElement('button');
+                    button.type = 'button';
+                    button.textContent = label;
+                    button.addEventListener('click', () => handleCategoryAction(action, category));
+                    actions.appendChild(button);
+                });
+
+                item.append(details, actions);
+                list.appendChild(item);
+            });
+        });
+    });
+}
+
+// Parent choices are the top-level categories of the form's type, except the one being edited
+function fillCategoryParentSelect() {
+    const form = document.getElementById('category-form');
+    const parentSelect = document.getElementById('category-parent');
+    if (!form || !parentSelect) return;
+
+    const type = form.querySelector('#category-type').value;
+    const selected = parentSelect.value;
+    parentSelect.innerHTML = '<option value="">None (top level)</option>';
+    buildCategoryTree(userCategories, type)
+        .filter(category => category.id !== form.dataset.categoryId)
+        .forEach(category => {
+            const option = document.createElement('option');
+            option.value = category.id;
+            option.textContent = category.name;
+            parentSelect.appendChild(option);
+        });
+    parentSelect.value = [...parentSelect.options].some(option => option.value === selected) ? selected : '';
+
+    const mergeSelect = document.getElementById('category-merge-target');
+    if (mergeSelect) {
+        fillCategorySelect(mergeSelect, userCategories.filter(category => category.id !== form.dataset.categoryId), type);
+    }
+}
+
+function resetCategoryForm() {
+    const form = document.getElementById('category-form');
+    if (!form) return;
+    form.reset();
+    delete form.dataset.categoryId;
+    form.querySelector('#category-type').disabled = false;
+    form.querySelector('.category-edit-actions').style.display = 'none';
+    form.querySelector('button[type="submit"]').innerHTML = '<i class="fas fa-plus"></i> Add Category';
+    fillCategoryParentSelect();
+}
+
+// Keys on transactions, rules and recurring templates may have changed
+async function refreshAfterCategoryChange(message) {
+    showToast(message, 'success');
+    resetCategoryForm();
+    await loadCategories({ refresh: true });
+    populateCategories();
+    loadCategoryRules();
+    loadRecurringTransactions();
+    if (currentUser) loadTransactions(currentUser.uid);
+}
+
+async function handleCategoryAction(action, category) {
+    const form = document.getElementById('category-form');
+    if (action === 'edit' && form) {
+        form.dataset.categoryId = category.id;
+        form.querySelector('#category-name').value = category.name;
+        form.querySelector('#category-type').value = category.type;
+        form.querySelector('#category-type').disabled = true;
+        form.querySelector('#category-icon').value = category.icon;
+        form.querySelector('#category-color').value = category.color;
+        fillCategoryParentSelect();
+        form.querySelector('#category-parent').value = category.parentId || '';
+        form.querySelector('.category-edit-actions').style.display = '';
+        form.querySelector('button[type="submit"]').innerHTML = '<i class="fas fa-save"></i> Save Category';
+        form.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        return;
+    }
+
+    if (action === 'delete') {
+        if (!confirm(`Delete "${category.name}"? Its transactions move to Other.`)) return;
+        try {
+            const { migrated } = await deleteCategory(category.id);
+            await refreshAfterCategoryChange(`Category deleted; ${migrated} transaction${migrated === 1 ? '' : 's'} moved to Other`);
+        } catch (error) {
+            console.error('❌ Failed to delete category:', error);
+            showToast(error.message || 'Failed to delete category', 'error');
+        }
+    }
+}
+
+async function handleCategorySubmit(e) {
+    e.preventDefault();
+    const form = e.target;
+    const category = {
+        name: form.querySelector('#category-name').value.trim(),
+        type: form.querySelector('#category-type').value,
+        parentId: form.querySelector('#category-parent').value || null,
+        icon: form.querySelector('#category-icon').value,
+        color: form.querySelector('#category-color').value
+    };
+    if (!category.name) return;
+
+    try {
+        if (form.dataset.categoryId) {
+            const { migrated } = await updateCategory(form.dataset.categoryId, category);
+            await refreshAfterCategoryChange(migrated > 0
+                ? `Category saved; ${migrated} transaction${migrated === 1 ? '' : 's'} updated`
+                : 'Category saved');
+        } else {
+            await createCategory(category);
+            await refreshAfterCategoryChange('Category added');
+        }
+    } catch (error) {
+        console.error('❌ Failed to save category:', error);
+        showToast(error.message || 'Failed to save category', 'error');
+    }
+}
+
+async function handleCategoryMerge() {
+    const form = document.getElementById('category-form');
+    const targetSelect = document.getElementById('category-merge-target');
+    if (!form?.dataset.categoryId || !targetSelect.value) return;
+
+    const source = userCategories.find(category => category.id === form.dataset.categoryId);
+    const target = findCategory(userCategories, targetSelect.value, source?.type);
+    if (!source || !confirm(`Merge "${source.name}" into "${target.name}"? Its transactions move to ${target.name} and "${source.name}" is removed.`)) return;
+
+    try {
+        const { migrated } = await mergeCategory(source.id, target.id);
+        await refreshAfterCategoryChange(`Merged into ${target.name}; ${migrated} transaction${migrated === 1 ? '' : 's'} moved`);
+    } catch (error) {
+        console.error('❌ Failed to merge category:', error);
+        showToast(error.message || 'Failed to merge category', 'error');
+    }
+}
+
+// Open the modal on a recurring series; saving edits its future occurrences
+function populateFormWithRecurring(template) {
+    const form = document.getElementById('add-transaction-form');
+    if (!form) return;
+
+    form.dataset.recurringId = template.id;
+    form.querySelector('#transaction-type').value = template.type;
+    populateCategories();
+    form.querySelector('#transaction-amount').value = template.amount;
+    form.querySelector('#transaction-description').value = template.description || '';
+    form.querySelector('#transaction-category').value = template.category || '';
+    form.querySelector('#transaction-account').value = template.accountId || '';
+    form.querySelector('#transaction-goal').value = template.goalId || '';
+    form.querySelector('#transaction-date').value = template.startDate;
+    form.querySelector('#transaction-notes').value = template.notes || '';
+    form.querySelector('#transaction-repeat').value = template.frequency;
+    form.querySelector('#transaction-repeat-end').value = template.endDate || '';
+    form.querySelector('#transaction-repeat-interval').value = template.interval || 1;
+    if (template.unit) {
+        form.querySelector('#transaction-repeat-unit').value = template.unit;
+    }
+    toggleRepeatFields();
+    toggleTransferFields();
+
+    const modalTitle = document.querySelector('.modal-header h2');
+    if (modalTitle) {
+        modalTitle.innerHTML = '<i class="fas fa-redo"></i> Edit Recurring Transaction';
+    }
+}
+
+// Render the user's recurring series with skip / edit / end actions
+async function loadRecurringTransactions() {
+    const list = document.getElementById('recurring-list');
+    const emptyState = document.getElementById('recurring-empty-state');
+    if (!list) return;
+
+    try {
+        const templates = await getRecurringTransactions();
+        list.innerHTML = '';
+        if (emptyState) {
+            emptyState.style.display = templates.length === 0 ? 'block' : 'none';
+        }
+
+        const formatter = new Intl.NumberFormat('en-PH', { style: 'currency', currency: 'PHP' });
+        templates.forEach(template => {
+            const active = template.status === 'active';
+            const item = document.createElement('li');
+            item.className = `recurring-item${active ? '' : ' ended'}`;
+
+            const details = document.createElement('div');
+            details.className = 'recurring-details';
+            const title = document.createElement('span');
+            title.className = 'transaction-name';
+            title.textContent = `${template.description} · ${formatter.format(template.amount)} ${template.type}`;
+            const schedule = document.createElement('span');
+            schedule.className = 'recurring-schedule';
+            schedule.textContent = `${describeSchedule(template)} · ${template.accountName || 'No account'} · ${
+                active ? `Next: ${template.nextRunDate}` : 'Ended'}`;
+            details.append(title, schedule);
+            item.appendChild(details);
+
+            if (active) {
+                const actions = document.createElement('div');
+                actions.className = 'recurring-actions';
+                [['skip', 'Skip next'], ['edit', 'Edit'], ['end', 'End']].forEach(([action, label]) => {
+                    const button = document.createElement('button');
+                    button.type = 'button';
+                    button.dataset.action = action;
+                    button.textContent = label;
+                    button.addEventListener('click', () => handleRecurringAction(action, template));
+                    actions.appendChild(button);
+                });
+                item.appendChild(actions);
+            }
+
+            list.appendChild(item);
+        });
+    } catch (error) {
+        console.error('❌ Failed to load recurring transactions:', error);
+        list.innerHTML = '';
+        if (emptyState) {
+            emptyState.textContent = 'Could not load recurring transactions.';
+            emptyState.style.display = 'block';
+        }
+    }
+}
+
+async function handleRecurringAction(action, template) {
+    try {
+        if (action === 'edit') {
+            showModal();
+            populateFormWithRecurring(template);
+            return;
+        }
+        if (action === 'skip') {
+            const updated = await skipRecurringOccurrence(template.id);
+            showToast(updated.nextRunDate ? `Skipped ${template.nextRunDate}; next on ${updated.nextRunDate}` : 'Skipped the last occurrence', 'success');
+        } else if (action === 'end') {
+            if (!confirm(`End "${template.description}"? Transactions already posted are kept.`)) return;
+            await endRecurringTransaction(template.id);
+            showToast('Recurring transaction ended', 'success');
+        }
+        loadRecurringTransactions();
+    } catch (error) {
+        console.error(`❌ Failed to ${action} recurring transaction:`, error);
+        showToast(error.message || 'Failed to update recurring transaction', 'error');
     }
 }
 
@@ -1075,37 +1814,168 @@ function showToast(message, type = 'info', duration = 5000) {
     }, duration);
 }
 
-async function loadGoals(userId) {
+// Load the user's savings goals into the Savings Goals panel and the transaction form
+async function loadGoals() {
     try {
-        const userData = await getUserData(userId);
-        return userData.goals || {};
+        userGoals = await getGoals();
     } catch (error) {
         console.error('Error loading goals:', error);
-        return {};
+        userGoals = [];
     }
+    populateGoalSelect();
+    renderGoals();
 }
 
-async function populateGoalSelect(userId) {
+// Only active goals take contributions; a transaction already tagged with another goal keeps it
+function populateGoalSelect() {
     const goalSelect = document.getElementById('transaction-goal');
     if (!goalSelect) return;
 
-    try {
-        const goals = await loadGoals(userId);
-        
-        // Clear existing options
-        goalSelect.innerHTML = '<option value="">No specific goal</option>';
-        
-        // Add options for each active goal
-        Object.entries(goals).forEach(([goalId, goal]) => {
-            if (goal.status === 'active') {
-                const option = document.createElement('option');
-                option.value = goalId;
-                option.textContent = goal.name;
-                goalSelect.appendChild(option);
-            }
+    const selected = goalSelect.value;
+    goalSelect.innerHTML = '<option value="">No specific goal</option>';
+    userGoals.forEach(goal => {
+        if (goal.status === 'active' || goal.id === selected) {
+            const option = document.createElement('option');
+            option.value = goal.id;
+            option.textContent = goal.name;
+            goalSelect.appendChild(option);
+        }
+    });
+    goalSelect.value = selected;
+}
+
+// The linked-account choices are the bank accounts already loaded into the transaction form
+function fillGoalAccountSelect(selected = '') {
+    const accountSelect = document.getElementById('goal-account');
+    if (!accountSelect) return;
+
+    accountSelect.innerHTML = '<option value="">No linked account</option>';
+    [...document.querySelectorAll('#transaction-account option')]
+        .filter(option => option.value && !['no-account', 'cash', 'add-account', 'retry', 'error'].includes(option.value))
+        .forEach(option => {
+            const choice = document.createElement('option');
+            choice.value = option.value;
+            choice.textContent = option.dataset.accountName || option.textContent;
+            accountSelect.appendChild(choice);
+        });
+    accountSelect.value = selected;
+}
+
+function renderGoals() {
+    const list = document.getElementById('goal-list');
+    const emptyState = document.getElementById('goal-empty-state');
+    if (!list) return;
+
+    list.innerHTML = '';
+    if (emptyState) emptyState.style.display = userGoals.length === 0 ? 'block' : 'none';
+    if (!document.getElementById('goal-form')?.dataset.goalId) fillGoalAccountSelect();
+
+    const formatter = new Intl.NumberFormat('en-PH', { style: 'currency', currency: 'PHP' });
+    userGoals.forEach(goal => {
+        const { progress } = goal;
+        const item = document.createElement('li');
+        item.className = `recurring-item ${goal.status === 'archived' ? 'ended' : progress.state}`;
+
+        const details = document.createElement('div');
+        details.className = 'recurring-details';
+        const title = document.createElement('span');
+        title.className = 'transaction-name';
+        title.textContent = `${goal.name} · ${formatter.format(progress.saved)} of ${formatter.format(goal.targetAmount)} (${progress.percent}%)`;
+        const bar = document.createElement('div');
+        bar.className = 'goal-progress';
+        bar.innerHTML = `<div class="goal-progress-fill" style="width: ${progress.percent}%"></div>`;
+        const projection = document.createElement('span');
+        projection.className = 'recurring-schedule';
+        projection.textContent = [
+            goal.status === 'archived' ? 'Archived' : describeProjection(progress),
+            goal.deadline ? `Deadline ${goal.deadline}` : null,
+            goal.accountName
+        ].filter(Boolean).join(' · ');
+        details.append(title, bar, projection);
+        item.appendChild(details);
+
+        const actions = document.createElement('div');
+        actions.className = 'recurring-actions';
+        const goalActions = goal.status === 'archived'
+            ? [['restore', 'Restore'], ['delete', 'Delete']]
+            : [['edit', 'Edit'], ['archive', 'Archive'], ['delete', 'Delete']];
+        goalActions.forEach(([action, label]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = label;
+            button.addEventListener('click', () => handleGoalAction(action, goal));
+            actions.appendChild(button);
         });
+        item.appendChild(actions);
+
+        list.appendChild(item);
+    });
+}
+
+function resetGoalForm() {
+    const form = document.getElementById('goal-form');
+    if (!form) return;
+    form.reset();
+    delete form.dataset.goalId;
+    fillGoalAccountSelect();
+    form.querySelector('button[type="submit"]').innerHTML = '<i class="fas fa-plus"></i> Add Goal';
+    form.querySelector('.category-edit-actions').style.display = 'none';
+}
+
+async function handleGoalAction(action, goal) {
+    try {
+        if (action === 'edit') {
+            const form = document.getElementById('goal-form');
+            form.dataset.goalId = goal.id;
+            form.querySelector('#goal-name').value = goal.name;
+            form.querySelector('#goal-target').value = goal.targetAmount;
+            form.querySelector('#goal-initial').value = goal.initialAmount || '';
+            form.querySelector('#goal-deadline').value = goal.deadline || '';
+            fillGoalAccountSelect(goal.accountId || '');
+            form.querySelector('button[type="submit"]').innerHTML = '<i class="fas fa-save"></i> Save Goal';
+            form.querySelector('.category-edit-actions').style.display = 'flex';
+            form.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            return;
+        }
+        if (action === 'archive' || action === 'restore') {
+            await updateGoal(goal.id, { status: action === 'archive' ? 'archived' : 'active' });
+            showToast(action === 'archive' ? `"${goal.name}" archived` : `"${goal.name}" restored`, 'success');
+        } else if (action === 'delete') {
+            if (!confirm(`Delete "${goal.name}"? Transactions that went toward it are kept.`)) return;
+            await deleteGoal(goal.id);
+            showToast('Goal deleted', 'success');
+        }
+        await loadGoals();
+    } catch (error) {
+        console.error('❌ Goal action failed:', error);
+        showToast(error.message || 'Failed to update goal', 'error');
+    }
+}
+
+async function handleGoalSubmit(e) {
+    e.preventDefault();
+    const form = e.target;
+    const goal = {
+        name: form.querySelector('#goal-name').value.trim(),
+        targetAmount: parseFloat(form.querySelector('#goal-target').value),
+        initialAmount: parseFloat(form.querySelector('#goal-initial').value) || 0,
+        deadline: form.querySelector('#goal-deadline').value || null,
+        accountId: form.querySelector('#goal-account').value || null
+    };
+
+    try {
+        if (form.dataset.goalId) {
+            await updateGoal(form.dataset.goalId, goal);
+            showToast('Goal saved', 'success');
+        } else {
+            await createGoal(goal);
+            showToast(`Goal "${goal.name}" added`, 'success');
+        }
+        resetGoalForm();
+        await loadGoals();
     } catch (error) {
-        console.error('Error populating goal select:', error);
+        console.error('❌ Failed to save goal:', error);
+        showToast(error.message || 'Failed to save goal', 'error');
     }
 }
 
@@ -1,7 +1,7 @@
 /**
  * Displays a toast notification with a specified message and type.
  * @param {string} message The message to display.
- * @param {('success'|'error')} type The type of notification.
+ * @param {('success'|'error'|'warning')} type The type of notification.
  */
 export function showToast(message, type = 'success') {
     const toast = document.getElementById('toast-notification');
@@ -19,4 +19,57 @@ export function showToast(message, type = 'success') {
     setTimeout(() => {
         toast.classList.remove('show');
     }, 3000); // Hide after 3 seconds
-} 
\ No newline at end of file
+} 
+
+const TOAST_DURATION = 3000;
+const toastQueue = [];
+let toastTimer = null;
+
+// Shows queued toasts one after another so a burst of alerts doesn't overwrite itself
+function showNextToast() {
+    const next = toastQueue.shift();
+    if (!next) {
+        toastTimer = null;
+        return;
+    }
+    showToast(next.message, next.type);
+    toastTimer = setTimeout(showNextToast, TOAST_DURATION + 500);
+}
+
+/**
+ * Tells the user about budgets that crossed 80% or 100% (see POST /api/budgets/alerts).
+ * Each alert becomes a toast; when the browser allows notifications, a system notification too.
+ * @param {Array<{budgetId: string, category: string, threshold: number, percent: number, remaining: number}>} alerts
+ * @param {object} [options]
+ * @param {function(object): string} [options.labelFor] Display name of an alert's category.
+ */
+export function notifyBudgetAlerts(alerts, { labelFor = alert => alert.category } = {}) {
+    (alerts || []).forEach(alert => {
+        const label = labelFor(alert);
+        const message = alert.threshold >= 100
+            ? `${label} budget exceeded: ${alert.percent}% used, ₱${Math.abs(alert.remaining).toLocaleString('en-PH')} over.`
+            : `${label} budget is at ${alert.percent}%: ₱${alert.remaining.toLocaleString('en-PH')} left this period.`;
+        toastQueue.push({ message, type: alert.threshold >= 100 ? 'error' : 'warning' });
+
+        if (typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+            new Notification('Kita-kita budget alert', { body: message, tag: `budget-${alert.budgetId}` });
+        }
+    });
+    if (!toastTimer) showNextToast();
+}
+
+/**
+ * Tells the user about bills that are due soon or overdue (see POST /api/bills/reminders).
+ * Each reminder becomes a toast; when the browser allows notifications, a system notification too.
+ * @param {Array<{billId: string, dueDate: string, state: string, message: string}>} reminders
+ */
+export function notifyBillReminders(reminders) {
+    (reminders || []).forEach(reminder => {
+        toastQueue.push({ message: reminder.message, type: reminder.state === 'overdue' ? 'error' : 'warning' });
+
+        if (typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+            new Notification('Kita-kita bill reminder', { body: reminder.message, tag: `bill-${reminder.billId}-${reminder.dueDate}` });
+        }
+    });
+    if (!toastTimer) showNextToast();
+}
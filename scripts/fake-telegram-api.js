@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+
+/**
+ * Local Fake Telegram Bot API
+ * Stands in for api.telegram.org so the bot can be run and tested without a real bot token or network.
+ * It answers the Bot API methods the bot uses (getMe, getUpdates with long polling, sendMessage) for any
+ * token, and adds control routes to play the user's side:
+ *
+ *   POST   /__messages  { "chatId": 1001, "text": "/balance", "from": { "first_name": "Juan" } }  queue a user message
+ *   GET    /__sent?chatId=1001                                                               what the bot sent
+ *   DELETE /__sent                                                                            clear both
+ *
+ * Run it with `npm run telegram:fake`, then start the server with
+ * TELEGRAM_BOT_TOKEN=test TELEGRAM_API_BASE_URL=http://localhost:8081.
+ * Tests can require it and call createFakeTelegramApi() to drive it in-process.
+ */
+
+const http = require('http');
+
+const DEFAULT_PORT = 8081;
+const BOT_USERNAME = 'KitakitaLocalBot';
+
+function createFakeTelegramApi() {
+    let nextUpdateId = 1;
+    let nextMessageId = 1;
+    let updates = [];
+    let sent = [];
+    let waiting = [];
+
+    // Let long polls that were waiting for an update return
+    function wakePollers() {
+        const pollers = waiting;
+        waiting = [];
+        pollers.forEach(poller => poller());
+    }
+
+    /**
+     * Queue a message from a user, as Telegram would deliver it to the bot.
+     * @returns {object} The update
+     */
+    function sendUserMessage(chatId, text, from = {}) {
+        const update = {
+            update_id: nextUpdateId++,
+            message: {
+                message_id: nextMessageId++,
+                date: Math.floor(Date.now() / 1000),
+                chat: { id: chatId, type: 'private' },
+                from: { id: chatId, is_bot: false, first_name: 'Test', ...from },
+                text
+            }
+        };
+        updates.push(update);
+        wakePollers();
+        return update;
+    }
+
+    function sentMessages(chatId = null) {
+        return chatId === null ? sent.slice() : sent.filter(message => String(message.chat_id) === String(chatId));
+    }
+
+    function reset() {
+        updates = [];
+        sent = [];
+    }
+
+    async function callMethod(method, params) {
+        switch (method) {
+            case 'getMe':
+                return { id: 1, is_bot: true, first_name: 'Kita-kita (local)', username: BOT_USERNAME };
+            case 'getUpdates': {
+                // Updates before the offset are confirmed and dropped, as on Telegram
+                if (params.offset) updates = updates.filter(update => update.update_id >= params.offset);
+                if (updates.length === 0 && params.timeout > 0) {
+                    await new Promise(resolve => {
+                        const timer = setTimeout(resolve, params.timeout * 1000);
+                        waiting.push(() => {
+                            clearTimeout(timer);
+                            resolve();
+                        });
+                    });
+                }
+                return updates.slice();
+            }
+            case 'sendMessage': {
+                if (!params.chat_id || !params.text) {
+                    const error = new Error('Bad Request: chat_id and text are required');
+                    error.status = 400;
+                    throw error;
+                }
+                const message = { message_id: nextMessageId++, chat_id: params.chat_id, text: params.text, date: Math.floor(Date.now() / 1000) };
+                sent.push(message);
+                return message;
+            }
+            case 'deleteWebhook':
+                return true;
+            default: {
+                const error = new Error(`Not Found: method ${method} is not faked`);
+                error.status = 404;
+                throw error;
+            }
+        }
+    }
+
+    function readBody(req) {
+        return new Promise(resolve => {
+            let raw = '';
+            req.on('data', chunk => {
+                raw += chunk;
+            });
+            req.on('end', () => {
+                try {
+                    resolve(raw ? JSON.parse(raw) : {});
+                } catch (error) {
+                    resolve({});
+                }
+            });
+        });
+    }
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const reply = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+
+        if (url.pathname === '/__messages' && req.method === 'POST') {
+            const { chatId, text, from } = await readBody(req);
+            if (!chatId || typeof text !== 'string') return reply(400, { error: 'chatId and text are required' });
+            return reply(200, sendUserMessage(chatId, text, from));
+        }
+        if (url.pathname === '/__sent' && req.method === 'GET') {
+            return reply(200, sentMessages(url.searchParams.get('chatId')));
+        }
+        if (url.pathname === '/__sent' && req.method === 'DELETE') {
+            reset();
+            return reply(200, { ok: true });
+        }
+
+        const match = url.pathname.match(/^\/bot([^/]+)\/(\w+)$/);
+        if (!match) return reply(404, { ok: false, error_code: 404, description: 'Not Found' });
+        try {
+            const params = { ...Object.fromEntries(url.searchParams), ...(await readBody(req)) };
+            reply(200, { ok: true, result: await callMethod(match[2], params) });
+        } catch (error) {
+            reply(error.status || 500, { ok: false, error_code: error.status || 500, description: error.message });
+        }
+    });
+
+    return {
+        server,
+        sendUserMessage,
+        sentMessages,
+        reset,
+        /**
+         * Start listening; port 0 picks a free one.
+         * @returns {Promise<string>} The base URL to use as TELEGRAM_API_BASE_URL
+         */
+        listen(port = DEFAULT_PORT) {
+            return new Promise(resolve => {
+                server.listen(port, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+            });
+        },
+        close() {
+            wakePollers();
+            return new Promise(resolve => server.close(() => resolve()));
+        }
+    };
+}
+
+// CLI interface
+if (require.main === module) {
+    const fake = createFakeTelegramApi();
+    fake.listen(parseInt(process.env.FAKE_TELEGRAM_PORT, 10) || DEFAULT_PORT).then(url => {
+        console.log(`🤖 Fake Telegram Bot API listening on ${url}`);
+        console.log(`   Start the server with TELEGRAM_BOT_TOKEN=test TELEGRAM_API_BASE_URL=${url}`);
+        console.log(`   Send a message: curl -X POST ${url}/__messages -H 'Content-Type: application/json' -d '{"chatId":1001,"text":"/start"}'`);
+        console.log(`   Read replies:   curl ${url}/__sent?chatId=1001`);
+    });
+}
+
+module.exports = { createFakeTelegramApi };
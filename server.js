@@ -10,10 +10,30 @@ const path = require('path');
 const fs = require('fs');
 
 const AIEngine = require('./lib/ai-engine.js');
+const { AIProviderError, createProvider, generateWithRetry } = require('./lib/llm-provider.js');
+const { buildPrompt, listTemplates, PromptTemplateError } = require('./lib/prompt-templates.js');
+const { SCHEMAS, AIOutputError, expandSchema, parseStructured, buildRepairPrompt } = require('./lib/ai-schemas.js');
+const { createRecurringService, RecurringTemplateError } = require('./lib/recurring-transactions.js');
+const { createImportService, StatementImportError, BANK_MAPPERS } = require('./lib/statement-import.js');
+const { scanReceipt } = require('./lib/receipt-ocr.js');
+const { createCategorizer, CategoryRuleError } = require('./lib/categorizer.js');
+const { createCategoryService, CategoryError, buildTree } = require('./lib/category-tree.js');
+const { createBudgetService, BudgetError } = require('./lib/budgets.js');
+const { createGoalService, GoalError } = require('./lib/savings-goals.js');
+const { createLedgerService, LedgerError } = require('./lib/account-ledger.js');
+const { createFxService, FxError } = require('./lib/fx-rates.js');
+const { createNetWorthService } = require('./lib/net-worth.js');
+const { createHoldingService, HoldingError } = require('./lib/investment-holdings.js');
+const { createBillService, BillError } = require('./lib/bills.js');
+const { createTelegramApi } = require('./lib/telegram-api.js');
+const { createTelegramBot } = require('./lib/telegram-bot.js');
 
 // Load environment variables
 dotenv.config();
 
+// Shared LLM provider for every AI route (AI_PROVIDER=gemini|openai|phi3|local)
+const aiProvider = createProvider();
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
@@ -71,6 +91,42 @@ try {
 // Get Firestore instance
 const db = admin.firestore();
 
+// Account balances: opening balance plus transactions, moved atomically as transactions are written
+const ledger = createLedgerService({ db, admin });
+
+// Recurring transaction templates and the job that posts their due occurrences through the ledger
+const recurring = createRecurringService({ db, admin, ledger });
+
+// Account and transaction currencies, converted to the user's home currency with their imported FX rates
+const fx = createFxService({ db, admin });
+
+// Daily net worth snapshots (assets and liabilities per account type) and the trend built from them
+const netWorth = createNetWorthService({ db, fx });
+
+// Investment holdings: lots from buy/sell/dividend events, valued with the user's imported price table
+const holdings = createHoldingService({ db, fx });
+
+// Bank statement (CSV/XLSX) parsing, preview and bulk import
+const categorizer = createCategorizer({ db, admin });
+const categories = createCategoryService({ db, admin });
+const statementImport = createImportService({ db, admin, categorizer, ledger });
+
+// Budget envelopes, tracked against transactions on every read
+const budgets = createBudgetService({ db, admin, fx });
+
+// Savings goals; contributions are transactions tagged with a goalId
+const goals = createGoalService({ db, admin });
+
+// Bills with due dates; paying one posts through the ledger. Reminders go to the app and to linked Telegram chats
+const telegram = createTelegramApi();
+const bills = createBillService({ db, ledger, telegram });
+
+// The Telegram bot: links a chat with the profile page's connection key, then answers commands and agent questions
+const telegramBot = createTelegramBot({
+  db, telegram, ledger, fx, budgets, bills, categories, categorizer, askAgent,
+  logActivity: (...args) => dbHelpers.logUserActivity(...args)
+});
+
 // Enhanced security middleware
 // app.use(
 //   helmet({
@@ -128,26 +184,6 @@ app.get('/api/config', (req, res) => {
     });
 });
 
-// AI Chat Endpoint
-app.post('/api/v1/ai/chat', aiLimiter, async (req, res) => {
-    try {
-        const { agentType, message, context } = req.body;
-
-        if (!agentType || !message) {
-            return res.status(400).json({ error: 'Missing agentType or message in request body' });
-        }
-
-        const aiEngine = new AIEngine();
-        const aiResponse = await aiEngine.getChatResponse(agentType, message, context || {});
-        
-        res.json({ response: aiResponse });
-
-    } catch (error) {
-        console.error('AI Chat Endpoint Error:', error);
-        res.status(500).json({ error: 'Failed to get AI response' });
-    }
-});
-
 // Configure multer for file uploads with size limits and filters
 const upload = multer({
   limits: { 
@@ -156,7 +192,9 @@ const upload = multer({
   fileFilter: (req, file, cb) => {
     // Accept only certain file types
     const allowedMimes = ['application/pdf', 'image/jpeg', 'image/png', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'text/csv'];
-    if (allowedMimes.includes(file.mimetype)) {
+    // Windows browsers label .csv files as Excel
+    const isWindowsCsv = file.mimetype === 'application/vnd.ms-excel' && /\.csv$/i.test(file.originalname);
+    if (allowedMimes.includes(file.mimetype) || isWindowsCsv) {
       cb(null, true);
     } else {
       cb(new Error('Invalid file type. Only PDF, JPEG, PNG, XLSX, and CSV files are allowed.'), false);
@@ -324,7 +362,7 @@ const dbHelpers = {
       const existingData = existingDoc.exists ? existingDoc.data() : {};
       
       // Track sensitive field changes
-      const sensitiveFields = ['email', 'telegramKey', 'telegramKeyUsed', 'role', 'permissions'];
+      const sensitiveFields = ['email', 'telegramKey', 'telegramKeyUsed', 'telegramChatId', 'role', 'permissions'];
       const changedSensitiveFields = [];
       
       sensitiveFields.forEach(field => {
@@ -390,28 +428,36 @@ const dbHelpers = {
     }
   },
 
+  async getUserBankAccounts(userId) {
+    try {
+      const snapshot = await db.collection('users').doc(userId).collection('bankAccounts').get();
+      return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      console.error('Error fetching bank accounts:', error);
+      throw error;
+    }
+  },
+
   async storeTransaction(userId, transactionData, requestDetails = {}) {
     try {
-      const transactionRef = db.collection('users').doc(userId).collection('transactions').doc();
       const auditedTransaction = {
         ...transactionData,
-        timestamp: admin.firestore.FieldValue.serverTimestamp(),
-        userId,
         lastModified: admin.firestore.FieldValue.serverTimestamp(),
         modifiedBy: userId
       };
       
-      await transactionRef.set(auditedTransaction);
+      // Writes the transaction and moves its account balances together
+      const transactionId = await ledger.postTransaction(userId, auditedTransaction);
       
       // Log transaction creation
       await this.logUserActivity(userId, 'TRANSACTION_CREATED', {
         ...requestDetails,
-        transactionId: transactionRef.id,
+        transactionId,
         amount: transactionData.amount,
         category: transactionData.category
       });
       
-      return transactionRef.id;
+      return transactionId;
     } catch (error) {
       console.error('Error storing transaction:', error);
       await this.logUserActivity(userId, 'TRANSACTION_STORE_ERROR', {
@@ -517,27 +563,104 @@ const dbHelpers = {
   }
 };
 
-// AI Agent Integration
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
 // AI helper function
-async function callGeminiAI(prompt, retries = 3) {
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      const model = genAI.getGenerativeModel({ model: "gemini-pro" });
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      return response.text();
-    } catch (error) {
-      console.error(`Gemini AI attempt ${attempt} failed:`, error);
-      if (attempt === retries) {
-        throw new Error(`Gemini AI failed after ${retries} attempts: ${error.message}`);
-      }
-      // Wait before retry (exponential backoff)
-      await new Promise(resolve => setTimeout(resolve, Math.pow(2, attempt) * 1000));
+async function callAI(prompt, options = {}, retries = 3) {
+  return generateWithRetry(aiProvider, prompt, options, retries);
+}
+
+// Clients opt into streaming with ?stream=true or an Accept: text/event-stream header
+function wantsStream(req) {
+  return req.query.stream === 'true' || (req.get('Accept') || '').includes('text/event-stream');
+}
+
+/**
+ * Send AI output to the client as Server-Sent Events ("chunk", then "done" or "error").
+ * createStream receives an AbortSignal that fires when the client disconnects.
+ * Resolves to the full text, or null when the stream failed or was cancelled.
+ */
+async function streamToClient(res, createStream) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  let text = '';
+  try {
+    for await (const chunk of createStream(controller.signal)) {
+      if (controller.signal.aborted) break;
+      text += chunk;
+      send('chunk', { text: chunk });
+    }
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      console.error('AI stream error:', error);
+      send('error', { error: 'Failed to get AI response' });
+      res.end();
     }
+    return null;
   }
+
+  if (controller.signal.aborted) return null;
+  send('done', { response: text });
+  res.end();
+  return text;
+}
+
+// Full completion as JSON by default, or streamed over SSE when the client asks for it
+async function respondWithAI(req, res, prompt, options) {
+  if (!wantsStream(req)) {
+    return callAI(prompt, options);
+  }
+  return streamToClient(res, signal => aiProvider.stream(prompt, { ...options, signal }));
+}
+
+// Assemble a registered prompt template from the user's stored data (clients never send prompt text),
+// with every amount in the user's home currency
+async function buildAgentPrompt(userId, templateId, params, version) {
+  const [userData, accounts, transactions, netWorthTrend, portfolio] = await Promise.all([
+    dbHelpers.getUserData(userId),
+    dbHelpers.getUserBankAccounts(userId),
+    dbHelpers.getUserTransactions(userId),
+    netWorth.getTrend(userId),
+    holdings.getPortfolio(userId)
+  ]);
+  const converted = await fx.convertForUser(userId, { accounts, transactions, userData: userData || {} });
+  return buildPrompt(templateId, {
+    userData: userData || {},
+    accounts: converted.accounts,
+    transactions: converted.transactions,
+    currency: converted.homeCurrency,
+    netWorthTrend,
+    portfolio: portfolio.summary
+  }, params, version);
+}
+
+// Run a built template: schema-valid data when the template declares a schema, otherwise the raw text
+async function runAgentPrompt({ prompt, task, schema }) {
+  if (!schema) {
+    return { response: await callAI(prompt, { task }) };
+  }
+  const aiEngine = new AIEngine({ provider: aiProvider });
+  return { data: await aiEngine.generateStructured(prompt, schema, { task, retries: 3 }) };
+}
+
+// Typed errors (bad template parameters, an unavailable AI provider, unusable AI output, invalid recurring templates or statements) carry their own status and body for the UI
+const TYPED_ERRORS = [PromptTemplateError, AIProviderError, AIOutputError, RecurringTemplateError, StatementImportError, CategoryRuleError, CategoryError, BudgetError, GoalError, LedgerError, FxError, HoldingError, BillError];
+
+function sendTypedError(res, error) {
+  if (TYPED_ERRORS.some(ErrorType => error instanceof ErrorType)) {
+    res.status(error.status).json({ success: false, ...error.toJSON() });
+    return true;
+  }
+  return false;
 }
 
 // Health check endpoint
@@ -720,6 +843,40 @@ app.get('/api/user/:userId/telegram-key', authenticateUser, async (req, res) =>
   }
 });
 
+// Whether a Telegram chat has redeemed the user's key, and who linked it (polled by the profile page)
+app.get('/api/user/:userId/telegram-status', authenticateUser, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (req.user.uid !== userId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const userData = await dbHelpers.getUserData(userId);
+    if (!userData) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const connected = !!(userData.telegramKeyUsed && userData.telegramChatId);
+    res.json({
+      success: true,
+      data: {
+        connected,
+        botInfo: await telegramBot.getBotInfo(),
+        connectionInfo: connected ? {
+          telegramFirstName: userData.telegramFirstName || '',
+          telegramLastName: userData.telegramLastName || '',
+          telegramUsername: userData.telegramUsername || null,
+          linkedAt: userData.telegramLinkedAt || null
+        } : null
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching telegram status:', error);
+    res.status(500).json({ error: 'Failed to fetch telegram status' });
+  }
+});
+
 // Ensure user has a fixed telegram key (no regeneration allowed)
 app.post('/api/user/ensure-fixed-key', authenticateUser, async (req, res) => {
   try {
@@ -840,11 +997,785 @@ app.post('/api/user/:userId/transactions', authenticateUser, async (req, res) =>
     const transactionId = await dbHelpers.storeTransaction(userId, req.body);
     res.json({ success: true, transactionId, message: 'Transaction stored successfully' });
   } catch (error) {
+    if (sendTypedError(res, error)) return;
     console.error('Error storing transaction:', error);
     res.status(500).json({ error: 'Failed to store transaction' });
   }
 });
 
+// Edits and deletes go through the ledger too, so account balances move with the transaction
+app.put('/api/user/:userId/transactions/:transactionId', authenticateUser, async (req, res) => {
+  try {
+    const { userId, transactionId } = req.params;
+
+    if (req.user.uid !== userId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const updated = await ledger.updateTransaction(userId, transactionId, {
+      ...req.body,
+      lastModified: admin.firestore.FieldValue.serverTimestamp(),
+      modifiedBy: userId
+    });
+    await dbHelpers.logUserActivity(userId, 'TRANSACTION_UPDATED', { transactionId, amount: updated.amount, category: updated.category });
+    res.json({ success: true, transactionId, message: 'Transaction updated successfully' });
+  } catch (error) {
+    if (sendTypedError(res, error)) return;
+    console.error('Error updating transaction:', error);
+    res.status(500).json({ error: 'Failed to update transaction' });
+  }
+});
+
+app.delete('/api/user/:userId/transactions/:transactionId', authenticateUser, async (req, res) => {
+  try {
+    const { userId, transactionId } = req.params;
+
+    if (req.user.uid !== userId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    await ledger.deleteTransaction(userId, transactionId);
+    await dbHelpers.logUserActivity(userId, 'TRANSACTION_DELETED', { transactionId });
+    res.json({ success: true, message: 'Transaction deleted successfully' });
+  } catch (error) {
+    if (sendTypedError(res, error)) return;
+    console.error('Error deleting transaction:', error);
+    res.status(500).json({ error: 'Failed to delete transaction' });
+  }
+});
+
+// Recurring transaction templates (users/{uid}/recurringTransactions)
+app.get('/api/recurring-transactions', authenticateUser, async (req, res) => {
+  try {
+    const templates = await recurring.listTemplates(req.user.uid);
+    res.json({ success: true, data: templates });
+  } catch (error) {
+    console.error('Error fetching recurring transactions:', error);
+    res.status(500).json({ error: 'Failed to fetch recurring transactions' });
+  }
+});
+
+app.post('/api/recurring-transactions', authenticateUser, async (req, res) => {
+  try {
+    const template = await recurring.createTemplate(req.user.uid, req.body);
+    // Post anything already due (e.g. a series that started last week) without waiting for the job
+    const { posted } = await recurring.materializeDue({ userId: req.user.uid });
+    await dbHelpers.logUserActivity(req.user.uid, 'recurring_transaction_created', {
+      recurringId: template.id,
+      frequency: template.frequency
+    });
+    res.json({ success: true, data: template, posted });
+  } catch (error) {
+    if (sendTypedError(res, error)) return;
+    console.error('Error creating recurring transaction:', error);
+    res.status(500).json({ error: 'Failed to create recurring transaction' });
+  }
+});
+
+app.put('/api/recurring-transactions/:id', authenticateUser, async (req, res) => {
+  try {
+    const template = await recurring.updateTemplate(req.user.uid, req.params.id, req.body);
+    const { posted } = await recurring.materializeDue({ userId: req.user.uid });
+    res.json({ success: true, data: template, posted });
+  } catch (error) {
+    if (sendTypedError(res, error)) return;
+    console.error('Error updating recurring transaction:', error);
+    res.status(500).json({ error: 'Failed to update recurring transaction' });
+  }
+});
+
+app.post('/api/recurring-transactions/:id/skip', authenticateUser, async (req, res) => {
+  try {
+    const template = await recurring.skipOccurrence(req.user.uid, req.params.id, req.body.date || null);
+    res.json({ success: true, data: template });
+  } catch (error) {
+    if (sendTypedError(res, error)) return;
+    console.error('Error skipping recurring transaction:', error);
+    res.status(500).json({ error: 'Failed to skip occurrence' });
+  }
+});
+
+app.post('/api/recurring-transactions/:id/end', authenticateUser, async (req, res) => {
+  try {
+    const template = await recurring.endSeries(req.user.uid, req.params.id);
+    await dbHelpers.logUserActivity(req.user.uid, 'recurring_transaction_ended', { recurringId: template.id });
+    res.json({ success: true, data: template });
+  } catch (error) {
+    if (sendTypedError(res, error)) return;
+    console.error('Error ending recurring transaction:', error);
+    res.status(500).json({ error: 'Failed to end recurring transaction' });
+  }
+});
+
+// Category tree (users/{uid}/categories). Renames and merges rewrite the keys stored on transactions.
+app.get('/api/categories', authenticateUser, async (req, res) => {
+  try {
+    const list = await categories.listCategories(req.user.uid);
+    res.json({ success: true, data: list, tree: buildTree(list) });
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({ error: 'Failed to fetch categories' });
+  }
+});
+
+app.post('/api/categories', authenticateUser, async (req, res) => {
+  try {
+    const category = await categories.createCategory(req.user.uid, req.body);
+    res.json({ success: true, data: category });
+  } catch (error) {
+    if (sendTypedError(res, error)) return;
+    console.error('Error creating category:', error);
+    res.status(500).json({ error: 'Failed to create category' });
+  }
+});
+
+app.put('/api/categories/:id', authenticateUser, async (req, res) => {
+  try {
+    const { category, migrated } = await categories.updateCategory(req.user.uid, req.params.id, req.body);
+    if (migrated > 0) categorizer.forgetModel(req.user.uid);
+    res.json({ success: true, data: category, migrated });
+  } catch (error) {
+    if (sendTypedError(res, error)) return;
+    console.error('Error updating category:', error);
+    res.status(500).json({ error: 'Failed to update category' });
+  }
+});
+
+// Body: { targetId }
+app.post('/api/categories/:id/merge', authenticateUser, async (req, res) => {
+  try {
+    const { target, migrated } = await categories.mergeCategory(req.user.uid, req.params.id, req.body.targetId);
+    categorizer.forgetModel(req.user.uid);
+    await dbHelpers.logUserActivity(req.user.uid, 'category_merged', { categoryId: req.params.id, targetId: target.id, migrated });
+    res.json({ success: true, data: target, migrated });
+  } catch (error) {
+    if (sendTypedError(res, error)) return;
+    console.error('Error merging category:', error);
+    res.status(500).json({ error: 'Failed to merge category' });
+  }
+});
+
+// Transactions of a deleted category move to "Other"
+app.delete('/api/categories/:id', authenticateUser, async (req, res) => {
+  try {
+    const { target, migrated } = await categories.deleteCategory(req.user.uid, req.params.id);
+    categorizer.forgetModel(req.user.uid);
+    res.json({ success: true, data: target, migrated });
+  } catch (error) {
+    if (sendTypedError(res, error)) return;
+    console.error('Error deleting category:', error);
+    res.status(500).json({ error: 'Failed to delete category' });
+  }
+});
+
+// Budgets (users/{uid}/budgets). Every response carries each budget's status for the current period.
+app.get('/api/budgets', authenticateUser, async (req, res) => {
+  try {
+    const list = await budgets.listBudgets(req.user.uid);
+    res.json({ success: true, data: list });
+  } catch (error) {
+    console.error('Error fetching budgets:', error);
+    res.status(500).json({ error: 'Failed to fetch budgets' });
+  }
+});
+
+// Body: { category, amount, period?: 'weekly'|'semi-monthly'|'monthly', rollover?: 'none'|'unused'|'all' }
+app.post('/api/budgets', authenticateUser, async (req, res) => {
+  try {
+    const budget = await budgets.createBudget(req.user.uid, req.body);
+    await dbHelpers.logUserActivity(req.user.uid, 'budget_created', { budgetId: budget.id, category: budget.category });
+    res.json({ success: true, data: budget });
+  } catch (error) {
+    if (sendTypedError(res, error)) return;
+    console.error('Error creating budget:', error);
+    res.status(500).json({ error: 'Failed to create budget' });
+  }
+});
+
+app.put('/api/budgets/:id', authenticateUser, async (req, res) => {
+  try {
+    const budget = await budgets.updateBudget(req.user.uid, req.params.id, req.body);
+    res.json({ success: true, data: budget });
+  } catch (error) {
+    if (sendTypedError(res, error)) return;
+    console.error('Error updating budget:', error);
+    res.status(500).json({ error: 'Failed to update budget' });
+  }
+});
+
+app.delete('/api/budgets/:id', authenticateUser, async (req, res) => {
+  try {
+    await budgets.deleteBudget(req.user.uid, req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    if (sendTypedError(res, error)) return;
+    console.error('Error deleting budget:', error);
+    res.status(500).json({ error: 'Failed to delete budget' });
+  }
+});
+
+// 80% and 100% thresholds crossed since the last check; each is returned once per budget period
+app.post('/api/budgets/alerts', authenticateUser, async (req, res) => {
+  try {
+    const alerts = await budgets.collectAlerts(req.user.uid);
+    res.json({ success: true, alerts });
+  } catch (error) {
+    console.error('Error checking budget alerts:', error);
+    res.status(500).json({ error: 'Failed to check budget alerts' });
+  }
+});
+
+// Account ledger: each account's stored balance against its opening balance plus transactions.
+// Checking records the result on every account as `reconciliation`; resolving settles one account's drift.
+app.post('/api/accounts/reconcile', authenticateUser, async (req, res) => {
+  try {
+    const data = await ledger.reconcileAccounts(req.user.uid);
+    const drifted = data.filter(result => result.state === 'drift');
+    if (drifted.length > 0) {
+      await dbHelpers.logUserActivity(req.user.uid, 'LEDGER_DRIFT_FOUND', {
+        accounts: drifted.map(result => ({ accountId: result.accountId, drift: result.drift }))
+      });
+    }
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error reconciling accounts:', error);
+    res.status(500).json({ error: 'Failed to reconcile accounts' });
+  }
+});
+
+app.post('/api/accounts/:id/reconcile', authenticateUser, async (req, res) => {
+  try {
+    const data = await ledger.resolveDrift(req.user.uid, req.params.id, req.body?.keep);
+    await dbHelpers.logUserActivity(req.user.uid, 'LEDGER_DRIFT_RESOLVED', {
+      accountId: req.params.id,
+      keep: req.body.keep,
+      drift: data.resolvedDrift
+    });
+    res.json({ success: true, data });
+  } catch (error) {
+    if (sendTypedError(res, error)) return;
+    console.error('Error resolving account drift:', error);
+    res.status(500).json({ error: 'Failed to resolve account drift' });
+  }
+});
+
+// Balances follow transactions; only an account's starting point is edited, and the balance moves with it
+app.put('/api/accounts/:id/opening-balance', authenticateUser, async (req, res) => {
+  try {
+    const data = await ledger.setOpeningBalance(req.user.uid, req.params.id, req.body?.openingBalance);
+    res.json({ success: true, data });
+  } catch (error) {
+    if (sendTypedError(res, error)) return;
+    console.error('Error setting opening balance:', error);
+    res.status(500).json({ error: 'Failed to set opening balance' });
+  }
+});
+
+// FX rates (users/{uid}/fxRates), pesos per unit of each currency by day, and the home currency that
+// totals and agent prompts convert to. Rates are imported (CSV text or a list), not fetched from a live feed.
+app.get('/api/fx-rates', authenticateUser, async (req, res) => {
+  try {
+    const data = await fx.getRates(req.user.uid);
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error fetching FX rates:', error);
+    res.status(500).json({ error: 'Failed to fetch FX rates' });
+  }
+});
+
+app.post('/api/fx-rates/import', authenticateUser, async (req, res) => {
+  try {
+    const data = await fx.importRates(req.user.uid, req.body || {});
+    await dbHelpers.logUserActivity(req.user.uid, 'FX_RATES_IMPORTED', { imported: data.imported, skipped: data.errors.length });
+    res.json({ success: true, data });
+  } catch (error) {
+    if (sendTypedError(res, error)) return;
+    console.error('Error importing FX rates:', error);
+    res.status(500).json({ error: 'Failed to import FX rates' });
+  }
+});
+
+app.put('/api/fx-rates/home-currency', authenticateUser, async (req, res) => {
+  try {
+    const homeCurrency = await fx.setHomeCurrency(req.user.uid, req.body?.currency);
+    await dbHelpers.logUserActivity(req.user.uid, 'HOME_CURRENCY_CHANGED', { homeCurrency });
+    res.json({ success: true, data: { homeCurrency } });
+  } catch (error) {
+    if (sendTypedError(res, error)) return;
+    console.error('Error setting home currency:', error);
+    res.status(500).json({ error: 'Failed to set home currency' });
+  }
+});
+
+// Net worth history (users/{uid}/netWorthSnapshots, one per day, written by the snapshot job). Amounts are in
+// the home currency; `monthly` has the month-end figures with their month-over-month change.
+app.get('/api/net-worth/history', authenticateUser, async (req, res) => {
+  try {
+    const data = await netWorth.getHistory(req.user.uid, { days: req.query.days });
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error fetching net worth history:', error);
+    res.status(500).json({ error: 'Failed to fetch net worth history' });
+  }
+});
+
+// Record today's snapshot now instead of waiting for the job (e.g. right after adding accounts)
+app.post('/api/net-worth/snapshot', authenticateUser, async (req, res) => {
+  try {
+    const data = await netWorth.takeSnapshot(req.user.uid);
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error taking net worth snapshot:', error);
+    res.status(500).json({ error: 'Failed to take net worth snapshot' });
+  }
+});
+
+// Investment holdings (users/{uid}/holdings, with their events) and the price table (users/{uid}/prices).
+// The list carries each holding's position (FIFO lots, realized and unrealized gain) and the portfolio's
+// totals and allocation in the home currency.
+app.get('/api/holdings', authenticateUser, async (req, res) => {
+  try {
+    const data = await holdings.getPortfolio(req.user.uid);
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error fetching holdings:', error);
+    res.status(500).json({ error: 'Failed to fetch holdings' });
+  }
+});
+
+app.get('/api/holdings/prices', authenticateUser, async (req, res) => {
+  try {
+    const data = await holdings.getPrices(req.user.uid);
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error fetching prices:', error);
+    res.status(500).json({ error: 'Failed to fetch prices' });
+  }
+});
+
+// Body: { csv: "symbol,price,date\nBDO,142.50,2026-10-01" } or { prices: [{ symbol, price, date? }] }
+app.post('/api/holdings/prices/import', authenticateUser, async (req, res) => {
+  try {
+    const data = await holdings.importPrices(req.user.uid, req.body || {});
+    await dbHelpers.logUserActivity(req.user.uid, 'PRICES_IMPORTED', { imported: data.imported, skipped: data.errors.length });
+    res.json({ success: true, data });
+  } catch (error) {
+    if (sendTypedError(res, error)) return;
+    console.error('Error importing prices:', error);
+    res.status(500).json({ error: 'Failed to import prices' });
+  }
+});
+
+// Includes the holding's events
+app.get('/api/holdings/:id', authenticateUser, async (req, res) => {
+  try {
+    const data = await holdings.getHolding(req.user.uid, req.params.id);
+    res.json({ success: true, data });
+  } catch (error) {
+    if (sendTypedError(res, error)) return;
+    console.error('Error fetching holding:', error);
+    res.status(500).json({ error: 'Failed to fetch holding' });
+  }
+});
+
+// Body: { symbol, name?, assetClass, currency?, accountId? }
+app.post('/api/holdings', authenticateUser, async (req, res) => {
+  try {
+    const data = await holdings.createHolding(req.user.uid, req.body);
+    await dbHelpers.logUserActivity(req.user.uid, 'holding_created', { holdingId: data.id, symbol: data.symbol });
+    res.json({ success: true, data });
+  } catch (error) {
+    if (sendTypedError(res, error)) return;
+    console.error('Error creating holding:', error);
+    res.status(500).json({ error: 'Failed to create holding' });
+  }
+});
+
+app.put('/api/holdings/:id', authenticateUser, async (req, res) => {
+  try {
+    const data = await holdings.updateHolding(req.user.uid, req.params.id, req.body);
+    res.json({ success: true, data });
+  } catch (error) {
+    if (sendTypedError(res, error)) return;
+    console.error('Error updating holding:', error);
+    res.status(500).json({ error: 'Failed to update holding' });
+  }
+});
+
+app.delete('/api/holdings/:id', authenticateUser, async (req, res) => {
+  try {
+    await holdings.deleteHolding(req.user.uid, req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    if (sendTypedError(res, error)) return;
+    console.error('Error deleting holding:', error);
+    res.status(500).json({ error: 'Failed to delete holding' });
+  }
+});
+
+// Body: { type: 'buy'|'sell', date, units, price, fees? } or { type: 'dividend', date, amount }
+app.post('/api/holdings/:id/events', authenticateUser, async (req, res) => {
+  try {
+    const data = await holdings.addEvent(req.user.uid, req.params.id, req.body);
+    await dbHelpers.logUserActivity(req.user.uid, 'holding_event_added', { holdingId: req.params.id, type: data.type });
+    res.json({ success: true, data });
+  } catch (error) {
+    if (sendTypedError(res, error)) return;
+    console.error('Error adding holding event:', error);
+    res.status(500).json({ error: 'Failed to add holding event' });
+  }
+});
+
+app.delete('/api/holdings/:id/events/:eventId', authenticateUser, async (req, res) => {
+  try {
+    await holdings.deleteEvent(req.user.uid, req.params.id, req.params.eventId);
+    res.json({ success: true });
+  } catch (error) {
+    if (sendTypedError(res, error)) return;
+    console.error('Error deleting holding event:', error);
+    res.status(500).json({ error: 'Failed to delete holding event' });
+  }
+});
+
+// Savings goals (users/{uid}/goals). Every response carries the goal's progress and projected completion.
+app.get('/api/goals', authenticateUser, async (req, res) => {
+  try {
+    const list = await goals.listGoals(req.user.uid);
+    res.json({ success: true, data: list });
+  } catch (error) {
+    console.error('Error fetching goals:', error);
+    res.status(500).json({ error: 'Failed to fetch goals' });
+  }
+});
+
+// Includes the goal's contributions
+app.get('/api/goals/:id', authenticateUser, async (req, res) => {
+  try {
+    const goal = await goals.getGoal(req.user.uid, req.params.id);
+    res.json({ success: true, data: goal });
+  } catch (error) {
+    if (sendTypedError(res, error)) return;
+    console.error('Error fetching goal:', error);
+    res.status(500).json({ error: 'Failed to fetch goal' });
+  }
+});
+
+// Body: { name, targetAmount, deadline?, accountId?, initialAmount? }
+app.post('/api/goals', authenticateUser, async (req, res) => {
+  try {
+    const goal = await goals.createGoal(req.user.uid, req.body);
+    await dbHelpers.logUserActivity(req.user.uid, 'goal_created', { goalId: goal.id, targetAmount: goal.targetAmount });
+    res.json({ success: true, data: goal });
+  } catch (error) {
+    if (sendTypedError(res, error)) return;
+    console.error('Error creating goal:', error);
+    res.status(500).json({ error: 'Failed to create goal' });
+  }
+});
+
+app.put('/api/goals/:id', authenticateUser, async (req, res) => {
+  try {
+    const goal = await goals.updateGoal(req.user.uid, req.params.id, req.body);
+    res.json({ success: true, data: goal });
+  } catch (error) {
+    if (sendTypedError(res, error)) return;
+    console.error('Error updating goal:', error);
+    res.status(500).json({ error: 'Failed to update goal' });
+  }
+});
+
+// Transactions that went toward the goal are kept but untagged
+app.delete('/api/goals/:id', authenticateUser, async (req, res) => {
+  try {
+    const untagged = await goals.deleteGoal(req.user.uid, req.params.id);
+    res.json({ success: true, untagged });
+  } catch (error) {
+    if (sendTypedError(res, error)) return;
+    console.error('Error deleting goal:', error);
+    res.status(500).json({ error: 'Failed to delete goal' });
+  }
+});
+
+// Bills and due dates (users/{uid}/bills). Every response carries the bill's state (overdue, due-soon, ...).
+app.get('/api/bills', authenticateUser, async (req, res) => {
+  try {
+    const list = await bills.listBills(req.user.uid);
+    res.json({ success: true, data: list });
+  } catch (error) {
+    console.error('Error fetching bills:', error);
+    res.status(500).json({ error: 'Failed to fetch bills' });
+  }
+});
+
+// ?month=YYYY-MM, this month by default
+app.get('/api/bills/calendar', authenticateUser, async (req, res) => {
+  try {
+    const calendar = await bills.getCalendar(req.user.uid, { month: req.query.month || undefined });
+    res.json({ success: true, data: calendar });
+  } catch (error) {
+    if (sendTypedError(res, error)) return;
+    console.error('Error fetching bill calendar:', error);
+    res.status(500).json({ error: 'Failed to fetch bill calendar' });
+  }
+});
+
+// In-app reminders not shown yet; each is returned once per due date
+app.post('/api/bills/reminders', authenticateUser, async (req, res) => {
+  try {
+    const reminders = await bills.collectReminders(req.user.uid, 'app');
+    res.json({ success: true, reminders });
+  } catch (error) {
+    if (sendTypedError(res, error)) return;
+    console.error('Error checking bill reminders:', error);
+    res.status(500).json({ error: 'Failed to check bill reminders' });
+  }
+});
+
+app.get('/api/bills/:id', authenticateUser, async (req, res) => {
+  try {
+    const bill = await bills.getBill(req.user.uid, req.params.id);
+    res.json({ success: true, data: bill });
+  } catch (error) {
+    if (sendTypedError(res, error)) return;
+    console.error('Error fetching bill:', error);
+    res.status(500).json({ error: 'Failed to fetch bill' });
+  }
+});
+
+// Body: { name, kind, amount, accountId?, payeeAccountId? (credit-card and loan bills), frequency, startDate, dayOfMonth?, remindDaysBefore? }
+app.post('/api/bills', authenticateUser, async (req, res) => {
+  try {
+    const bill = await bills.createBill(req.user.uid, req.body);
+    await dbHelpers.logUserActivity(req.user.uid, 'bill_created', { billId: bill.id, kind: bill.kind });
+    res.json({ success: true, data: bill });
+  } catch (error) {
+    if (sendTypedError(res, error)) return;
+    console.error('Error creating bill:', error);
+    res.status(500).json({ error: 'Failed to create bill' });
+  }
+});
+
+app.put('/api/bills/:id', authenticateUser, async (req, res) => {
+  try {
+    const bill = await bills.updateBill(req.user.uid, req.params.id, req.body);
+    res.json({ success: true, data: bill });
+  } catch (error) {
+    if (sendTypedError(res, error)) return;
+    console.error('Error updating bill:', error);
+    res.status(500).json({ error: 'Failed to update bill' });
+  }
+});
+
+app.delete('/api/bills/:id', authenticateUser, async (req, res) => {
+  try {
+    await bills.deleteBill(req.user.uid, req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    if (sendTypedError(res, error)) return;
+    console.error('Error deleting bill:', error);
+    res.status(500).json({ error: 'Failed to delete bill' });
+  }
+});
+
+// Pays the next due date: posts the payment and moves the due date on. Body: { amount?, date?, accountId? }
+app.post('/api/bills/:id/paid', authenticateUser, async (req, res) => {
+  try {
+    const result = await bills.markPaid(req.user.uid, req.params.id, req.body || {});
+    await dbHelpers.logUserActivity(req.user.uid, 'bill_paid', { billId: req.params.id, transactionId: result.transactionId });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    if (sendTypedError(res, error)) return;
+    console.error('Error paying bill:', error);
+    res.status(500).json({ error: 'Failed to mark bill as paid' });
+  }
+});
+
+// Category rules (users/{uid}/categoryRules) and suggestions: rules first, then a model of the user's history
+app.get('/api/category-rules', authenticateUser, async (req, res) => {
+  try {
+    const rules = await categorizer.listRules(req.user.uid);
+    res.json({ success: true, data: rules });
+  } catch (error) {
+    console.error('Error fetching category rules:', error);
+    res.status(500).json({ error: 'Failed to fetch category rules' });
+  }
+});
+
+app.post('/api/category-rules', authenticateUser, async (req, res) => {
+  try {
+    const rule = await categorizer.createRule(req.user.uid, req.body);
+    res.json({ success: true, data: rule });
+  } catch (error) {
+    if (sendTypedError(res, error)) return;
+    console.error('Error creating category rule:', error);
+    res.status(500).json({ error: 'Failed to create category rule' });
+  }
+});
+
+app.put('/api/category-rules/:id', authenticateUser, async (req, res) => {
+  try {
+    const rule = await categorizer.updateRule(req.user.uid, req.params.id, req.body);
+    res.json({ success: true, data: rule });
+  } catch (error) {
+    if (sendTypedError(res, error)) return;
+    console.error('Error updating category rule:', error);
+    res.status(500).json({ error: 'Failed to update category rule' });
+  }
+});
+
+app.delete('/api/category-rules/:id', authenticateUser, async (req, res) => {
+  try {
+    await categorizer.deleteRule(req.user.uid, req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    if (sendTypedError(res, error)) return;
+    console.error('Error deleting category rule:', error);
+    res.status(500).json({ error: 'Failed to delete category rule' });
+  }
+});
+
+// Body: { description, type }. data is null when neither a rule nor the model has a confident answer.
+app.post('/api/categorize', authenticateUser, async (req, res) => {
+  try {
+    const { description = '', type = 'expense' } = req.body;
+    const suggestion = await categorizer.suggestCategory(req.user.uid, { description: String(description), type });
+    res.json({ success: true, data: suggestion });
+  } catch (error) {
+    console.error('Error suggesting category:', error);
+    res.status(500).json({ error: 'Failed to suggest a category' });
+  }
+});
+
+app.get('/api/transactions/:id/similar', authenticateUser, async (req, res) => {
+  try {
+    const similar = await categorizer.findSimilar(req.user.uid, req.params.id);
+    res.json({ success: true, data: similar });
+  } catch (error) {
+    if (sendTypedError(res, error)) return;
+    console.error('Error finding similar transactions:', error);
+    res.status(500).json({ error: 'Failed to find similar transactions' });
+  }
+});
+
+// Body: { category?, createRule? }. Recategorizes the transaction and every similar one.
+app.post('/api/transactions/:id/apply-category', authenticateUser, async (req, res) => {
+  try {
+    const result = await categorizer.applyToSimilar(req.user.uid, req.params.id, {
+      category: req.body.category || null,
+      createRule: req.body.createRule === true
+    });
+    await dbHelpers.logUserActivity(req.user.uid, 'category_applied_to_similar', {
+      transactionId: req.params.id,
+      category: result.category,
+      updated: result.updated
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (sendTypedError(res, error)) return;
+    console.error('Error applying category to similar transactions:', error);
+    res.status(500).json({ error: 'Failed to apply category' });
+  }
+});
+
+// AI Chat Endpoint - multi-turn conversation with any agent, persisted per user
+/**
+ * An agent's chat context from the user's stored data, in their home currency, with the conversation so far.
+ * Anything the page already computed (`context`) takes precedence over the stored data.
+ */
+async function loadAgentChat(aiEngine, userId, agentType, context = null, auditContext = {}) {
+  const [userData, storedAccounts, storedTransactions, history] = await Promise.all([
+    dbHelpers.getUserData(userId, auditContext),
+    dbHelpers.getUserBankAccounts(userId),
+    dbHelpers.getUserTransactions(userId),
+    aiEngine.getConversationHistory(userId, agentType)
+  ]);
+  const { homeCurrency, accounts, transactions } = await fx.convertForUser(userId, {
+    accounts: storedAccounts, transactions: storedTransactions, userData: userData || {}
+  });
+  const budgetList = agentType === 'gastosGuardian' ? await budgets.listBudgets(userId, { transactions }) : [];
+  const goalList = agentType === 'iponCoach' ? await goals.listGoals(userId, { transactions }) : [];
+
+  const chatContext = {
+    currency: homeCurrency,
+    ...aiEngine.buildChatContext(agentType, {
+      accounts, transactions, userData: userData || {}, budgets: budgetList, goals: goalList
+    }),
+    ...(context && typeof context === 'object' ? context : {})
+  };
+  return { chatContext, history };
+}
+
+// One chat turn outside a browser (the Telegram bot's /ask), saved to the same conversation as the web chat
+async function askAgent(userId, agentType, message) {
+  const aiEngine = new AIEngine({ provider: aiProvider });
+  const { chatContext, history } = await loadAgentChat(aiEngine, userId, agentType);
+  const aiResponse = await aiEngine.getChatResponse(agentType, message, chatContext, history);
+  await aiEngine.appendConversationMessages(userId, agentType, [
+    { role: 'user', content: message },
+    { role: 'assistant', content: aiResponse }
+  ]);
+  return aiResponse;
+}
+
+app.post('/api/v1/ai/chat', aiLimiter, authenticateUser, async (req, res) => {
+  try {
+    const { agentType, message, context } = req.body;
+    const userId = req.user.uid;
+
+    if (!agentType || !message) {
+      return res.status(400).json({ error: 'Missing agentType or message in request body' });
+    }
+
+    const aiEngine = new AIEngine({ provider: aiProvider });
+    if (!aiEngine.agentContexts[agentType]) {
+      return res.status(400).json({ error: `Unknown agentType: ${agentType}` });
+    }
+
+    const { chatContext, history } = await loadAgentChat(aiEngine, userId, agentType, context, req.auditContext);
+
+    const aiResponse = wantsStream(req)
+      ? await streamToClient(res, signal => aiEngine.streamChatResponse(agentType, message, chatContext, history, { signal }))
+      : await aiEngine.getChatResponse(agentType, message, chatContext, history);
+
+    // A cancelled or failed stream leaves no half-written reply in the conversation
+    if (aiResponse === null) return;
+
+    await aiEngine.appendConversationMessages(userId, agentType, [
+      { role: 'user', content: message },
+      { role: 'assistant', content: aiResponse }
+    ]);
+
+    if (!res.headersSent) {
+      res.json({ response: aiResponse, agentType });
+    }
+
+  } catch (error) {
+    console.error('AI Chat Endpoint Error:', error);
+    if (res.headersSent) return res.end();
+    if (sendTypedError(res, error)) return;
+    res.status(500).json({ error: 'Failed to get AI response' });
+  }
+});
+
+// Conversation history so chat UIs can resume where the user left off
+app.get('/api/v1/ai/chat/:agentType/history', authenticateUser, async (req, res) => {
+  try {
+    const { agentType } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const aiEngine = new AIEngine({ provider: aiProvider });
+    if (!aiEngine.agentContexts[agentType]) {
+      return res.status(400).json({ error: `Unknown agentType: ${agentType}` });
+    }
+
+    const history = await aiEngine.getConversationHistory(req.user.uid, agentType, limit);
+    res.json({ success: true, data: history });
+  } catch (error) {
+    console.error('Error fetching conversation history:', error);
+    res.status(500).json({ error: 'Failed to fetch conversation history' });
+  }
+});
+
 // AI Agent endpoints
 app.post('/api/ai/ipon-coach', authenticateUser, async (req, res) => {
   try {
@@ -856,7 +1787,14 @@ app.post('/api/ai/ipon-coach', authenticateUser, async (req, res) => {
 
     // Get user's financial data for context
     const userData = await dbHelpers.getUserData(userId);
-    const transactions = await dbHelpers.getUserTransactions(userId);
+    const { homeCurrency, transactions } = await fx.convertForUser(userId, {
+      transactions: await dbHelpers.getUserTransactions(userId),
+      userData: userData || {}
+    });
+    const { savingsGoals } = new AIEngine({ provider: aiProvider }).buildChatContext('iponCoach', {
+      transactions,
+      goals: await goals.listGoals(userId, { transactions })
+    });
 
     const prompt = `
     You are IponCoach, a Filipino AI financial advisor specializing in savings (ipon). 
@@ -864,17 +1802,21 @@ app.post('/api/ai/ipon-coach', authenticateUser, async (req, res) => {
     User Context:
     - User ID: ${userId}
     - Financial Profile: ${JSON.stringify(userData?.financialProfile || {})}
+    - Currency of all amounts: ${homeCurrency}
     - Recent Transactions: ${JSON.stringify(transactions?.slice(0, 10) || [])}
+    - Savings Goals: ${JSON.stringify(savingsGoals)}
     
     User Message: "${message}"
     Additional Context: ${context || 'None'}
     
     Provide personalized savings advice in a friendly, culturally-aware Filipino context. 
+    When recommending how much to set aside, use each goal's requiredMonthly and monthlyRate.
     Use Filipino financial terms when appropriate and consider local economic conditions.
     Be specific and actionable in your recommendations.
     `;
 
-    const aiResponse = await callGeminiAI(prompt);
+    const aiResponse = await respondWithAI(req, res, prompt, { task: 'ipon-coach' });
+    if (aiResponse === null) return;
     
     // Store the interaction for learning
     await db.collection('users').doc(userId).collection('ai_interactions').add({
@@ -885,9 +1827,12 @@ app.post('/api/ai/ipon-coach', authenticateUser, async (req, res) => {
       context
     });
 
-    res.json({ success: true, response: aiResponse });
+    if (!res.headersSent) {
+      res.json({ success: true, response: aiResponse });
+    }
   } catch (error) {
     console.error('IponCoach error:', error);
+    if (res.headersSent) return res.end();
     res.status(500).json({ error: 'Failed to get AI response' });
   }
 });
@@ -901,7 +1846,14 @@ app.post('/api/ai/gastos-guardian', authenticateUser, async (req, res) => {
     }
 
     const userData = await dbHelpers.getUserData(userId);
-    const transactions = await dbHelpers.getUserTransactions(userId);
+    const { homeCurrency, transactions } = await fx.convertForUser(userId, {
+      transactions: await dbHelpers.getUserTransactions(userId),
+      userData: userData || {}
+    });
+    const { budgets: budgetState } = new AIEngine({ provider: aiProvider }).buildChatContext('gastosGuardian', {
+      transactions,
+      budgets: await budgets.listBudgets(userId, { transactions })
+    });
 
     const prompt = `
     You are GastosGuardian, a Filipino AI expense tracking and budgeting assistant.
@@ -909,7 +1861,9 @@ app.post('/api/ai/gastos-guardian', authenticateUser, async (req, res) => {
     User Context:
     - User ID: ${userId}
     - Financial Profile: ${JSON.stringify(userData?.financialProfile || {})}
+    - Currency of all amounts: ${homeCurrency}
     - Recent Transactions: ${JSON.stringify(transactions?.slice(0, 20) || [])}
+    - Budgets (this period): ${JSON.stringify(budgetState)}
     
     User Message: "${message}"
     Additional Context: ${context || 'None'}
@@ -919,7 +1873,8 @@ app.post('/api/ai/gastos-guardian', authenticateUser, async (req, res) => {
     Identify areas for improvement and suggest practical cost-cutting measures.
     `;
 
-    const aiResponse = await callGeminiAI(prompt);
+    const aiResponse = await respondWithAI(req, res, prompt, { task: 'gastos-guardian' });
+    if (aiResponse === null) return;
     
     await db.collection('users').doc(userId).collection('ai_interactions').add({
       agent: 'gastos-guardian',
@@ -929,74 +1884,44 @@ app.post('/api/ai/gastos-guardian', authenticateUser, async (req, res) => {
       context
     });
 
-    res.json({ success: true, response: aiResponse });
+    if (!res.headersSent) {
+      res.json({ success: true, response: aiResponse });
+    }
   } catch (error) {
     console.error('GastosGuardian error:', error);
+    if (res.headersSent) return res.end();
     res.status(500).json({ error: 'Failed to get AI response' });
   }
 });
 
 app.post('/api/ai/cashflow-optimizer', authenticateUser, async (req, res) => {
   try {
-    const { userId, context } = req.body;
+    const { userId, params, templateVersion } = req.body;
+    const promptType = req.body.promptType || req.body.context?.promptType;
     
-    if (req.user.uid !== userId) {
+    if (userId && req.user.uid !== userId) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    const { promptType, transactionSummary, accountSummary } = context;
-    let prompt;
-
-    if (promptType === 'subscriptions') {
-      prompt = `
-        As an AI "Subscription Sleuth," analyze the user's transactions and accounts to identify all potential recurring subscriptions or bills.
-        Look for repeated payments to the same merchant (e.g., Netflix, Spotify, Meralco, PLDT).
-        Also consider account types that might have recurring fees.
-        For each, provide the name and estimated monthly cost.
-
-        Accounts:
-        ${accountSummary}
-
-        Transactions:
-        ${transactionSummary}
-
-        Provide the output as a JSON array of objects, or an empty array if none are found:
-        [
-          {"name": "Netflix Subscription", "amount": 550},
-          {"name": "Spotify Premium", "amount": 149}
-        ]
-      `;
-    } else if (promptType === 'optimization-tips') {
-      prompt = `
-        As a "Cashflow Optimizer AI," provide 2-3 actionable, personalized tips to improve financial efficiency based on this user's accounts and transactions.
-        Focus on reducing recurring costs, cutting down on non-essential spending, or suggesting cheaper alternatives.
-        Analyze spending patterns in relation to account balances. For example, if high-interest debt accounts exist, suggest prioritizing payments.
-
-        Accounts:
-        ${accountSummary}
-
-        Transactions:
-        ${transactionSummary}
-
-        Provide the output as a JSON array of strings:
-        ["Actionable tip based on spending.", "Another optimization suggestion."]
-      `;
-    } else {
+    if (!['subscriptions', 'optimization-tips', 'analysis'].includes(promptType)) {
       return res.status(400).json({ error: 'Invalid prompt type for Cashflow Optimizer' });
     }
+
+    const built = await buildAgentPrompt(req.user.uid, `cashflow.${promptType}`, params, templateVersion);
+    const { data } = await runAgentPrompt(built);
+    const { templateId, version } = built;
     
-    const aiResponse = await callGeminiAI(prompt);
-    
-    await db.collection('users').doc(userId).collection('ai_interactions').add({
+    await db.collection('users').doc(req.user.uid).collection('ai_interactions').add({
       agent: 'cashflow-optimizer',
       userMessage: `Analyze: ${promptType}`,
-      aiResponse,
+      aiResponse: data,
       timestamp: admin.firestore.FieldValue.serverTimestamp(),
-      context
+      context: { templateId, templateVersion: version, params: params || {} }
     });
 
-    res.json({ success: true, response: aiResponse });
+    res.json({ success: true, data });
   } catch (error) {
+    if (sendTypedError(res, error)) return;
     console.error('Cashflow Optimizer error:', error);
     res.status(500).json({ error: 'Failed to get AI response' });
   }
@@ -1011,7 +1936,10 @@ app.post('/api/ai/pera-planner', authenticateUser, async (req, res) => {
     }
 
     const userData = await dbHelpers.getUserData(userId);
-    const transactions = await dbHelpers.getUserTransactions(userId);
+    const { homeCurrency, transactions } = await fx.convertForUser(userId, {
+      transactions: await dbHelpers.getUserTransactions(userId),
+      userData: userData || {}
+    });
 
     const prompt = `
     You are PeraPlanner, a Filipino AI financial planning and investment advisor.
@@ -1019,6 +1947,7 @@ app.post('/api/ai/pera-planner', authenticateUser, async (req, res) => {
     User Context:
     - User ID: ${userId}
     - Financial Profile: ${JSON.stringify(userData?.financialProfile || {})}
+    - Currency of all amounts: ${homeCurrency}
     - Recent Transactions: ${JSON.stringify(transactions?.slice(0, 20) || [])}
     
     User Message: "${message}"
@@ -1029,7 +1958,8 @@ app.post('/api/ai/pera-planner', authenticateUser, async (req, res) => {
     Factor in Filipino financial goals like OFW remittances, family support, and retirement planning.
     `;
 
-    const aiResponse = await callGeminiAI(prompt);
+    const aiResponse = await respondWithAI(req, res, prompt, { task: 'pera-planner' });
+    if (aiResponse === null) return;
     
     await db.collection('users').doc(userId).collection('ai_interactions').add({
       agent: 'pera-planner',
@@ -1039,45 +1969,153 @@ app.post('/api/ai/pera-planner', authenticateUser, async (req, res) => {
       context
     });
 
-    res.json({ success: true, response: aiResponse });
+    if (!res.headersSent) {
+      res.json({ success: true, response: aiResponse });
+    }
   } catch (error) {
     console.error('PeraPlanner error:', error);
+    if (res.headersSent) return res.end();
     res.status(500).json({ error: 'Failed to get AI response' });
   }
 });
 
+// PeraPlanner dashboard sections (roadmap, investments, careers, balancing-act)
+app.post('/api/ai/pera-planner/:section', authenticateUser, async (req, res) => {
+  try {
+    const { params, templateVersion } = req.body;
+    const userId = req.user.uid;
+
+    const built = await buildAgentPrompt(userId, `pera-planner.${req.params.section}`, params, templateVersion);
+    const result = await runAgentPrompt(built);
+    const { templateId, version } = built;
+
+    await db.collection('users').doc(userId).collection('ai_interactions').add({
+      agent: 'pera-planner',
+      userMessage: `PeraPlanner ${req.params.section}`,
+      aiResponse: result.data ?? result.response,
+      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+      context: { templateId, templateVersion: version, params: params || {} }
+    });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (sendTypedError(res, error)) return;
+    console.error('PeraPlanner section error:', error);
+    res.status(500).json({ error: 'Failed to get AI response from PeraPlanner' });
+  }
+});
+
 app.post('/api/ai/wealth-builder', authenticateUser, async (req, res) => {
   try {
-    const { userId, prompt } = req.body;
+    const { userId, params, templateVersion } = req.body;
     
-    if (req.user.uid !== userId) {
+    if (userId && req.user.uid !== userId) {
       return res.status(403).json({ error: 'Access denied' });
     }
     
-    const aiResponse = await callGeminiAI(prompt);
+    const built = await buildAgentPrompt(req.user.uid, 'wealth-builder', params, templateVersion);
+    const { data } = await runAgentPrompt(built);
+    const { templateId, version } = built;
     
-    await db.collection('users').doc(userId).collection('ai_interactions').add({
+    await db.collection('users').doc(req.user.uid).collection('ai_interactions').add({
       agent: 'wealth-builder',
       userMessage: 'WealthBuilder Analysis',
-      aiResponse,
+      aiResponse: data,
       timestamp: admin.firestore.FieldValue.serverTimestamp(),
-      context: { prompt }
+      context: { templateId, templateVersion: version, params: params || {} }
     });
 
-    res.json({ success: true, response: aiResponse });
+    res.json({ success: true, data });
   } catch (error) {
+    if (sendTypedError(res, error)) return;
     console.error('WealthBuilder AI error:', error);
     res.status(500).json({ error: 'Failed to get AI response from WealthBuilder' });
   }
 });
 
-// File upload endpoint
+// Templates and the parameters each accepts, so clients can build their option forms
+app.get('/api/ai/prompt-templates', authenticateUser, (req, res) => {
+  res.json({ success: true, data: listTemplates() });
+});
+
+// Output schemas, so browser-side agents validate model output against the same registry
+app.get('/api/ai/schemas', authenticateUser, (req, res) => {
+  const schemas = Object.fromEntries(Object.keys(SCHEMAS).map(id => [id, expandSchema(SCHEMAS[id])]));
+  res.set('Cache-Control', 'private, max-age=3600');
+  res.json({ success: true, data: schemas });
+});
+
+// Validate model text from a browser-side agent against the registry. Body: { text }, at most
+// MAX_SCHEMA_TEXT_LENGTH characters. Invalid output answers 422 with the typed error and the repairPrompt
+// to send the model once.
+const MAX_SCHEMA_TEXT_LENGTH = 100000;
+app.post('/api/ai/schemas/:schemaId/validate', authenticateUser, (req, res) => {
+  const { schemaId } = req.params;
+  if (!Object.prototype.hasOwnProperty.call(SCHEMAS, schemaId)) {
+    return res.status(404).json({ success: false, error: `Unknown AI output schema: ${schemaId}`, code: 'AI_SCHEMA_UNAVAILABLE' });
+  }
+  const text = String(req.body.text ?? '');
+  if (text.length > MAX_SCHEMA_TEXT_LENGTH) {
+    return res.status(413).json({ success: false, error: `AI output is longer than ${MAX_SCHEMA_TEXT_LENGTH} characters`, code: 'AI_OUTPUT_TOO_LARGE' });
+  }
+  try {
+    res.json({ success: true, data: parseStructured(text, schemaId) });
+  } catch (error) {
+    if (!(error instanceof AIOutputError)) throw error;
+    res.status(422).json({ success: false, ...error.toJSON(), repairPrompt: buildRepairPrompt(schemaId, text, error) });
+  }
+});
+
+// Banks /api/upload can parse statements from, for the import form
+app.get('/api/upload/banks', authenticateUser, (req, res) => {
+  res.json({ success: true, data: Object.keys(BANK_MAPPERS) });
+});
+
+// File upload endpoint. CSV/XLSX/PDF statements are parsed into a preview (form fields: accountId,
+// optional bank, password for protected PDFs) and imported with POST /api/upload/:fileId/confirm.
+// JPEG/PNG receipts are read with local OCR into a draft expense (optional field: categories, a JSON array).
 app.post('/api/upload', authenticateUser, upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
+    if (/\.(csv|xlsx|pdf)$/i.test(req.file.originalname)) {
+      const preview = await statementImport.previewStatement(req.user.uid, req.file, {
+        accountId: req.body.accountId,
+        bank: req.body.bank,
+        password: req.body.password
+      });
+      return res.json({ success: true, ...preview, message: 'Statement parsed. Review and confirm to import.' });
+    }
+
+    if (['image/jpeg', 'image/png'].includes(req.file.mimetype)) {
+      let categories;
+      try {
+        categories = req.body.categories ? JSON.parse(req.body.categories) : undefined;
+      } catch (error) {
+        return res.status(400).json({ error: 'categories must be a JSON array of category names' });
+      }
+      const offered = Array.isArray(categories) && categories.length > 0 ? categories.map(String) : undefined;
+      const { draft, text, confidence } = await scanReceipt(req.file.buffer, { categories: offered });
+      // The user's own rules and history know their merchants better than the built-in keywords
+      const suggestion = draft.description ? await categorizer.suggestCategory(req.user.uid, draft) : null;
+      if (suggestion && (!offered || offered.some(category => category.toLowerCase() === suggestion.category))) {
+        draft.category = suggestion.category;
+      }
+      const docRef = await db.collection('uploads').add({
+        originalName: req.file.originalname,
+        mimetype: req.file.mimetype,
+        size: req.file.size,
+        uploadedAt: admin.firestore.FieldValue.serverTimestamp(),
+        userId: req.user.uid,
+        kind: 'receipt',
+        draft,
+        confidence
+      });
+      return res.json({ success: true, fileId: docRef.id, draft, text, confidence, message: 'Receipt read. Check the draft before saving.' });
+    }
+
     // Store file metadata in database
     const fileMetadata = {
       originalName: req.file.originalname,
@@ -1095,11 +2133,27 @@ app.post('/api/upload', authenticateUser, upload.single('file'), async (req, res
       message: 'File uploaded successfully' 
     });
   } catch (error) {
+    if (sendTypedError(res, error)) return;
     console.error('File upload error:', error);
     res.status(500).json({ error: 'File upload failed' });
   }
 });
 
+// Commit a previewed statement. Body: { rowNumbers?: number[] }; omit rowNumbers to import every non-duplicate row.
+app.post('/api/upload/:fileId/confirm', authenticateUser, async (req, res) => {
+  try {
+    const result = await statementImport.confirmImport(req.user.uid, req.params.fileId, {
+      rowNumbers: req.body.rowNumbers
+    });
+    await dbHelpers.logUserActivity(req.user.uid, 'statement_imported', { fileId: req.params.fileId, ...result });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (sendTypedError(res, error)) return;
+    console.error('Statement import error:', error);
+    res.status(500).json({ error: 'Statement import failed' });
+  }
+});
+
 // Error handling middleware
 const errorHandler = (err, req, res, next) => {
   // Log the error with context
@@ -1188,25 +2242,45 @@ const server = app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🔥 Database: ${dbConnectionStatus}`);
-  console.log(`🤖 AI Integration: ${process.env.GEMINI_API_KEY ? 'Enabled' : 'Disabled'}`);
+  console.log(`🤖 AI Integration: ${aiProvider.isAvailable() ? `Enabled (${aiProvider.name})` : 'Disabled'}`);
 });
 
-// Handle graceful shutdown
-process.on('SIGTERM', () => {
-  console.warn('SIGTERM signal received: closing HTTP server');
-  server.close(() => {
-    console.warn('HTTP server closed');
-    process.exit(0);
-  });
-});
+// Stop functions of the jobs and the Telegram polling started below, called on shutdown
+const stopBackgroundWork = [];
+
+// Post due recurring transactions on start and then hourly (RECURRING_JOB=off disables it, e.g. on extra instances)
+if (dbConnectionStatus === 'connected' && process.env.RECURRING_JOB !== 'off') {
+  stopBackgroundWork.push(recurring.startJob(parseInt(process.env.RECURRING_JOB_INTERVAL_MS, 10) || 60 * 60 * 1000));
+}
+
+// Snapshot every user's net worth on start and then every 6 hours; the day's last run is the one kept (NET_WORTH_JOB=off disables it)
+if (dbConnectionStatus === 'connected' && process.env.NET_WORTH_JOB !== 'off') {
+  stopBackgroundWork.push(netWorth.startJob(parseInt(process.env.NET_WORTH_JOB_INTERVAL_MS, 10) || 6 * 60 * 60 * 1000));
+}
 
-process.on('SIGINT', () => {
-  console.warn('SIGINT signal received: closing HTTP server');
+// Send due bill reminders to linked Telegram chats on start and then hourly (needs TELEGRAM_BOT_TOKEN; BILLS_JOB=off disables it)
+if (dbConnectionStatus === 'connected' && telegram.isAvailable() && process.env.BILLS_JOB !== 'off') {
+  stopBackgroundWork.push(bills.startJob(parseInt(process.env.BILLS_JOB_INTERVAL_MS, 10) || 60 * 60 * 1000));
+}
+
+// Answer Telegram messages by long polling (needs TELEGRAM_BOT_TOKEN; only one instance may poll, TELEGRAM_BOT=off disables it)
+if (dbConnectionStatus === 'connected' && telegram.isAvailable() && process.env.TELEGRAM_BOT !== 'off') {
+  stopBackgroundWork.push(telegramBot.startPolling());
+  console.log('🤖 Telegram bot polling for messages');
+}
+
+// Handle graceful shutdown: no job run or Telegram poll starts once the server is closing
+function shutdown(signal) {
+  console.warn(`${signal} signal received: stopping background jobs and closing HTTP server`);
+  stopBackgroundWork.forEach(stop => stop());
   server.close(() => {
     console.warn('HTTP server closed');
     process.exit(0);
   });
-});
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (error) => {
@@ -0,0 +1,112 @@
+import { resolveCardRules, minimumDue, financeCharge, lateFee, isCreditCard, PH_CARD_DEFAULTS } from '../public/js/cardRules.js';
+import { StrategyEngine } from '../public/js/debtStrategy.js';
+
+const bpiCard = {
+    id: 'bpi',
+    name: 'BPI Card',
+    provider: 'BPI',
+    accountType: 'Credit Card',
+    balance: -100000,
+    interestRate: 36,
+    minimumPayment: 3000
+};
+
+describe('resolveCardRules', () => {
+    test('layers PH defaults, the issuer terms and the account overrides', () => {
+        expect(resolveCardRules(bpiCard)).toEqual({ ...PH_CARD_DEFAULTS, minimumPercent: 3, minimumFloor: 500, lateFee: 1500 });
+        expect(resolveCardRules({ ...bpiCard, paymentRules: { minimumPercent: 5 } }).minimumPercent).toBe(5);
+    });
+
+    test('leaves non-card debts on their fixed minimum', () => {
+        const loan = { accountType: 'Personal Loan', balance: 50000 };
+        expect(isCreditCard(loan)).toBe(false);
+        expect(resolveCardRules(loan)).toBeNull();
+    });
+});
+
+describe('minimumDue', () => {
+    const rules = resolveCardRules(bpiCard);
+
+    test('is a percentage of the statement balance', () => {
+        expect(minimumDue(rules, 100000)).toBe(3000);
+    });
+
+    test('never goes below the floor, or above the balance', () => {
+        expect(minimumDue(rules, 10000)).toBe(500);
+        expect(minimumDue(rules, 300)).toBe(300);
+        expect(minimumDue(rules, 0)).toBe(0);
+    });
+
+    test('uses the account minimum for fixed rules and non-card debts', () => {
+        expect(minimumDue({ ...rules, minimumType: 'fixed' }, 100000, 2500)).toBe(2500);
+        expect(minimumDue(null, 100000, 2500)).toBe(2500);
+        expect(minimumDue(null, 1000, 2500)).toBe(1000);
+    });
+});
+
+describe('financeCharge', () => {
+    test('charges daily interest on the average daily balance', () => {
+        expect(financeCharge({ interestMethod: 'daily' }, 100000, 36, 30)).toBeCloseTo(100000 * 0.36 / 365 * 30, 6);
+    });
+
+    test('charges a twelfth of the annual rate without card rules', () => {
+        expect(financeCharge(null, 100000, 24)).toBeCloseTo(2000, 6);
+    });
+
+    test('is capped at the BSP monthly ceiling', () => {
+        expect(financeCharge(resolveCardRules(bpiCard), 100000, 48, 31)).toBe(3000);
+    });
+});
+
+describe('lateFee', () => {
+    const rules = resolveCardRules(bpiCard);
+
+    test('is the lesser of the fixed fee and the unpaid minimum', () => {
+        expect(lateFee(rules, 5000)).toBe(1500);
+        expect(lateFee(rules, 200)).toBe(200);
+        expect(lateFee({ ...rules, lateFeeCapAtUnpaid: false }, 200)).toBe(1500);
+    });
+
+    test('is not charged when the minimum is paid, or on non-card debts', () => {
+        expect(lateFee(rules, 0)).toBe(0);
+        expect(lateFee(null, 5000)).toBe(0);
+    });
+});
+
+describe('card minimums in the simulator', () => {
+    const startDate = new Date(2026, 0, 1);
+
+    test('a minimum-only payer never incurs a late fee', () => {
+        const engine = new StrategyEngine([bpiCard], 0);
+        [engine.simulate('avalanche', { startDate }), engine.simulate('avalanche', { startDate, minimumsOnly: true })]
+            .forEach(result => {
+                expect(result.lateFees).toBe(0);
+                expect(result.accountSchedule.every(row => row.lateFee === 0)).toBe(true);
+            });
+    });
+
+    test('each month pays at least the minimum due on the statement balance', () => {
+        const { accountSchedule } = new StrategyEngine([bpiCard], 0).simulate('avalanche', { startDate });
+        accountSchedule.slice(0, 24).forEach(row => {
+            const statementBalance = row.balance + row.payment;
+            expect(row.payment).toBeCloseTo(minimumDue(resolveCardRules(bpiCard), statementBalance), 6);
+        });
+    });
+
+    test('the balance never grows when only minimums are paid', () => {
+        const { paymentSchedule, totalInterestPaid } = new StrategyEngine([bpiCard], 0).simulate('avalanche', { startDate });
+        paymentSchedule.forEach((month, index) => {
+            const previous = index === 0 ? 100000 : paymentSchedule[index - 1].balance;
+            expect(month.balance).toBeLessThanOrEqual(previous);
+        });
+        expect(totalInterestPaid).toBeLessThan(1000000);
+    });
+
+    test('an explicit budget below the minimum is charged a late fee', () => {
+        const result = new StrategyEngine([bpiCard], 0).simulate('avalanche', { startDate, monthlyBudget: 2000 });
+        const [first] = result.accountSchedule;
+        expect(first.lateFee).toBeGreaterThan(0);
+        expect(first.lateFee).toBeLessThanOrEqual(1500);
+        expect(result.lateFees).toBeGreaterThan(0);
+    });
+});
@@ -0,0 +1,179 @@
+import { StrategyEngine } from '../public/js/debtStrategy.js';
+
+const startDate = new Date(2026, 0, 1);
+
+// Fixed-minimum debts (no card rules) keep the arithmetic easy to follow
+const debts = [
+    { id: 'personal', name: 'Personal Loan', balance: 50000, interestRate: 12, minimumPayment: 1500 },
+    { id: 'store', name: 'Store Card', balance: 8000, interestRate: 24, minimumPayment: 500 },
+    { id: 'lending', name: 'Online Lending', balance: 20000, interestRate: 36, minimumPayment: 1000 }
+];
+
+const order = result => result.payoffOrder.map(entry => entry.accountId);
+
+describe('StrategyEngine payoff order', () => {
+    const engine = new StrategyEngine(debts, 5000);
+
+    test('avalanche targets the highest rate first', () => {
+        expect(engine.getSortedAccounts('avalanche').map(acc => acc.id)).toEqual(['lending', 'store', 'personal']);
+        expect(order(engine.simulate('avalanche', { startDate }))).toEqual(['lending', 'store', 'personal']);
+    });
+
+    test('snowball targets the smallest balance first', () => {
+        expect(engine.getSortedAccounts('snowball').map(acc => acc.id)).toEqual(['store', 'lending', 'personal']);
+        expect(order(engine.simulate('snowball', { startDate }))).toEqual(['store', 'lending', 'personal']);
+    });
+
+    test('hybrid clears the smallest debts first, then switches to avalanche', () => {
+        const accounts = [...debts, { id: 'cash', name: 'Cash Loan', balance: 30000, interestRate: 48, minimumPayment: 1200 }];
+        const hybrid = new StrategyEngine(accounts, 5000).getSortedAccounts('hybrid', { snowballCount: 1 });
+        expect(hybrid.map(acc => acc.id)).toEqual(['store', 'cash', 'lending', 'personal']);
+    });
+
+    test('custom follows the given order by id or name, then the highest rate', () => {
+        const sorted = engine.getSortedAccounts('custom', { order: ['Personal Loan'] });
+        expect(sorted.map(acc => acc.id)).toEqual(['personal', 'lending', 'store']);
+    });
+
+    test('rejects an unknown strategy', () => {
+        expect(() => engine.simulate('random', { startDate })).toThrow('Unknown debt strategy: random');
+    });
+
+    test('avalanche pays less interest than snowball', () => {
+        const [avalanche, snowball] = engine.compare(['avalanche', 'snowball'].map(strategy => ({ strategy, startDate })));
+        expect(avalanche.paidOff).toBe(true);
+        expect(snowball.paidOff).toBe(true);
+        expect(avalanche.totalInterestPaid).toBeLessThan(snowball.totalInterestPaid);
+    });
+
+    test('every peso paid goes to interest or principal, and the budget is never exceeded', () => {
+        const result = engine.simulate('avalanche', { startDate });
+        expect(result.totalPaid).toBeCloseTo(78000 + result.totalInterestPaid, 4);
+        expect(result.monthlyBudget).toBe(8000);
+        result.paymentSchedule.forEach(month => expect(month.payment).toBeLessThanOrEqual(8000 + 1e-6));
+    });
+
+    test('per-account rows add up to each debt\'s totals', () => {
+        const result = engine.simulate('snowball', { startDate });
+        result.payoffOrder.forEach(entry => {
+            const rows = result.accountSchedule.filter(row => row.accountId === entry.accountId);
+            expect(rows.reduce((sum, row) => sum + row.payment, 0)).toBeCloseTo(entry.totalPaid, 6);
+            expect(rows[rows.length - 1].balance).toBe(0);
+            expect(rows[rows.length - 1].month).toBe(entry.payoffMonth);
+        });
+    });
+
+    test('does not change the accounts it was given', () => {
+        const accounts = JSON.parse(JSON.stringify(debts));
+        new StrategyEngine(accounts, 5000).simulate('avalanche', { startDate });
+        expect(accounts).toEqual(debts);
+    });
+});
+
+describe('StrategyEngine extra payment scenarios', () => {
+    const engine = new StrategyEngine(debts, 2000);
+
+    test('a one-off lump sum in a simulation month is paid onto the target', () => {
+        const { paymentSchedule } = engine.simulate('avalanche', { startDate, extraSchedule: { lumpSums: [{ amount: 10000, month: 2 }] } });
+        expect(paymentSchedule[1]).toMatchObject({ lumpSum: 10000, extraPayment: 12000 });
+        expect(paymentSchedule[1].payment).toBeCloseTo(3000 + 12000, 6);
+        expect(paymentSchedule[2].lumpSum).toBe(0);
+    });
+
+    test('a calendar-month lump sum is applied once unless it recurs', () => {
+        const once = engine.simulate('avalanche', { startDate, extraSchedule: { lumpSums: [{ amount: 15000, calendarMonth: 12 }] } });
+        const yearly = engine.simulate('avalanche', { startDate, extraSchedule: { lumpSums: [{ amount: 15000, calendarMonth: 12, recurring: true }] } });
+        const decembers = result => result.paymentSchedule.filter(month => month.date.getMonth() === 11).map(month => month.lumpSum);
+        expect(decembers(once)).toEqual([15000, ...decembers(once).slice(1).map(() => 0)]);
+        expect(decembers(yearly).every(amount => amount === 15000)).toBe(true);
+    });
+
+    test('a dated lump sum lands in its calendar month', () => {
+        const { paymentSchedule } = engine.simulate('avalanche', { startDate, extraSchedule: { lumpSums: [{ amount: 5000, date: '2026-03' }] } });
+        expect(paymentSchedule.map(month => month.lumpSum).slice(0, 4)).toEqual([0, 0, 5000, 0]);
+    });
+
+    test('monthly extras replace the constant extra for their range, the last match winning', () => {
+        const extraSchedule = { monthlyExtras: [{ amount: 0, fromMonth: 1, toMonth: 3 }, { amount: 4000, fromMonth: 3, toMonth: 3 }] };
+        const { paymentSchedule } = engine.simulate('avalanche', { startDate, extraSchedule });
+        expect(paymentSchedule.slice(0, 4).map(month => month.extraPayment)).toEqual([0, 0, 4000, 2000]);
+    });
+
+    test('compareWithBaseline reports the months and interest a scenario saves', () => {
+        const comparison = engine.compareWithBaseline('avalanche', { startDate, extraSchedule: { lumpSums: [{ amount: 20000, month: 1 }] } });
+        expect(comparison.baseline.paymentSchedule.every(month => month.lumpSum === 0)).toBe(true);
+        expect(comparison.monthsSaved).toBeGreaterThan(0);
+        expect(comparison.interestSaved).toBeGreaterThan(0);
+        expect(comparison.monthsSaved).toBe(comparison.baseline.payoffTimeMonths - comparison.scenario.payoffTimeMonths);
+    });
+
+    test('minimumsOnly ignores the extra schedule', () => {
+        const result = engine.simulate('avalanche', { startDate, minimumsOnly: true, extraSchedule: { lumpSums: [{ amount: 20000, month: 1 }] } });
+        expect(result.paymentSchedule[0]).toMatchObject({ extraPayment: 0, lumpSum: 0 });
+        expect(result.paymentSchedule[0].payment).toBeCloseTo(3000, 6);
+    });
+});
+
+describe('StrategyEngine offers', () => {
+    const engine = new StrategyEngine(debts, 2000);
+
+    test('consolidation pays the covered debts highest rate first from the proceeds after the fee', () => {
+        const offer = { type: 'consolidation', loanAmount: 30000, interestRate: 10, termMonths: 24, processingFee: 1000, accountIds: ['store', 'lending'] };
+        const { accounts, fees, extraPayment } = engine.applyOffer(offer);
+        const byId = Object.fromEntries(accounts.map(acc => [acc.id, acc]));
+        expect(fees).toBe(1000);
+        expect(byId.lending.balance).toBe(0);
+        expect(byId.store.balance).toBe(0);
+        expect(byId.personal.balance).toBe(50000);
+        expect(byId['offer-consolidation']).toMatchObject({ balance: 30000, interestRate: 10 });
+        expect(byId['offer-consolidation'].minimumPayment).toBeCloseTo(StrategyEngine.amortizedPayment(30000, 10, 24), 6);
+        // Minimums plus extra stay at today's budget of 5000
+        expect(extraPayment).toBeCloseTo(5000 - 1500 - byId['offer-consolidation'].minimumPayment, 6);
+    });
+
+    test('proceeds that fall short leave the rest on the lowest-rate covered debt', () => {
+        const offer = { type: 'consolidation', loanAmount: 20000, interestRate: 10, termMonths: 24, processingFee: 0, accountIds: ['store', 'lending'] };
+        const byId = Object.fromEntries(engine.applyOffer(offer).accounts.map(acc => [acc.id, acc]));
+        expect(byId.lending.balance).toBe(0);
+        expect(byId.store.balance).toBe(8000);
+    });
+
+    test('a balance transfer bills its fee onto the new balance and keeps the replaced minimums', () => {
+        const offer = { type: 'balanceTransfer', amount: 20000, promoMonths: 6, promoRate: 0, postPromoRate: 24, transferFeeRate: 3, accountIds: ['lending'] };
+        const { accounts, fees, extraPayment } = engine.applyOffer(offer);
+        const transfer = accounts.find(acc => acc.id === 'offer-balance-transfer');
+        expect(fees).toBeCloseTo(600, 6);
+        expect(transfer).toMatchObject({ balance: 20600, promoRate: 0, promoMonths: 6, interestRate: 24, minimumPayment: 1000 });
+        expect(extraPayment).toBeCloseTo(2000, 6);
+    });
+
+    test('the promo rate applies only during the promo months', () => {
+        const account = { promoMonths: 6, promoRate: 0, interestRate: 24 };
+        expect(StrategyEngine.rateForMonth(account, 6)).toBe(0);
+        expect(StrategyEngine.rateForMonth(account, 7)).toBe(24);
+    });
+
+    test('simulating an offer charges no interest during a 0% promo and counts the fee as a cost', () => {
+        const offer = { type: 'balanceTransfer', promoMonths: 6, promoRate: 0, postPromoRate: 24, transferFeeRate: 3, accountIds: ['lending'] };
+        const result = engine.simulate('avalanche', { startDate, offer });
+        const promoInterest = result.accountSchedule
+            .filter(row => row.accountId === 'offer-balance-transfer' && row.month <= 6)
+            .reduce((sum, row) => sum + row.interest, 0);
+        expect(result.name).toBe('Balance Transfer');
+        expect(promoInterest).toBe(0);
+        expect(result.fees).toBeCloseTo(600, 6);
+        expect(result.totalCost).toBeCloseTo(result.totalInterestPaid + 600, 6);
+        expect(result.paidOff).toBe(true);
+    });
+
+    test('a cheaper consolidation loan beats paying the debts as they are', () => {
+        const offer = { type: 'consolidation', loanAmount: 28000, interestRate: 8, termMonths: 24, processingFee: 0, accountIds: ['store', 'lending'] };
+        const [plain, consolidated] = engine.compare([{ strategy: 'avalanche', startDate }, { strategy: 'avalanche', startDate, offer }]);
+        expect(consolidated.name).toBe('Debt Consolidation');
+        expect(consolidated.totalCost).toBeLessThan(plain.totalCost);
+    });
+
+    test('rejects an unknown offer', () => {
+        expect(() => engine.applyOffer({ type: 'refinance' })).toThrow('Unknown debt offer: refinance');
+    });
+});
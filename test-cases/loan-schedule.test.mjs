@@ -0,0 +1,170 @@
+import {
+    loanPreset,
+    paymentDate,
+    periodicPayment,
+    normalizeLoanTerms,
+    effectiveAnnualRate,
+    amortizationSchedule,
+    loanStatus
+} from '../public/js/loanSchedule.js';
+import { StrategyEngine } from '../public/js/debtStrategy.js';
+
+const salaryLoan = { principal: 24000, annualRate: 10, termMonths: 24, startDate: '2026-01-15', method: 'diminishing' };
+const carLoan = { principal: 500000, annualRate: 8, termMonths: 36, startDate: '2026-01-31', method: 'add-on' };
+
+describe('loan terms', () => {
+    test('presets fill the usual rate and term for a lender and loan type', () => {
+        expect(loanPreset('SSS', 'Salary Loan')).toEqual({ annualRate: 10, termMonths: 24, method: 'diminishing' });
+        expect(loanPreset('Unknown Bank', 'Salary Loan')).toBeNull();
+    });
+
+    test('defaults the frequency and method and keeps valid prepayments in date order', () => {
+        const terms = normalizeLoanTerms({
+            principal: -10000,
+            termMonths: 12.4,
+            startDate: '2026-01-01',
+            frequency: 'weekly',
+            method: 'balloon',
+            prepayments: [
+                { date: '2026-06-01', amount: 1000, mode: 'reduce-payment' },
+                { date: '2026-03-01', amount: '500', mode: 'skip' },
+                { date: 'soon', amount: 100 },
+                { date: '2026-04-01', amount: 0 }
+            ]
+        });
+        expect(terms).toEqual({
+            principal: 10000,
+            annualRate: 0,
+            termMonths: 12,
+            startDate: '2026-01-01',
+            frequency: 'monthly',
+            method: 'diminishing',
+            prepayments: [
+                { date: '2026-03-01', amount: 500, mode: 'reduce-term' },
+                { date: '2026-06-01', amount: 1000, mode: 'reduce-payment' }
+            ]
+        });
+    });
+
+    test('due dates keep the release day, or the month end when it is shorter', () => {
+        expect(paymentDate('2026-01-31', 'monthly', 1)).toBe('2026-02-28');
+        expect(paymentDate('2026-01-31', 'monthly', 2)).toBe('2026-03-31');
+        expect([1, 2, 3].map(period => paymentDate('2026-01-05', 'semi-monthly', period))).toEqual(['2026-01-20', '2026-02-05', '2026-02-20']);
+    });
+
+    test('the periodic payment clears the principal, with or without interest', () => {
+        expect(periodicPayment(12000, 0, 12)).toBe(1000);
+        expect(periodicPayment(24000, 0.1 / 12, 24)).toBeCloseTo(1107.48, 2);
+    });
+});
+
+describe('add-on to diminishing conversion', () => {
+    test('the converted rate gives the add-on payment', () => {
+        // 500,000 plus 8% a year for 3 years, over 36 payments
+        const schedule = amortizationSchedule(carLoan);
+        expect(schedule.payment).toBeCloseTo(17222.22, 1);
+        expect(schedule.totalInterest).toBeCloseTo(120000, -1);
+        expect(schedule.effectiveRate).toBeGreaterThan(14);
+        expect(schedule.effectiveRate).toBeLessThan(15);
+    });
+
+    test('a diminishing or interest-free loan keeps its own rate', () => {
+        expect(effectiveAnnualRate(salaryLoan)).toBe(10);
+        expect(effectiveAnnualRate({ ...carLoan, annualRate: 0 })).toBe(0);
+    });
+});
+
+describe('amortizationSchedule', () => {
+    test('pays the loan down to zero on the last due date', () => {
+        const schedule = amortizationSchedule(salaryLoan);
+        expect(schedule.rows).toHaveLength(24);
+        expect(schedule.rows[0]).toEqual({ period: 1, date: '2026-02-15', payment: 1107.48, interest: 200, principal: 907.48, prepayment: 0, balance: 23092.52 });
+        expect(schedule.rows[23]).toMatchObject({ date: '2028-01-15', balance: 0 });
+        expect(schedule).toMatchObject({ payoffDate: '2028-01-15', paymentsSaved: 0 });
+        expect(schedule.totalPaid).toBeCloseTo(24000 + schedule.totalInterest, 1);
+    });
+
+    test('a semi-monthly loan makes two payments a month', () => {
+        const schedule = amortizationSchedule({ ...salaryLoan, frequency: 'semi-monthly' });
+        expect(schedule.periodsPerYear).toBe(24);
+        expect(schedule.rows).toHaveLength(48);
+    });
+
+    test('reduce-term keeps the payment and ends the loan sooner', () => {
+        const base = amortizationSchedule(salaryLoan);
+        const prepaid = amortizationSchedule({ ...salaryLoan, prepayments: [{ date: '2026-06-01', amount: 8000, mode: 'reduce-term' }] });
+
+        expect(prepaid.rows.find(row => row.prepayment > 0)).toMatchObject({ date: '2026-06-15', prepayment: 8000 });
+        expect(prepaid.currentPayment).toBe(base.payment);
+        expect(prepaid.paymentsSaved).toBeGreaterThan(0);
+        expect(prepaid.payoffDate < base.payoffDate).toBe(true);
+        expect(prepaid.totalInterest).toBeLessThan(base.totalInterest);
+    });
+
+    test('reduce-payment keeps the term and lowers the payment', () => {
+        const base = amortizationSchedule(salaryLoan);
+        const prepaid = amortizationSchedule({ ...salaryLoan, prepayments: [{ date: '2026-06-01', amount: 8000, mode: 'reduce-payment' }] });
+
+        expect(prepaid.rows).toHaveLength(24);
+        expect(prepaid.paymentsSaved).toBe(0);
+        expect(prepaid.currentPayment).toBeLessThan(base.payment);
+        expect(prepaid.rows[10].payment).toBe(prepaid.currentPayment);
+        expect(prepaid.totalInterest).toBeLessThan(base.totalInterest);
+        // Shorter term saves more interest than a lower payment
+        const reduceTerm = amortizationSchedule({ ...salaryLoan, prepayments: [{ date: '2026-06-01', amount: 8000, mode: 'reduce-term' }] });
+        expect(reduceTerm.totalInterest).toBeLessThan(prepaid.totalInterest);
+    });
+
+    test('a prepayment of the whole balance ends the schedule', () => {
+        const schedule = amortizationSchedule({ ...salaryLoan, prepayments: [{ date: '2026-03-01', amount: 999999 }] });
+        expect(schedule.rows[schedule.rows.length - 1]).toMatchObject({ date: '2026-03-15', payment: 0, balance: 0 });
+        expect(schedule.totalPaid).toBeCloseTo(24000 + schedule.totalInterest, 1);
+    });
+});
+
+describe('loanStatus', () => {
+    test('reports the balance after the payments due so far and the next payment', () => {
+        const status = loanStatus(salaryLoan, '2026-04-20');
+        const { rows } = status.schedule;
+        expect(status).toMatchObject({
+            balance: rows[2].balance,
+            nextPayment: { date: '2026-05-15', amount: rows[3].payment },
+            monthlyPayment: rows[3].payment,
+            remainingPayments: 21,
+            payoffDate: '2028-01-15',
+            effectiveRate: 10
+        });
+    });
+
+    test('a prepayment made since the last due date is already off the balance', () => {
+        const loan = { ...salaryLoan, prepayments: [{ date: '2026-04-18', amount: 2000 }] };
+        expect(loanStatus(loan, '2026-04-20').balance).toBeCloseTo(loanStatus(salaryLoan, '2026-04-20').balance - 2000, 2);
+    });
+
+    test('a semi-monthly payment is doubled into a monthly figure', () => {
+        const status = loanStatus({ ...salaryLoan, frequency: 'semi-monthly' }, '2026-01-15');
+        expect(status.monthlyPayment).toBeCloseTo(status.nextPayment.amount * 2, 2);
+    });
+
+    test('a paid-off loan has nothing due', () => {
+        expect(loanStatus(salaryLoan, '2030-01-01')).toMatchObject({ balance: 0, nextPayment: null, monthlyPayment: 0, remainingPayments: 0 });
+    });
+});
+
+describe('loans in the Debt Demolisher simulator', () => {
+    test('an add-on loan pays its amortization at the converted rate', () => {
+        const engine = new StrategyEngine([{ id: 'car', name: 'Car loan', balance: 500000, loan: carLoan }]);
+        const [debt] = engine.accounts;
+        expect(debt.interestRate).toBe(effectiveAnnualRate(carLoan));
+        expect(debt.minimumPayment).toBe(loanStatus(carLoan).monthlyPayment);
+    });
+
+    test('money rolled onto a loan prepays it, so it ends sooner', () => {
+        // The simulator reads the loan's status as of today
+        const loan = { ...salaryLoan, startDate: new Date().toISOString().slice(0, 10) };
+        const payoffMonth = extra => new StrategyEngine([{ id: 'sss', name: 'SSS', balance: 24000, loan }], extra)
+            .simulate('avalanche').payoffOrder[0].payoffMonth;
+        expect(payoffMonth(0)).toBeGreaterThan(20);
+        expect(payoffMonth(3000)).toBeLessThan(payoffMonth(0) / 2);
+    });
+});